@@ -0,0 +1,27 @@
+const FENCE_REG = /^ {0,3}(`{3,}|~{3,}|\$\$)/
+const INLINE_CODE_REG = /(`+)(?:[^`]|[^`][\s\S]*?[^`])\1(?!`)/g
+
+/**
+ * Split the document into lines without code. Lines of code blocks and math
+ * blocks (including the fences) are `null` and code spans are replaced by
+ * spaces, so the columns of the remaining text are kept.
+ *
+ * @param {string} markdown The markdown document.
+ * @returns {Array<string|null>}
+ */
+export const getLinesWithoutCode = markdown => {
+  let fence = null
+  return markdown.split('\n').map(line => {
+    const result = FENCE_REG.exec(line)
+    if (fence) {
+      if (result && result[1][0] === fence[0] && result[1].length >= fence.length) {
+        fence = null
+      }
+      return null
+    } else if (result) {
+      fence = result[1]
+      return null
+    }
+    return line.replace(INLINE_CODE_REG, code => ' '.repeat(code.length))
+  })
+}
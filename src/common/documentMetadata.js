@@ -0,0 +1,29 @@
+import { extractTags } from './tags'
+import { findWikiLinks } from './wikiLink'
+
+// Length of the document preview in the file list.
+const EXCERPT_LENGTH = 50
+
+/**
+ * The metadata of a document in the opened folder. Only the metadata is sent
+ * to the editor windows instead of the whole document.
+ *
+ * @typedef {Object} IDocumentMetadata
+ * @property {string[]} tags The tags of the document.
+ * @property {IWikiLink[]} links The wiki links of the document.
+ * @property {string} excerpt The beginning of the document.
+ */
+
+/**
+ * Extract the metadata of the given document.
+ *
+ * @param {string} markdown The document content.
+ * @returns {IDocumentMetadata}
+ */
+export const getDocumentMetadata = markdown => {
+  return {
+    tags: extractTags(markdown),
+    links: findWikiLinks(markdown),
+    excerpt: markdown.substring(0, EXCERPT_LENGTH)
+  }
+}
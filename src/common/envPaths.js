@@ -18,11 +18,16 @@ class EnvPaths {
     this._preferencesPath = userDataPath // path.join(this._userDataPath, 'preferences')
 
     this._preferencesFilePath = path.join(this._preferencesPath, 'preference.md')
+    this._recoveryPath = path.join(this._userDataPath, 'recovery')
+    this._sessionsPath = path.join(this._userDataPath, 'sessions')
+    this._undoHistoryPath = path.join(this._sessionsPath, 'history')
+    this._dictionariesPath = path.join(this._userDataPath, 'dictionaries')
+    this._themesPath = path.join(this._userDataPath, 'themes')
+    this._pluginsPath = path.join(this._userDataPath, 'plugins')
 
     // TODO(sessions): enable this...
     // this._globalStorage = path.join(this._userDataPath, 'globalStorage')
     // this._preferencesPath = path.join(this._userDataPath, 'preferences')
-    // this._sessionsPath = path.join(this._userDataPath, 'sessions')
   }
 
   get electronUserDataPath () {
@@ -45,6 +50,30 @@ class EnvPaths {
   get preferencesFilePath () {
     return this._preferencesFilePath
   }
+
+  get recoveryPath () {
+    return this._recoveryPath
+  }
+
+  get sessionsPath () {
+    return this._sessionsPath
+  }
+
+  get undoHistoryPath () {
+    return this._undoHistoryPath
+  }
+
+  get dictionariesPath () {
+    return this._dictionariesPath
+  }
+
+  get themesPath () {
+    return this._themesPath
+  }
+
+  get pluginsPath () {
+    return this._pluginsPath
+  }
 }
 
 export default EnvPaths
@@ -0,0 +1,10 @@
+// The front matter parser is part of Muya, so that the editor can be built without the app.
+export {
+  splitFrontMatter,
+  parseFrontMatter,
+  parseScalar,
+  stringifyFrontMatter,
+  getTags,
+  getMetadataFromData,
+  getMetadata
+} from '../muya/lib/utils/frontMatter'
@@ -0,0 +1,92 @@
+import en from './locales/en.json'
+import de from './locales/de.json'
+import zhCN from './locales/zh-CN.json'
+
+// The locale that is used for missing translations.
+export const DEFAULT_LOCALE = 'en'
+
+/**
+ * Available locale bundles with their native language name.
+ */
+export const locales = {
+  en: { name: 'English', messages: en },
+  de: { name: 'Deutsch', messages: de },
+  'zh-CN': { name: '简体中文', messages: zhCN }
+}
+
+let currentLocale = DEFAULT_LOCALE
+const listeners = new Set()
+
+const getMessage = (messages, key) => {
+  return key.split('.').reduce((obj, name) => obj && obj[name], messages)
+}
+
+/**
+ * Find the best matching locale for the given language, e.g. `zh` -> `zh-CN` or `de-AT` -> `de`.
+ *
+ * @param {string} language The language tag.
+ * @returns {string} The locale or the default locale.
+ */
+export const resolveLocale = language => {
+  if (!language) {
+    return DEFAULT_LOCALE
+  }
+  if (locales[language]) {
+    return language
+  }
+  const prefix = language.split(/[-_]/)[0].toLowerCase()
+  return Object.keys(locales).find(locale => locale.split('-')[0] === prefix) || DEFAULT_LOCALE
+}
+
+export const getLocale = () => currentLocale
+
+/**
+ * Change the locale of the current process.
+ *
+ * @param {string} language The language tag, e.g. `en` or `zh-CN`.
+ * @returns {string} The locale that is used.
+ */
+export const setLocale = language => {
+  const locale = resolveLocale(language)
+  if (locale !== currentLocale) {
+    currentLocale = locale
+    listeners.forEach(listener => listener(locale))
+  }
+  return locale
+}
+
+/**
+ * Listen for locale changes.
+ *
+ * @param {(locale: string) => void} listener The listener.
+ * @returns {() => void} A function that removes the listener.
+ */
+export const onLocaleChange = listener => {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+/**
+ * Translate the message with the given key into the current locale and fall back to
+ * English. Placeholders like `{name}` are replaced by the given parameters and messages
+ * with a `one`/`other` form are selected by the `count` parameter.
+ *
+ * @param {string} key The message key, e.g. `menu.file.save`.
+ * @param {Object} [params] The message parameters.
+ * @returns {string} The translated message or the key if no message exists.
+ */
+export const t = (key, params = {}) => {
+  let message = getMessage(locales[currentLocale].messages, key)
+  if (message === undefined) {
+    message = getMessage(locales[DEFAULT_LOCALE].messages, key)
+  }
+  if (message && typeof message === 'object' && typeof params.count === 'number') {
+    message = params.count === 1 ? message.one : message.other
+  }
+  if (typeof message !== 'string') {
+    return key
+  }
+  return message.replace(/\{(\w+)\}/g, (match, name) => {
+    return params[name] !== undefined ? params[name] : match
+  })
+}
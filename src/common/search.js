@@ -0,0 +1,65 @@
+const ESCAPE_REG = /[.*+?^${}()|[\]\\]/g
+const REPLACEMENT_PATTERN_REG = /\$(\$|&|`|'|\d{1,2}|<[^>]*>)/g
+
+/**
+ * @typedef {Object} ISearchOptions
+ * @property {boolean} isRegexp Whether the query is a regular expression.
+ * @property {boolean} isCaseSensitive Whether the search is case-sensitive.
+ * @property {boolean} isWholeWord Whether only whole words should be matched.
+ */
+
+/**
+ * Create the regular expression for the given query.
+ *
+ * @param {string} query The search query.
+ * @param {ISearchOptions} options The search options.
+ * @returns {RegExp} The global regular expression. Throws if the query is an invalid regular expression.
+ */
+export const createSearchRegexp = (query, options) => {
+  const { isRegexp, isCaseSensitive, isWholeWord } = options
+  let source = isRegexp ? query : query.replace(ESCAPE_REG, '\\$&')
+  if (isWholeWord) {
+    source = `(?<!\\w)(?:${source})(?!\\w)`
+  }
+  return new RegExp(source, isCaseSensitive ? 'gm' : 'gim')
+}
+
+/**
+ * Returns the replacement text for the given match like `String.prototype.replace`
+ * would do. Patterns like `$1` are only expanded for regular expressions.
+ *
+ * @param {string} replacement The replacement text.
+ * @param {RegExpExecArray} result The match result.
+ * @param {boolean} isRegexp Whether the query is a regular expression.
+ * @returns {string}
+ */
+export const expandReplacement = (replacement, result, isRegexp) => {
+  if (!isRegexp) {
+    return replacement
+  }
+
+  const { index, input } = result
+  return replacement.replace(REPLACEMENT_PATTERN_REG, (pattern, name) => {
+    switch (name) {
+      case '$':
+        return '$'
+      case '&':
+        return result[0]
+      case '`':
+        return input.substring(0, index)
+      case '\'':
+        return input.substring(index + result[0].length)
+    }
+
+    if (name[0] === '<') {
+      const { groups } = result
+      return groups ? groups[name.substring(1, name.length - 1)] || '' : pattern
+    }
+
+    const groupIndex = Number(name)
+    if (groupIndex > 0 && groupIndex < result.length) {
+      return result[groupIndex] || ''
+    }
+    return pattern
+  })
+}
@@ -0,0 +1,113 @@
+import { getLinesWithoutCode } from './codeRegions'
+import { splitFrontMatter, parseFrontMatter, getTags } from './frontMatter'
+
+// Tags consist of letters, digits, `-`, `_` and `/` for nested tags like `#project/ideas`.
+// Keep in sync with the `inline_tag` rule of Muya.
+const TAG_CHAR = '[^\\s!-,./:-@\\[-\\^`{-~]'
+const TAG_NAME = `${TAG_CHAR}(?:${TAG_CHAR}|/(?=${TAG_CHAR}))*`
+const INLINE_TAG_REG = new RegExp(`(^|\\s)#(${TAG_NAME})`, 'g')
+const TAG_NAME_REG = new RegExp(`^${TAG_NAME}$`)
+const NUMBER_REG = /^[\d/]+$/
+
+const ESCAPE_REG = /[.*+?^${}()|[\]\\]/g
+
+/**
+ * A `#tag` in the document text.
+ *
+ * @typedef {Object} IInlineTag
+ * @property {string} name The tag name without `#`.
+ * @property {number} line The zero-based line of the tag name.
+ * @property {number} ch The column of the tag name.
+ */
+
+/**
+ * Whether the text is a valid tag name. Numbers like `#1` are no tags.
+ *
+ * @param {string} name The tag name without `#`.
+ * @returns {boolean}
+ */
+export const isValidTagName = name => {
+  return TAG_NAME_REG.test(name) && !NUMBER_REG.test(name)
+}
+
+/**
+ * Find all `#tag`s in the document text. Tags must follow a whitespace or start
+ * a line and are ignored in the front matter, code blocks, math blocks and code spans.
+ *
+ * @param {string} markdown The markdown document.
+ * @returns {IInlineTag[]}
+ */
+export const findInlineTags = markdown => {
+  const { content } = splitFrontMatter(markdown)
+  // The first line after the front matter.
+  const contentStart = markdown.substring(0, markdown.length - content.length).split('\n').length - 1
+  const lines = getLinesWithoutCode(markdown)
+  const tags = []
+  for (let i = contentStart; i < lines.length; i++) {
+    const text = lines[i]
+    if (text === null) {
+      continue
+    }
+
+    INLINE_TAG_REG.lastIndex = 0
+    let match
+    while ((match = INLINE_TAG_REG.exec(text)) !== null) {
+      const name = match[2]
+      if (!NUMBER_REG.test(name)) {
+        tags.push({ name, line: i, ch: match.index + match[1].length + 1 })
+      }
+    }
+  }
+  return tags
+}
+
+/**
+ * Returns the tags of the front matter and the `#tag`s of the document text.
+ *
+ * @param {string} markdown The markdown document.
+ * @returns {string[]} The unique tags in document order.
+ */
+export const extractTags = markdown => {
+  const { frontMatter } = splitFrontMatter(markdown)
+  const tags = frontMatter ? getTags(parseFrontMatter(frontMatter).data) : []
+  for (const { name } of findInlineTags(markdown)) {
+    tags.push(name)
+  }
+  return Array.from(new Set(tags))
+}
+
+/**
+ * Find all occurrences of the tag name including nested tags, e.g. `#a/b` is an
+ * occurrence of `a`. Occurrences in the `tags` entry of the front matter are
+ * found too.
+ *
+ * @param {string} markdown The markdown document.
+ * @param {string} name The tag name.
+ * @returns {{line: number, ch: number, length: number}[]} The positions of the tag name.
+ */
+export const findTagOccurrences = (markdown, name) => {
+  const isOccurrence = tag => tag === name || tag.startsWith(`${name}/`)
+  const { length } = name
+  const occurrences = findInlineTags(markdown)
+    .filter(tag => isOccurrence(tag.name))
+    .map(({ line, ch }) => ({ line, ch, length }))
+
+  const { frontMatter } = splitFrontMatter(markdown)
+  if (!frontMatter || !getTags(parseFrontMatter(frontMatter).data).some(isOccurrence)) {
+    return occurrences
+  }
+  // The tags are either a list or a string on the same line or a list of items below.
+  const reg = new RegExp(`(^|[\\s,\\['"])(${name.replace(ESCAPE_REG, '\\$&')})(?=$|[\\s,\\]'"/])`, 'g')
+  const lines = frontMatter.split('\n')
+  const start = lines.findIndex(line => /^tags\s*:/.test(line))
+  for (let i = start; i !== -1 && i < lines.length && (i === start || /^\s/.test(lines[i])); i++) {
+    const text = i === start ? lines[i].replace(/^tags\s*:/, key => ' '.repeat(key.length)) : lines[i]
+    reg.lastIndex = 0
+    let match
+    while ((match = reg.exec(text)) !== null) {
+      // The first line of the document is the front matter delimiter.
+      occurrences.push({ line: i + 1, ch: match.index + match[1].length, length })
+    }
+  }
+  return occurrences
+}
@@ -0,0 +1,84 @@
+import path from 'path'
+import { getLinesWithoutCode } from './codeRegions'
+
+// Matches `[[target]]` and `[[target|alias]]`, keep in sync with the Muya `wiki_link` rule.
+const WIKI_LINK_REG = /\[\[([^[\]|\n]+?)(?:\|([^[\]\n]+?))?\]\]/g
+const MARKDOWN_EXT_REG = /\.(?:markdown|mdown|mkdn|md|mkd|mdwn|mdtxt|mdtext|text|txt)$/i
+
+/**
+ * A wiki link within a document.
+ *
+ * @typedef {Object} IWikiLink
+ * @property {string} target The link target (note name).
+ * @property {string} alias The optional link text.
+ * @property {number} line The zero-based line number.
+ * @property {number} ch The zero-based column of the link.
+ * @property {number} length The link length.
+ * @property {string} text The line text that contains the link.
+ */
+
+/**
+ * Returns the note name of the given document that is used as wiki link target.
+ *
+ * @param {string} pathname The document path.
+ */
+export const getNoteName = pathname => {
+  return path.basename(pathname).replace(MARKDOWN_EXT_REG, '')
+}
+
+const normalizeTarget = target => {
+  return target.trim().replace(MARKDOWN_EXT_REG, '').toLowerCase()
+}
+
+/**
+ * Whether the wiki link target points to the given note name.
+ *
+ * @param {string} target The link target.
+ * @param {string} name The note name.
+ */
+export const isLinkTo = (target, name) => {
+  return normalizeTarget(target) === name.toLowerCase()
+}
+
+/**
+ * Find all wiki links in the given document. Links in code blocks, math blocks
+ * and code spans are ignored.
+ *
+ * @param {string} markdown The document content.
+ * @returns {IWikiLink[]}
+ */
+export const findWikiLinks = markdown => {
+  const links = []
+  const lines = markdown.split('\n')
+  const textLines = getLinesWithoutCode(markdown)
+  for (let line = 0; line < lines.length; line++) {
+    const text = textLines[line]
+    if (!text || !text.includes('[[')) continue
+
+    let result
+    WIKI_LINK_REG.lastIndex = 0
+    while ((result = WIKI_LINK_REG.exec(text)) !== null) {
+      links.push({
+        target: result[1],
+        alias: result[2] || '',
+        line,
+        ch: result.index,
+        length: result[0].length,
+        text: lines[line]
+      })
+    }
+  }
+  return links
+}
+
+/**
+ * Find the project file the wiki link points to.
+ *
+ * @param {string} target The link target.
+ * @param {Array} fileList All markdown files of the opened folder.
+ * @returns {*} The file or undefined.
+ */
+export const resolveWikiLink = (target, fileList) => {
+  const name = normalizeTarget(target)
+  return fileList.find(file => getNoteName(file.pathname).toLowerCase() === name)
+}
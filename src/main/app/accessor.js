@@ -1,7 +1,13 @@
+import { setLocale } from 'common/i18n'
 import WindowManager from '../app/windowManager'
 import Preference from '../preferences'
 import Keybindings from '../keyboard/shortcutHandler'
 import AppMenu from '../menu'
+import ThemeManager from '../themes'
+import RecoveryJournal from '../filesystem/recovery'
+import ImageUploader from '../imageUploader'
+import SessionManager from '../sessions'
+import PluginManager from '../plugins'
 
 class Accessor {
 
@@ -14,9 +20,15 @@ class Accessor {
     this.env = appEnvironment
     this.paths = appEnvironment.paths // export paths to make it better accessible
     this.preferences = new Preference(this.paths)
+    setLocale(this.preferences.getItem('language'))
+    this.recoveryJournal = new RecoveryJournal(this.paths.recoveryPath)
     this.keybindings = new Keybindings(userDataPath)
-    this.menu = new AppMenu(this.preferences, this.keybindings, userDataPath)
+    this.themes = new ThemeManager(this.paths)
+    this.sessions = new SessionManager(this.paths, appEnvironment.sessionName)
+    this.plugins = new PluginManager(this.paths, this.preferences, this.keybindings, appEnvironment.safeMode)
+    this.menu = new AppMenu(this.preferences, this.keybindings, this.themes, this.sessions, this.plugins, userDataPath)
     this.windowManager = new WindowManager(this.menu, this.preferences)
+    this.imageUploader = new ImageUploader(this.preferences)
   }
 }
 
@@ -17,6 +17,7 @@ export class AppEnvironment {
     this._debug = !!options.debug
     this._verbose = !!options.verbose
     this._safeMode = !!options.safeMode
+    this._sessionName = options.sessionName || null
   }
 
   /**
@@ -55,6 +56,13 @@ export class AppEnvironment {
   get safeMode () {
     return this._safeMode
   }
+
+  /**
+   * @returns {string|null} The session that was requested by command-line.
+   */
+  get sessionName () {
+    return this._sessionName
+  }
 }
 
 /**
@@ -70,12 +78,14 @@ const setupEnvironment = args => {
   const verbose = args['--verbose'] || 0
   const safeMode = args['--safe']
   const userDataPath = args['--user-data-dir'] // or null (= default user data path)
+  const sessionName = args['--session'] // or null (= last used session)
 
   const appEnvironment = new AppEnvironment({
     debug,
     verbose,
     safeMode,
-    userDataPath
+    userDataPath,
+    sessionName
   })
 
   ensureAppDirectoriesSync(appEnvironment.paths)
@@ -0,0 +1,124 @@
+import path from 'path'
+import { promisify } from 'util'
+import { app, ipcMain } from 'electron'
+import log from 'electron-log'
+import { isOsx } from '../config'
+import { writeFile } from '../filesystem'
+import { loadMarkdownFile, writeMarkdownFile } from '../filesystem/markdown'
+import ExportWindow from '../windows/export'
+
+// The renderer must respond within this time, e.g. a PDF export waits for images and fonts.
+const EXPORT_TIMEOUT = 120000
+
+/**
+ * Converts a document without user interface and exits the application afterwards.
+ * The conversion is done by the renderer of a hidden window to use the same
+ * exporter as the editor.
+ */
+class HeadlessApp {
+
+  /**
+   * @param {Accessor} accessor The application accessor for application instances.
+   * @param {arg.Result} args Parsed application arguments.
+   */
+  constructor (accessor, args) {
+    this._accessor = accessor
+    this._args = args
+  }
+
+  /**
+   * The entry point into the application.
+   */
+  init () {
+    if (isOsx) {
+      app.dock.hide()
+    }
+
+    // Don't quit before the document is written.
+    app.on('window-all-closed', () => {})
+    app.on('ready', this.ready)
+  }
+
+  ready = async () => {
+    let exitCode = 0
+    try {
+      await this._convert()
+    } catch (err) {
+      log.error(err)
+      process.stderr.write(`Error: ${err.message}\n`)
+      exitCode = 1
+    }
+    app.exit(exitCode)
+  }
+
+  async _convert () {
+    const { _args: args } = this
+    const { preferences } = this._accessor
+    const pathname = path.resolve(args._[0])
+    const output = args['--output'] ? path.resolve(args['--output']) : null
+    const type = args['--normalize'] ? 'normalize' : args['--export']
+
+    const document = await loadMarkdownFile(pathname, preferences.getPreferedEOL())
+    const { bulletListMarker, preferHeadingStyle, listIndentation, mathPreamble } = preferences.getAll()
+    const options = { bulletListMarker, preferHeadingStyle, listIndentation, mathPreamble }
+
+    const exportWindow = new ExportWindow(this._accessor)
+    const win = await exportWindow.createWindow()
+    // The renderer responds after the document is completely rendered, so it can be printed.
+    const content = await this._requestExport(win, { type, markdown: document.markdown, pathname, options })
+
+    if (type === 'pdf') {
+      const data = await promisify(win.webContents.printToPDF.bind(win.webContents))({ printBackground: true })
+      await writeFile(output, data)
+    } else if (type === 'normalize' && !output) {
+      // Reformat the document in place and keep its encoding and line endings.
+      await writeMarkdownFile(pathname, content, document)
+    } else {
+      await this._writeOutput(output, content)
+    }
+  }
+
+  _requestExport (win, request) {
+    const { webContents } = win
+    return new Promise((resolve, reject) => {
+      const onResponse = (e, { content, error }) => {
+        if (e.sender.id !== webContents.id) {
+          return
+        }
+        cleanup()
+        if (error) {
+          reject(new Error(error))
+        } else {
+          resolve(content)
+        }
+      }
+      const onCrashed = () => {
+        cleanup()
+        reject(new Error('The renderer process crashed.'))
+      }
+      const timer = setTimeout(() => {
+        cleanup()
+        reject(new Error('The renderer did not respond in time.'))
+      }, EXPORT_TIMEOUT)
+      const cleanup = () => {
+        clearTimeout(timer)
+        ipcMain.removeListener('mt::headless-export-response', onResponse)
+        webContents.removeListener('crashed', onCrashed)
+      }
+
+      ipcMain.on('mt::headless-export-response', onResponse)
+      webContents.once('crashed', onCrashed)
+      webContents.send('mt::headless-export', request)
+    })
+  }
+
+  // Write the content to the output file or to stdout if no output is given.
+  _writeOutput (output, content) {
+    if (!output) {
+      return new Promise(resolve => process.stdout.write(content, resolve))
+    }
+    return writeFile(output, content)
+  }
+}
+
+export default HeadlessApp
@@ -1,6 +1,8 @@
-import { app, ipcMain, systemPreferences } from 'electron'
+import { app, dialog, ipcMain, systemPreferences } from 'electron'
+import log from 'electron-log'
 import { isLinux, isOsx } from '../config'
 import { isDirectory, isMarkdownFileOrLink, normalizeAndResolvePath } from '../filesystem'
+import { configureSafeSave, writeMarkdownFile } from '../filesystem/markdown'
 import { getMenuItemById } from '../menu'
 import { selectTheme } from '../menu/actions/theme'
 import { dockMenu } from '../menu/templates'
@@ -8,6 +10,7 @@ import { watchers } from '../utils/imagePathAutoComplement'
 import EditorWindow from '../windows/editor'
 import SettingWindow from '../windows/setting'
 import { WindowType } from './windowManager'
+import { t } from 'common/i18n'
 
 class App {
 
@@ -22,6 +25,13 @@ class App {
     this._openFilesTimer = null
     this._windowManager = this._accessor.windowManager
 
+    const { preferences, recoveryJournal, sessions } = this._accessor
+    configureSafeSave(recoveryJournal, preferences.getItem('backupOnSave'))
+
+    this._windowManager.on('windowClosed', windowId => {
+      sessions.closeWindow(windowId)
+    })
+
     this._listenForIpcMain()
   }
 
@@ -74,7 +84,7 @@ class App {
     })
   }
 
-  ready = () => {
+  ready = async () => {
     const { _args: args } = this
     if (!isOsx && args._.length) {
       for (const pathname of args._) {
@@ -90,8 +100,17 @@ class App {
       }
     }
 
+    // Reload user themes while they are edited.
+    this._accessor.themes.watch()
+
+    // Reload plugins while they are edited, plugins are not loaded in safe mode.
+    this._accessor.plugins.watch()
+
+    // Record the state of all editor windows to restore them.
+    this._accessor.sessions.start()
+
     if (process.platform === 'darwin') {
-      app.dock.setMenu(dockMenu)
+      app.dock.setMenu(dockMenu())
 
       // Listen for system theme change and change Mark Text own `dark` and `light`.
       // In macOS 10.14 Mojave, Apple introduced a new system-wide dark mode for
@@ -121,9 +140,12 @@ class App {
       )
     }
 
+    // Offer to restore documents whose save did not finish.
+    await this._restoreUnfinishedSaves()
+
     if (this._openFilesCache.length) {
       this.openFileCache()
-    } else {
+    } else if (!this._restoreSession()) {
       this.createEditorWindow()
     }
   }
@@ -175,10 +197,11 @@ class App {
    * @param {string} [pathname] Path to a file, directory or link.
    * @param {string} [markdown] Markdown content.
    * @param {*} [options] BrowserWindow options.
+   * @param {IWindowSession} [windowSession] The window state to restore.
    */
-  createEditorWindow (pathname = null, markdown = '', options = {}) {
+  createEditorWindow (pathname = null, markdown = '', options = {}, windowSession = null) {
     const editor = new EditorWindow(this._accessor)
-    editor.createWindow(pathname, markdown, options)
+    editor.createWindow(pathname, markdown, options, windowSession)
     this._windowManager.add(editor)
     if (this._windowManager.windowCount === 1) {
       this._accessor.menu.setActiveWindow(editor.id)
@@ -196,6 +219,64 @@ class App {
     }
   }
 
+  /**
+   * Restore the windows of the active session when requested by the user or after a crash.
+   *
+   * @returns {boolean} Whether windows were restored.
+   */
+  _restoreSession () {
+    const { preferences, sessions } = this._accessor
+    if (!sessions.shouldRestore(preferences.getItem('startUp'))) {
+      return false
+    }
+
+    const windows = sessions.loadSession()
+    for (const windowSession of windows) {
+      this.createEditorWindow(null, '', {}, windowSession)
+    }
+    return windows.length > 0
+  }
+
+  /**
+   * Ask the user to restore documents that are still in the recovery journal
+   * and add the restored documents to the open file cache.
+   */
+  async _restoreUnfinishedSaves () {
+    const { recoveryJournal } = this._accessor
+    const entries = await recoveryJournal.getEntries()
+    if (entries.length === 0) {
+      // Remove entries of documents that were modified after the entry was added.
+      await recoveryJournal.clear()
+      return
+    }
+
+    const count = entries.length
+    const result = dialog.showMessageBox({
+      type: 'warning',
+      buttons: [t('dialog.restore'), t('dialog.discard')],
+      defaultId: 0,
+      cancelId: 1,
+      noLink: true,
+      message: t('dialog.restoreUnsavedChanges.message', { count }),
+      detail: entries.map(entry => entry.pathname).join('\n')
+    })
+
+    if (result === 0) {
+      for (const { pathname, markdown, options } of entries) {
+        try {
+          await writeMarkdownFile(pathname, markdown, options)
+          const info = this.normalizePath(pathname)
+          if (info) {
+            this._openFilesCache.push(info)
+          }
+        } catch (err) {
+          log.error(`Cannot restore document "${pathname}":`, err)
+        }
+      }
+    }
+    await recoveryJournal.clear()
+  }
+
   // TODO(sessions): ...
   // // Make Mark Text a single instance application.
   // _makeSingleInstance() {
@@ -213,6 +294,16 @@ class App {
   // }
 
   _listenForIpcMain () {
+    ipcMain.on('broadcast-preferences-changed', prefs => {
+      if (prefs.backupOnSave !== undefined) {
+        const { recoveryJournal } = this._accessor
+        configureSafeSave(recoveryJournal, prefs.backupOnSave)
+      }
+      if (prefs.language !== undefined && isOsx) {
+        app.dock.setMenu(dockMenu())
+      }
+    })
+
     ipcMain.on('app-create-editor-window', () => {
       this.createEditorWindow()
     })
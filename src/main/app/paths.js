@@ -27,11 +27,12 @@ class AppPaths extends EnvPaths {
 export const ensureAppDirectoriesSync = paths => {
   ensureDirSync(paths.userDataPath)
   ensureDirSync(paths.logPath)
+  ensureDirSync(paths.recoveryPath)
+  ensureDirSync(paths.sessionsPath)
   // TODO(sessions): enable this...
   // ensureDirSync(paths.electronUserDataPath)
   // ensureDirSync(paths.globalStorage)
   // ensureDirSync(paths.preferencesPath)
-  // ensureDirSync(paths.sessionsPath)
 }
 
 export default AppPaths
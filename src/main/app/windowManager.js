@@ -1,7 +1,11 @@
 import { app, BrowserWindow, ipcMain } from 'electron'
 import EventEmitter from 'events'
 import log from 'electron-log'
+import { t } from 'common/i18n'
+import { findTagOccurrences } from 'common/tags'
+import { loadMarkdownFile } from '../filesystem/markdown'
 import Watcher from '../filesystem/watcher'
+import { replaceInFiles } from '../filesystem/replace'
 
 /**
  * A Mark Text window.
@@ -15,7 +19,8 @@ import Watcher from '../filesystem/watcher'
 export const WindowType = {
   BASE: 'base', // You shold never create a `BASE` window.
   EDITOR: 'editor',
-  SETTING: 'setting'
+  SETTING: 'setting',
+  EXPORT: 'export'
 }
 
 class WindowActivityList {
@@ -67,13 +72,16 @@ class WindowManager extends EventEmitter {
     super()
 
     this._appMenu = appMenu
+    this._preferences = preferences
 
     this._activeWindowId = null
     this._windows = new Map()
     this._windowActivity = new WindowActivityList()
 
-    // TODO(need::refactor): We should move watcher and search into another process/thread(?)
+    // TODO(need::refactor): We should move the watcher into another process/thread(?)
     this._watcher = new Watcher(preferences)
+    // The id of the latest folder search of each window.
+    this._searchRequests = new Map()
 
     this._listenForIpcMain()
   }
@@ -139,6 +147,7 @@ class WindowManager extends EventEmitter {
       window.removeAllListeners()
 
       this._windowActivity.delete(windowId)
+      this._searchRequests.delete(windowId)
       let nextWindowId = this._windowActivity.getNewest()
       this.setActiveWindow(nextWindowId)
 
@@ -177,7 +186,7 @@ class WindowManager extends EventEmitter {
 
   /**
    *
-   * @param {type} type the WindowType one of ['base', 'editor', 'setting']
+   * @param {type} type the WindowType one of ['base', 'editor', 'setting', 'export']
    * Return the windows of the given {type}
    */
   windowsOfType (type) {
@@ -230,6 +239,7 @@ class WindowManager extends EventEmitter {
       log.error('Something went wrong: Cannot find associated application window!')
       browserWindow.destroy()
     }
+    this.emit('windowClosed', id)
 
     // Quit application on macOS if not windows are opened.
     if (_windows.size === 0) {
@@ -269,6 +279,57 @@ class WindowManager extends EventEmitter {
       }
     })
 
+    // Load a document of the opened directory, the window only knows the metadata of these documents.
+    ipcMain.on('mt::open-project-file', (e, { pathname, cursor }) => {
+      const win = BrowserWindow.fromWebContents(e.sender)
+      loadMarkdownFile(pathname, this._preferences.getPreferedEOL())
+        .then(data => {
+          win.webContents.send('mt::open-project-file-response', { data, cursor })
+        })
+        .catch(err => {
+          log.error(err)
+          win.webContents.send('AGANI::show-notification', {
+            title: t('dialog.cannotOpenFile.title'),
+            type: 'error',
+            message: err.message
+          })
+        })
+    })
+
+    // Search all opened directories of the window.
+    ipcMain.on('mt::search-in-folder', async (e, { id, query, options, documents }) => {
+      const win = BrowserWindow.fromWebContents(e.sender)
+      const overrides = new Map(documents.map(({ pathname, markdown }) => [pathname, markdown]))
+      // Stop the search when the window started a newer search.
+      const windowId = win.id
+      this._searchRequests.set(windowId, id)
+      const isCancelled = () => win.isDestroyed() || this._searchRequests.get(windowId) !== id
+      try {
+        const results = await this._watcher.search(win, query, options, overrides, isCancelled)
+        if (!isCancelled()) {
+          win.webContents.send('mt::search-in-folder-response', { id, results })
+        }
+      } catch (err) {
+        // The query is an invalid regular expression.
+        if (!isCancelled()) {
+          win.webContents.send('mt::search-in-folder-response', { id, error: err.message })
+        }
+      }
+    })
+
+    ipcMain.on('mt::replace-in-folder', async (e, { query, options, replacement, files, isTagRename }) => {
+      const win = BrowserWindow.fromWebContents(e.sender)
+      const preferedEOL = this._preferences.getPreferedEOL()
+      // The window only knows the tags of documents on disk but not their positions.
+      const findFileMatches = isTagRename ? markdown => findTagOccurrences(markdown, query) : null
+      try {
+        const result = await replaceInFiles(files, query, options, replacement, preferedEOL, findFileMatches)
+        win.webContents.send('mt::replace-in-folder-response', result)
+      } catch (err) {
+        win.webContents.send('mt::replace-in-folder-response', { count: 0, documents: [], written: [], errors: [err.message] })
+      }
+    })
+
     // Force close a BrowserWindow
     ipcMain.on('AGANI::close-window', e => {
       const win = BrowserWindow.fromWebContents(e.sender)
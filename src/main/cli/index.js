@@ -4,10 +4,36 @@ import { isDirectory } from '../filesystem'
 import parseArgs from './parser'
 import { dumpKeyboardInformation } from '../keyboard'
 import { getPath } from '../utils'
+import { isValidSessionName } from '../sessions'
 
 const write = s => process.stdout.write(s)
 const writeLine = s => write(s + '\n')
 
+const EXPORT_TYPES = ['html', 'pdf', 'md']
+
+const exitWithError = message => {
+  process.stderr.write(`Error: ${message}\n`)
+  process.exit(1)
+}
+
+// Validate the arguments of the headless conversion commands.
+const checkConversionArgs = args => {
+  const exportType = args['--export']
+  if (exportType && args['--normalize']) {
+    exitWithError('"--export" and "--normalize" cannot be used together.')
+  } else if (exportType && !EXPORT_TYPES.includes(exportType)) {
+    exitWithError(`Unknown export type "${exportType}", expected one of: ${EXPORT_TYPES.join(', ')}.`)
+  }
+
+  const inputs = args._.filter(pathname => !pathname.startsWith('--'))
+  if (inputs.length !== 1) {
+    exitWithError('Exactly one input file is required.')
+  } else if (exportType === 'pdf' && !args['--output']) {
+    exitWithError('PDF export requires an output file.')
+  }
+  args._ = inputs
+}
+
 const cli = () => {
   let argv = process.argv.slice(1)
   if (process.env.NODE_ENV === 'development') {
@@ -25,6 +51,11 @@ const cli = () => {
         --safe                    Disable plugins and other user configuration
         --dump-keyboard-layout    Dump keyboard information
         --user-data-dir           Change the user data directory
+        --session <name>          Open the named session instead of the last session
+        --export <type>           Convert the given file to html, pdf or md and exit
+        --normalize               Reformat the given markdown file using the preferences
+                                  and exit (in place if no output is given)
+    -o, --output <path>           Write the converted file to path instead of stdout
     -v, --verbose                 Be verbose
         --version                 Print version information
     -h, --help                    Print this help message
@@ -46,6 +77,14 @@ const cli = () => {
     process.exit(0)
   }
 
+  if (args['--export'] || args['--normalize']) {
+    checkConversionArgs(args)
+  }
+
+  if (args['--session'] && !isValidSessionName(args['--session'])) {
+    exitWithError(`"${args['--session']}" is not a valid session name.`)
+  }
+
   // Check for portable mode and ensure the user data path is absolute. We assume
   // that the path is writable if not this lead to an application crash.
   if (!args['--user-data-dir']) {
@@ -17,6 +17,13 @@ const parseArgs = (argv=null, permissive=true) => {
     '--dump-keyboard-layout': Boolean,
 
     '--user-data-dir': String,
+    '--session': String,
+
+    // Headless conversion
+    '--export': String,
+    '--normalize': Boolean,
+    '--output': String,
+    '-o': '--output',
 
     // Misc
     '--help': Boolean,
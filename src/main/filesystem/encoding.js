@@ -0,0 +1,267 @@
+import iconv from 'iconv-lite'
+import jschardet from 'jschardet'
+
+// Number of bytes that are used to guess the encoding and whether the file is binary.
+const SAMPLE_SIZE = 64 * 1024
+
+const UTF8_BOM = [0xEF, 0xBB, 0xBF]
+const UTF16BE_BOM = [0xFE, 0xFF]
+const UTF16LE_BOM = [0xFF, 0xFE]
+
+// UTF-16 documents without BOM are recognized by null bytes at every second position:
+// at least this ratio of the characters must have a null byte in the same position
+// and almost no character may have a null byte in the other position.
+const UTF16_NULL_RATIO = 0.3
+const UTF16_OTHER_NULL_RATIO = 0.05
+
+/**
+ * All encodings that Mark Text can read and write.
+ *
+ * NOTE: The key is the internal encoding name that is stored in the document
+ * state and the value is a human readable name. All names except `utf8bom`
+ * are valid iconv-lite encoding names.
+ */
+export const ENCODING_NAME_MAP = {
+  utf8: 'UTF-8',
+  utf8bom: 'UTF-8 with BOM',
+  utf16le: 'UTF-16 LE',
+  utf16be: 'UTF-16 BE',
+  windows1252: 'Western (Windows 1252)',
+  iso88591: 'Western (ISO 8859-1)',
+  iso885915: 'Western (ISO 8859-15)',
+  windows1250: 'Central European (Windows 1250)',
+  windows1251: 'Cyrillic (Windows 1251)',
+  koi8r: 'Cyrillic (KOI8-R)',
+  windows1253: 'Greek (Windows 1253)',
+  windows1254: 'Turkish (Windows 1254)',
+  gbk: 'Simplified Chinese (GBK)',
+  gb18030: 'Simplified Chinese (GB 18030)',
+  big5: 'Traditional Chinese (Big5)',
+  shiftjis: 'Japanese (Shift JIS)',
+  eucjp: 'Japanese (EUC-JP)',
+  euckr: 'Korean (EUC-KR)'
+}
+
+// Map jschardet results to our internal encoding names.
+const JSCHARDET_TO_ENCODING = {
+  'ascii': 'utf8',
+  'utf-8': 'utf8',
+  'utf-16le': 'utf16le',
+  'utf-16be': 'utf16be',
+  'windows-1252': 'windows1252',
+  'iso-8859-1': 'iso88591',
+  'windows-1250': 'windows1250',
+  'iso-8859-2': 'windows1250',
+  'windows-1251': 'windows1251',
+  'koi8-r': 'koi8r',
+  'windows-1253': 'windows1253',
+  'iso-8859-7': 'windows1253',
+  'gb2312': 'gbk',
+  'gb18030': 'gb18030',
+  'big5': 'big5',
+  'shift_jis': 'shiftjis',
+  'euc-jp': 'eucjp',
+  'euc-kr': 'euckr'
+}
+
+const startsWith = (buffer, bytes) => {
+  if (buffer.length < bytes.length) {
+    return false
+  }
+  return bytes.every((byte, i) => buffer[i] === byte)
+}
+
+/**
+ * Returns the encoding of the byte order mark or null.
+ *
+ * @param {Buffer} buffer The file content.
+ * @returns {string|null}
+ */
+const getBomEncoding = buffer => {
+  if (startsWith(buffer, UTF8_BOM)) {
+    return 'utf8bom'
+  } else if (startsWith(buffer, UTF16LE_BOM)) {
+    return 'utf16le'
+  } else if (startsWith(buffer, UTF16BE_BOM)) {
+    return 'utf16be'
+  }
+  return null
+}
+
+/**
+ * Guess the encoding of a UTF-16 document without byte order mark from the
+ * alternating null bytes of ASCII characters.
+ *
+ * @param {Buffer} buffer The file content.
+ * @returns {string|null} The UTF-16 encoding or null if the buffer doesn't look like UTF-16.
+ */
+const getUtf16Encoding = buffer => {
+  const length = Math.min(buffer.length, SAMPLE_SIZE) & ~1
+  if (length === 0) {
+    return null
+  }
+
+  let evenNulls = 0
+  let oddNulls = 0
+  for (let i = 0; i < length; i += 2) {
+    if (buffer[i] === 0 && buffer[i + 1] === 0) {
+      // U+0000 is not used in text files.
+      return null
+    } else if (buffer[i] === 0) {
+      ++evenNulls
+    } else if (buffer[i + 1] === 0) {
+      ++oddNulls
+    }
+  }
+
+  const count = length / 2
+  if (oddNulls >= count * UTF16_NULL_RATIO && evenNulls <= count * UTF16_OTHER_NULL_RATIO) {
+    return 'utf16le'
+  } else if (evenNulls >= count * UTF16_NULL_RATIO && oddNulls <= count * UTF16_OTHER_NULL_RATIO) {
+    return 'utf16be'
+  }
+  return null
+}
+
+/**
+ * Returns true if the buffer is valid UTF-8.
+ *
+ * @param {Buffer} buffer The file content or a sample of it.
+ */
+const isUtf8 = buffer => {
+  const { length } = buffer
+  let i = 0
+  while (i < length) {
+    const byte = buffer[i]
+    let count = 0
+    if (byte < 0x80) {
+      ++i
+      continue
+    } else if ((byte & 0xE0) === 0xC0) {
+      count = 1
+    } else if ((byte & 0xF0) === 0xE0) {
+      count = 2
+    } else if ((byte & 0xF8) === 0xF0) {
+      count = 3
+    } else {
+      return false
+    }
+
+    // The sample may end in the middle of a multi-byte sequence.
+    for (let j = 1; j <= count && i + j < length; ++j) {
+      if ((buffer[i + j] & 0xC0) !== 0x80) {
+        return false
+      }
+    }
+    i += count + 1
+  }
+  return true
+}
+
+/**
+ * Returns true if the given encoding name is supported.
+ *
+ * @param {string} encoding The internal encoding name.
+ */
+export const isSupportedEncoding = encoding => {
+  return !!encoding && ENCODING_NAME_MAP.hasOwnProperty(encoding)
+}
+
+/**
+ * Returns true if the buffer looks like a binary file.
+ *
+ * @param {Buffer} buffer The file content.
+ */
+export const isBinaryBuffer = buffer => {
+  // UTF-16 documents contain many null bytes, so we can only check files that are not UTF-16.
+  const bomEncoding = getBomEncoding(buffer)
+  if (bomEncoding === 'utf16le' || bomEncoding === 'utf16be' || getUtf16Encoding(buffer)) {
+    return false
+  }
+
+  const length = Math.min(buffer.length, SAMPLE_SIZE)
+  for (let i = 0; i < length; ++i) {
+    if (buffer[i] === 0) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Guess the encoding of the given buffer.
+ *
+ * @param {Buffer} buffer The file content.
+ * @returns {string} The internal encoding name.
+ */
+export const guessEncoding = buffer => {
+  const bomEncoding = getBomEncoding(buffer)
+  if (bomEncoding) {
+    return bomEncoding
+  }
+  const utf16Encoding = getUtf16Encoding(buffer)
+  if (utf16Encoding) {
+    return utf16Encoding
+  }
+
+  const sample = buffer.slice(0, SAMPLE_SIZE)
+  if (isUtf8(sample)) {
+    return 'utf8'
+  }
+
+  const { encoding } = jschardet.detect(sample) || {}
+  if (encoding) {
+    const name = JSCHARDET_TO_ENCODING[encoding.toLowerCase()]
+    if (name) {
+      return name
+    }
+  }
+
+  // The file is not valid UTF-8 and we don't know the encoding, so
+  // Windows 1252 is the most likely encoding for western users.
+  return 'windows1252'
+}
+
+/**
+ * Decode the buffer and remove the byte order mark if any.
+ *
+ * @param {Buffer} buffer The file content.
+ * @param {string} encoding The internal encoding name.
+ * @returns {string}
+ */
+export const decode = (buffer, encoding) => {
+  if (encoding === 'utf8' || encoding === 'utf8bom') {
+    const text = buffer.toString('utf8')
+    return text.length && text.charCodeAt(0) === 0xFEFF ? text.substring(1) : text
+  }
+  // iconv-lite strips the BOM by default.
+  return iconv.decode(buffer, encoding)
+}
+
+/**
+ * Encode the text into the given encoding and add a byte order mark if needed.
+ *
+ * @param {string} text The text to encode.
+ * @param {string} encoding The internal encoding name.
+ * @returns {Buffer}
+ */
+export const encode = (text, encoding) => {
+  if (encoding === 'utf8') {
+    return Buffer.from(text, 'utf8')
+  } else if (encoding === 'utf8bom') {
+    return Buffer.from('\uFEFF' + text, 'utf8')
+  }
+
+  const addBOM = encoding === 'utf16le' || encoding === 'utf16be'
+  return iconv.encode(text, encoding, { addBOM })
+}
+
+/**
+ * Returns true if the text can be encoded with the given encoding without losing characters.
+ *
+ * @param {string} text The text to encode.
+ * @param {string} encoding The internal encoding name.
+ */
+export const canEncode = (text, encoding) => {
+  return decode(encode(text, encoding), encoding) === text
+}
@@ -112,3 +112,51 @@ export const writeFile = (pathname, content, extension) => {
 
   return fs.outputFile(pathname, content, 'utf-8')
 }
+
+/**
+ * Atomically write the content into a file using a temporary file and the rename syscall.
+ *
+ * @param {string} pathname The path to the file.
+ * @param {string|Buffer} content The content to write.
+ * @param {string} [extension] The file extension that is appended if needed.
+ * @param {boolean} [createBackup] Whether to keep the previous file version as `<pathname>.bak`.
+ */
+export const safeWriteFile = async (pathname, content, extension, createBackup = false) => {
+  if (!pathname) {
+    throw new Error('[ERROR] Cannot save file without path.')
+  }
+  pathname = !extension || pathname.endsWith(extension) ? pathname : `${pathname}${extension}`
+
+  // Write into the link target, otherwise we would replace the link with a regular file.
+  const exists = isFile(pathname)
+  if (exists) {
+    pathname = await fs.realpath(pathname)
+  }
+
+  const dirname = path.dirname(pathname)
+  const tempPath = path.join(dirname, `.${path.basename(pathname)}.${process.pid}-${Date.now()}.mtsave`)
+  await fs.ensureDir(dirname)
+
+  try {
+    const fd = await fs.open(tempPath, 'w')
+    try {
+      await fs.writeFile(fd, content, typeof content === 'string' ? 'utf-8' : undefined)
+      await fs.fsync(fd)
+    } finally {
+      await fs.close(fd)
+    }
+
+    if (exists) {
+      // Keep the file permissions of the original file.
+      const { mode } = await fs.stat(pathname)
+      await fs.chmod(tempPath, mode)
+      if (createBackup) {
+        await fs.copy(pathname, `${pathname}.bak`, { preserveTimestamps: true })
+      }
+    }
+    await fs.rename(tempPath, pathname)
+  } catch (err) {
+    await fs.remove(tempPath).catch(() => {})
+    throw err
+  }
+}
@@ -2,7 +2,15 @@ import fs from 'fs-extra'
 import path from 'path'
 import log from 'electron-log'
 import { LINE_ENDING_REG, LF_LINE_ENDING_REG, CRLF_LINE_ENDING_REG } from '../config'
-import { writeFile } from '../filesystem'
+import { safeWriteFile } from '../filesystem'
+import { ENCODING_NAME_MAP, canEncode, decode, encode, guessEncoding, isBinaryBuffer, isSupportedEncoding } from './encoding'
+
+// Error code of saves that would lose characters because of the document encoding.
+export const ERR_UNSUPPORTED_CHARACTERS = 'ERR_UNSUPPORTED_CHARACTERS'
+
+// Safe save settings that are shared by all documents, see `configureSafeSave`.
+let recoveryJournal = null
+let backupOnSave = false
 
 const getLineEnding = lineEnding => {
   if (lineEnding === 'lf') {
@@ -20,27 +28,68 @@ const convertLineEndings = (text, lineEnding) => {
   return text.replace(LINE_ENDING_REG, getLineEnding(lineEnding))
 }
 
+/**
+ * Configure the recovery journal and backup behavior of `writeMarkdownFile`.
+ *
+ * @param {RecoveryJournal|null} journal The recovery journal or null to disable the journal.
+ * @param {boolean} createBackup Whether to keep the previous file version as `.bak` file.
+ */
+export const configureSafeSave = (journal, createBackup) => {
+  recoveryJournal = journal
+  backupOnSave = !!createBackup
+}
+
 /**
  * Write the content into a file.
  *
+ * The document is added to the recovery journal and then atomically written
+ * via a temporary file, so the file on disk is never truncated. The save fails
+ * with `ERR_UNSUPPORTED_CHARACTERS` if the encoding cannot represent the content.
+ *
  * @param {string} pathname The path to the file.
  * @param {string} content The buffer to save.
  * @param {IMarkdownDocumentOptions} options The markdown document options
  */
-export const writeMarkdownFile = (pathname, content, options) => {
-  const { adjustLineEndingOnSave, encoding, lineEnding } = options
+export const writeMarkdownFile = async (pathname, content, options) => {
+  const { adjustLineEndingOnSave, lineEnding } = options
   const extension = path.extname(pathname) || '.md'
+  const journal = recoveryJournal
+  const saveTime = Date.now()
+  const journalId = journal ? await journal.add(pathname, content, options) : null
 
-  if (encoding === 'utf8bom') {
-    content = '\uFEFF' + content
-  }
+  try {
+    let { encoding } = options
+    if (!isSupportedEncoding(encoding)) {
+      log.error(`Unsupported encoding "${encoding}", saving "${pathname}" as UTF-8.`)
+      encoding = 'utf8'
+    }
 
-  if (adjustLineEndingOnSave) {
-    content = convertLineEndings(content, lineEnding)
-  }
+    if (adjustLineEndingOnSave) {
+      content = convertLineEndings(content, lineEnding)
+    }
+
+    // Refuse to save instead of silently losing characters, see `ERR_UNSUPPORTED_CHARACTERS`.
+    if (!canEncode(content, encoding)) {
+      const err = new Error(`"${path.basename(pathname)}" contains characters that cannot be saved as ${ENCODING_NAME_MAP[encoding]}.`)
+      err.code = ERR_UNSUPPORTED_CHARACTERS
+      err.encoding = encoding
+      throw err
+    }
 
-  // TODO(@fxha): "safeSaveDocuments" using temporary file and rename syscall.
-  return writeFile(pathname, content, extension)
+    const buffer = encode(content, encoding)
+    await safeWriteFile(pathname, buffer, extension, backupOnSave)
+
+    // Entries of earlier failed saves are outdated and must not be restored over this version.
+    if (journal) {
+      await journal.removeEntries(pathname, saveTime)
+    }
+  } finally {
+    // A failed save is reported to the user who still has the document, only
+    // saves that were interrupted by a crash are restored.
+    if (journalId) {
+      await journal.remove(journalId)
+    }
+  }
 }
 
 /**
@@ -48,19 +97,21 @@ export const writeMarkdownFile = (pathname, content, options) => {
  *
  * @param {string} pathname The path to the markdown file.
  * @param {string} preferedEOL The prefered EOL.
+ * @param {string} [encoding] The file encoding or null to detect the encoding.
  * @returns {IMarkdownDocumentRaw} Returns a raw markdown document.
  */
-export const loadMarkdownFile = async (pathname, preferedEOL) => {
-  let markdown = await fs.readFile(path.resolve(pathname), 'utf-8')
+export const loadMarkdownFile = async (pathname, preferedEOL, encoding = null) => {
+  const buffer = await fs.readFile(path.resolve(pathname))
 
-  // Check UTF-8 BOM (EF BB BF) encoding
-  const isUtf8BomEncoded = markdown.length >= 1 && markdown.charCodeAt(0) === 0xFEFF
-  if (isUtf8BomEncoded) {
-    markdown.splice(0, 1)
+  // Don't check for binary files when the user explicitly choose an encoding.
+  const forceEncoding = isSupportedEncoding(encoding)
+  if (!forceEncoding) {
+    if (isBinaryBuffer(buffer)) {
+      throw new Error(`"${path.basename(pathname)}" is a binary file and cannot be opened.`)
+    }
+    encoding = guessEncoding(buffer)
   }
-
-  // TODO(@fxha): Check for more file encodings and whether the file is binary but for now expect UTF-8.
-  const encoding = isUtf8BomEncoded ? 'utf8bom' : 'utf8'
+  let markdown = decode(buffer, encoding)
 
   // Detect line ending
   const isLf = LF_LINE_ENDING_REG.test(markdown)
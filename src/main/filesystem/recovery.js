@@ -0,0 +1,196 @@
+import fs from 'fs-extra'
+import path from 'path'
+import log from 'electron-log'
+
+const JOURNAL_EXTENSION = '.json'
+
+// Identifies the entries of this application instance. The start time is part of
+// the id because the process id of a crashed instance may be reused.
+const INSTANCE_ID = `${process.pid}-${Date.now()}`
+
+let entryId = 0
+
+// Entries of the same process may have the same timestamp.
+const isNewerEntry = (a, b) => {
+  return a.timestamp > b.timestamp || (a.timestamp === b.timestamp && a.sequence > b.sequence)
+}
+
+const isProcessRunning = pid => {
+  try {
+    process.kill(pid, 0)
+    return true
+  } catch (err) {
+    // The process exists but belongs to another user.
+    return err.code === 'EPERM'
+  }
+}
+
+// Entries of other running instances belong to saves that are still in progress.
+const isEntryOfOtherInstance = ({ instance, pid }) => {
+  return instance !== INSTANCE_ID && pid !== process.pid && isProcessRunning(pid)
+}
+
+const isModifiedAfter = (pathname, timestamp) => {
+  try {
+    return fs.statSync(pathname).mtimeMs > timestamp
+  } catch (_) {
+    return false
+  }
+}
+
+/**
+ * A journal entry that describes a document save that is in progress.
+ *
+ * @typedef {Object} IRecoveryEntry
+ * @property {string} id The entry identifier.
+ * @property {string} instance The application instance that added the entry.
+ * @property {number} pid The process id of the application instance.
+ * @property {string} pathname The path to the document.
+ * @property {string} markdown The document content (with LF line endings).
+ * @property {IMarkdownDocumentOptions} options The markdown document options.
+ * @property {number} timestamp The time the save was started.
+ * @property {number} sequence The save order of entries with the same timestamp.
+ */
+
+/**
+ * The recovery journal keeps a copy of every document that is currently being
+ * saved. Entries that still exist on application start belong to saves that
+ * did not finish (e.g. due to a crash or power loss). Several application
+ * instances share the journal, entries of other running instances are never
+ * restored or removed.
+ */
+class RecoveryJournal {
+
+  /**
+   * @param {string} journalPath The directory where journal entries are stored.
+   */
+  constructor (journalPath) {
+    this._journalPath = journalPath
+  }
+
+  /**
+   * Add the document to the journal before the document is written to disk.
+   *
+   * @param {string} pathname The path to the document.
+   * @param {string} markdown The document content.
+   * @param {IMarkdownDocumentOptions} options The markdown document options.
+   * @returns {Promise<string|null>} The entry identifier or null if the entry couldn't be written.
+   */
+  async add (pathname, markdown, options) {
+    const sequence = entryId++
+    const id = `${INSTANCE_ID}-${sequence}`
+    const entry = {
+      id,
+      instance: INSTANCE_ID,
+      pid: process.pid,
+      pathname,
+      markdown,
+      options,
+      timestamp: Date.now(),
+      sequence
+    }
+
+    try {
+      await fs.outputFile(this._getEntryPath(id), JSON.stringify(entry), 'utf-8')
+      return id
+    } catch (err) {
+      // Saving the document is more important than the journal.
+      log.error('Cannot write recovery journal entry:', err)
+      return null
+    }
+  }
+
+  /**
+   * Remove the entry from the journal after the document was successfully saved.
+   *
+   * @param {string} id The entry identifier.
+   */
+  async remove (id) {
+    if (!id) {
+      return
+    }
+
+    try {
+      await fs.remove(this._getEntryPath(id))
+    } catch (err) {
+      log.error('Cannot remove recovery journal entry:', err)
+    }
+  }
+
+  /**
+   * Remove all entries of the document that were added before the given time, e.g.
+   * entries of failed saves after the document was saved successfully.
+   *
+   * @param {string} pathname The path to the document.
+   * @param {number} timestamp Entries that are not newer than this time are removed.
+   */
+  async removeEntries (pathname, timestamp) {
+    for (const entry of await this._readEntries()) {
+      if (entry.pathname === pathname && entry.timestamp <= timestamp) {
+        await this.remove(entry.id)
+      }
+    }
+  }
+
+  /**
+   * Returns all unfinished saves. If there are several entries for the same
+   * document only the newest entry is returned. Entries are ignored when the
+   * document was modified after the entry was added, so a newer version of the
+   * document is never overwritten.
+   *
+   * @returns {Promise<IRecoveryEntry[]>}
+   */
+  async getEntries () {
+    const entries = new Map()
+    for (const entry of await this._readEntries()) {
+      const { pathname } = entry
+      const existing = entries.get(pathname)
+      if (!existing || isNewerEntry(entry, existing)) {
+        entries.set(pathname, entry)
+      }
+    }
+    return Array.from(entries.values())
+      .filter(({ pathname, timestamp }) => !isModifiedAfter(pathname, timestamp))
+  }
+
+  /**
+   * Remove all journal entries except the entries of other running instances.
+   */
+  async clear () {
+    for (const entry of await this._readEntries()) {
+      await this.remove(entry.id)
+    }
+  }
+
+  // --- private ---------------------------------
+
+  // Returns the entries of this instance and of instances that are no longer running.
+  async _readEntries () {
+    let filenames = []
+    try {
+      filenames = (await fs.readdir(this._journalPath))
+        .filter(filename => filename.endsWith(JOURNAL_EXTENSION))
+    } catch (_) {
+      return []
+    }
+
+    const entries = []
+    for (const filename of filenames) {
+      try {
+        const entry = await fs.readJson(path.join(this._journalPath, filename))
+        if (entry.id && entry.pathname && typeof entry.markdown === 'string' && !isEntryOfOtherInstance(entry)) {
+          entries.push(entry)
+        }
+      } catch (err) {
+        log.error(`Invalid recovery journal entry "${filename}":`, err)
+      }
+    }
+    return entries
+  }
+
+  _getEntryPath (id) {
+    return path.join(this._journalPath, `${id}${JOURNAL_EXTENSION}`)
+  }
+}
+
+export default RecoveryJournal
@@ -0,0 +1,104 @@
+import log from 'electron-log'
+import { createSearchRegexp, expandReplacement } from 'common/search'
+import { loadMarkdownFile, writeMarkdownFile } from './markdown'
+import { getLineOffsets } from './searchIndex'
+
+/**
+ * The matches of a document that should be replaced.
+ *
+ * @typedef {Object} IReplaceFile
+ * @property {string} pathname The document path.
+ * @property {{line: number, ch: number, length: number}[]|null} matches The selected matches or null
+ *                                                                 to find the matches on disk.
+ * @property {string} [markdown] The content of an unsaved document. The document
+ *                               is replaced in memory and not written to disk.
+ */
+
+/**
+ * Replace the given matches. Matches that no longer match the regular
+ * expression (e.g. the document changed since the search) are skipped.
+ *
+ * @param {string} markdown The document content.
+ * @param {RegExp} regexp The search regular expression.
+ * @param {{line: number, ch: number, length: number}[]} matches The matches to replace.
+ * @param {string} replacement The replacement text.
+ * @param {boolean} isRegexp Whether the replacement may contain patterns like `$1`.
+ * @returns {{markdown: string, count: number}}
+ */
+export const replaceMatches = (markdown, regexp, matches, replacement, isRegexp) => {
+  const lineOffsets = getLineOffsets(markdown)
+  const stickyRegexp = new RegExp(regexp.source, regexp.flags.replace('g', '') + 'y')
+
+  // Replace from the end of the document, so the offsets of the remaining matches stay valid.
+  const ranges = matches
+    .filter(({ line }) => line < lineOffsets.length)
+    .map(({ line, ch, length }) => ({ offset: lineOffsets[line] + ch, length }))
+    .sort((a, b) => b.offset - a.offset)
+
+  const source = markdown
+  let count = 0
+  let lastOffset = Infinity
+  for (const { offset, length } of ranges) {
+    stickyRegexp.lastIndex = offset
+    const result = stickyRegexp.exec(source)
+    if (!result || result[0].length !== length || offset + length > lastOffset) {
+      continue
+    }
+
+    const text = expandReplacement(replacement, result, isRegexp)
+    markdown = markdown.substring(0, offset) + text + markdown.substring(offset + length)
+    lastOffset = offset
+    count++
+  }
+  return { markdown, count }
+}
+
+/**
+ * Replace the selected matches of all given documents. Documents on disk are
+ * written via `writeMarkdownFile` while unsaved documents are returned.
+ *
+ * @param {IReplaceFile[]} files The documents and matches to replace.
+ * @param {string} query The search query.
+ * @param {ISearchOptions} options The search options.
+ * @param {string} replacement The replacement text.
+ * @param {string} preferedEOL The prefered EOL.
+ * @param {function(string): {line: number, ch: number, length: number}[]} [findFileMatches] Find the matches
+ *        of documents on disk without selected matches.
+ * @returns {Promise<{count: number, documents: {pathname: string, markdown: string}[], written: string[], errors: string[]}>}
+ */
+export const replaceInFiles = async (files, query, options, replacement, preferedEOL, findFileMatches = null) => {
+  const regexp = createSearchRegexp(query, options)
+  const { isRegexp } = options
+  const documents = []
+  const written = []
+  const errors = []
+  let count = 0
+
+  for (const file of files) {
+    const { pathname, matches } = file
+    try {
+      if (typeof file.markdown === 'string') {
+        const result = replaceMatches(file.markdown, regexp, matches, replacement, isRegexp)
+        if (result.count) {
+          count += result.count
+          documents.push({ pathname, markdown: result.markdown })
+        }
+        continue
+      }
+
+      const data = await loadMarkdownFile(pathname, preferedEOL)
+      const fileMatches = matches || (findFileMatches ? findFileMatches(data.markdown) : [])
+      const result = replaceMatches(data.markdown, regexp, fileMatches, replacement, isRegexp)
+      if (result.count) {
+        const { adjustLineEndingOnSave, encoding, lineEnding } = data
+        await writeMarkdownFile(pathname, result.markdown, { adjustLineEndingOnSave, encoding, lineEnding })
+        written.push(pathname)
+        count += result.count
+      }
+    } catch (err) {
+      log.error(`Cannot replace matches in "${pathname}":`, err)
+      errors.push(`${pathname}: ${err.message}`)
+    }
+  }
+  return { count, documents, written, errors }
+}
@@ -0,0 +1,298 @@
+import path from 'path'
+import { createSearchRegexp } from 'common/search'
+
+// Words are separated by whitespace and ASCII punctuation except underscore.
+const WORD_REG = /[^\s!-/:-@[-^`{-~]+/g
+const MAX_SNIPPET_LENGTH = 120
+// Maximum number of matches that are returned for a single search.
+export const MAX_SEARCH_RESULTS = 2000
+// The search yields to the event loop after this time (ms), so large folders don't block the main process.
+const SEARCH_TIME_SLICE = 15
+
+const nextTick = () => new Promise(resolve => setImmediate(resolve))
+
+/**
+ * A single match within a document.
+ *
+ * @typedef {Object} ISearchMatch
+ * @property {number} line The zero-based line number.
+ * @property {number} ch The zero-based column of the match.
+ * @property {number} length The match length.
+ * @property {string} before The snippet text before the match.
+ * @property {string} match The matched text (may be truncated for multi-line matches).
+ * @property {string} after The snippet text after the match.
+ */
+
+/**
+ * @typedef {Object} ISearchResult
+ * @property {string} pathname The document path.
+ * @property {ISearchMatch[]} matches All matches within the document.
+ */
+
+const getWords = text => {
+  const words = new Set()
+  const matches = text.toLowerCase().match(WORD_REG)
+  if (matches) {
+    for (const word of matches) {
+      words.add(word)
+    }
+  }
+  return words
+}
+
+/**
+ * Returns the offsets of all line starts.
+ */
+export const getLineOffsets = text => {
+  const offsets = [0]
+  let index = text.indexOf('\n')
+  while (index !== -1) {
+    offsets.push(index + 1)
+    index = text.indexOf('\n', index + 1)
+  }
+  return offsets
+}
+
+/**
+ * Returns the zero-based line number of the given offset.
+ */
+const getLineNumber = (lineOffsets, offset) => {
+  let low = 0
+  let high = lineOffsets.length - 1
+  while (low < high) {
+    const mid = (low + high + 1) >> 1
+    if (lineOffsets[mid] <= offset) {
+      low = mid
+    } else {
+      high = mid - 1
+    }
+  }
+  return low
+}
+
+const createSnippet = (lineText, ch, length) => {
+  const matchEnd = Math.min(lineText.length, ch + length)
+  let match = lineText.substring(ch, matchEnd)
+  if (match.length > MAX_SNIPPET_LENGTH) {
+    match = match.substring(0, MAX_SNIPPET_LENGTH)
+  }
+
+  const context = Math.max(0, (MAX_SNIPPET_LENGTH - match.length) >> 1)
+  let before = lineText.substring(Math.max(0, ch - context), ch)
+  let after = lineText.substring(matchEnd, matchEnd + context)
+  if (ch - context > 0) {
+    before = '…' + before.trimStart()
+  } else {
+    before = before.trimStart()
+  }
+  if (matchEnd + context < lineText.length) {
+    after = after + '…'
+  }
+  return { before, match, after }
+}
+
+/**
+ * Find all matches of the regular expression in the given document.
+ *
+ * @param {string} markdown The document content.
+ * @param {RegExp} regexp The global regular expression.
+ * @param {number} [maxResults] The maximum number of matches.
+ * @returns {ISearchMatch[]}
+ */
+export const findMatches = (markdown, regexp, maxResults = MAX_SEARCH_RESULTS) => {
+  const matches = []
+  let lineOffsets = null
+  let lines = null
+  let result
+  regexp.lastIndex = 0
+  while (matches.length < maxResults && (result = regexp.exec(markdown)) !== null) {
+    const { index } = result
+    const length = result[0].length
+    if (length === 0) {
+      // Avoid an infinite loop on empty matches.
+      regexp.lastIndex++
+      continue
+    }
+
+    if (!lineOffsets) {
+      lineOffsets = getLineOffsets(markdown)
+      lines = markdown.split('\n')
+    }
+    const line = getLineNumber(lineOffsets, index)
+    const ch = index - lineOffsets[line]
+    matches.push(Object.assign({ line, ch, length }, createSnippet(lines[line], ch, length)))
+  }
+  return matches
+}
+
+/**
+ * Full-text search index of a directory. The index is updated by the
+ * directory watcher and maps every word to the documents that contain it.
+ */
+class SearchIndex {
+  constructor () {
+    // pathname -> { markdown, words }
+    this._documents = new Map()
+    // word -> Set of pathnames
+    this._words = new Map()
+  }
+
+  get size () {
+    return this._documents.size
+  }
+
+  /**
+   * Add or update the given document.
+   *
+   * @param {string} pathname The document path.
+   * @param {string} markdown The document content.
+   */
+  update (pathname, markdown) {
+    this.remove(pathname)
+
+    const words = getWords(markdown)
+    for (const word of words) {
+      let pathnames = this._words.get(word)
+      if (!pathnames) {
+        pathnames = new Set()
+        this._words.set(word, pathnames)
+      }
+      pathnames.add(pathname)
+    }
+    this._documents.set(pathname, { markdown, words })
+  }
+
+  /**
+   * Remove the given document from the index.
+   *
+   * @param {string} pathname The document path.
+   */
+  remove (pathname) {
+    const doc = this._documents.get(pathname)
+    if (!doc) {
+      return
+    }
+
+    for (const word of doc.words) {
+      const pathnames = this._words.get(word)
+      pathnames.delete(pathname)
+      if (pathnames.size === 0) {
+        this._words.delete(word)
+      }
+    }
+    this._documents.delete(pathname)
+  }
+
+  /**
+   * Remove all documents within the given directory.
+   *
+   * @param {string} dirname The directory path.
+   */
+  removeDirectory (dirname) {
+    const prefix = dirname.endsWith(path.sep) ? dirname : dirname + path.sep
+    for (const pathname of Array.from(this._documents.keys())) {
+      if (pathname.startsWith(prefix)) {
+        this.remove(pathname)
+      }
+    }
+  }
+
+  clear () {
+    this._documents.clear()
+    this._words.clear()
+  }
+
+  /**
+   * Search all documents for the given query.
+   *
+   * @param {string} query The search query.
+   * @param {ISearchOptions} options The search options.
+   * @param {Map<string, string>} [overrides] The content of unsaved documents that should be searched instead of the content on disk.
+   * @param {number} [maxResults] The maximum number of matches.
+   * @param {function(): boolean} [isCancelled] Whether the search should be stopped, e.g. because of a newer search.
+   * @returns {Promise<ISearchResult[]>}
+   */
+  async search (query, options, overrides = null, maxResults = MAX_SEARCH_RESULTS, isCancelled = () => false) {
+    if (!query) {
+      return []
+    }
+
+    const regexp = createSearchRegexp(query, options)
+    const candidates = new Set(this._getCandidates(query, options))
+    if (overrides) {
+      // The word index only knows the content on disk, so we always search unsaved documents.
+      for (const pathname of overrides.keys()) {
+        if (this._documents.has(pathname)) {
+          candidates.add(pathname)
+        }
+      }
+    }
+
+    const results = []
+    let count = 0
+    let sliceStart = Date.now()
+    const pathnames = Array.from(candidates).sort((a, b) => a.localeCompare(b))
+    for (const pathname of pathnames) {
+      if (count >= maxResults) {
+        break
+      }
+      if (Date.now() - sliceStart > SEARCH_TIME_SLICE) {
+        await nextTick()
+        if (isCancelled()) {
+          return []
+        }
+        sliceStart = Date.now()
+      }
+
+      // The document may be removed while the search is paused.
+      const doc = this._documents.get(pathname)
+      if (!doc) {
+        continue
+      }
+      const markdown = overrides && overrides.has(pathname)
+        ? overrides.get(pathname)
+        : doc.markdown
+      const matches = findMatches(markdown, regexp, maxResults - count)
+      if (matches.length) {
+        count += matches.length
+        results.push({ pathname, matches })
+      }
+    }
+    return results
+  }
+
+  // --- private ---------------------------------
+
+  /**
+   * Returns all documents that may contain the query. The word index can't be
+   * used for regular expressions, so all documents are returned.
+   */
+  _getCandidates (query, options) {
+    const queryWords = options.isRegexp ? [] : Array.from(getWords(query))
+    if (queryWords.length === 0) {
+      return Array.from(this._documents.keys())
+    }
+
+    let candidates = null
+    for (const queryWord of queryWords) {
+      const pathnames = new Set()
+      for (const [word, wordPathnames] of this._words) {
+        // Query words may be only a part of a document word if not searching for whole words.
+        if (word === queryWord || (!options.isWholeWord && word.includes(queryWord))) {
+          for (const pathname of wordPathnames) {
+            if (!candidates || candidates.has(pathname)) {
+              pathnames.add(pathname)
+            }
+          }
+        }
+      }
+      candidates = pathnames
+      if (candidates.size === 0) {
+        break
+      }
+    }
+    return Array.from(candidates)
+  }
+}
+
+export default SearchIndex
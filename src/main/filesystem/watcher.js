@@ -3,20 +3,22 @@ import fs from 'fs'
 import log from 'electron-log'
 import { promisify } from 'util'
 import chokidar from 'chokidar'
+import { getDocumentMetadata } from 'common/documentMetadata'
 import { getUniqueId, hasMarkdownExtension } from '../utils'
 import { loadMarkdownFile } from '../filesystem/markdown'
+import SearchIndex, { MAX_SEARCH_RESULTS } from '../filesystem/searchIndex'
 import { isLinux } from '../config'
 
 // TODO(need::refactor):
 //  - Refactor this file
-//  - Outsource watcher/search features into worker (per window) and use something like "file-matcher" for searching on disk.
+//  - Outsource watcher features into worker (per window).
 
 const EVENT_NAME = {
   dir: 'AGANI::update-object-tree',
   file: 'AGANI::update-file'
 }
 
-const add = async (win, pathname, endOfLine) => {
+const add = async (win, pathname, endOfLine, searchIndex) => {
   const stats = await promisify(fs.stat)(pathname)
   const birthTime = stats.birthtime
   const isMarkdown = hasMarkdownExtension(pathname)
@@ -26,11 +28,22 @@ const add = async (win, pathname, endOfLine) => {
     isFile: true,
     isDirectory: false,
     birthTime,
-    isMarkdown
+    mtime: stats.mtime,
+    isMarkdown,
+    metadata: null
   }
   if (isMarkdown) {
-    const data = await loadMarkdownFile(pathname, endOfLine)
-    file.data = data
+    try {
+      const { markdown } = await loadMarkdownFile(pathname, endOfLine)
+      file.metadata = getDocumentMetadata(markdown)
+      if (searchIndex) {
+        searchIndex.update(pathname, markdown)
+      }
+    } catch (err) {
+      // Show the file (e.g. a binary file) but don't treat it as markdown document.
+      log.error(err)
+      file.isMarkdown = false
+    }
   }
 
   win.webContents.send('AGANI::update-object-tree', {
@@ -39,7 +52,10 @@ const add = async (win, pathname, endOfLine) => {
   })
 }
 
-const unlink = (win, pathname, type) => {
+const unlink = (win, pathname, type, searchIndex) => {
+  if (searchIndex) {
+    searchIndex.remove(pathname)
+  }
   const file = { pathname }
   win.webContents.send(EVENT_NAME[type], {
     type: 'unlink',
@@ -47,14 +63,39 @@ const unlink = (win, pathname, type) => {
   })
 }
 
-const change = async (win, pathname, type, endOfLine) => {
+const change = async (win, pathname, type, endOfLine, searchIndex) => {
   const isMarkdown = hasMarkdownExtension(pathname)
 
   if (isMarkdown) {
-    const data = await loadMarkdownFile(pathname, endOfLine)
-    const file = {
-      pathname,
-      data
+    let data = null
+    let stats = null
+    try {
+      [data, stats] = await Promise.all([
+        loadMarkdownFile(pathname, endOfLine),
+        promisify(fs.stat)(pathname)
+      ])
+    } catch (err) {
+      log.error(err)
+      return
+    }
+
+    // The opened folder only needs the metadata, the whole document is only
+    // sent for opened documents.
+    let file = null
+    if (type === 'dir') {
+      if (searchIndex) {
+        searchIndex.update(pathname, data.markdown)
+      }
+      file = {
+        pathname,
+        mtime: stats.mtime,
+        metadata: getDocumentMetadata(data.markdown)
+      }
+    } else {
+      file = {
+        pathname,
+        data
+      }
     }
     win.webContents.send(EVENT_NAME[type], {
       type: 'change',
@@ -81,7 +122,10 @@ const addDir = (win, pathname) => {
   })
 }
 
-const unlinkDir = (win, pathname) => {
+const unlinkDir = (win, pathname, searchIndex) => {
+  if (searchIndex) {
+    searchIndex.removeDirectory(pathname)
+  }
   const directory = { pathname }
   win.webContents.send('AGANI::update-object-tree', {
     type: 'unlinkDir',
@@ -102,6 +146,8 @@ class Watcher {
   // return a unwatch function
   watch (win, watchPath, type = 'dir'/* file or dir */) {
     const id = getUniqueId()
+    // Only opened directories are searchable.
+    const searchIndex = type === 'dir' ? new SearchIndex() : null
     const watcher = chokidar.watch(watchPath, {
       ignored: /(^|[/\\])(\..|node_modules)/,
       ignoreInitial: type === 'file',
@@ -109,11 +155,11 @@ class Watcher {
     })
 
     watcher
-      .on('add', pathname => add(win, pathname, this._preferences.getPreferedEOL()))
-      .on('change', pathname => change(win, pathname, type, this._preferences.getPreferedEOL()))
-      .on('unlink', pathname => unlink(win, pathname, type))
+      .on('add', pathname => add(win, pathname, this._preferences.getPreferedEOL(), searchIndex))
+      .on('change', pathname => change(win, pathname, type, this._preferences.getPreferedEOL(), searchIndex))
+      .on('unlink', pathname => unlink(win, pathname, type, searchIndex))
       .on('addDir', pathname => addDir(win, pathname))
-      .on('unlinkDir', pathname => unlinkDir(win, pathname))
+      .on('unlinkDir', pathname => unlinkDir(win, pathname, searchIndex))
       .on('raw', (event, path, details) => {
         if (global.MARKTEXT_DEBUG_VERBOSE >= 3) {
           console.log(event, path, details)
@@ -137,7 +183,8 @@ class Watcher {
       win,
       watcher,
       pathname: watchPath,
-      type
+      type,
+      searchIndex
     }
 
     // unwatcher function
@@ -182,6 +229,27 @@ class Watcher {
     }
   }
 
+  /**
+   * Search all directories that are watched by the given window.
+   *
+   * @param {Electron.BrowserWindow} win The browser window.
+   * @param {string} query The search query.
+   * @param {ISearchOptions} options The search options.
+   * @param {Map<string, string>} [overrides] The content of unsaved documents.
+   * @param {function(): boolean} [isCancelled] Whether the search should be stopped.
+   * @returns {Promise<ISearchResult[]>}
+   */
+  async search (win, query, options, overrides = null, isCancelled = () => false) {
+    const results = []
+    for (const id of Object.keys(this.watchers)) {
+      const { searchIndex, win: watcherWin } = this.watchers[id]
+      if (searchIndex && watcherWin === win) {
+        results.push(...await searchIndex.search(query, options, overrides, MAX_SEARCH_RESULTS, isCancelled))
+      }
+    }
+    return results
+  }
+
   clear () {
     Object.keys(this.watchers).forEach(id => this.watchers[id].watcher.close())
     this.watchers = {}
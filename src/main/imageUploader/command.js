@@ -0,0 +1,74 @@
+import { exec } from 'child_process'
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import crypto from 'crypto'
+import { isWindows } from '../config'
+
+// Kill the command if it didn't finish after one minute.
+const COMMAND_TIMEOUT = 60 * 1000
+const PATH_PLACEHOLDER = '{path}'
+
+const quotePath = pathname => {
+  if (isWindows) {
+    return `"${pathname}"`
+  }
+  return `'${pathname.replace(/'/g, `'\\''`)}'`
+}
+
+const runCommand = command => {
+  return new Promise((resolve, reject) => {
+    exec(command, { timeout: COMMAND_TIMEOUT, windowsHide: true }, (err, stdout, stderr) => {
+      if (err) {
+        const message = stderr && stderr.trim()
+        return reject(message ? new Error(message) : err)
+      }
+      resolve(stdout)
+    })
+  })
+}
+
+/**
+ * Upload the image via a user command. The image path is inserted at `{path}`
+ * or appended to the command. The command must print the image URL on the first
+ * line and may print a deletion URL on the second line.
+ *
+ * @param {IUploadImage} image The image to upload.
+ * @param {string} command The user command.
+ * @returns {Promise<IUploadResult>}
+ */
+const uploadCommand = async (image, command) => {
+  if (!command || !command.trim()) {
+    throw new Error('No upload command is configured.')
+  }
+
+  let { pathname } = image
+  let tmpPath = null
+  if (!pathname) {
+    // The image only exists in memory (e.g. pasted from clipboard).
+    const ext = path.extname(image.filename)
+    tmpPath = path.join(os.tmpdir(), `marktext-${crypto.randomBytes(6).toString('hex')}${ext}`)
+    await fs.writeFile(tmpPath, image.data)
+    pathname = tmpPath
+  }
+
+  const quotedPath = quotePath(pathname)
+  const cmd = command.includes(PATH_PLACEHOLDER)
+    ? command.split(PATH_PLACEHOLDER).join(quotedPath)
+    : `${command} ${quotedPath}`
+
+  try {
+    const stdout = await runCommand(cmd)
+    const [url, deletionUrl] = stdout.split(/\r?\n/).map(line => line.trim()).filter(line => !!line)
+    if (!url) {
+      throw new Error('The upload command did not print an image URL.')
+    }
+    return { url, deletionUrl: deletionUrl || '' }
+  } finally {
+    if (tmpPath) {
+      fs.remove(tmpPath).catch(() => {})
+    }
+  }
+}
+
+export default uploadCommand
@@ -0,0 +1,70 @@
+import crypto from 'crypto'
+import axios from 'axios'
+
+/**
+ * Returns the value of a dot separated path like `data.url`.
+ *
+ * @param {*} obj The response object.
+ * @param {string} path The property path.
+ */
+export const getValueByPath = (obj, path) => {
+  return path.split('.').reduce((value, key) => {
+    return value !== null && typeof value === 'object' ? value[key] : undefined
+  }, obj)
+}
+
+const buildMultipartBody = (fieldName, { filename, mimeType, data }) => {
+  const boundary = `----MarkTextFormBoundary${crypto.randomBytes(12).toString('hex')}`
+  const head = `--${boundary}\r\n` +
+    `Content-Disposition: form-data; name="${fieldName}"; filename="${filename.replace(/"/g, '')}"\r\n` +
+    `Content-Type: ${mimeType}\r\n\r\n`
+  const body = Buffer.concat([Buffer.from(head), data, Buffer.from(`\r\n--${boundary}--\r\n`)])
+  return { boundary, body }
+}
+
+/**
+ * Upload the image to a generic HTTP endpoint that accepts `multipart/form-data`
+ * and returns the image URL either as plain text or within a JSON response.
+ *
+ * @param {IUploadImage} image The image to upload.
+ * @param {Object} config The backend configuration.
+ * @param {string} config.url The upload endpoint.
+ * @param {string} config.fieldName The form field name of the image.
+ * @param {Object.<string, string>} config.headers Additional request headers (e.g. authorization).
+ * @param {string} config.urlPath The path of the image URL in the JSON response.
+ * @param {string} config.deletionUrlPath The optional path of the deletion URL in the JSON response.
+ * @returns {Promise<IUploadResult>}
+ */
+const uploadHttp = async (image, config) => {
+  const { url, fieldName, headers, urlPath, deletionUrlPath } = config
+  if (!url) {
+    throw new Error('No upload URL is configured.')
+  }
+
+  const { boundary, body } = buildMultipartBody(fieldName || 'file', image)
+  const { data } = await axios.post(url, body, {
+    headers: Object.assign({}, headers, {
+      'Content-Type': `multipart/form-data; boundary=${boundary}`
+    }),
+    maxContentLength: Infinity
+  })
+
+  if (typeof data === 'string') {
+    return { url: data.trim(), deletionUrl: '' }
+  }
+
+  const imageUrl = urlPath ? getValueByPath(data, urlPath) : ''
+  if (!imageUrl || typeof imageUrl !== 'string') {
+    // The server usually explains why the upload failed, e.g. sm.ms returns `{ code: 'error', msg }`.
+    const message = data && (data.msg || data.message || data.error)
+    throw new Error(typeof message === 'string' ? message : 'Cannot find the image URL in the server response.')
+  }
+
+  const deletionUrl = deletionUrlPath ? getValueByPath(data, deletionUrlPath) : ''
+  return {
+    url: imageUrl,
+    deletionUrl: typeof deletionUrl === 'string' ? deletionUrl : ''
+  }
+}
+
+export default uploadHttp
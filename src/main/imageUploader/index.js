@@ -0,0 +1,130 @@
+import fs from 'fs-extra'
+import path from 'path'
+import Store from 'electron-store'
+import { BrowserWindow, ipcMain } from 'electron'
+import log from 'electron-log'
+import uploadHttp from './http'
+import uploadS3 from './s3'
+import uploadCommand from './command'
+
+// Number of upload records that are kept.
+const MAX_HISTORY_LENGTH = 200
+
+const MIME_TYPES = {
+  '.gif': 'image/gif',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.webp': 'image/webp'
+}
+
+/**
+ * An image that should be uploaded.
+ *
+ * @typedef {Object} IUploadImage
+ * @property {string} filename The file name of the image.
+ * @property {string} mimeType The MIME type of the image.
+ * @property {Buffer} data The image data.
+ * @property {string|null} pathname The path to the image or null if the image only exists in memory.
+ */
+
+/**
+ * The result of an image upload.
+ *
+ * @typedef {Object} IUploadResult
+ * @property {string} url The image URL.
+ * @property {string} deletionUrl The URL to delete the image or an empty string.
+ */
+
+/**
+ * Uploads images via the backend that is selected in the preferences.
+ */
+class ImageUploader {
+
+  /**
+   * @param {Preference} preferences The preferences instance.
+   */
+  constructor (preferences) {
+    this._preferences = preferences
+    this._backends = new Map()
+    this._history = new Store({
+      name: 'image-uploads',
+      defaults: { uploads: [] }
+    })
+
+    this.registerBackend('http', image => uploadHttp(image, preferences.getItem('imageUploaderHttp')))
+    this.registerBackend('s3', image => uploadS3(image, preferences.getItem('imageUploaderS3')))
+    this.registerBackend('command', image => uploadCommand(image, preferences.getItem('imageUploaderCommand')))
+
+    this._listenForIpcMain()
+  }
+
+  /**
+   * Register an upload backend.
+   *
+   * @param {string} name The backend name that is used in the preferences.
+   * @param {(image: IUploadImage) => Promise<IUploadResult>} upload The upload function.
+   */
+  registerBackend (name, upload) {
+    this._backends.set(name, upload)
+  }
+
+  /**
+   * Upload the image either given by path or by base64 encoded data.
+   *
+   * @param {Object} image The image to upload.
+   * @param {string} [image.pathname] The path to the image.
+   * @param {string} [image.data] The base64 encoded image data.
+   * @param {string} [image.filename] The file name when the image is given by data.
+   * @returns {Promise<IUploadResult>}
+   */
+  async upload ({ pathname, data, filename }) {
+    const name = this._preferences.getItem('imageUploader')
+    const backend = this._backends.get(name)
+    if (!backend) {
+      throw new Error(`Unknown image uploader "${name}".`)
+    }
+
+    const image = {
+      filename: pathname ? path.basename(pathname) : filename || 'image.png',
+      mimeType: '',
+      data: pathname ? await fs.readFile(pathname) : Buffer.from(data, 'base64'),
+      pathname: pathname || null
+    }
+    image.mimeType = MIME_TYPES[path.extname(image.filename).toLowerCase()] || 'application/octet-stream'
+
+    const result = await backend(image)
+    this._addHistory(name, image.filename, result)
+    return result
+  }
+
+  /**
+   * Returns all recorded uploads, latest first.
+   */
+  getHistory () {
+    return this._history.get('uploads')
+  }
+
+  _addHistory (backend, filename, { url, deletionUrl }) {
+    const uploads = this.getHistory()
+    uploads.unshift({ backend, filename, url, deletionUrl, date: Date.now() })
+    this._history.set('uploads', uploads.slice(0, MAX_HISTORY_LENGTH))
+  }
+
+  _listenForIpcMain () {
+    ipcMain.on('mt::upload-image', async (e, { id, pathname, data, filename }) => {
+      const win = BrowserWindow.fromWebContents(e.sender)
+      try {
+        const { url, deletionUrl } = await this.upload({ pathname, data, filename })
+        win.webContents.send('mt::upload-image-response', { id, url, deletionUrl })
+      } catch (err) {
+        log.error('Image upload failed:', err)
+        const message = err.response ? `${err.message} (${err.response.statusText})` : err.message
+        win.webContents.send('mt::upload-image-response', { id, error: message })
+      }
+    })
+  }
+}
+
+export default ImageUploader
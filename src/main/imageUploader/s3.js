@@ -0,0 +1,195 @@
+import crypto from 'crypto'
+import path from 'path'
+import axios from 'axios'
+
+const ALGORITHM = 'AWS4-HMAC-SHA256'
+const UNSIGNED_PAYLOAD = 'UNSIGNED-PAYLOAD'
+// Maximum lifetime of a presigned URL (7 days).
+const MAX_PRESIGN_EXPIRES = 7 * 24 * 60 * 60
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest()
+const hash = data => crypto.createHash('sha256').update(data).digest('hex')
+
+// Encode a URI component as specified by RFC 3986.
+const encodeRfc3986 = str => {
+  return encodeURIComponent(str).replace(/[!'()*]/g, c => `%${c.charCodeAt(0).toString(16).toUpperCase()}`)
+}
+
+const getAmzDate = date => date.toISOString().replace(/[:-]|\.\d{3}/g, '')
+
+/**
+ * Returns the URL of the given object.
+ *
+ * @param {Object} config The S3 configuration.
+ * @param {string} key The object key.
+ */
+export const getObjectUrl = (config, key) => {
+  const { endpoint, region, bucket, pathStyle } = config
+  const encodedKey = key.split('/').map(encodeRfc3986).join('/')
+  const url = new URL(endpoint || `https://s3.${region}.amazonaws.com`)
+  if (pathStyle) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/${bucket}/${encodedKey}`
+  } else {
+    url.host = `${bucket}.${url.host}`
+    url.pathname = `/${encodedKey}`
+  }
+  return url
+}
+
+const getSigningKey = (secretAccessKey, dateStamp, region) => {
+  const dateKey = hmac(`AWS4${secretAccessKey}`, dateStamp)
+  const regionKey = hmac(dateKey, region)
+  const serviceKey = hmac(regionKey, 's3')
+  return hmac(serviceKey, 'aws4_request')
+}
+
+/**
+ * Calculate the AWS signature version 4 of a request.
+ *
+ * @param {Object} config The S3 configuration.
+ * @param {Object} request The request to sign.
+ * @param {string} request.method The HTTP method.
+ * @param {URL} request.url The request URL including the query parameters to sign.
+ * @param {Object.<string, string>} request.headers The headers to sign (lower case names).
+ * @param {string} request.payloadHash The SHA256 hash of the payload or `UNSIGNED-PAYLOAD`.
+ * @param {Date} date The request date.
+ */
+export const signRequest = (config, { method, url, headers, payloadHash }, date) => {
+  const { region, accessKeyId, secretAccessKey } = config
+  const amzDate = getAmzDate(date)
+  const dateStamp = amzDate.substring(0, 8)
+  const scope = `${dateStamp}/${region}/s3/aws4_request`
+
+  const headerNames = Object.keys(headers).sort()
+  const canonicalHeaders = headerNames.map(name => `${name}:${String(headers[name]).trim()}\n`).join('')
+  const canonicalQuery = Array.from(url.searchParams.entries())
+    .map(([key, value]) => [encodeRfc3986(key), encodeRfc3986(value)])
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([key, value]) => `${key}=${value}`)
+    .join('&')
+
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    canonicalQuery,
+    canonicalHeaders,
+    headerNames.join(';'),
+    payloadHash
+  ].join('\n')
+  const stringToSign = [ALGORITHM, amzDate, scope, hash(canonicalRequest)].join('\n')
+  const signature = hmac(getSigningKey(secretAccessKey, dateStamp, region), stringToSign).toString('hex')
+
+  return {
+    amzDate,
+    credential: `${accessKeyId}/${scope}`,
+    signedHeaders: headerNames.join(';'),
+    signature
+  }
+}
+
+/**
+ * Create a presigned URL that can be used without credentials.
+ *
+ * @param {Object} config The S3 configuration.
+ * @param {string} method The HTTP method.
+ * @param {string} key The object key.
+ * @param {number} expires The lifetime of the URL in seconds.
+ * @param {Date} [date] The request date.
+ */
+export const presignUrl = (config, method, key, expires, date = new Date()) => {
+  const url = getObjectUrl(config, key)
+  const { amzDate, credential } = signRequest(config, {
+    method,
+    url,
+    headers: {},
+    payloadHash: UNSIGNED_PAYLOAD
+  }, date)
+
+  url.searchParams.set('X-Amz-Algorithm', ALGORITHM)
+  url.searchParams.set('X-Amz-Credential', credential)
+  url.searchParams.set('X-Amz-Date', amzDate)
+  url.searchParams.set('X-Amz-Expires', String(Math.min(expires, MAX_PRESIGN_EXPIRES)))
+  url.searchParams.set('X-Amz-SignedHeaders', 'host')
+
+  const { signature } = signRequest(config, {
+    method,
+    url,
+    headers: { host: url.host },
+    payloadHash: UNSIGNED_PAYLOAD
+  }, date)
+  url.searchParams.set('X-Amz-Signature', signature)
+  return url.toString()
+}
+
+const createObjectKey = (pathPrefix, filename) => {
+  const ext = path.extname(filename).toLowerCase()
+  const name = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}${ext}`
+  const prefix = (pathPrefix || '').replace(/^\/+/, '')
+  return prefix && !prefix.endsWith('/') ? `${prefix}/${name}` : `${prefix}${name}`
+}
+
+/**
+ * Upload the image to an S3-compatible object storage. The deletion URL is a
+ * presigned `DELETE` request that is valid for seven days.
+ *
+ * @param {IUploadImage} image The image to upload.
+ * @param {Object} config The backend configuration.
+ * @param {string} config.endpoint The service endpoint, defaults to AWS S3 of the given region.
+ * @param {string} config.region The region.
+ * @param {string} config.bucket The bucket name.
+ * @param {string} config.accessKeyId The access key.
+ * @param {string} config.secretAccessKey The secret key.
+ * @param {boolean} config.pathStyle Whether to use path-style (`endpoint/bucket/key`) instead of
+ *                                   virtual-hosted-style (`bucket.endpoint/key`) URLs.
+ * @param {string} config.pathPrefix The folder to upload the image to.
+ * @param {string} config.acl The optional canned ACL like `public-read`.
+ * @param {string} config.publicUrl The optional base URL that is used for the inserted image.
+ * @returns {Promise<IUploadResult>}
+ */
+const uploadS3 = async (image, config) => {
+  const { bucket, accessKeyId, secretAccessKey, pathPrefix, acl, publicUrl } = config
+  if (!bucket || !accessKeyId || !secretAccessKey) {
+    throw new Error('The S3 bucket and credentials are required.')
+  }
+
+  const { data, filename, mimeType } = image
+  const key = createObjectKey(pathPrefix, filename)
+  const url = getObjectUrl(config, key)
+  const payloadHash = hash(data)
+  const date = new Date()
+  const headers = {
+    host: url.host,
+    'content-type': mimeType,
+    'x-amz-content-sha256': payloadHash,
+    'x-amz-date': getAmzDate(date)
+  }
+  if (acl) {
+    headers['x-amz-acl'] = acl
+  }
+
+  const { credential, signedHeaders, signature } = signRequest(config, {
+    method: 'PUT',
+    url,
+    headers,
+    payloadHash
+  }, date)
+
+  const requestHeaders = Object.assign({}, headers, {
+    Authorization: `${ALGORITHM} Credential=${credential}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+  })
+  delete requestHeaders.host
+  await axios.put(url.toString(), data, {
+    headers: requestHeaders,
+    maxContentLength: Infinity
+  })
+
+  const imageUrl = publicUrl
+    ? `${publicUrl.replace(/\/+$/, '')}/${key.split('/').map(encodeRfc3986).join('/')}`
+    : url.toString()
+  return {
+    url: imageUrl,
+    deletionUrl: presignUrl(config, 'DELETE', key, MAX_PRESIGN_EXPIRES, date)
+  }
+}
+
+export default uploadS3
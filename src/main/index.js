@@ -4,6 +4,7 @@ import cli from './cli'
 import setupExceptionHandler, { initExceptionLogger } from './exceptionHandler'
 import log from 'electron-log'
 import App from './app'
+import HeadlessApp from './app/headless'
 import Accessor from './app/accessor'
 import setupEnvironment from './app/env'
 import { getLogLevel } from './utils'
@@ -40,5 +41,7 @@ const accessor = new Accessor(appEnvironment)
 // Be careful when changing code before this line!
 // NOTE: Do not create classes or other code before this line!
 
-const app = new App(accessor, args)
+// Convert a document without user interface when requested by command-line.
+const isHeadless = !!(args['--export'] || args['--normalize'])
+const app = isHeadless ? new HeadlessApp(accessor, args) : new App(accessor, args)
 app.init()
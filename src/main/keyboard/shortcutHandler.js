@@ -21,6 +21,9 @@ class Keybindings {
   constructor (userDataPath) {
     this.configPath = path.join(userDataPath, 'keybindings.json')
 
+    this._userConfig = {}
+    this._pluginKeys = []
+
     this.keys = new Map([
       // marktext - macOS only
       ['mtHide', 'Command+H'],
@@ -50,6 +53,8 @@ class Keybindings {
       ['editDuplicate', 'Shift+CmdOrCtrl+P'],
       ['editCreateParagraph', 'Shift+CmdOrCtrl+N'],
       ['editDeleteParagraph', 'Shift+CmdOrCtrl+D'],
+      ['editMoveParagraphUp', 'CmdOrCtrl+Alt+Up'],
+      ['editMoveParagraphDown', 'CmdOrCtrl+Alt+Down'],
       ['editFind', 'CmdOrCtrl+F'],
       ['editFindNext', 'CmdOrCtrl+Alt+U'],
       ['editFindPrevious', 'CmdOrCtrl+Shift+U'],
@@ -97,10 +102,15 @@ class Keybindings {
       ['viewToggleFullScreen', isOsx ? 'Ctrl+Command+F' : 'F11'],
       ['viewChangeFont', 'CmdOrCtrl+.'],
       ['viewSourceCodeMode', 'CmdOrCtrl+Alt+S'],
+      ['viewSplitView', 'CmdOrCtrl+Alt+P'],
       ['viewTypewriterMode', 'CmdOrCtrl+Alt+T'],
       ['viewFocusMode', 'CmdOrCtrl+Shift+F'],
+      ['viewFoldAll', 'CmdOrCtrl+Alt+['],
+      ['viewUnfoldAll', 'CmdOrCtrl+Alt+]'],
       ['viewToggleSideBar', 'CmdOrCtrl+J'],
       ['viewToggleTabBar', 'CmdOrCtrl+Alt+B'],
+      ['viewSplitEditorRight', 'CmdOrCtrl+\\'],
+      ['viewSplitEditorDown', 'CmdOrCtrl+Alt+\\'],
       ['viewDevToggleDeveloperTools', isOsx ? 'Alt+Command+I' : 'Ctrl+Shift+I'],
       ['viewDevReload', 'CmdOrCtrl+R']
     ])
@@ -121,6 +131,37 @@ class Keybindings {
     return name
   }
 
+  /**
+   * Set the key bindings of plugin commands. User-defined key bindings in `keybindings.json`
+   * override the defaults of plugins and bindings that are already used are ignored.
+   *
+   * @param {{command: string, key: string}[]} bindings The default plugin key bindings.
+   */
+  setPluginKeybindings (bindings) {
+    for (const id of this._pluginKeys) {
+      this.keys.delete(id)
+    }
+    this._pluginKeys = []
+
+    for (const { command, key } of bindings) {
+      const value = typeof this._userConfig[command] === 'string' ? this._userConfig[command] : key
+      if (this.keys.has(command) || !value) {
+        continue
+      } else if (!isAccelerator(value)) {
+        log.warn(`Invalid key binding "${value}" of plugin command ${command}.`)
+        continue
+      }
+
+      const duplicate = [...this.keys].find(([, accelerator]) => accelerator && this._isEqualAccelerator(accelerator, value))
+      if (duplicate) {
+        log.warn(`Ignoring key binding of plugin command ${command}: Duplicate key ${duplicate[0]}`)
+        continue
+      }
+      this.keys.set(command, value)
+      this._pluginKeys.push(command)
+    }
+  }
+
   registerKeyHandlers (win, acceleratorMap) {
     for (const item of acceleratorMap) {
       let { accelerator } = item
@@ -148,6 +189,10 @@ class Keybindings {
     }
   }
 
+  unregisterKeyHandlers (win) {
+    electronLocalshortcut.unregisterAll(win)
+  }
+
   // --- private --------------------------------
 
   _fixLayout () {
@@ -212,6 +257,7 @@ class Keybindings {
       log.warn('Invalid keybindings.json configuration.')
       return
     }
+    this._userConfig = json
 
     // keybindings.json example:
     // {
@@ -281,7 +327,7 @@ class Keybindings {
 }
 
 export const parseMenu = menuTemplate => {
-  const { submenu, accelerator, click, id, visible } = menuTemplate
+  const { submenu, accelerator, click, id, visible, registerAccelerator } = menuTemplate
   let items = []
   if (Array.isArray(menuTemplate)) {
     for (const item of menuTemplate) {
@@ -291,7 +337,7 @@ export const parseMenu = menuTemplate => {
   } else if (submenu) {
     const subitems = parseMenu(submenu)
     if (subitems) items.push(...subitems)
-  } else if ((visible === undefined || visible) && accelerator && click) {
+  } else if ((visible === undefined || visible) && registerAccelerator !== false && accelerator && click) {
     items.push({
       accelerator,
       click,
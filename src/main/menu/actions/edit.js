@@ -2,8 +2,10 @@ import path from 'path'
 import { dialog, ipcMain, BrowserWindow } from 'electron'
 import log from 'electron-log'
 import { IMAGE_EXTENSIONS } from '../../config'
+import { loadMarkdownFile } from '../../filesystem/markdown'
 import { updateLineEndingMenu } from '../../menu'
 import { searchFilesAndDir } from '../../utils/imagePathAutoComplement'
+import { t } from 'common/i18n'
 
 const getAndSendImagePath = (win, type) => {
   // TODO(need::refactor): use async dialog version
@@ -43,6 +45,22 @@ ipcMain.on('AGANI::update-line-ending-menu', (e, lineEnding) => {
   updateLineEndingMenu(lineEnding)
 })
 
+ipcMain.on('mt::reopen-with-encoding', (e, { pathname, lineEnding, encoding }) => {
+  const win = BrowserWindow.fromWebContents(e.sender)
+  loadMarkdownFile(pathname, lineEnding, encoding)
+    .then(data => {
+      win.webContents.send('mt::reopen-with-encoding-response', { pathname, data })
+    })
+    .catch(err => {
+      log.error(err)
+      win.webContents.send('AGANI::show-notification', {
+        title: t('menu.edit.reopenWithEncoding'),
+        type: 'error',
+        message: err.message
+      })
+    })
+})
+
 export const edit = (win, type) => {
   win.webContents.send('AGANI::edit', { type })
 }
@@ -51,6 +69,14 @@ export const lineEnding = (win, lineEnding) => {
   win.webContents.send('AGANI::set-line-ending', { lineEnding, ignoreSaveStatus: false })
 }
 
+export const reopenWithEncoding = (win, encoding) => {
+  win.webContents.send('mt::ask-for-reopen-with-encoding', encoding)
+}
+
+export const saveWithEncoding = (win, encoding) => {
+  win.webContents.send('mt::set-document-encoding', encoding)
+}
+
 export const insertImage = (win, type) => {
   if (type === 'absolute' || type === 'relative') {
     getAndSendImagePath(win, type)
@@ -5,16 +5,18 @@ import { BrowserWindow, dialog, ipcMain, shell } from 'electron'
 import log from 'electron-log'
 import { EXTENSION_HASN, EXTENSIONS, PANDOC_EXTENSIONS, URL_REG } from '../../config'
 import { isDirectory, isFile, isMarkdownFile, isMarkdownFileOrLink, normalizeAndResolvePath, writeFile } from '../../filesystem'
-import { writeMarkdownFile } from '../../filesystem/markdown'
+import { ENCODING_NAME_MAP } from '../../filesystem/encoding'
+import { ERR_UNSUPPORTED_CHARACTERS, writeMarkdownFile } from '../../filesystem/markdown'
 import { getPath, getRecommendTitleFromMarkdownString } from '../../utils'
 import pandoc from '../../utils/pandoc'
+import { t } from 'common/i18n'
 
 // TODO:
 //  - use async dialog version to not block the main process.
 //  - catch "fs." exceptions. Otherwise the main process crashes...
 
 // Handle the export response from renderer process.
-const handleResponseForExport = async (e, { type, content, pathname, markdown }) => {
+const handleResponseForExport = async (e, { type, content, pathname, markdown, pageOptions }) => {
   const win = BrowserWindow.fromWebContents(e.sender)
   const extension = EXTENSION_HASN[type]
   const dirname = pathname ? path.dirname(pathname) : getPath('documents')
@@ -33,7 +35,8 @@ const handleResponseForExport = async (e, { type, content, pathname, markdown })
     let data = content
     try {
       if (!content && type === 'pdf') {
-        data = await promisify(win.webContents.printToPDF.bind(win.webContents))({ printBackground: true })
+        const { pageSize = 'A4', landscape = false } = pageOptions || {}
+        data = await promisify(win.webContents.printToPDF.bind(win.webContents))({ printBackground: true, pageSize, landscape })
         removePrintServiceFromWindow(win)
       }
       if (data) {
@@ -42,9 +45,9 @@ const handleResponseForExport = async (e, { type, content, pathname, markdown })
       }
     } catch (err) {
       log.error(err)
-      const ERROR_MSG = err.message || `Error happened when export ${filePath}`
+      const ERROR_MSG = err.message || t('dialog.exportError.message', { filePath })
       win.webContents.send('AGANI::show-notification', {
-        title: 'Export File Error',
+        title: t('dialog.exportError.title'),
         type: 'error',
         message: ERROR_MSG
       })
@@ -61,11 +64,11 @@ const handleResponseForPrint = e => {
   // See GH#749, Electron#16085 and Electron#17523.
   dialog.showMessageBox({
     type: 'info',
-    buttons: ['OK'],
+    buttons: [t('dialog.ok')],
     defaultId: 0,
     noLink: true,
-    message: 'Printing doesn\'t work',
-    detail: 'Printing is disabled due to an Electron upstream issue. Please export the document as PDF and print the PDF file. We apologize for the inconvenience!'
+    message: t('dialog.printNotSupported.message'),
+    detail: t('dialog.printNotSupported.detail')
   })
   // const win = BrowserWindow.fromWebContents(e.sender)
   // win.webContents.print({ printBackground: true }, () => {
@@ -73,6 +76,52 @@ const handleResponseForPrint = e => {
   // })
 }
 
+// Write the document and offer to save it as UTF-8 if its encoding cannot represent all
+// characters. Returns the encoding of the saved file.
+const writeDocument = async (win, pathname, markdown, options) => {
+  try {
+    await writeMarkdownFile(pathname, markdown, options, win)
+    return options.encoding
+  } catch (err) {
+    if (err.code !== ERR_UNSUPPORTED_CHARACTERS) {
+      throw err
+    }
+
+    const result = dialog.showMessageBox(win, {
+      type: 'warning',
+      buttons: [t('dialog.saveAsUtf8'), t('dialog.cancel')],
+      defaultId: 0,
+      cancelId: 1,
+      noLink: true,
+      message: t('dialog.unsupportedCharacters.message', {
+        filename: path.basename(pathname),
+        encoding: ENCODING_NAME_MAP[err.encoding]
+      }),
+      detail: t('dialog.unsupportedCharacters.detail')
+    })
+    if (result !== 0) {
+      throw err
+    }
+    await writeMarkdownFile(pathname, markdown, Object.assign({}, options, { encoding: 'utf8' }), win)
+    return 'utf8'
+  }
+}
+
+// Tell the user that the document was not saved, the tab stays unsaved.
+const notifySaveError = (win, id, err) => {
+  log.error(err)
+  if (win.isDestroyed()) {
+    return
+  }
+  win.webContents.send('mt::save-failed', { id })
+  win.webContents.send('AGANI::show-notification', {
+    title: t('dialog.saveError.title'),
+    type: 'error',
+    message: err.message || t('dialog.saveError.message')
+  })
+}
+
+// Resolves with the tab id when the document was saved and with null otherwise.
 const handleResponseForSave = (e, { id, markdown, pathname, options }) => {
   const win = BrowserWindow.fromWebContents(e.sender)
   let recommendFilename = getRecommendTitleFromMarkdownString(markdown)
@@ -93,18 +142,22 @@ const handleResponseForSave = (e, { id, markdown, pathname, options }) => {
       ipcMain.emit('menu-clear-recently-used')
     }
 
-    return writeMarkdownFile(pathname, markdown, options, win)
-      .then(() => {
+    return writeDocument(win, pathname, markdown, options)
+      .then(encoding => {
         if (!alreadyExistOnDisk) {
           // it's a new created file, need watch
           ipcMain.emit('watcher-watch-file', win, pathname)
         }
         const filename = path.basename(pathname)
-        win.webContents.send('AGANI::set-pathname', { id, pathname, filename })
+        win.webContents.send('AGANI::set-pathname', { id, pathname, filename, markdown, encoding })
         return id
       })
+      .catch(err => {
+        notifySaveError(win, id, err)
+        return null
+      })
   } else {
-    return Promise.resolve()
+    return Promise.resolve(null)
   }
 }
 
@@ -112,10 +165,10 @@ const showUnsavedFilesMessage = (win, files) => {
   return new Promise((resolve, reject) => {
     dialog.showMessageBox(win, {
       type: 'warning',
-      buttons: ['Save', 'Cancel', 'Don\'t save'],
+      buttons: [t('dialog.save'), t('dialog.cancel'), t('dialog.dontSave')],
       defaultId: 0,
-      message: `Do you want to save the changes you made to ${files.length} ${files.length === 1 ? 'file' : 'files'}?\n\n${files.map(f => f.filename).join('\n')}`,
-      detail: `Your changes will be lost if you don't save them.`,
+      message: `${t('dialog.unsavedFiles.message', { count: files.length })}\n\n${files.map(f => f.filename).join('\n')}`,
+      detail: t('dialog.unsavedFiles.detail'),
       cancelId: 1,
       noLink: true
     }, index => {
@@ -135,9 +188,9 @@ const showUnsavedFilesMessage = (win, files) => {
 
 const noticePandocNotFound = win => {
   return win.webContents.send('AGANI::pandoc-not-exists', {
-    title: 'Import Warning',
+    title: t('dialog.pandocNotFound.title'),
     type: 'warning',
-    message: 'Install pandoc before you want to import files.',
+    message: t('dialog.pandocNotFound.message'),
     time: 10000
   })
 }
@@ -197,8 +250,8 @@ ipcMain.on('AGANI::response-file-save-as', (e, { id, markdown, pathname, options
   })
 
   if (filePath) {
-    writeMarkdownFile(filePath, markdown, options, win)
-      .then(() => {
+    writeDocument(win, filePath, markdown, options)
+      .then(encoding => {
         // need watch file after `save as`
         if (pathname !== filePath) {
           // unwatch the old file
@@ -206,9 +259,9 @@ ipcMain.on('AGANI::response-file-save-as', (e, { id, markdown, pathname, options
           ipcMain.emit('watcher-watch-file', win, filePath)
         }
         const filename = path.basename(filePath)
-        win.webContents.send('AGANI::set-pathname', { id, pathname: filePath, filename })
+        win.webContents.send('AGANI::set-pathname', { id, pathname: filePath, filename, markdown, encoding })
       })
-      .catch(log.error)
+      .catch(err => notifySaveError(win, id, err))
   }
 })
 
@@ -217,14 +270,20 @@ ipcMain.on('AGANI::response-close-confirm', async (e, unsavedFiles) => {
   const { needSave } = await showUnsavedFilesMessage(win, unsavedFiles)
   if (needSave) {
     Promise.all(unsavedFiles.map(file => handleResponseForSave(e, file)))
-      .then(() => {
-        ipcMain.emit('window-close-by-id', win.id)
+      .then(ids => {
+        // Keep the window open when a document was not saved.
+        if (ids.every(id => id)) {
+          ipcMain.emit('session-discard-unsaved-changes', win.id)
+          ipcMain.emit('window-close-by-id', win.id)
+        }
       })
       .catch(err => {
         console.log(err)
         log.error(err)
       })
   } else {
+    // Don't restore the discarded changes with the session.
+    ipcMain.emit('session-discard-unsaved-changes', win.id)
     ipcMain.emit('window-close-by-id', win.id)
   }
 })
@@ -267,9 +326,9 @@ ipcMain.on('AGANI::rename', (e, { id, pathname, newPathname }) => {
   } else {
     dialog.showMessageBox(win, {
       type: 'warning',
-      buttons: ['Replace', 'Cancel'],
+      buttons: [t('dialog.replace'), t('dialog.cancel')],
       defaultId: 1,
-      message: `The file "${path.basename(newPathname)}" already exists. Do you want to replace it?`,
+      message: t('dialog.replaceFile.message', { filename: path.basename(newPathname) }),
       cancelId: 1,
       noLink: true
     }, index => {
@@ -430,3 +489,11 @@ export const rename = win => {
 export const clearRecentlyUsed = () => {
   ipcMain.emit('menu-clear-recently-used')
 }
+
+export const switchSession = name => {
+  ipcMain.emit('session-switch', name)
+}
+
+export const saveSessionAs = win => {
+  ipcMain.emit('session-save-as', win)
+}
@@ -0,0 +1,17 @@
+import { ipcMain } from 'electron'
+
+export const runCommand = (win, command) => {
+  if (win && win.webContents) {
+    win.webContents.send('mt::plugin-command', { command })
+  }
+}
+
+export const exportFile = (win, format) => {
+  if (win && win.webContents) {
+    win.webContents.send('mt::plugin-export', { format })
+  }
+}
+
+export const openPluginsFolder = () => {
+  ipcMain.emit('mt::open-plugins-folder')
+}
@@ -4,6 +4,7 @@ import { getMenuItemById } from '../../menu'
 const sourceCodeModeMenuItemId = 'sourceCodeModeMenuItem'
 const typewriterModeMenuItemId = 'typewriterModeMenuItem'
 const focusModeMenuItemId = 'focusModeMenuItem'
+const splitViewMenuItemId = 'splitViewMenuItem'
 
 export const typeMode = (win, type, item) => {
   const { checked } = item
@@ -12,8 +13,14 @@ export const typeMode = (win, type, item) => {
   if (type === 'sourceCode') {
     const typewriterModeMenuItem = getMenuItemById(typewriterModeMenuItemId)
     const focusModeMenuItem = getMenuItemById(focusModeMenuItemId)
+    const splitViewMenuItem = getMenuItemById(splitViewMenuItemId)
     typewriterModeMenuItem.enabled = !checked
     focusModeMenuItem.enabled = !checked
+    splitViewMenuItem.enabled = !checked
+  } else if (type === 'splitView') {
+    // The split view already shows the source code.
+    const sourceCodeModeMenuItem = getMenuItemById(sourceCodeModeMenuItemId)
+    sourceCodeModeMenuItem.enabled = !checked
   }
 }
 
@@ -21,6 +28,16 @@ export const layout = (item, win, type) => {
   win.webContents.send('AGANI::listen-for-view-layout', { [type]: item.checked })
 }
 
+// Fold the heading sections so that only headings up to the level are visible, `0` unfolds all.
+export const foldHeadings = (win, level) => {
+  win.webContents.send('AGANI::fold-headings', { level })
+}
+
+// Split the editor into groups or close the active group.
+export const editorGroup = (win, type) => {
+  win.webContents.send('AGANI::editor-group', { type })
+}
+
 export const showTabBar = win => {
   const tabBarMenuItem = getMenuItemById('tabBarMenuItem')
   if (tabBarMenuItem && !tabBarMenuItem.checked && tabBarMenuItem.click) {
@@ -32,10 +49,12 @@ ipcMain.on('AGANI::ask-for-mode', e => {
   const sourceCodeModeMenuItem = getMenuItemById(sourceCodeModeMenuItemId)
   const typewriterModeMenuItem = getMenuItemById(typewriterModeMenuItemId)
   const focusModeMenuItem = getMenuItemById(focusModeMenuItemId)
+  const splitViewMenuItem = getMenuItemById(splitViewMenuItemId)
   const modes = {
     sourceCode: sourceCodeModeMenuItem.checked,
     typewriter: typewriterModeMenuItem.checked,
-    focus: focusModeMenuItem.checked
+    focus: focusModeMenuItem.checked,
+    splitView: splitViewMenuItem.checked
   }
   const win = BrowserWindow.fromWebContents(e.sender)
   win.webContents.send('AGANI::res-for-mode', modes)
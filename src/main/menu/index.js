@@ -1,7 +1,8 @@
 import fs from 'fs'
 import path from 'path'
-import { app, ipcMain, Menu } from 'electron'
+import { app, BrowserWindow, ipcMain, Menu } from 'electron'
 import log from 'electron-log'
+import { setLocale } from 'common/i18n'
 import { isLinux } from '../config'
 import { ensureDirSync, isDirectory, isFile } from '../filesystem'
 import { parseMenu } from '../keyboard/shortcutHandler'
@@ -12,14 +13,20 @@ class AppMenu {
   /**
    * @param {Preference} preferences The preferences instances.
    * @param {Keybindings} keybindings The keybindings instances.
+   * @param {ThemeManager} themes The user themes instance.
+   * @param {SessionManager} sessions The session manager instance.
+   * @param {PluginManager} plugins The plugin manager instance.
    * @param {string} userDataPath The user data path.
    */
-  constructor (preferences, keybindings, userDataPath) {
+  constructor (preferences, keybindings, themes, sessions, plugins, userDataPath) {
     const FILE_NAME = 'recently-used-documents.json'
     this.MAX_RECENTLY_USED_DOCUMENTS = 12
 
     this._preferences = preferences
     this._keybindings = keybindings
+    this._themes = themes
+    this._sessions = sessions
+    this._plugins = plugins
     this._userDataPath = userDataPath
 
     this.RECENTS_PATH = path.join(userDataPath, FILE_NAME)
@@ -164,7 +171,10 @@ class AppMenu {
       recentUsedDocuments = this.getRecentlyUsedDocuments()
     }
 
-    const menuTemplate = configureMenu(this._keybindings, this._preferences, recentUsedDocuments)
+    const { _sessions } = this
+    const sessions = { names: _sessions.getSessionNames(), activeSession: _sessions.activeSession }
+    const menuTemplate = configureMenu(this._keybindings, this._preferences, this._themes.getThemes(),
+      recentUsedDocuments, sessions, this._plugins.getEnabledPlugins())
     const menu = Menu.buildFromTemplate(menuTemplate)
 
     let shortcutMap = null
@@ -198,15 +208,21 @@ class AppMenu {
 
     // rebuild all window menus
     this.windowMenus.forEach((value, key) => {
-      const { menu: oldMenu } = value
-      const { menu: newMenu } = this.buildDefaultMenu(false, recentUsedDocuments)
-
-      // all other menu items are set automatically
-      updateMenuItem(oldMenu, newMenu, 'sourceCodeModeMenuItem')
-      updateMenuItem(oldMenu, newMenu, 'typewriterModeMenuItem')
-      updateMenuItem(oldMenu, newMenu, 'focusModeMenuItem')
-      updateMenuItem(oldMenu, newMenu, 'sideBarMenuItem')
-      updateMenuItem(oldMenu, newMenu, 'tabBarMenuItem')
+      const { menu: oldMenu, shortcutMap } = value
+      let newMenu = null
+      if (shortcutMap) {
+        newMenu = this.buildDefaultMenu(false, recentUsedDocuments).menu
+
+        // all other menu items are set automatically
+        updateMenuItem(oldMenu, newMenu, 'sourceCodeModeMenuItem')
+        updateMenuItem(oldMenu, newMenu, 'typewriterModeMenuItem')
+        updateMenuItem(oldMenu, newMenu, 'focusModeMenuItem')
+        updateMenuItem(oldMenu, newMenu, 'sideBarMenuItem')
+        updateMenuItem(oldMenu, newMenu, 'tabBarMenuItem')
+      } else {
+        // Only editor windows have a shortcut map, all other windows use the setting menu.
+        newMenu = this.buildSettingMenu().menu
+      }
 
       // update window menu
       value.menu = newMenu
@@ -219,6 +235,24 @@ class AppMenu {
     })
   }
 
+  /**
+   * Rebuild all window menus and the shortcuts of editor windows after plugin commands changed.
+   */
+  updatePluginMenu () {
+    this.updateAppMenu()
+
+    const { shortcutMap } = this.buildDefaultMenu(true)
+    this.windowMenus.forEach((value, key) => {
+      const win = BrowserWindow.fromId(key)
+      if (!value.shortcutMap || !win) {
+        return
+      }
+      value.shortcutMap = shortcutMap
+      this._keybindings.unregisterKeyHandlers(win)
+      this._keybindings.registerKeyHandlers(win, shortcutMap)
+    })
+  }
+
   updateLineEndingMenu (lineEnding) {
     updateLineEndingMenu(lineEnding)
   }
@@ -287,7 +321,27 @@ class AppMenu {
       this.clearRecentlyUsedDocuments()
     })
 
+    // The theme menu lists the user themes.
+    this._themes.on('changed', () => {
+      this.updateAppMenu()
+    })
+
+    // Plugins add menu items and shortcuts.
+    this._plugins.on('changed', () => {
+      this.updatePluginMenu()
+    })
+
+    // The session menu lists the saved sessions.
+    this._sessions.on('changed', () => {
+      this.updateAppMenu()
+    })
+
     ipcMain.on('broadcast-preferences-changed', prefs => {
+      if (prefs.language !== undefined) {
+        // Menu labels are translated when the menu is built.
+        setLocale(prefs.language)
+        this.updateAppMenu()
+      }
       if (prefs.theme !== undefined) {
         this.updateThemeMenu(prefs.theme)
       }
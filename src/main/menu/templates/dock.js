@@ -1,16 +1,20 @@
 import { app, Menu } from 'electron'
 import * as actions from '../actions/file'
+import { t } from 'common/i18n'
 
-const dockMenu = Menu.buildFromTemplate([{
-  label: 'Open...',
-  click (menuItem, browserWindow) {
-    actions.openFile(browserWindow)
-  }
-}, {
-  label: 'Clear Recent',
-  click () {
-    app.clearRecentDocuments()
-  }
-}])
-
-export default dockMenu
+/**
+ * Create the macOS dock menu.
+ */
+export default function () {
+  return Menu.buildFromTemplate([{
+    label: t('menu.dock.open'),
+    click (menuItem, browserWindow) {
+      actions.openFile(browserWindow)
+    }
+  }, {
+    label: t('menu.dock.clearRecent'),
+    click () {
+      app.clearRecentDocuments()
+    }
+  }])
+}
@@ -1,17 +1,30 @@
 import * as actions from '../actions/edit'
+import { ENCODING_NAME_MAP } from '../../filesystem/encoding'
+import { t } from 'common/i18n'
+
+const createEncodingMenuItems = action => {
+  return Object.keys(ENCODING_NAME_MAP).map(encoding => {
+    return {
+      label: ENCODING_NAME_MAP[encoding],
+      click (menuItem, browserWindow) {
+        action(browserWindow, encoding)
+      }
+    }
+  })
+}
 
 export default function (keybindings, userPreference) {
   const { aidou } = userPreference.getAll()
   return {
-    label: 'Edit',
+    label: t('menu.edit.edit'),
     submenu: [{
-      label: 'Undo',
+      label: t('menu.edit.undo'),
       accelerator: keybindings.getAccelerator('editUndo'),
       click: (menuItem, browserWindow) => {
         actions.edit(browserWindow, 'undo')
       }
     }, {
-      label: 'Redo',
+      label: t('menu.edit.redo'),
       accelerator: keybindings.getAccelerator('editRedo'),
       click: (menuItem, browserWindow) => {
         actions.edit(browserWindow, 'redo')
@@ -19,32 +32,32 @@ export default function (keybindings, userPreference) {
     }, {
       type: 'separator'
     }, {
-      label: 'Cut',
+      label: t('menu.edit.cut'),
       accelerator: keybindings.getAccelerator('editCut'),
       role: 'cut'
     }, {
-      label: 'Copy',
+      label: t('menu.edit.copy'),
       accelerator: keybindings.getAccelerator('editCopy'),
       role: 'copy'
     }, {
-      label: 'Paste',
+      label: t('menu.edit.paste'),
       accelerator: keybindings.getAccelerator('editPaste'),
       role: 'paste'
     }, {
       type: 'separator'
     }, {
-      label: 'Copy As Markdown',
+      label: t('menu.edit.copyAsMarkdown'),
       accelerator: keybindings.getAccelerator('editCopyAsMarkdown'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'copyAsMarkdown')
       }
     }, {
-      label: 'Copy As HTML',
+      label: t('menu.edit.copyAsHTML'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'copyAsHtml')
       }
     }, {
-      label: 'Paste As Plain Text',
+      label: t('menu.edit.pasteAsPlainText'),
       accelerator: keybindings.getAccelerator('editCopyAsPlaintext'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'pasteAsPlainText')
@@ -52,7 +65,7 @@ export default function (keybindings, userPreference) {
     }, {
       type: 'separator'
     }, {
-      label: 'Select All',
+      label: t('menu.edit.selectAll'),
       accelerator: keybindings.getAccelerator('editSelectAll'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'selectAll')
@@ -60,45 +73,57 @@ export default function (keybindings, userPreference) {
     }, {
       type: 'separator'
     }, {
-      label: 'Duplicate',
+      label: t('menu.edit.duplicate'),
       accelerator: keybindings.getAccelerator('editDuplicate'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'duplicate')
       }
     }, {
-      label: 'Create Paragraph',
+      label: t('menu.edit.createParagraph'),
       accelerator: keybindings.getAccelerator('editCreateParagraph'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'createParagraph')
       }
     }, {
-      label: 'Delete Paragraph',
+      label: t('menu.edit.deleteParagraph'),
       accelerator: keybindings.getAccelerator('editDeleteParagraph'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'deleteParagraph')
       }
+    }, {
+      label: t('menu.edit.moveParagraphUp'),
+      accelerator: keybindings.getAccelerator('editMoveParagraphUp'),
+      click (menuItem, browserWindow) {
+        actions.edit(browserWindow, 'moveParagraphUp')
+      }
+    }, {
+      label: t('menu.edit.moveParagraphDown'),
+      accelerator: keybindings.getAccelerator('editMoveParagraphDown'),
+      click (menuItem, browserWindow) {
+        actions.edit(browserWindow, 'moveParagraphDown')
+      }
     }, {
       type: 'separator'
     }, {
-      label: 'Find',
+      label: t('menu.edit.find'),
       accelerator: keybindings.getAccelerator('editFind'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'find')
       }
     }, {
-      label: 'Find Next',
+      label: t('menu.edit.findNext'),
       accelerator: keybindings.getAccelerator('editFindNext'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'fineNext')
       }
     }, {
-      label: 'Find Previous',
+      label: t('menu.edit.findPrevious'),
       accelerator: keybindings.getAccelerator('editFindPrevious'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'findPrev')
       }
     }, {
-      label: 'Replace',
+      label: t('menu.edit.replace'),
       accelerator: keybindings.getAccelerator('editReplace'),
       click (menuItem, browserWindow) {
         actions.edit(browserWindow, 'replace')
@@ -106,7 +131,7 @@ export default function (keybindings, userPreference) {
     }, {
       type: 'separator'
     }, {
-      label: 'Aidou',
+      label: t('menu.edit.aidou'),
       visible: aidou,
       id: 'aidou',
       accelerator: keybindings.getAccelerator('editAidou'),
@@ -114,19 +139,19 @@ export default function (keybindings, userPreference) {
         actions.edit(browserWindow, 'aidou')
       }
     }, {
-      label: 'Insert Image',
+      label: t('menu.edit.insertImage'),
       submenu: [{
-        label: 'Absolute Path',
+        label: t('menu.edit.absolutePath'),
         click (menuItem, browserWindow) {
           actions.insertImage(browserWindow, 'absolute')
         }
       }, {
-        label: 'Relative Path',
+        label: t('menu.edit.relativePath'),
         click (menuItem, browserWindow) {
           actions.insertImage(browserWindow, 'relative')
         }
       }, {
-        label: 'Upload to Cloud (EXP)',
+        label: t('menu.edit.uploadToCloudEXP'),
         click (menuItem, browserWindow) {
           actions.insertImage(browserWindow, 'upload')
         }
@@ -134,22 +159,31 @@ export default function (keybindings, userPreference) {
     }, {
       type: 'separator'
     }, {
-      label: 'Line Ending',
+      label: t('menu.edit.lineEnding'),
       submenu: [{
         id: 'crlfLineEndingMenuEntry',
-        label: 'Carriage return and line feed (CRLF)',
+        label: t('menu.edit.carriageReturnAndLineFeedCRLF'),
         type: 'radio',
         click (menuItem, browserWindow) {
           actions.lineEnding(browserWindow, 'crlf')
         }
       }, {
         id: 'lfLineEndingMenuEntry',
-        label: 'Line feed (LF)',
+        label: t('menu.edit.lineFeedLF'),
         type: 'radio',
         click (menuItem, browserWindow) {
           actions.lineEnding(browserWindow, 'lf')
         }
       }]
+    }, {
+      label: t('menu.edit.encoding'),
+      submenu: [{
+        label: t('menu.edit.reopenWithEncoding'),
+        submenu: createEncodingMenuItems(actions.reopenWithEncoding)
+      }, {
+        label: t('menu.edit.saveWithEncoding'),
+        submenu: createEncodingMenuItems(actions.saveWithEncoding)
+      }]
     }, {
       type: 'separator'
     }]
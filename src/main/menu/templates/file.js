@@ -1,22 +1,24 @@
 import { app } from 'electron'
 import * as actions from '../actions/file'
+import { exportFile as exportPluginFormat } from '../actions/plugin'
 import { userSetting } from '../actions/marktext'
 import { showTabBar } from '../actions/view'
+import { t } from 'common/i18n'
 
-export default function (keybindings, userPreference, recentlyUsedFiles) {
+export default function (keybindings, userPreference, recentlyUsedFiles, sessions, exportFormats = []) {
   const { autoSave } = userPreference.getAll()
   const notOsx = process.platform !== 'darwin'
   let fileMenu = {
-    label: 'File',
+    label: t('menu.file.file'),
     submenu: [{
-      label: 'New Tab',
+      label: t('menu.file.newTab'),
       accelerator: keybindings.getAccelerator('fileNewFile'),
       click (menuItem, browserWindow) {
         actions.newBlankTab(browserWindow)
         showTabBar(browserWindow)
       }
     }, {
-      label: 'New Window',
+      label: t('menu.file.newWindow'),
       accelerator: keybindings.getAccelerator('fileNewTab'),
       click (menuItem, browserWindow) {
         actions.newEditorWindow()
@@ -24,13 +26,13 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
     }, {
       type: 'separator'
     }, {
-      label: 'Open File',
+      label: t('menu.file.openFile'),
       accelerator: keybindings.getAccelerator('fileOpenFile'),
       click (menuItem, browserWindow) {
         actions.openFile(browserWindow)
       }
     }, {
-      label: 'Open Folder',
+      label: t('menu.file.openFolder'),
       accelerator: keybindings.getAccelerator('fileOpenFolder'),
       click (menuItem, browserWindow) {
         actions.openFolder(browserWindow)
@@ -40,7 +42,7 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
 
   if (notOsx) {
     let recentlyUsedMenu = {
-      label: 'Open Recent',
+      label: t('menu.file.openRecent'),
       submenu: []
     }
 
@@ -57,7 +59,7 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
       type: 'separator',
       visible: recentlyUsedFiles.length > 0
     }, {
-      label: 'Clear Recently Used',
+      label: t('menu.file.clearRecentlyUsed'),
       enabled: recentlyUsedFiles.length > 0,
       click (menuItem, browserWindow) {
         actions.clearRecentlyUsed()
@@ -75,10 +77,33 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
     })
   }
 
+  // Switching to another session restarts the application with the windows of the session.
+  const { names, activeSession } = sessions
+  fileMenu.submenu.push({
+    label: t('menu.file.sessions'),
+    submenu: [
+      ...names.map(name => ({
+        label: name,
+        type: 'radio',
+        checked: name === activeSession,
+        click (menuItem, browserWindow) {
+          actions.switchSession(name)
+        }
+      })), {
+        type: 'separator'
+      }, {
+        label: t('menu.file.saveSessionAs'),
+        click (menuItem, browserWindow) {
+          actions.saveSessionAs(browserWindow)
+        }
+      }
+    ]
+  })
+
   fileMenu.submenu.push({
     type: 'separator'
   }, {
-    label: 'Close Tab',
+    label: t('menu.file.closeTab'),
     accelerator: keybindings.getAccelerator('fileCloseTab'),
     click (menuItem, browserWindow) {
       actions.closeTab(browserWindow)
@@ -86,19 +111,19 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
   }, {
     type: 'separator'
   }, {
-    label: 'Save',
+    label: t('menu.file.save'),
     accelerator: keybindings.getAccelerator('fileSave'),
     click (menuItem, browserWindow) {
       actions.save(browserWindow)
     }
   }, {
-    label: 'Save As...',
+    label: t('menu.file.saveAs'),
     accelerator: keybindings.getAccelerator('fileSaveAs'),
     click (menuItem, browserWindow) {
       actions.saveAs(browserWindow)
     }
   }, {
-    label: 'Auto Save',
+    label: t('menu.file.autoSave'),
     type: 'checkbox',
     checked: autoSave,
     id: 'autoSaveMenuItem',
@@ -108,24 +133,24 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
   }, {
     type: 'separator'
   }, {
-    label: 'Move To...',
+    label: t('menu.file.moveTo'),
     click (menuItem, browserWindow) {
       actions.moveTo(browserWindow)
     }
   }, {
-    label: 'Rename...',
+    label: t('menu.file.rename'),
     click (menuItem, browserWindow) {
       actions.rename(browserWindow)
     }
   }, {
     type: 'separator'
   }, {
-    label: 'Import...',
+    label: t('menu.file.import'),
     click (menuItem, browserWindow) {
       actions.importFile(browserWindow)
     }
   }, {
-    label: 'Export',
+    label: t('menu.file.export'),
     submenu: [
       {
         label: 'HTML',
@@ -137,12 +162,18 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
         click (menuItem, browserWindow) {
           actions.exportFile(browserWindow, 'pdf')
         }
-      }
+      },
+      ...exportFormats.map(format => ({
+        label: format.title,
+        click (menuItem, browserWindow) {
+          exportPluginFormat(browserWindow, format.id)
+        }
+      }))
     ]
   }, {
     type: 'separator'
   }, {
-    label: 'Print',
+    label: t('menu.file.print'),
     accelerator: keybindings.getAccelerator('filePrint'),
     click (menuItem, browserWindow) {
       actions.print(browserWindow)
@@ -151,7 +182,7 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
     type: 'separator',
     visible: notOsx
   }, {
-    label: 'Preferences',
+    label: t('menu.file.preferences'),
     accelerator: keybindings.getAccelerator('filePreferences'),
     visible: notOsx,
     click (menuItem, browserWindow) {
@@ -161,7 +192,7 @@ export default function (keybindings, userPreference, recentlyUsedFiles) {
     type: 'separator',
     visible: notOsx
   }, {
-    label: 'Quit',
+    label: t('menu.file.quit'),
     accelerator: keybindings.getAccelerator('fileQuit'),
     visible: notOsx,
     click: app.quit
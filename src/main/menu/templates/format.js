@@ -1,12 +1,13 @@
 import * as actions from '../actions/format'
+import { t } from 'common/i18n'
 
 export default function (keybindings) {
   return {
     id: 'formatMenuItem',
-    label: 'Format',
+    label: t('menu.format.format'),
     submenu: [{
       id: 'strongMenuItem',
-      label: 'Strong',
+      label: t('menu.format.strong'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatStrong'),
       click (menuItem, browserWindow) {
@@ -14,7 +15,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'emphasisMenuItem',
-      label: 'Emphasis',
+      label: t('menu.format.emphasis'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatEmphasis'),
       click (menuItem, browserWindow) {
@@ -22,7 +23,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'underlineMenuItem',
-      label: 'Underline',
+      label: t('menu.format.underline'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatUnderline'),
       click (menuItem, browserWindow) {
@@ -32,14 +33,14 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'superscriptMenuItem',
-      label: 'Superscript',
+      label: t('menu.format.superscript'),
       type: 'checkbox',
       click (menuItem, browserWindow) {
         actions.format(browserWindow, 'sup')
       }
     }, {
       id: 'subscriptMenuItem',
-      label: 'Subscript',
+      label: t('menu.format.subscript'),
       type: 'checkbox',
       click (menuItem, browserWindow) {
         actions.format(browserWindow, 'sub')
@@ -48,7 +49,7 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'inlineCodeMenuItem',
-      label: 'Inline Code',
+      label: t('menu.format.inlineCode'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatInlineCode'),
       click (menuItem, browserWindow) {
@@ -56,7 +57,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'inlineMathMenuItem',
-      label: 'Inline Math',
+      label: t('menu.format.inlineMath'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatInlineMath'),
       click (menuItem, browserWindow) {
@@ -66,7 +67,7 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'strikeMenuItem',
-      label: 'Strike',
+      label: t('menu.format.strike'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatStrike'),
       click (menuItem, browserWindow) {
@@ -74,7 +75,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'hyperlinkMenuItem',
-      label: 'Hyperlink',
+      label: t('menu.format.hyperlink'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatHyperlink'),
       click (menuItem, browserWindow) {
@@ -82,7 +83,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'imageMenuItem',
-      label: 'Image',
+      label: t('menu.format.image'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('formatImage'),
       click (menuItem, browserWindow) {
@@ -91,7 +92,7 @@ export default function (keybindings) {
     }, {
       type: 'separator'
     }, {
-      label: 'Clear Format',
+      label: t('menu.format.clearFormat'),
       accelerator: keybindings.getAccelerator('formatClearFormat'),
       click (menuItem, browserWindow) {
         actions.format(browserWindow, 'clear')
@@ -3,47 +3,48 @@ import { shell } from 'electron'
 import * as actions from '../actions/help'
 import { checkUpdates } from '../actions/marktext'
 import { isFile } from '../../filesystem'
+import { t } from 'common/i18n'
 
 export default function () {
   const helpMenu = {
-    label: 'Help',
+    label: t('menu.help.help'),
     role: 'help',
     submenu: [{
-      label: 'Learn More',
+      label: t('menu.help.learnMore'),
       click () {
         shell.openExternal('https://marktext.app')
       }
     }, {
-      label: 'Source Code on GitHub',
+      label: t('menu.help.sourceCodeOnGitHub'),
       click () {
         shell.openExternal('https://github.com/marktext/marktext')
       }
     }, {
-      label: 'Changelog',
+      label: t('menu.help.changelog'),
       click () {
         shell.openExternal('https://github.com/marktext/marktext/blob/master/.github/CHANGELOG.md')
       }
     }, {
-      label: 'Markdown syntax',
+      label: t('menu.help.markdownSyntax'),
       click () {
         shell.openExternal('https://spec.commonmark.org/0.29/')
       }
     }, {
       type: 'separator'
     }, {
-      label: 'Feedback via Twitter',
+      label: t('menu.help.feedbackViaTwitter'),
       click (item, win) {
         actions.showTweetDialog(win, 'twitter')
       }
     }, {
-      label: 'Report Issue or Feature request',
+      label: t('menu.help.reportIssueOrFeatureRequest'),
       click () {
         shell.openExternal('https://github.com/marktext/marktext/issues')
       }
     }, {
       type: 'separator'
     }, {
-      label: 'Follow @Jocs on Github',
+      label: t('menu.help.followJocsOnGithub'),
       click () {
         shell.openExternal('https://github.com/Jocs')
       }
@@ -55,7 +56,7 @@ export default function () {
     helpMenu.submenu.push({
       type: 'separator'
     }, {
-      label: 'Check for updates...',
+      label: t('menu.help.checkForUpdates'),
       click (menuItem, browserWindow) {
         checkUpdates(menuItem, browserWindow)
       }
@@ -66,7 +67,7 @@ export default function () {
     helpMenu.submenu.push({
       type: 'separator'
     }, {
-      label: 'About Mark Text',
+      label: t('menu.help.aboutMarkText'),
       click (menuItem, browserWindow) {
         actions.showAboutDialog(browserWindow)
       }
@@ -7,6 +7,7 @@ import window from './window'
 import paragraph from './paragraph'
 import format from './format'
 import theme from './theme'
+import plugin, { addPluginMenuItems } from './plugin'
 
 export dockMenu from './dock'
 
@@ -27,18 +28,39 @@ export const configSettingMenu = (keybindings) => {
  *
  * @param {Keybindings} keybindings The keybindings instance.
  * @param {Preference} preferences The preference instance.
+ * @param {IUserTheme[]} userThemes The user themes.
  * @param {string[]} recentlyUsedFiles The recently used files.
+ * @param {{names: string[], activeSession: string}} sessions The saved sessions.
+ * @param {IPlugin[]} [plugins] The enabled plugins.
  */
-export default function (keybindings, preferences, recentlyUsedFiles) {
+export default function (keybindings, preferences, userThemes, recentlyUsedFiles, sessions, plugins = []) {
+  const exportFormats = []
+  for (const { contributes } of plugins) {
+    exportFormats.push(...contributes.exportFormats)
+  }
+
+  const menus = {
+    file: file(keybindings, preferences, recentlyUsedFiles, sessions, exportFormats),
+    edit: edit(keybindings, preferences),
+    paragraph: paragraph(keybindings),
+    format: format(keybindings),
+    window: window(keybindings),
+    view: view(keybindings),
+    help: help()
+  }
+  addPluginMenuItems(menus, keybindings, plugins)
+  const pluginMenu = plugin(keybindings, plugins)
+
   return [
     ...(process.platform === 'darwin' ? [ marktext(keybindings) ] : []),
-    file(keybindings, preferences, recentlyUsedFiles),
-    edit(keybindings, preferences),
-    paragraph(keybindings),
-    format(keybindings),
-    window(keybindings),
-    theme(preferences),
-    view(keybindings),
-    help()
+    menus.file,
+    menus.edit,
+    menus.paragraph,
+    menus.format,
+    menus.window,
+    theme(preferences, userThemes),
+    menus.view,
+    ...(pluginMenu ? [ pluginMenu ] : []),
+    menus.help
   ]
 }
@@ -1,22 +1,23 @@
 import { app } from 'electron'
 import { showAboutDialog } from '../actions/help'
 import * as actions from '../actions/marktext'
+import { t } from 'common/i18n'
 
 export default function (keybindings) {
   return {
     label: 'Mark Text',
     submenu: [{
-      label: 'About Mark Text',
+      label: t('menu.marktext.aboutMarkText'),
       click (menuItem, browserWindow) {
         showAboutDialog(browserWindow)
       }
     }, {
-      label: 'Check for updates...',
+      label: t('menu.marktext.checkForUpdates'),
       click (menuItem, browserWindow) {
         actions.checkUpdates(menuItem, browserWindow)
       }
     }, {
-      label: 'Preferences',
+      label: t('menu.marktext.preferences'),
       accelerator: keybindings.getAccelerator('filePreferences'),
       click (menuItem, browserWindow) {
         actions.userSetting(menuItem, browserWindow)
@@ -24,26 +25,26 @@ export default function (keybindings) {
     }, {
       type: 'separator'
     }, {
-      label: 'Services',
+      label: t('menu.marktext.services'),
       role: 'services',
       submenu: []
     }, {
       type: 'separator'
     }, {
-      label: 'Hide Mark Text',
+      label: t('menu.marktext.hideMarkText'),
       accelerator: keybindings.getAccelerator('mtHide'),
       role: 'hide'
     }, {
-      label: 'Hide Others',
+      label: t('menu.marktext.hideOthers'),
       accelerator: keybindings.getAccelerator('mtHideOthers'),
       role: 'hideothers'
     }, {
-      label: 'Show All',
+      label: t('menu.marktext.showAll'),
       role: 'unhide'
     }, {
       type: 'separator'
     }, {
-      label: 'Quit Mark Text',
+      label: t('menu.marktext.quitMarkText'),
       accelerator: keybindings.getAccelerator('fileQuit'),
       click: app.quit
     }]
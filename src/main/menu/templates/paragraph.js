@@ -1,12 +1,13 @@
 import * as actions from '../actions/paragraph'
+import { t } from 'common/i18n'
 
 export default function (keybindings) {
   return {
     id: 'paragraphMenuEntry',
-    label: 'Paragraph',
+    label: t('menu.paragraph.paragraph'),
     submenu: [{
       id: 'heading1MenuItem',
-      label: 'Heading 1',
+      label: t('menu.paragraph.heading1'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHeading1'),
       click (menuItem, browserWindow) {
@@ -14,7 +15,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'heading2MenuItem',
-      label: 'Heading 2',
+      label: t('menu.paragraph.heading2'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHeading2'),
       click (menuItem, browserWindow) {
@@ -22,7 +23,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'heading3MenuItem',
-      label: 'Heading 3',
+      label: t('menu.paragraph.heading3'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHeading3'),
       click (menuItem, browserWindow) {
@@ -30,7 +31,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'heading4MenuItem',
-      label: 'Heading 4',
+      label: t('menu.paragraph.heading4'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHeading4'),
       click (menuItem, browserWindow) {
@@ -38,7 +39,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'heading5MenuItem',
-      label: 'Heading 5',
+      label: t('menu.paragraph.heading5'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHeading5'),
       click (menuItem, browserWindow) {
@@ -46,7 +47,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'heading6MenuItem',
-      label: 'Heading 6',
+      label: t('menu.paragraph.heading6'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHeading6'),
       click (menuItem, browserWindow) {
@@ -56,14 +57,14 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'upgradeHeadingMenuItem',
-      label: 'Upgrade Heading',
+      label: t('menu.paragraph.upgradeHeading'),
       accelerator: keybindings.getAccelerator('paragraphUpgradeHeading'),
       click (menuItem, browserWindow) {
         actions.paragraph(browserWindow, 'upgrade heading')
       }
     }, {
       id: 'degradeHeadingMenuItem',
-      label: 'Degrade Heading',
+      label: t('menu.paragraph.degradeHeading'),
       accelerator: keybindings.getAccelerator('paragraphDegradeHeading'),
       click (menuItem, browserWindow) {
         actions.paragraph(browserWindow, 'degrade heading')
@@ -72,7 +73,7 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'tableMenuItem',
-      label: 'Table',
+      label: t('menu.paragraph.table'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphTable'),
       click (menuItem, browserWindow) {
@@ -80,7 +81,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'codeFencesMenuItem',
-      label: 'Code Fences',
+      label: t('menu.paragraph.codeFences'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphCodeFence'),
       click (menuItem, browserWindow) {
@@ -88,7 +89,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'quoteBlockMenuItem',
-      label: 'Quote Block',
+      label: t('menu.paragraph.quoteBlock'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphQuoteBlock'),
       click (menuItem, browserWindow) {
@@ -96,7 +97,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'mathBlockMenuItem',
-      label: 'Math Block',
+      label: t('menu.paragraph.mathBlock'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphMathBlock'),
       click (menuItem, browserWindow) {
@@ -104,7 +105,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'htmlBlockMenuItem',
-      label: 'Html Block',
+      label: t('menu.paragraph.htmlBlock'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHtmlBlock'),
       click (menuItem, browserWindow) {
@@ -114,7 +115,7 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'orderListMenuItem',
-      label: 'Order List',
+      label: t('menu.paragraph.orderList'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphOrderList'),
       click (menuItem, browserWindow) {
@@ -122,7 +123,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'bulletListMenuItem',
-      label: 'Bullet List',
+      label: t('menu.paragraph.bulletList'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphBulletList'),
       click (menuItem, browserWindow) {
@@ -130,7 +131,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'taskListMenuItem',
-      label: 'Task List',
+      label: t('menu.paragraph.taskList'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphTaskList'),
       click (menuItem, browserWindow) {
@@ -140,7 +141,7 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'looseListItemMenuItem',
-      label: 'Loose List Item',
+      label: t('menu.paragraph.looseListItem'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphLooseListItem'),
       click (menuItem, browserWindow) {
@@ -150,7 +151,7 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'paragraphMenuItem',
-      label: 'Paragraph',
+      label: t('menu.paragraph.paragraph'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphParagraph'),
       click (menuItem, browserWindow) {
@@ -158,7 +159,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'horizontalLineMenuItem',
-      label: 'Horizontal Line',
+      label: t('menu.paragraph.horizontalLine'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphHorizontalLine'),
       click (menuItem, browserWindow) {
@@ -166,7 +167,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'frontMatterMenuItem',
-      label: 'YAML Front Matter',
+      label: t('menu.paragraph.yamlFrontMatter'),
       type: 'checkbox',
       accelerator: keybindings.getAccelerator('paragraphYAMLFrontMatter'),
       click (menuItem, browserWindow) {
@@ -0,0 +1,69 @@
+import * as actions from '../actions/plugin'
+import { t } from 'common/i18n'
+
+const createCommandItem = (keybindings, command, registerAccelerator) => {
+  return {
+    label: command.title,
+    accelerator: keybindings.getAccelerator(command.id),
+    registerAccelerator,
+    click (menuItem, browserWindow) {
+      actions.runCommand(browserWindow, command.id)
+    }
+  }
+}
+
+/**
+ * Append the contributed menu items of plugins to the application menus.
+ *
+ * @param {Object.<string, Object>} menus The menu templates by `PLUGIN_MENUS` name.
+ * @param {Keybindings} keybindings The keybindings instance.
+ * @param {IPlugin[]} plugins The enabled plugins.
+ */
+export const addPluginMenuItems = (menus, keybindings, plugins) => {
+  const items = new Map()
+  for (const { contributes } of plugins) {
+    for (const { menu, command: id } of contributes.menus) {
+      const command = contributes.commands.find(c => c.id === id)
+      if (!items.has(menu)) {
+        items.set(menu, [])
+      }
+      // Shortcuts are handled by the item in the plugins menu.
+      items.get(menu).push(createCommandItem(keybindings, command, false))
+    }
+  }
+
+  for (const [name, menuItems] of items) {
+    menus[name].submenu.push({ type: 'separator' }, ...menuItems)
+  }
+}
+
+/**
+ * Create the plugins menu that lists the commands of all plugins.
+ *
+ * @param {Keybindings} keybindings The keybindings instance.
+ * @param {IPlugin[]} plugins The enabled plugins.
+ * @returns {Object|null} The menu or `null` if no plugin has commands.
+ */
+export default function (keybindings, plugins) {
+  const submenu = plugins
+    .filter(plugin => plugin.contributes.commands.length > 0)
+    .map(plugin => ({
+      label: plugin.name,
+      submenu: plugin.contributes.commands.map(command => createCommandItem(keybindings, command, true))
+    }))
+
+  if (submenu.length === 0) {
+    return null
+  }
+  return {
+    label: t('menu.plugins.plugins'),
+    submenu: [...submenu, {
+      type: 'separator'
+    }, {
+      label: t('menu.plugins.openPluginsFolder'),
+      click () {
+        actions.openPluginsFolder()
+      }
+    }]
+  }
+}
@@ -1,9 +1,10 @@
 import * as actions from '../actions/theme'
+import { t } from 'common/i18n'
 
-export default function (userPreference) {
+export default function (userPreference, userThemes) {
   const { theme } = userPreference.getAll()
   return {
-    label: 'Theme',
+    label: t('menu.theme.theme'),
     id: 'themeMenu',
     submenu: [{
       label: 'Cadmium Light',
@@ -53,6 +54,14 @@ export default function (userPreference) {
       click (menuItem, browserWindow) {
         actions.selectTheme('ulysses')
       }
-    }]
+    }, ...userThemes.map(({ id, name }) => ({
+      label: name,
+      type: 'radio',
+      id,
+      checked: theme === id,
+      click (menuItem, browserWindow) {
+        actions.selectTheme(id)
+      }
+    }))]
   }
 }
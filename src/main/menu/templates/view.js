@@ -1,11 +1,12 @@
 import * as actions from '../actions/view'
 import { isOsx } from '../../config'
+import { t } from 'common/i18n'
 
 export default function (keybindings) {
   let viewMenu = {
-    label: 'View',
+    label: t('menu.view.view'),
     submenu: [{
-      label: 'Toggle Full Screen',
+      label: t('menu.view.toggleFullScreen'),
       accelerator: keybindings.getAccelerator('viewToggleFullScreen'),
       click (item, focusedWindow) {
         if (focusedWindow) {
@@ -16,7 +17,7 @@ export default function (keybindings) {
       type: 'separator'
     }, {
       id: 'sourceCodeModeMenuItem',
-      label: 'Source Code Mode',
+      label: t('menu.view.sourceCodeMode'),
       accelerator: keybindings.getAccelerator('viewSourceCodeMode'),
       type: 'checkbox',
       checked: false,
@@ -27,9 +28,22 @@ export default function (keybindings) {
         }
         actions.typeMode(browserWindow, 'sourceCode', item)
       }
+    }, {
+      id: 'splitViewMenuItem',
+      label: t('menu.view.splitView'),
+      accelerator: keybindings.getAccelerator('viewSplitView'),
+      type: 'checkbox',
+      checked: false,
+      click (item, browserWindow, event) {
+        // if we call this function, the checked state is not set
+        if (!event) {
+          item.checked = !item.checked
+        }
+        actions.typeMode(browserWindow, 'splitView', item)
+      }
     }, {
       id: 'typewriterModeMenuItem',
-      label: 'Typewriter Mode',
+      label: t('menu.view.typewriterMode'),
       accelerator: keybindings.getAccelerator('viewTypewriterMode'),
       type: 'checkbox',
       checked: false,
@@ -42,7 +56,7 @@ export default function (keybindings) {
       }
     }, {
       id: 'focusModeMenuItem',
-      label: 'Focus Mode',
+      label: t('menu.view.focusMode'),
       accelerator: keybindings.getAccelerator('viewFocusMode'),
       type: 'checkbox',
       checked: false,
@@ -56,7 +70,31 @@ export default function (keybindings) {
     }, {
       type: 'separator'
     }, {
-      label: 'Toggle Side Bar',
+      label: t('menu.view.folding'),
+      submenu: [{
+        label: t('menu.view.foldAll'),
+        accelerator: keybindings.getAccelerator('viewFoldAll'),
+        click (item, browserWindow) {
+          actions.foldHeadings(browserWindow, 1)
+        }
+      }, {
+        label: t('menu.view.unfoldAll'),
+        accelerator: keybindings.getAccelerator('viewUnfoldAll'),
+        click (item, browserWindow) {
+          actions.foldHeadings(browserWindow, 0)
+        }
+      }, {
+        type: 'separator'
+      }, ...[2, 3, 4, 5, 6].map(level => ({
+        label: t('menu.view.unfoldToLevel', { level }),
+        click (item, browserWindow) {
+          actions.foldHeadings(browserWindow, level)
+        }
+      }))]
+    }, {
+      type: 'separator'
+    }, {
+      label: t('menu.view.toggleSideBar'),
       id: 'sideBarMenuItem',
       accelerator: keybindings.getAccelerator('viewToggleSideBar'),
       type: 'checkbox',
@@ -70,7 +108,7 @@ export default function (keybindings) {
         actions.layout(item, browserWindow, 'showSideBar')
       }
     }, {
-      label: 'Toggle Tab Bar',
+      label: t('menu.view.toggleTabBar'),
       id: 'tabBarMenuItem',
       accelerator: keybindings.getAccelerator('viewToggleTabBar'),
       type: 'checkbox',
@@ -85,13 +123,32 @@ export default function (keybindings) {
       }
     }, {
       type: 'separator'
+    }, {
+      label: t('menu.view.splitEditorRight'),
+      accelerator: keybindings.getAccelerator('viewSplitEditorRight'),
+      click (item, browserWindow) {
+        actions.editorGroup(browserWindow, 'splitRight')
+      }
+    }, {
+      label: t('menu.view.splitEditorDown'),
+      accelerator: keybindings.getAccelerator('viewSplitEditorDown'),
+      click (item, browserWindow) {
+        actions.editorGroup(browserWindow, 'splitDown')
+      }
+    }, {
+      label: t('menu.view.closeEditorGroup'),
+      click (item, browserWindow) {
+        actions.editorGroup(browserWindow, 'close')
+      }
+    }, {
+      type: 'separator'
     }]
   }
 
   if (global.MARKTEXT_DEBUG) {
     // add devtool when development
     viewMenu.submenu.push({
-      label: 'Toggle Developer Tools',
+      label: t('menu.view.toggleDeveloperTools'),
       accelerator: keybindings.getAccelerator('viewDevToggleDeveloperTools'),
       click (item, focusedWindow) {
         if (focusedWindow) {
@@ -101,7 +158,7 @@ export default function (keybindings) {
     })
     // add reload when development
     viewMenu.submenu.push({
-      label: 'Reload',
+      label: t('menu.view.reload'),
       accelerator: keybindings.getAccelerator('viewDevReload'),
       click (item, focusedWindow) {
         if (focusedWindow) {
@@ -115,7 +172,7 @@ export default function (keybindings) {
     viewMenu.submenu.push({
       type: 'separator'
     }, {
-      label: 'Bring All to Front',
+      label: t('menu.view.bringAllToFront'),
       role: 'front'
     })
   }
@@ -1,16 +1,17 @@
 import { toggleAlwaysOnTop } from '../actions/window'
+import { t } from 'common/i18n'
 
 export default function (keybindings) {
   return {
-    label: 'Window',
+    label: t('menu.window.window'),
     role: 'window',
     submenu: [{
-      label: 'Minimize',
+      label: t('menu.window.minimize'),
       accelerator: keybindings.getAccelerator('windowMinimize'),
       role: 'minimize'
     }, {
       id: 'alwaysOnTopMenuItem',
-      label: 'Always on Top',
+      label: t('menu.window.alwaysOnTop'),
       type: 'checkbox',
       click (menuItem, browserWindow) {
         toggleAlwaysOnTop(browserWindow)
@@ -18,7 +19,7 @@ export default function (keybindings) {
     }, {
       type: 'separator'
     }, {
-      label: 'Close Window',
+      label: t('menu.window.closeWindow'),
       accelerator: keybindings.getAccelerator('windowCloseWindow'),
       role: 'close'
     }]
@@ -0,0 +1,214 @@
+import crypto from 'crypto'
+import fs from 'fs-extra'
+import path from 'path'
+import { BrowserWindow } from 'electron'
+import log from 'electron-log'
+
+// Plugins that don't finish loading within this time are stopped.
+const LOAD_TIMEOUT = 10000
+
+// Chromium doesn't load longer URLs, see `_createPage`.
+const MAX_URL_LENGTH = 2 * 1024 * 1024
+
+/**
+ * The contributions that a plugin script registered in the plugin host.
+ *
+ * @typedef {Object} IPluginLoadResult
+ * @property {string} id The plugin id.
+ * @property {string|null} error The error message if the script failed.
+ * @property {string[]} commands The registered command ids.
+ * @property {string[]} sidebarPanels The registered side bar panel ids.
+ * @property {string[]} exportFormats The registered export format ids.
+ * @property {Object[]} syntaxes The serialized syntax plugins, see `static/pluginHost/api.js`.
+ */
+
+const getScriptHash = script => {
+  return `'sha256-${crypto.createHash('sha256').update(script).digest('base64')}'`
+}
+
+// Scripts are inlined into the host page, so they must not end the script element. The
+// HTML parser also normalizes line endings before the script hash is checked.
+const toInlineScript = script => {
+  return script.replace(/\r\n?/g, '\n').replace(/<(\/script|!--)/gi, '<\\$1')
+}
+
+/**
+ * A hidden window without Node.js integration that runs the script of one plugin for one
+ * editor window. Every plugin has its own page, so plugins cannot access each other. The
+ * page only talks to the main process through the IPC messages of its preload script,
+ * see `static/pluginHost`.
+ */
+class PluginHost {
+
+  /**
+   * @param {Electron.WebContents} editorContents The web contents of the editor window.
+   * @param {IPlugin} plugin The plugin with its script.
+   */
+  constructor (editorContents, plugin) {
+    this.editorContents = editorContents
+    this.plugin = plugin
+    this.win = null
+    this._loading = null
+    this._pendingRequests = new Set()
+  }
+
+  /**
+   * @returns {number} The id of the host web contents or -1 if the host is destroyed.
+   */
+  get contentsId () {
+    const { win } = this
+    return win && !win.isDestroyed() ? win.webContents.id : -1
+  }
+
+  /**
+   * Run the plugin script in a new host page.
+   *
+   * @returns {Promise<IPluginLoadResult>}
+   */
+  async load () {
+    const url = await this._createPage()
+    if (url.length > MAX_URL_LENGTH) {
+      throw new Error('The plugin script is too large.')
+    }
+
+    const win = this.win = new BrowserWindow({
+      show: false,
+      webPreferences: {
+        nodeIntegration: false,
+        contextIsolation: true,
+        sandbox: true,
+        preload: path.join(__static, 'pluginHost/preload.js')
+      }
+    })
+    const { webContents } = win
+
+    // The host page must not be replaced by a plugin.
+    webContents.on('will-navigate', event => event.preventDefault())
+    webContents.on('new-window', event => event.preventDefault())
+    webContents.on('crashed', () => {
+      log.error(`The plugin host of "${this.plugin.id}" crashed.`)
+      this._fail(new Error('The plugin host crashed.'))
+      this.destroy()
+    })
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        this._fail(new Error('The plugin was not loaded in time.'))
+      }, LOAD_TIMEOUT)
+      this._loading = { resolve, reject, timer }
+
+      const { id, name, version, contributes } = this.plugin
+      webContents.once('did-finish-load', () => {
+        webContents.send('mt::plugin-host-load', { id, name, version, contributes })
+      })
+      webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
+        this._fail(new Error(errorDescription))
+      })
+      win.loadURL(url)
+    })
+  }
+
+  /**
+   * Called when the host page ran the plugin script.
+   *
+   * @param {IPluginLoadResult} result
+   */
+  loaded (result) {
+    const { _loading } = this
+    if (_loading) {
+      this._loading = null
+      clearTimeout(_loading.timer)
+      if (result && result.id === this.plugin.id) {
+        _loading.resolve(result)
+      } else {
+        _loading.reject(new Error('Invalid plugin load result.'))
+      }
+    }
+  }
+
+  /**
+   * Forward a request of the editor window, e.g. to run a command.
+   *
+   * @param {{requestId: number, pluginId: string, type: string, data: Object}} request
+   */
+  request (request) {
+    const { requestId, type, data } = request
+    if (this.contentsId === -1) {
+      this._sendResponse({ requestId, error: 'The plugin is not loaded.' })
+      return
+    }
+    this._pendingRequests.add(requestId)
+    this.win.webContents.send('mt::plugin-host-request', { requestId, type, data })
+  }
+
+  /**
+   * Forward the response of the host page to the editor window. Only responses to requests
+   * that were sent to this host are accepted.
+   *
+   * @param {{requestId: number, result?: *, error?: string}} response
+   */
+  response (response) {
+    if (this._pendingRequests.delete(response.requestId)) {
+      this._sendResponse(response)
+    }
+  }
+
+  destroy () {
+    this._fail(new Error('The plugin was unloaded.'))
+    const { win } = this
+    this.win = null
+    if (win && !win.isDestroyed()) {
+      win.destroy()
+    }
+  }
+
+  // --- private ---------------------------------
+
+  /**
+   * Returns the data URL of the host page. The page has an opaque origin and its content
+   * security policy only allows the plugin API and the plugin script, so the plugin cannot
+   * load other scripts or access local files and the network.
+   */
+  async _createPage () {
+    const { id, script } = this.plugin
+    const apiScript = toInlineScript(await fs.readFile(path.join(__static, 'pluginHost/api.js'), 'utf8'))
+    const pluginScript = toInlineScript(`window.__runPlugin(function (marktext, module, exports) {\n${script}\n})\n//# sourceURL=plugins/${id}.js`)
+    const csp = `default-src 'none'; script-src ${getScriptHash(apiScript)} ${getScriptHash(pluginScript)}`
+    const html = `<!DOCTYPE html>
+<html>
+  <head>
+    <meta charset="utf-8">
+    <meta http-equiv="Content-Security-Policy" content="${csp}">
+    <title>Mark Text Plugin</title>
+  </head>
+  <body>
+    <script>${apiScript}</script>
+    <script>${pluginScript}</script>
+  </body>
+</html>`
+    return `data:text/html;charset=utf-8;base64,${Buffer.from(html).toString('base64')}`
+  }
+
+  _sendResponse (response) {
+    const { editorContents } = this
+    if (!editorContents.isDestroyed()) {
+      editorContents.send('mt::plugin-response', response)
+    }
+  }
+
+  // Reject the loading and all pending requests.
+  _fail (err) {
+    const { _loading } = this
+    if (_loading) {
+      this._loading = null
+      clearTimeout(_loading.timer)
+      _loading.reject(err)
+    }
+    for (const requestId of this._pendingRequests) {
+      this._sendResponse({ requestId, error: err.message })
+    }
+    this._pendingRequests.clear()
+  }
+}
+
+export default PluginHost
@@ -0,0 +1,349 @@
+import path from 'path'
+import fs from 'fs-extra'
+import EventEmitter from 'events'
+import chokidar from 'chokidar'
+import { BrowserWindow, dialog, ipcMain, shell } from 'electron'
+import log from 'electron-log'
+import { t } from 'common/i18n'
+import { ensureDirSync, writeFile } from '../filesystem'
+import { getPath, getRecommendTitleFromMarkdownString } from '../utils'
+import { PLUGIN_MANIFEST, parseManifest } from './manifest'
+import PluginHost from './host'
+
+// Wait until a plugin is completely written before reloading it.
+const RELOAD_DELAY = 300
+
+/**
+ * A loaded plugin.
+ *
+ * @typedef {Object} IPlugin
+ * @property {string} id The plugin id (folder name).
+ * @property {string} name The plugin name.
+ * @property {string} version The plugin version.
+ * @property {string} description The plugin description.
+ * @property {boolean} enabled Whether the plugin is enabled in the preferences.
+ * @property {string} script The source code of the main script or an empty string.
+ * @property {IPluginContributions} contributes The contributions of the plugin.
+ */
+
+/**
+ * Load the plugin package in the given folder.
+ *
+ * @param {string} pluginPath The plugin folder.
+ * @returns {IPlugin}
+ */
+export const loadPlugin = pluginPath => {
+  pluginPath = path.resolve(pluginPath)
+  const id = path.basename(pluginPath)
+  const manifest = parseManifest(id, fs.readJsonSync(path.join(pluginPath, PLUGIN_MANIFEST)))
+  let script = ''
+  if (manifest.main) {
+    const pathname = path.resolve(pluginPath, manifest.main)
+    if (!pathname.startsWith(pluginPath + path.sep)) {
+      throw new Error(`"${manifest.main}" is outside of the plugin folder.`)
+    }
+    script = fs.readFileSync(pathname, 'utf8')
+  }
+
+  const { name, version, description, contributes } = manifest
+  return { id, name, version, description, enabled: true, script, contributes }
+}
+
+// The plugin information that is sent to all windows, scripts are only sent to plugin hosts.
+const getPluginInfo = ({ script, ...info }) => info
+
+/**
+ * Discovers the plugins in the `plugins` folder. Plugin scripts never run in the main
+ * process or an editor window, every plugin is run by its own sandboxed plugin host for
+ * each editor window and the editor window talks to the hosts only through the IPC API
+ * of this class.
+ */
+class PluginManager extends EventEmitter {
+
+  /**
+   * @param {AppPaths} paths The path instance.
+   * @param {Preference} preferences The preferences instance.
+   * @param {Keybindings} keybindings The keybindings instance.
+   * @param {boolean} safeMode Whether plugins are disabled.
+   */
+  constructor (paths, preferences, keybindings, safeMode) {
+    super()
+
+    this.pluginsPath = paths.pluginsPath
+    this.safeMode = safeMode
+    this._preferences = preferences
+    this._keybindings = keybindings
+    this._plugins = []
+    this._watcher = null
+    this._reloadTimer = null
+    // editor web contents id --> (plugin id --> plugin host)
+    this._hosts = new Map()
+    this._editorIds = new Set()
+
+    ensureDirSync(this.pluginsPath)
+    if (safeMode) {
+      log.info('Plugins are disabled in safe mode.')
+    } else {
+      this.reload()
+    }
+    this._listenForIpcMain()
+  }
+
+  /**
+   * Returns all valid plugins.
+   *
+   * @returns {IPlugin[]}
+   */
+  getPlugins () {
+    return this._plugins
+  }
+
+  /**
+   * Returns all plugins that are not disabled in the preferences.
+   *
+   * @returns {IPlugin[]}
+   */
+  getEnabledPlugins () {
+    return this._plugins.filter(plugin => plugin.enabled)
+  }
+
+  /**
+   * @param {string} id The export format id.
+   * @returns {{id: string, title: string, extension: string}|undefined} The export format of an enabled plugin.
+   */
+  getExportFormat (id) {
+    for (const plugin of this.getEnabledPlugins()) {
+      const format = plugin.contributes.exportFormats.find(f => f.id === id)
+      if (format) {
+        return format
+      }
+    }
+  }
+
+  /**
+   * Load all plugins from the `plugins` folder and notify all windows. Changed scripts
+   * are run when an editor window is opened or reloaded.
+   */
+  reload () {
+    const { pluginsPath } = this
+    let names = []
+    try {
+      names = fs.readdirSync(pluginsPath)
+    } catch (err) {
+      log.error(`Cannot read plugins folder "${pluginsPath}":`, err)
+    }
+
+    const plugins = []
+    for (const name of names) {
+      const pluginPath = path.join(pluginsPath, name)
+      if (!fs.pathExistsSync(path.join(pluginPath, PLUGIN_MANIFEST))) {
+        continue
+      }
+
+      try {
+        plugins.push(loadPlugin(pluginPath))
+      } catch (err) {
+        log.error(`Cannot load plugin "${pluginPath}":`, err)
+      }
+    }
+
+    this._plugins = plugins.sort((a, b) => a.name.localeCompare(b.name))
+    this._setDisabledPlugins(this._preferences.getItem('disabledPlugins'))
+  }
+
+  /**
+   * Watch the `plugins` folder to reload plugins while they are edited.
+   */
+  watch () {
+    if (this._watcher || this.safeMode) {
+      return
+    }
+    this._watcher = chokidar.watch(this.pluginsPath, {
+      ignoreInitial: true,
+      depth: 2
+    })
+    this._watcher.on('all', () => {
+      clearTimeout(this._reloadTimer)
+      this._reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY)
+    })
+    this._watcher.on('error', err => {
+      log.error('Error while watching the plugins folder:', err)
+    })
+  }
+
+  _setDisabledPlugins (disabledPlugins) {
+    const disabled = Array.isArray(disabledPlugins) ? disabledPlugins : []
+    for (const plugin of this._plugins) {
+      plugin.enabled = !disabled.includes(plugin.id)
+    }
+
+    const keybindings = []
+    for (const plugin of this.getEnabledPlugins()) {
+      keybindings.push(...plugin.contributes.keybindings)
+    }
+    this._keybindings.setPluginKeybindings(keybindings)
+
+    this.emit('changed', this._plugins)
+    for (const win of BrowserWindow.getAllWindows()) {
+      win.webContents.send('mt::plugins', this._getState())
+    }
+  }
+
+  _getState () {
+    return {
+      safeMode: this.safeMode,
+      plugins: this._plugins.map(getPluginInfo)
+    }
+  }
+
+  // Run each enabled plugin in a new plugin host of the editor window.
+  async _loadPlugins (editorContents) {
+    const { id } = editorContents
+    if (!this._editorIds.has(id)) {
+      this._editorIds.add(id)
+      editorContents.once('destroyed', () => {
+        this._editorIds.delete(id)
+        this._destroyHosts(id)
+      })
+    }
+    // The editor window may be reloaded.
+    this._destroyHosts(id)
+
+    const hosts = new Map()
+    this._hosts.set(id, hosts)
+    const plugins = this.getEnabledPlugins().filter(plugin => plugin.script)
+    const results = await Promise.all(plugins.map(async plugin => {
+      const host = new PluginHost(editorContents, plugin)
+      hosts.set(plugin.id, host)
+      try {
+        return await host.load()
+      } catch (err) {
+        log.error(`Cannot load plugin "${plugin.id}":`, err)
+        host.destroy()
+        hosts.delete(plugin.id)
+        return { id: plugin.id, error: err.message }
+      }
+    }))
+
+    // The hosts were replaced or destroyed while loading.
+    if (this._hosts.get(id) === hosts && !editorContents.isDestroyed()) {
+      editorContents.send('mt::plugins-loaded', Object.assign(this._getState(), { results }))
+    }
+  }
+
+  _destroyHosts (editorId) {
+    const hosts = this._hosts.get(editorId)
+    if (hosts) {
+      for (const host of hosts.values()) {
+        host.destroy()
+      }
+      this._hosts.delete(editorId)
+    }
+  }
+
+  _getHostOfSender (sender) {
+    for (const hosts of this._hosts.values()) {
+      for (const host of hosts.values()) {
+        if (host.contentsId === sender.id) {
+          return host
+        }
+      }
+    }
+    return null
+  }
+
+  // Write the content that an export format of a plugin created.
+  async _exportFile (win, { format: formatId, content, pathname, markdown }) {
+    const format = this.getExportFormat(formatId)
+    if (!format || typeof content !== 'string') {
+      log.error(`Invalid export of format "${formatId}".`)
+      return
+    }
+
+    const dirname = pathname ? path.dirname(pathname) : getPath('documents')
+    let nakedFilename = getRecommendTitleFromMarkdownString(markdown || '')
+    if (!nakedFilename) {
+      nakedFilename = pathname ? path.basename(pathname, path.extname(pathname)) : 'Untitled'
+    }
+    const filePath = dialog.showSaveDialog(win, {
+      defaultPath: path.join(dirname, `${nakedFilename}${format.extension}`)
+    })
+    if (!filePath) {
+      return
+    }
+
+    try {
+      await writeFile(filePath, content, format.extension)
+      win.webContents.send('AGANI::export-success', { type: format.id, filePath })
+    } catch (err) {
+      log.error(err)
+      win.webContents.send('AGANI::show-notification', {
+        title: t('dialog.exportError.title'),
+        type: 'error',
+        message: err.message || t('dialog.exportError.message', { filePath })
+      })
+    }
+  }
+
+  _listenForIpcMain () {
+    ipcMain.on('mt::ask-for-plugins', e => {
+      e.sender.send('mt::plugins', this._getState())
+    })
+
+    // Editor windows load the plugins before the editor is created.
+    ipcMain.on('mt::load-plugins', e => {
+      this._loadPlugins(e.sender)
+    })
+
+    ipcMain.on('mt::plugin-request', (e, request) => {
+      const hosts = this._hosts.get(e.sender.id)
+      const host = hosts ? hosts.get(request.pluginId) : null
+      if (host) {
+        host.request(request)
+      } else {
+        e.sender.send('mt::plugin-response', { requestId: request.requestId, error: 'The plugin is not loaded.' })
+      }
+    })
+
+    // Messages of the plugin hosts, the sender must be a known host.
+    ipcMain.on('mt::plugin-host-loaded', (e, result) => {
+      const host = this._getHostOfSender(e.sender)
+      if (host) {
+        host.loaded(result)
+      }
+    })
+
+    ipcMain.on('mt::plugin-host-response', (e, response) => {
+      const host = this._getHostOfSender(e.sender)
+      if (host && response) {
+        host.response(response)
+      }
+    })
+
+    ipcMain.on('mt::plugin-host-notify', (e, options) => {
+      const host = this._getHostOfSender(e.sender)
+      if (host && !host.editorContents.isDestroyed()) {
+        host.editorContents.send('mt::plugin-notify', options)
+      }
+    })
+
+    ipcMain.on('mt::open-plugins-folder', () => {
+      shell.openItem(this.pluginsPath)
+    })
+
+    ipcMain.on('mt::save-plugin-export', (e, data) => {
+      const win = BrowserWindow.fromWebContents(e.sender)
+      if (win) {
+        this._exportFile(win, data || {})
+      }
+    })
+
+    ipcMain.on('broadcast-preferences-changed', prefs => {
+      if (prefs.disabledPlugins !== undefined && !this.safeMode) {
+        this._setDisabledPlugins(prefs.disabledPlugins)
+      }
+    })
+  }
+}
+
+export default PluginManager
@@ -0,0 +1,137 @@
+// The manifest file of a plugin package.
+export const PLUGIN_MANIFEST = 'plugin.json'
+
+// Menus that plugins can add items to.
+export const PLUGIN_MENUS = ['file', 'edit', 'paragraph', 'format', 'window', 'view', 'help']
+
+const PLUGIN_ID_REG = /^[a-z0-9][a-z0-9_-]*$/
+const CONTRIBUTION_ID_REG = /^[a-zA-Z0-9_-]+$/
+const EXTENSION_REG = /^\.?[a-zA-Z0-9]+$/
+
+/**
+ * The manifest (`plugin.json`) of a plugin package. A plugin package is a folder in the
+ * `plugins` directory of the user data directory and the folder name is the plugin id.
+ * The ids of commands, side bar panels and export formats must start with `<plugin id>.`.
+ *
+ * @typedef {Object} IPluginManifest
+ * @property {string} name The plugin name that is shown to the user.
+ * @property {string} [version] The plugin version.
+ * @property {string} [description] A short description.
+ * @property {string} [main] The script that is run in the editor window, relative to the plugin folder.
+ * @property {Object} [contributes] The contributions of the plugin.
+ * @property {{id: string, title: string}[]} [contributes.commands] Commands that are implemented by the script.
+ * @property {{menu: string, command: string}[]} [contributes.menus] Menu items of commands, `menu` is one of `PLUGIN_MENUS`.
+ * @property {{command: string, key: string}[]} [contributes.keybindings] Default key bindings of commands.
+ * @property {{id: string, title: string}[]} [contributes.sidebarPanels] Side bar panels that are rendered by the script.
+ * @property {{id: string, title: string, extension: string}[]} [contributes.exportFormats] Export formats that are
+ *           created by the script.
+ */
+
+/**
+ * The contributions of a plugin.
+ *
+ * @typedef {Object} IPluginContributions
+ * @property {{id: string, title: string}[]} commands
+ * @property {{menu: string, command: string}[]} menus
+ * @property {{command: string, key: string}[]} keybindings
+ * @property {{id: string, title: string}[]} sidebarPanels
+ * @property {{id: string, title: string, extension: string}[]} exportFormats
+ */
+
+const getString = (value, name) => {
+  if (typeof value !== 'string' || !value.trim()) {
+    throw new Error(`"${name}" must be a non-empty string.`)
+  }
+  return value.trim()
+}
+
+const getList = (contributes, name) => {
+  const list = contributes[name]
+  if (list === undefined) {
+    return []
+  } else if (!Array.isArray(list) || list.some(item => !item || typeof item !== 'object')) {
+    throw new Error(`"contributes.${name}" must be a list of objects.`)
+  }
+  return list
+}
+
+/**
+ * Validate the manifest of a plugin.
+ *
+ * @param {string} id The plugin id.
+ * @param {IPluginManifest} manifest The parsed manifest.
+ * @returns {{name: string, version: string, description: string, main: string, contributes: IPluginContributions}}
+ */
+export const parseManifest = (id, manifest) => {
+  if (!PLUGIN_ID_REG.test(id)) {
+    throw new Error(`Invalid plugin id "${id}", use lowercase letters, digits, "-" and "_".`)
+  } else if (!manifest || typeof manifest !== 'object') {
+    throw new Error('The manifest must be an object.')
+  }
+
+  const name = getString(manifest.name, 'name')
+  const { version = '', description = '', main = '', contributes = {} } = manifest
+  if (typeof version !== 'string' || typeof description !== 'string' || typeof main !== 'string') {
+    throw new Error('"version", "description" and "main" must be strings.')
+  } else if (!contributes || typeof contributes !== 'object') {
+    throw new Error('"contributes" must be an object.')
+  }
+
+  const getContributionId = value => {
+    const contributionId = getString(value, 'id')
+    const prefix = `${id}.`
+    if (!contributionId.startsWith(prefix) || !CONTRIBUTION_ID_REG.test(contributionId.substring(prefix.length))) {
+      throw new Error(`Invalid id "${contributionId}", ids must start with "${prefix}".`)
+    }
+    return contributionId
+  }
+
+  const commands = getList(contributes, 'commands').map(command => ({
+    id: getContributionId(command.id),
+    title: getString(command.title, 'title')
+  }))
+  const getCommand = value => {
+    const command = getString(value, 'command')
+    if (!commands.some(c => c.id === command)) {
+      throw new Error(`Unknown command "${command}".`)
+    }
+    return command
+  }
+
+  const menus = getList(contributes, 'menus').map(item => {
+    if (!PLUGIN_MENUS.includes(item.menu)) {
+      throw new Error(`Unknown menu "${item.menu}", use one of ${PLUGIN_MENUS.join(', ')}.`)
+    }
+    return { menu: item.menu, command: getCommand(item.command) }
+  })
+
+  const keybindings = getList(contributes, 'keybindings').map(item => ({
+    command: getCommand(item.command),
+    key: getString(item.key, 'key')
+  }))
+
+  const sidebarPanels = getList(contributes, 'sidebarPanels').map(panel => ({
+    id: getContributionId(panel.id),
+    title: getString(panel.title, 'title')
+  }))
+
+  const exportFormats = getList(contributes, 'exportFormats').map(format => {
+    const extension = getString(format.extension, 'extension')
+    if (!EXTENSION_REG.test(extension)) {
+      throw new Error(`Invalid file extension "${extension}".`)
+    }
+    return {
+      id: getContributionId(format.id),
+      title: getString(format.title, 'title'),
+      extension: extension.startsWith('.') ? extension : `.${extension}`
+    }
+  })
+
+  return {
+    name,
+    version,
+    description,
+    main,
+    contributes: { commands, menus, keybindings, sidebarPanels, exportFormats }
+  }
+}
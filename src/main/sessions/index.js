@@ -0,0 +1,356 @@
+import path from 'path'
+import fs from 'fs-extra'
+import EventEmitter from 'events'
+import { app, BrowserWindow, dialog, ipcMain } from 'electron'
+import log from 'electron-log'
+import { t } from 'common/i18n'
+import { ensureDirSync } from '../filesystem'
+
+export const DEFAULT_SESSION = 'default'
+
+const SESSION_EXTENSION = '.session.json'
+const STATE_FILENAME = 'state.json'
+
+// Write the session after the renderer stopped sending updates.
+const SAVE_DELAY = 1000
+
+/**
+ * A tab of a restored window.
+ *
+ * @typedef {Object} ISessionTab
+ * @property {string} pathname The document path or an empty string for untitled documents.
+ * @property {string} filename The document filename.
+ * @property {string|null} markdown The unsaved document content or null if the document is saved.
+ * @property {IMarkdownDocumentOptions} options The markdown document options.
+ * @property {object|null} cursor The Muya cursor.
+ * @property {number} scrollTop The editor scroll position.
+ */
+
+/**
+ * The state of an editor window.
+ *
+ * @typedef {Object} IWindowSession
+ * @property {string} projectPath The opened folder or an empty string.
+ * @property {ISessionTab[]} tabs The open tabs in order.
+ * @property {number} activeIndex The index of the selected tab.
+ * @property {{rightColumn: string, showSideBar: boolean, showTabBar: boolean, sideBarWidth: number}} layout
+ */
+
+/**
+ * Returns whether the name can be used as session filename.
+ *
+ * @param {string} name The session name.
+ */
+export const isValidSessionName = name => {
+  return typeof name === 'string' && /^[^\\/:*?"<>|.][^\\/:*?"<>|]*$/.test(name)
+}
+
+/**
+ * Keeps the state of all editor windows in a named session. The session is written
+ * while the application is running, so that it can be restored after a crash too.
+ */
+class SessionManager extends EventEmitter {
+
+  /**
+   * @param {AppPaths} paths The path instance.
+   * @param {string} [sessionName] The session to use instead of the last used session.
+   */
+  constructor (paths, sessionName = null) {
+    super()
+
+    this.sessionsPath = paths.sessionsPath
+    this.undoHistoryPath = paths.undoHistoryPath
+    this._statePath = path.join(this.sessionsPath, STATE_FILENAME)
+    this._windows = new Map()
+    this._saveTimer = null
+    this._isQuitting = false
+    this._isStarted = false
+
+    ensureDirSync(this.sessionsPath)
+    const state = this._readState()
+    // The last application run didn't exit cleanly, e.g. due to a crash or power loss.
+    this.crashed = state.clean === false
+    this._restoreOnLaunch = !!state.restoreOnLaunch
+    this.activeSession = isValidSessionName(sessionName)
+      ? sessionName
+      : (isValidSessionName(state.activeSession) ? state.activeSession : DEFAULT_SESSION)
+    this._nextSession = null
+
+    this._listenForIpcMain()
+  }
+
+  /**
+   * Start to record the session, the session is marked as not cleanly exited
+   * until the application quits.
+   */
+  start () {
+    if (this._isStarted) {
+      return
+    }
+    this._isStarted = true
+    this._writeState(false)
+    this._listenForApp()
+    this._pruneUndoHistories()
+  }
+
+  /**
+   * Whether the windows of the session should be restored on launch.
+   *
+   * @param {string} startUp The `startUp` preference.
+   */
+  shouldRestore (startUp) {
+    return startUp === 'lastState' || this.crashed || this._restoreOnLaunch
+  }
+
+  /**
+   * Returns the names of all saved sessions and the active session.
+   *
+   * @returns {string[]}
+   */
+  getSessionNames () {
+    let names = []
+    try {
+      names = fs.readdirSync(this.sessionsPath)
+        .filter(filename => filename.endsWith(SESSION_EXTENSION))
+        .map(filename => filename.slice(0, -SESSION_EXTENSION.length))
+    } catch (err) {
+      log.error('Cannot read sessions folder:', err)
+    }
+    if (!names.includes(this.activeSession)) {
+      names.push(this.activeSession)
+    }
+    return names.sort((a, b) => a.localeCompare(b))
+  }
+
+  /**
+   * Load the windows of the session.
+   *
+   * @param {string} [name] The session name, default is the active session.
+   * @returns {IWindowSession[]}
+   */
+  loadSession (name = this.activeSession) {
+    const pathname = this._getSessionPath(name)
+    try {
+      if (fs.existsSync(pathname)) {
+        const { windows } = fs.readJsonSync(pathname)
+        return Array.isArray(windows) ? windows : []
+      }
+    } catch (err) {
+      log.error(`Cannot load session "${name}":`, err)
+    }
+    return []
+  }
+
+  /**
+   * Update the state of the editor window.
+   *
+   * @param {number} windowId The window id.
+   * @param {IWindowSession} windowSession The window state.
+   */
+  updateWindow (windowId, windowSession) {
+    this._windows.set(windowId, windowSession)
+    this._scheduleSave()
+  }
+
+  /**
+   * Remove the editor window from the session after it was closed. The last window
+   * and windows that are closed while quitting are kept to restore them.
+   *
+   * @param {number} windowId The window id.
+   */
+  closeWindow (windowId) {
+    const { _windows } = this
+    if (!this._isQuitting && _windows.has(windowId) && _windows.size > 1) {
+      _windows.delete(windowId)
+      this._scheduleSave()
+    }
+  }
+
+  /**
+   * Forget the unsaved documents of the window because the user saved or discarded them.
+   *
+   * @param {number} windowId The window id.
+   */
+  discardUnsavedChanges (windowId) {
+    const windowSession = this._windows.get(windowId)
+    if (!windowSession) {
+      return
+    }
+    const tabs = windowSession.tabs
+      .filter(tab => tab.pathname)
+      .map(tab => Object.assign({}, tab, { markdown: null }))
+    const current = windowSession.tabs[windowSession.activeIndex]
+    const activeIndex = Math.max(tabs.findIndex(tab => current && tab.pathname === current.pathname), 0)
+    this._windows.set(windowId, Object.assign({}, windowSession, { tabs, activeIndex }))
+    this._scheduleSave()
+  }
+
+  /**
+   * Save the current windows as a new session and continue with the new session.
+   *
+   * @param {string} name The session name.
+   */
+  saveAs (name) {
+    if (!isValidSessionName(name)) {
+      throw new Error(`"${name}" is not a valid session name.`)
+    }
+    this.activeSession = name
+    this.flush()
+    this._writeState(false)
+    this.emit('changed')
+  }
+
+  /**
+   * Quit the application and restore the given session on the next launch.
+   *
+   * @param {string} name The session name.
+   */
+  switchTo (name) {
+    if (name === this.activeSession || !isValidSessionName(name)) {
+      return
+    }
+    this._nextSession = name
+
+    // Don't pass the session from command-line to the new instance.
+    const args = process.argv.slice(1).filter(arg => !arg.startsWith('--session='))
+    const index = args.indexOf('--session')
+    if (index !== -1) {
+      args.splice(index, 2)
+    }
+    app.relaunch({ args })
+    app.quit()
+  }
+
+  /**
+   * Write pending changes of the session.
+   */
+  flush () {
+    clearTimeout(this._saveTimer)
+    this._saveTimer = null
+    try {
+      fs.writeJsonSync(this._getSessionPath(this.activeSession), {
+        windows: Array.from(this._windows.values())
+      })
+    } catch (err) {
+      log.error(`Cannot save session "${this.activeSession}":`, err)
+    }
+  }
+
+  // --- private ---------------------------------
+
+  _getSessionPath (name) {
+    return path.join(this.sessionsPath, `${name}${SESSION_EXTENSION}`)
+  }
+
+  _scheduleSave () {
+    clearTimeout(this._saveTimer)
+    this._saveTimer = setTimeout(() => this.flush(), SAVE_DELAY)
+  }
+
+  _readState () {
+    try {
+      if (fs.existsSync(this._statePath)) {
+        return fs.readJsonSync(this._statePath)
+      }
+    } catch (err) {
+      log.error('Cannot read session state:', err)
+    }
+    return {}
+  }
+
+  _writeState (clean) {
+    const { _nextSession } = this
+    try {
+      fs.writeJsonSync(this._statePath, {
+        activeSession: _nextSession || this.activeSession,
+        restoreOnLaunch: !!_nextSession,
+        clean
+      })
+    } catch (err) {
+      log.error('Cannot write session state:', err)
+    }
+  }
+
+  // Remove the undo histories of documents that were deleted or modified after
+  // the history was saved. These histories can never be restored again.
+  async _pruneUndoHistories () {
+    const { undoHistoryPath } = this
+    let filenames = []
+    try {
+      if (await fs.pathExists(undoHistoryPath)) {
+        filenames = await fs.readdir(undoHistoryPath)
+      }
+    } catch (err) {
+      log.error('Cannot read undo history folder:', err)
+    }
+
+    for (const filename of filenames) {
+      const historyPath = path.join(undoHistoryPath, filename)
+      try {
+        const [{ pathname }, historyStat] = await Promise.all([
+          fs.readJson(historyPath),
+          fs.stat(historyPath)
+        ])
+        const fileStat = pathname ? await fs.stat(pathname).catch(() => null) : null
+        if (!fileStat || fileStat.mtimeMs > historyStat.mtimeMs) {
+          await fs.remove(historyPath)
+        }
+      } catch (err) {
+        log.error(`Cannot prune undo history "${historyPath}":`, err)
+        await fs.remove(historyPath).catch(() => {})
+      }
+    }
+  }
+
+  _listenForApp () {
+    app.on('before-quit', () => {
+      this._isQuitting = true
+    })
+
+    app.on('will-quit', () => {
+      this.flush()
+      this._writeState(true)
+    })
+  }
+
+  _listenForIpcMain () {
+    ipcMain.on('mt::update-session', (e, windowSession) => {
+      const win = BrowserWindow.fromWebContents(e.sender)
+      if (win) {
+        this.updateWindow(win.id, windowSession)
+      }
+    })
+
+    ipcMain.on('session-discard-unsaved-changes', windowId => {
+      this.discardUnsavedChanges(windowId)
+    })
+
+    ipcMain.on('session-switch', name => {
+      this.switchTo(name)
+    })
+
+    ipcMain.on('session-save-as', win => {
+      const filePath = dialog.showSaveDialog(win, {
+        title: t('menu.file.saveSessionAs'),
+        defaultPath: this.sessionsPath,
+        filters: [{ name: t('menu.file.sessions'), extensions: ['json'] }]
+      })
+      if (!filePath) {
+        return
+      }
+
+      const name = path.basename(filePath).replace(/(\.session)?\.json$/, '')
+      try {
+        this.saveAs(name)
+      } catch (err) {
+        dialog.showMessageBox(win, {
+          type: 'error',
+          buttons: [t('dialog.ok')],
+          message: err.message
+        })
+      }
+    })
+  }
+}
+
+export default SessionManager
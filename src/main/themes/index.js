@@ -0,0 +1,249 @@
+import path from 'path'
+import fs from 'fs-extra'
+import EventEmitter from 'events'
+import chokidar from 'chokidar'
+import { BrowserWindow, dialog, ipcMain, shell } from 'electron'
+import log from 'electron-log'
+import { t } from 'common/i18n'
+import { ensureDirSync } from '../filesystem'
+
+// The manifest file of a theme package.
+export const THEME_MANIFEST = 'theme.json'
+
+// Themes that are shipped with Mark Text, user themes must not use these names.
+export const BUILTIN_THEMES = ['light', 'dark', 'graphite', 'material-dark', 'one-dark', 'ulysses']
+
+// CodeMirror themes that are shipped with Mark Text.
+const BUILTIN_CODE_MIRROR_THEMES = ['default', 'one-dark', 'railscasts']
+
+// Wait until a theme is completely written before reloading it.
+const RELOAD_DELAY = 300
+
+/**
+ * The manifest (`theme.json`) of a theme package. A theme package is a folder in the
+ * `themes` directory of the user data directory and the folder name is the theme id.
+ * All paths are relative to the theme folder.
+ *
+ * @typedef {Object} IThemeManifest
+ * @property {string} name The theme name that is shown to the user.
+ * @property {boolean} [dark] Whether the theme is dark, default is `false`.
+ * @property {string} style The editor style sheet that sets the theme CSS variables.
+ * @property {string} [codeHighlightStyle] A Prism style sheet for code blocks.
+ * @property {string} [codeMirrorTheme] A built-in CodeMirror theme (`default`, `one-dark` or
+ *                                      `railscasts`) or the theme in `codeMirrorStyle`.
+ * @property {string} [codeMirrorStyle] A CodeMirror theme style sheet that uses `.cm-s-<codeMirrorTheme>`.
+ * @property {string} [mermaidTheme] The mermaid theme, default is `dark` or `default`.
+ * @property {string} [vegaTheme] The vega theme, default is `dark` or `latimes`.
+ */
+
+/**
+ * A loaded user theme.
+ *
+ * @typedef {Object} IUserTheme
+ * @property {string} id The theme id that is used in the preferences.
+ * @property {string} name The theme name.
+ * @property {boolean} dark Whether the theme is dark.
+ * @property {string} css The editor and code highlighting style sheets.
+ * @property {string} codeMirrorTheme The CodeMirror theme name.
+ * @property {string} codeMirrorCss The CodeMirror theme style sheet or an empty string.
+ * @property {string} mermaidTheme The mermaid theme.
+ * @property {string} vegaTheme The vega theme.
+ * @property {{color: string, background: string, link: string}} preview Colors for the theme preview.
+ */
+
+const readStyleSheet = async (themePath, filename) => {
+  if (!filename) {
+    return ''
+  }
+  const pathname = path.resolve(themePath, filename)
+  if (!pathname.startsWith(themePath + path.sep)) {
+    throw new Error(`"${filename}" is outside of the theme folder.`)
+  }
+  return fs.readFile(pathname, 'utf8')
+}
+
+const getCssVariable = (css, name) => {
+  const match = css.match(new RegExp(`--${name}\\s*:\\s*([^;]+);`))
+  return match ? match[1].trim() : ''
+}
+
+/**
+ * Load the theme package in the given folder.
+ *
+ * @param {string} themePath The theme folder.
+ * @returns {Promise<IUserTheme>}
+ */
+export const loadTheme = async themePath => {
+  themePath = path.resolve(themePath)
+  const manifest = await fs.readJson(path.join(themePath, THEME_MANIFEST))
+  const { name, dark = false, style, codeHighlightStyle, codeMirrorStyle } = manifest
+  if (!name || typeof name !== 'string') {
+    throw new Error('The theme has no "name".')
+  } else if (!style) {
+    throw new Error('The theme has no "style".')
+  }
+
+  const codeMirrorTheme = manifest.codeMirrorTheme || (dark ? 'one-dark' : 'default')
+  if (!codeMirrorStyle && !BUILTIN_CODE_MIRROR_THEMES.includes(codeMirrorTheme)) {
+    throw new Error(`Unknown CodeMirror theme "${codeMirrorTheme}".`)
+  }
+
+  const [editorCss, highlightCss, codeMirrorCss] = await Promise.all([
+    readStyleSheet(themePath, style),
+    readStyleSheet(themePath, codeHighlightStyle),
+    readStyleSheet(themePath, codeMirrorStyle)
+  ])
+
+  return {
+    id: path.basename(themePath),
+    name,
+    dark: !!dark,
+    css: highlightCss ? `${editorCss}\n${highlightCss}` : editorCss,
+    codeMirrorTheme,
+    codeMirrorCss,
+    mermaidTheme: manifest.mermaidTheme || (dark ? 'dark' : 'default'),
+    vegaTheme: manifest.vegaTheme || (dark ? 'dark' : 'latimes'),
+    preview: {
+      color: getCssVariable(editorCss, 'editorColor'),
+      background: getCssVariable(editorCss, 'editorBgColor'),
+      link: getCssVariable(editorCss, 'themeColor')
+    }
+  }
+}
+
+/**
+ * Discovers the user themes in the `themes` folder and reloads them when a theme changes.
+ */
+class ThemeManager extends EventEmitter {
+
+  /**
+   * @param {AppPaths} paths The path instance.
+   */
+  constructor (paths) {
+    super()
+
+    this.themesPath = paths.themesPath
+    this._themes = []
+    this._watcher = null
+    this._reloadTimer = null
+
+    ensureDirSync(this.themesPath)
+    this._ready = this.reload()
+    this._listenForIpcMain()
+  }
+
+  /**
+   * Returns all valid user themes.
+   *
+   * @returns {IUserTheme[]}
+   */
+  getThemes () {
+    return this._themes
+  }
+
+  /**
+   * Load all themes from the `themes` folder and notify all windows.
+   */
+  async reload () {
+    const { themesPath } = this
+    let names = []
+    try {
+      names = await fs.readdir(themesPath)
+    } catch (err) {
+      log.error(`Cannot read themes folder "${themesPath}":`, err)
+    }
+
+    const themes = []
+    for (const name of names) {
+      const themePath = path.join(themesPath, name)
+      if (!await fs.pathExists(path.join(themePath, THEME_MANIFEST))) {
+        continue
+      } else if (BUILTIN_THEMES.includes(name)) {
+        log.warn(`Ignoring user theme "${name}" because a built-in theme has the same name.`)
+        continue
+      }
+
+      try {
+        themes.push(await loadTheme(themePath))
+      } catch (err) {
+        log.error(`Cannot load theme "${themePath}":`, err)
+      }
+    }
+
+    this._themes = themes.sort((a, b) => a.name.localeCompare(b.name))
+    this.emit('changed', this._themes)
+    for (const win of BrowserWindow.getAllWindows()) {
+      win.webContents.send('mt::user-themes', this._themes)
+    }
+  }
+
+  /**
+   * Watch the `themes` folder to reload themes while they are edited.
+   */
+  watch () {
+    if (this._watcher) {
+      return
+    }
+    this._watcher = chokidar.watch(this.themesPath, {
+      ignoreInitial: true,
+      depth: 1
+    })
+    this._watcher.on('all', () => {
+      clearTimeout(this._reloadTimer)
+      this._reloadTimer = setTimeout(() => this.reload(), RELOAD_DELAY)
+    })
+    this._watcher.on('error', err => {
+      log.error('Error while watching the themes folder:', err)
+    })
+  }
+
+  /**
+   * Copy a theme package into the `themes` folder.
+   *
+   * @param {string} pathname The theme folder to import.
+   */
+  async importTheme (pathname) {
+    // Validate the theme before copying it.
+    const { id } = await loadTheme(pathname)
+    if (BUILTIN_THEMES.includes(id)) {
+      throw new Error(`"${id}" is the name of a built-in theme.`)
+    }
+    await fs.copy(pathname, path.join(this.themesPath, id))
+    await this.reload()
+  }
+
+  _listenForIpcMain () {
+    ipcMain.on('mt::ask-for-user-themes', async e => {
+      await this._ready
+      e.sender.send('mt::user-themes', this._themes)
+    })
+
+    ipcMain.on('mt::open-themes-folder', () => {
+      shell.openItem(this.themesPath)
+    })
+
+    ipcMain.on('mt::import-theme', async e => {
+      const win = BrowserWindow.fromWebContents(e.sender)
+      const paths = dialog.showOpenDialog(win, {
+        properties: ['openDirectory']
+      })
+      if (!paths || !paths[0]) {
+        return
+      }
+
+      try {
+        await this.importTheme(paths[0])
+      } catch (err) {
+        log.error('Cannot import theme:', err)
+        dialog.showMessageBox(win, {
+          type: 'error',
+          buttons: [t('dialog.ok')],
+          message: t('dialog.importThemeError.message'),
+          detail: err.message
+        })
+      }
+    })
+  }
+}
+
+export default ThemeManager
@@ -1,4 +1,5 @@
 import { app } from 'electron'
+import { getMetadata } from 'common/frontMatter'
 import { EXTENSIONS } from '../config'
 
 const ID_PREFIX = 'mt-'
@@ -10,6 +11,10 @@ export const getUniqueId = () => {
 
 // TODO: We should map all heading into the MarkdownDocument.
 export const getRecommendTitleFromMarkdownString = markdown => {
+  // The title of the front matter is preferred over headings.
+  const { title } = getMetadata(markdown)
+  if (title) return title
+
   const tokens = markdown.match(/#{1,6} {1,}(.+)(?:\n|$)/g)
   if (!tokens) return ''
   let headers = tokens.map(t => {
@@ -28,11 +28,11 @@ class BaseWindow extends EventEmitter {
 
   // --- private ---------------------------------
   _buildUrlWithSettings (windowId, env, userPreference) {
-    // NOTE: Only send absolutely necessary values. Theme and titlebar settings
+    // NOTE: Only send absolutely necessary values. Theme, titlebar and language settings
     //  are sended because we delay load the preferences.
     const { type } = this
     const { debug, paths } = env
-    const { codeFontFamily, codeFontSize, theme, titleBarStyle } = userPreference.getAll()
+    const { codeFontFamily, codeFontSize, language, theme, titleBarStyle } = userPreference.getAll()
 
     const baseUrl = process.env.NODE_ENV === 'development'
       ? `http://localhost:9091`
@@ -49,6 +49,7 @@ class BaseWindow extends EventEmitter {
     url.searchParams.set('cfs', codeFontSize)
     url.searchParams.set('theme', theme)
     url.searchParams.set('tbs', titleBarStyle)
+    url.searchParams.set('lang', language)
 
     return url.toString()
   }
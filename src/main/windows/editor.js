@@ -8,6 +8,7 @@ import { TITLE_BAR_HEIGHT, defaultWinOptions, isLinux, isOsx } from '../config'
 import { isDirectory, isMarkdownFile, normalizeAndResolvePath } from '../filesystem'
 import { loadMarkdownFile } from '../filesystem/markdown'
 import { ensureWindowPosition } from './utils'
+import { t } from 'common/i18n'
 
 class EditorWindow extends BaseWindow {
 
@@ -25,8 +26,9 @@ class EditorWindow extends BaseWindow {
    * @param {string} [pathname] Path to a file, directory or link.
    * @param {string} [markdown] Markdown content.
    * @param {*} [options] BrowserWindow options.
+   * @param {IWindowSession} [windowSession] The window state to restore.
    */
-  createWindow (pathname = null, markdown = '', options = {}) {
+  createWindow (pathname = null, markdown = '', options = {}, windowSession = null) {
     const { menu: appMenu, env, preferences } = this._accessor
 
     // Ensure path is normalized
@@ -66,7 +68,9 @@ class EditorWindow extends BaseWindow {
 
       this.emit('window-ready-to-show')
 
-      if (pathname && isMarkdownFile(pathname)) {
+      if (windowSession) {
+        this._restoreSession(windowSession)
+      } else if (pathname && isMarkdownFile(pathname)) {
         // Open single markdown file
         appMenu.addRecentlyUsedDocument(pathname)
         this._openFile(pathname)
@@ -142,6 +146,11 @@ class EditorWindow extends BaseWindow {
       // TODO: Handle error --> create a end-user error handler.
       console.error('[ERROR] Cannot open file or directory.')
       log.error(err)
+      browserWindow.webContents.send('AGANI::show-notification', {
+        title: t('dialog.cannotOpenFile.title'),
+        type: 'error',
+        message: err.message
+      })
     })
   }
 
@@ -162,12 +171,87 @@ class EditorWindow extends BaseWindow {
 
   // --- private ---------------------------------
 
+  // Only called once during window bootstrapping.
+  _restoreSession = async windowSession => {
+    const { browserWindow } = this
+    const { menu: appMenu, preferences } = this._accessor
+    const { projectPath, tabs = [], activeIndex, layout } = windowSession
+    const lineEnding = preferences.getPreferedEOL()
+
+    if (projectPath && isDirectory(projectPath)) {
+      this.openFolder(projectPath)
+    }
+
+    const documents = []
+    let selectedIndex = 0
+    for (let i = 0; i < tabs.length; i++) {
+      const { pathname, filename, markdown, options, cursor, scrollTop } = tabs[i]
+      const isUnsaved = typeof markdown === 'string'
+      let markdownDocument = null
+      if (pathname) {
+        try {
+          const rawDocument = await loadMarkdownFile(pathname, lineEnding)
+          ipcMain.emit('watcher-watch-file', browserWindow, pathname)
+          const isSaved = !isUnsaved || rawDocument.markdown === markdown
+          markdownDocument = Object.assign(rawDocument, {
+            markdown: isSaved ? rawDocument.markdown : markdown,
+            // The document on disk is the base to merge external changes.
+            baseMarkdown: rawDocument.markdown,
+            isSaved
+          })
+        } catch (err) {
+          log.error(`Cannot restore document "${pathname}":`, err)
+          // Keep unsaved changes of removed documents.
+          if (isUnsaved) {
+            markdownDocument = Object.assign({ markdown, filename, pathname, isSaved: false }, options)
+          }
+        }
+      } else if (isUnsaved) {
+        markdownDocument = Object.assign({ markdown, filename, pathname: '', isSaved: false }, options)
+      }
+
+      if (markdownDocument) {
+        if (i === activeIndex) {
+          selectedIndex = documents.length
+        }
+        documents.push(Object.assign(markdownDocument, { cursor, scrollTop }))
+      }
+    }
+
+    if (browserWindow.isDestroyed()) {
+      return
+    }
+    const [ selectedDocument ] = documents.slice(selectedIndex)
+    appMenu.updateLineEndingMenu(selectedDocument ? selectedDocument.lineEnding : lineEnding)
+    browserWindow.webContents.send('mt::bootstrap-session', {
+      documents,
+      selectedIndex,
+      layout,
+      lineEnding
+    })
+  }
+
   // Only called once during window bootstrapping.
   _openFile = async filePath => {
     const { browserWindow } = this
     const { menu: appMenu, preferences } = this._accessor
 
-    const data = await loadMarkdownFile(filePath, preferences.getPreferedEOL())
+    let data = null
+    try {
+      data = await loadMarkdownFile(filePath, preferences.getPreferedEOL())
+    } catch (err) {
+      log.error(err)
+      const lineEnding = preferences.getPreferedEOL()
+      browserWindow.webContents.send('mt::bootstrap-blank-window', { lineEnding, markdown: '' })
+      appMenu.updateLineEndingMenu(lineEnding)
+      browserWindow.webContents.send('AGANI::show-notification', {
+        title: t('dialog.cannotOpenFile.title'),
+        type: 'error',
+        message: err.message
+      })
+      return
+    }
+
     const {
       markdown,
       filename,
@@ -196,9 +280,9 @@ class EditorWindow extends BaseWindow {
     // Notify user about mixed endings
     if (isMixedLineEndings) {
       browserWindow.webContents.send('AGANI::show-notification', {
-        title: 'Mixed Line Endings',
+        title: t('dialog.mixedLineEndings.title'),
         type: 'error',
-        message: `The document has mixed line endings which are automatically normalized to ${lineEnding.toUpperCase()}.`,
+        message: t('dialog.mixedLineEndings.message', { lineEnding: lineEnding.toUpperCase() }),
         time: 20000
       })
     }
@@ -0,0 +1,53 @@
+import { BrowserWindow } from 'electron'
+import BaseWindow from './base'
+import { WindowType } from '../app/windowManager'
+import { defaultWinOptions } from '../config'
+
+// The renderer must be loaded within this time, otherwise the conversion fails.
+const LOAD_TIMEOUT = 30000
+
+class ExportWindow extends BaseWindow {
+
+  /**
+   * @param {Accessor} accessor The application accessor for application instances.
+   */
+  constructor (accessor) {
+    super(accessor)
+    this.type = WindowType.EXPORT
+  }
+
+  /**
+   * Creates a hidden window that is used to convert documents.
+   *
+   * @returns {Promise<Electron.BrowserWindow>} The window after the renderer is loaded. The promise
+   *          is rejected if the renderer cannot be loaded.
+   */
+  createWindow () {
+    const { env, preferences } = this._accessor
+    const winOptions = Object.assign({}, defaultWinOptions, { show: false })
+
+    const win = this.browserWindow = new BrowserWindow(winOptions)
+    this.id = win.id
+
+    return new Promise((resolve, reject) => {
+      const timer = setTimeout(() => {
+        reject(new Error('The renderer was not loaded in time.'))
+      }, LOAD_TIMEOUT)
+      win.once('ready-to-show', () => {
+        clearTimeout(timer)
+        resolve(win)
+      })
+      win.webContents.once('did-fail-load', (event, errorCode, errorDescription) => {
+        clearTimeout(timer)
+        reject(new Error(`The renderer cannot be loaded: ${errorDescription}`))
+      })
+      win.webContents.once('crashed', () => {
+        clearTimeout(timer)
+        reject(new Error('The renderer process crashed.'))
+      })
+      win.loadURL(this._buildUrlWithSettings(this.id, env, preferences))
+    })
+  }
+}
+
+export default ExportWindow
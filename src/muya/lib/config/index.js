@@ -74,14 +74,23 @@ export const CLASS_OR_ID = genUpper2LowerKeyHash([
   'AG_CONTAINER_PREVIEW',
   'AG_CONTAINER_ICON',
   'AG_COPY_REMOVE',
+  'AG_DROP_INDICATOR',
   'AG_EDITOR_ID',
   'AG_EMOJI_MARKED_TEXT',
   'AG_EMOJI_MARKER',
   'AG_EMPTY',
   'AG_FENCE_CODE',
   'AG_FLOWCHART',
+  'AG_FOLD_TOGGLE',
+  'AG_FOLDED',
+  'AG_FOLDED_CONTENT',
   'AG_FOCUS_MODE',
+  'AG_FOOTNOTE_BACKLINK',
+  'AG_FOOTNOTE_BLOCK',
+  'AG_FOOTNOTE_INPUT',
   'AG_FRONT_MATTER',
+  'AG_FRONT_MATTER_ERROR',
+  'AG_FRONT_MATTER_ERROR_MESSAGE',
   'AG_FRONT_ICON',
   'AG_GRAY',
   'AG_HARD_LINE_BREAK',
@@ -98,7 +107,9 @@ export const CLASS_OR_ID = genUpper2LowerKeyHash([
   'AG_IMAGE_MARKED_TEXT',
   'AG_IMAGE_SRC',
   'AG_INDENT_CODE',
+  'AG_INLINE_FOOTNOTE_IDENTIFIER',
   'AG_INLINE_RULE',
+  'AG_INLINE_TAG',
   'AG_LANGUAGE',
   'AG_LANGUAGE_INPUT',
   'AG_LINK',
@@ -113,6 +124,7 @@ export const CLASS_OR_ID = genUpper2LowerKeyHash([
   'AG_RUBY_RENDER',
   'AG_SELECTED',
   'AG_SOFT_LINE_BREAK',
+  'AG_SPELLING_ERROR',
   'AG_MATH_ERROR',
   'AG_MATH_MARKER',
   'AG_MATH_RENDER',
@@ -142,7 +154,8 @@ export const CLASS_OR_ID = genUpper2LowerKeyHash([
   'AG_TIGHT_LIST_ITEM',
   'AG_TOOL_BAR',
   'AG_VEGA_LITE',
-  'AG_WARN'
+  'AG_WARN',
+  'AG_WIKI_LINK'
 ])
 
 export const DAED_REMOVE_SELECTOR = new Set([
@@ -240,7 +253,14 @@ export const MUYA_DEFAULT_OPTION = {
   sequenceTheme: 'hand', // hand or simple
   mermaidTheme: 'default', // dark / forest / default
   vegaTheme: 'latimes', // excel / ggplot2 / quartz / vox / fivethirtyeight / dark / latimes
-  hideQuickInsertHint: false
+  hideQuickInsertHint: false,
+  // KaTeX macro definitions like `\newcommand{\R}{\mathbb{R}}` that are available in all formulas.
+  mathPreamble: '',
+  // An object with `isMisspelled(word)`, spell checking is disabled when not set.
+  spellChecker: null,
+  // A function `(key) => string` that translates UI messages like `quickInsert.paragraph`,
+  // the English messages are used when it is not set.
+  translate: null
 }
 
 // export const DIAGRAM_TEMPLATE = {
@@ -0,0 +1,53 @@
+// English UI messages that are used when no `translate` option is set.
+const MUYA_DEFAULT_MESSAGES = {
+  quickInsert: {
+    paragraph: 'Paragraph',
+    horizontalLine: 'Horizontal Line',
+    frontMatter: 'Front Matter',
+    header1: 'Header 1',
+    header2: 'Header 2',
+    header3: 'Header 3',
+    header4: 'Header 4',
+    header5: 'Header 5',
+    header6: 'Header 6',
+    tableBlock: 'Table Block',
+    mathFormula: 'Math Formula',
+    htmlBlock: 'HTML Block',
+    codeBlock: 'Code Block',
+    quoteBlock: 'Quote Block',
+    orderList: 'Order List',
+    bulletList: 'Bullet List',
+    toDoList: 'To-do List',
+    vegaChart: 'Vega Chart',
+    flowChart: 'Flow Chart',
+    sequenceDiagram: 'Sequence Diagram',
+    mermaid: 'Mermaid',
+    vegaChartDescription: 'Render flow chart by vega-lite.js.',
+    flowChartDescription: 'Render flow chart by flowchart.js.',
+    sequenceDiagramDescription: 'Render sequence diagram by js-sequence.',
+    mermaidDescription: 'Render Diagram by mermaid.',
+    noResult: 'No result',
+    sections: {
+      basicBlock: 'Basic Block',
+      header: 'Header',
+      advancedBlock: 'Advanced Block',
+      listBlock: 'List Block',
+      diagram: 'Diagram'
+    }
+  },
+  frontMenu: {
+    duplicate: 'Duplicate',
+    turnInto: 'Turn Into',
+    new: 'Create Paragraph',
+    delete: 'Delete'
+  }
+}
+
+/**
+ * @param {string} key The message key, e.g. `quickInsert.paragraph`.
+ * @returns {string} The English message or the key if no message exists.
+ */
+export const getDefaultMessage = key => {
+  const message = key.split('.').reduce((obj, name) => obj && obj[name], MUYA_DEFAULT_MESSAGES)
+  return typeof message === 'string' ? message : key
+}
@@ -1,6 +1,7 @@
 import selection from '../selection'
 import { findNearestParagraph, findOutMostParagraph } from '../selection/dom'
 import { tokenizer, generator } from '../parser/'
+import { getBlockSyntax } from '../syntax'
 
 const backspaceCtrl = ContentState => {
   ContentState.prototype.checkBackspaceCase = function () {
@@ -95,6 +96,12 @@ const backspaceCtrl = ContentState => {
         return { type: 'BLOCKQUOTE', info: 'INSERT_BEFORE' }
       }
     }
+    if (
+      parent && parent.functionType === 'footnote' && inLeft === 0 &&
+      preBlock && preBlock.functionType === 'footnoteInput'
+    ) {
+      return { type: 'FOOTNOTE', info: 'REPLACEMENT' }
+    }
     if (!outBlock.preSibling && outLeft === 0) {
       return { type: 'STOP' }
     }
@@ -259,6 +266,12 @@ const backspaceCtrl = ContentState => {
           case 'html':
             referenceBlock = this.getParent(preBlock)
             break
+          default:
+            // block syntaxes of plugins
+            if (getBlockSyntax(preBlock.functionType)) {
+              referenceBlock = this.getParent(preBlock)
+            }
+            break
         }
         this.insertBefore(pBlock, referenceBlock)
         this.removeBlock(referenceBlock)
@@ -354,6 +367,16 @@ const backspaceCtrl = ContentState => {
             this.insertBefore(block, parent)
           }
           break
+        case 'FOOTNOTE': {
+          // Unwrap the footnote content and drop its identifier.
+          const [identifierInput, ...children] = parent.children
+          this.removeBlock(identifierInput)
+          children.forEach(child => {
+            this.insertBefore(child, parent)
+          })
+          this.removeBlock(parent)
+          break
+        }
       }
 
       const key = block.type === 'p' ? block.children[0].key : block.key
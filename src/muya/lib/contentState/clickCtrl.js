@@ -20,6 +20,10 @@ const clickCtrl = ContentState => {
       if (target.closest('.ag-front-icon') && hasSameParent) {
         const currentBlock = this.findOutMostBlock(startBlock)
         const frontIcon = target.closest('.ag-front-icon')
+        // The front icons of list items and block quote children are only used for dragging.
+        if (frontIcon.parentNode.id !== currentBlock.key) {
+          return
+        }
         const rect = frontIcon.getBoundingClientRect()
         const reference = {
           getBoundingClientRect () {
@@ -52,6 +56,12 @@ const clickCtrl = ContentState => {
           } else if (node.classList.contains('ag-math-text')) {
             formatType = 'inline_math'
             data = node.innerHTML
+          } else if (node.classList.contains('ag-wiki-link')) {
+            formatType = 'wiki_link'
+            data = node.getAttribute('data-target')
+          } else if (node.classList.contains('ag-inline-tag')) {
+            formatType = 'inline_tag'
+            data = node.getAttribute('data-tag')
           }
           break
         }
@@ -100,7 +110,8 @@ const clickCtrl = ContentState => {
       start.offset !== end.offset &&
       HAS_TEXT_BLOCK_REG.test(block.type) &&
       block.functionType !== 'codeLine' &&
-      block.functionType !== 'languageInput'
+      block.functionType !== 'languageInput' &&
+      block.functionType !== 'footnoteInput'
     ) {
       const reference = this.getPositionReference()
       const { formats } = this.selectionFormats()
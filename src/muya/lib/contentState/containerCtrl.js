@@ -1,3 +1,5 @@
+import { getBlockSyntax } from '../syntax'
+
 const LINE_BREAKS_REG = /\n/
 const FUNCTION_TYPE_LANG = {
   'multiplemath': 'latex',
@@ -21,7 +23,8 @@ const containerCtrl = ContentState => {
   }
 
   ContentState.prototype.createPreAndPreview = function (functionType, value = '') {
-    const lang = FUNCTION_TYPE_LANG[functionType]
+    const syntax = getBlockSyntax(functionType)
+    const lang = syntax ? syntax.lang : FUNCTION_TYPE_LANG[functionType]
     const preBlock = this.createBlock('pre', {
       functionType,
       lang
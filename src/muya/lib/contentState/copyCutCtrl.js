@@ -3,6 +3,7 @@ import { CLASS_OR_ID } from '../config'
 import { getSanitizeHtml } from '../utils/exportHtml'
 import ExportMarkdown from '../utils/exportMarkdown'
 import marked from '../parser/marked'
+import { getBlockSyntax } from '../syntax'
 
 const copyCutCtrl = ContentState => {
   ContentState.prototype.cutHandler = function () {
@@ -129,6 +130,17 @@ const copyCutCtrl = ContentState => {
           pre.innerHTML = `<code class="language-${functionType}">${value}</code>`
           mb.replaceWith(pre)
           break
+        default:
+          // block syntaxes of plugins
+          if (getBlockSyntax(functionType)) {
+            const code = document.createElement('code')
+            code.classList.add(`language-${functionType}`)
+            code.textContent = value
+            pre = document.createElement('pre')
+            pre.appendChild(code)
+            mb.replaceWith(pre)
+          }
+          break
       }
     }
 
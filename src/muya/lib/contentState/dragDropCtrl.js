@@ -0,0 +1,151 @@
+const isFrontMatter = block => block.type === 'pre' && block.functionType === 'frontmatter'
+
+const dragDropCtrl = ContentState => {
+  // Top-level blocks, list items and children of block quotes can be moved.
+  ContentState.prototype.isMovableBlock = function (block) {
+    const parent = this.getParent(block)
+    return !parent || block.type === 'li' || parent.type === 'blockquote'
+  }
+
+  // Returns the innermost movable block that contains the given block.
+  ContentState.prototype.getMovableBlock = function (block) {
+    while (block && !this.isMovableBlock(block)) {
+      block = this.getParent(block)
+    }
+    return block
+  }
+
+  /**
+   * Whether the block can be dropped before or after the target block. List items
+   * can be dropped everywhere, other blocks cannot be dropped between list items.
+   */
+  ContentState.prototype.canDropBlock = function (block, target) {
+    if (!block || !target || block === target || isFrontMatter(block) || this.isInclude(block, target)) {
+      return false
+    }
+    if (target.type === 'li') {
+      return block.type === 'li'
+    }
+    return this.isMovableBlock(target)
+  }
+
+  // Change the list item into an item of the list of the target list item.
+  ContentState.prototype.convertListItem = function (listItem, target) {
+    const { listItemType, bulletMarkerOrDelimiter, isLooseListItem } = target
+    if (listItem.listItemType === 'task' && listItemType !== 'task') {
+      const checkbox = listItem.children[0]
+      if (checkbox.type === 'input') {
+        this.removeBlock(checkbox)
+      }
+    } else if (listItem.listItemType !== 'task' && listItemType === 'task') {
+      const checkbox = this.createBlock('input', {
+        checked: false
+      })
+      this.insertBefore(checkbox, listItem.children[0])
+    }
+    Object.assign(listItem, { listItemType, bulletMarkerOrDelimiter, isLooseListItem })
+  }
+
+  /**
+   * Move the block before or after the target block. A list item that is moved out of
+   * a list is wrapped into a new list and lists or block quotes that become empty are
+   * removed. The move is a single history step.
+   *
+   * @param {Object} block The block to move.
+   * @param {Object} target The target block.
+   * @param {string} position `before` or `after` the target block.
+   * @returns {boolean} Whether the block was moved.
+   */
+  ContentState.prototype.moveBlock = function (block, target, position) {
+    if (!this.canDropBlock(block, target)) {
+      return false
+    }
+    // Front matter must be the first block.
+    if (isFrontMatter(target)) {
+      position = 'after'
+    }
+    if (
+      (position === 'before' && block.nextSibling === target.key) ||
+      (position === 'after' && block.preSibling === target.key)
+    ) {
+      return false
+    }
+
+    // Commit pending changes, so that undo only reverts the move.
+    if (this.historyTimer) {
+      this.pushHistory()
+    }
+
+    // The list item must be converted while it is in the tree, so that the checkbox can be added or removed.
+    if (block.type === 'li' && target.type === 'li') {
+      this.convertListItem(block, target)
+    }
+
+    const oldParent = this.getParent(block)
+    this.removeBlock(block)
+    block.preSibling = null
+    block.nextSibling = null
+
+    let movedBlock = block
+    if (block.type === 'li' && target.type !== 'li') {
+      const list = this.createBlock(oldParent.type, {
+        listType: oldParent.listType
+      })
+      if (oldParent.type === 'ol') {
+        list.start = 1
+      }
+      this.appendChild(list, block)
+      movedBlock = list
+    }
+
+    if (position === 'before') {
+      this.insertBefore(movedBlock, target)
+    } else {
+      this.insertAfter(movedBlock, target)
+    }
+
+    let parent = oldParent
+    while (parent && /ul|ol|blockquote/.test(parent.type) && parent.children.length === 0) {
+      const grandpa = this.getParent(parent)
+      this.removeBlock(parent)
+      parent = grandpa
+    }
+
+    this.pushHistory()
+    this.render()
+    this.muya.eventCenter.dispatch('stateChange')
+    return true
+  }
+
+  /**
+   * Move the innermost movable block of the cursor up or down. Blocks move into and
+   * out of adjacent block quotes.
+   *
+   * @param {string} direction `up` or `down`.
+   */
+  ContentState.prototype.moveParagraph = function (direction) {
+    const { start, end } = this.cursor
+    const block = this.getMovableBlock(this.getBlock(start.key))
+    if (!block || block !== this.getMovableBlock(this.getBlock(end.key))) {
+      // The cursor is not in one block.
+      return
+    }
+
+    const isUp = direction === 'up'
+    const parent = this.getParent(block)
+    let target = isUp ? this.getPreSibling(block) : this.getNextSibling(block)
+    let position = isUp ? 'before' : 'after'
+    if (!target && parent && parent.type === 'blockquote') {
+      target = parent
+    } else if (target && target.type === 'blockquote' && block.type !== 'li') {
+      target = isUp ? this.getLastChild(target) : target.children[0]
+      position = isUp ? 'after' : 'before'
+    }
+
+    if (target) {
+      this.moveBlock(block, target, position)
+    }
+  }
+}
+
+export default dragDropCtrl
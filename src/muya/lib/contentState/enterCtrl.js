@@ -162,6 +162,17 @@ const enterCtrl = ContentState => {
       return
     }
 
+    // Footnote identifiers are single line too, jump to the footnote content instead.
+    if (block.functionType === 'footnoteInput') {
+      block.text = block.text.replace(/\s/g, '')
+      const key = this.firstInDescendant(this.getNextSibling(block)).key
+      this.cursor = {
+        start: { key, offset: 0 },
+        end: { key, offset: 0 }
+      }
+      return this.partialRender()
+    }
+
     // handle select multiple blocks
     if (start.key !== end.key) {
       const key = start.key
@@ -0,0 +1,211 @@
+import { getHeadingLevel, getHeadingContent } from './tocCtrl'
+
+const isSameSet = (a, b) => a.size === b.size && [...a].every(key => b.has(key))
+
+/**
+ * Folding of heading sections. A section contains all top-level blocks after the
+ * heading until the next heading with the same or a higher level. The keys of folded
+ * headings are stored in `foldedHeadings` and the keys of the hidden blocks in
+ * `foldedBlocks`.
+ */
+const foldCtrl = ContentState => {
+  // Returns the blocks of the heading section without the heading.
+  ContentState.prototype.getSectionBlocks = function (heading) {
+    const { blocks } = this
+    const lvl = getHeadingLevel(heading)
+    const result = []
+    for (let i = blocks.indexOf(heading) + 1; i < blocks.length; i++) {
+      const blockLvl = getHeadingLevel(blocks[i])
+      if (blockLvl && blockLvl <= lvl) {
+        break
+      }
+      result.push(blocks[i])
+    }
+    return result
+  }
+
+  // Returns the folded headings that hide the block, the outermost heading first.
+  ContentState.prototype.getFoldingHeadings = function (block) {
+    const { blocks, foldedHeadings } = this
+    const outMostBlock = this.findOutMostBlock(block)
+    const result = []
+    let lvl = getHeadingLevel(outMostBlock) || 7
+    for (let i = blocks.indexOf(outMostBlock) - 1; i >= 0 && lvl > 1; i--) {
+      const headingLvl = getHeadingLevel(blocks[i])
+      if (headingLvl && headingLvl < lvl) {
+        lvl = headingLvl
+        if (foldedHeadings.has(blocks[i].key)) {
+          result.unshift(blocks[i])
+        }
+      }
+    }
+    return result
+  }
+
+  /**
+   * Update the hidden blocks before rendering. Folded sections that contain the cursor
+   * are unfolded.
+   *
+   * @returns {boolean} Whether the hidden blocks changed.
+   */
+  ContentState.prototype.updateFoldedBlocks = function () {
+    const { blocks, foldedHeadings, foldedBlocks } = this
+    const cursorBlock = this.cursor && this.getBlock(this.cursor.start.key)
+    const foldingHeadings = cursorBlock ? this.getFoldingHeadings(cursorBlock) : []
+    foldingHeadings.forEach(heading => foldedHeadings.delete(heading.key))
+
+    const hiddenBlocks = new Set()
+    const headingKeys = new Set()
+    let foldLvl = 0
+    for (const block of blocks) {
+      const lvl = getHeadingLevel(block)
+      if (lvl) {
+        headingKeys.add(block.key)
+      }
+      if (foldLvl && (!lvl || lvl > foldLvl)) {
+        hiddenBlocks.add(block.key)
+        continue
+      }
+      foldLvl = lvl && foldedHeadings.has(block.key) ? lvl : 0
+    }
+    // Forget removed headings.
+    for (const key of foldedHeadings) {
+      if (!headingKeys.has(key)) {
+        foldedHeadings.delete(key)
+      }
+    }
+
+    this.foldedBlocks = hiddenBlocks
+    this.stateRender.setFoldings(foldedHeadings, hiddenBlocks)
+    if (foldingHeadings.length) {
+      this.muya.eventCenter.dispatch('fold-change', this.getFoldedHeadings())
+    }
+    return !isSameSet(foldedBlocks, hiddenBlocks)
+  }
+
+  // Render the folding changes and move the cursor out of folded sections.
+  ContentState.prototype.renderFoldings = function (isRenderCursor = true) {
+    const { start } = this.cursor
+    const [heading] = this.getFoldingHeadings(this.getBlock(start.key))
+    if (heading) {
+      const { key, text } = this.firstInDescendant(heading)
+      const offset = text.length
+      this.cursor = {
+        start: { key, offset },
+        end: { key, offset },
+        noHistory: true
+      }
+    }
+    this.render(isRenderCursor)
+    this.muya.eventCenter.dispatch('fold-change', this.getFoldedHeadings())
+  }
+
+  ContentState.prototype.toggleFold = function (key) {
+    const { foldedHeadings } = this
+    if (foldedHeadings.has(key)) {
+      foldedHeadings.delete(key)
+    } else {
+      foldedHeadings.add(key)
+    }
+    this.renderFoldings()
+  }
+
+  /**
+   * Fold all headings with the given level or a deeper level and unfold the others,
+   * so that only headings up to the given level are visible.
+   *
+   * @param {number} level The heading level from 1 to 6, level 1 folds all headings.
+   */
+  ContentState.prototype.unfoldToLevel = function (level) {
+    this.foldedHeadings = new Set(this.blocks
+      .filter(block => getHeadingLevel(block) >= level)
+      .map(block => block.key))
+    this.renderFoldings()
+  }
+
+  ContentState.prototype.unfoldAll = function () {
+    this.foldedHeadings = new Set()
+    this.renderFoldings()
+  }
+
+  // Unfold all sections that hide the block with the given key.
+  ContentState.prototype.revealBlock = function (key) {
+    const block = this.getBlock(key)
+    const headings = block ? this.getFoldingHeadings(block) : []
+    if (headings.length) {
+      headings.forEach(heading => this.foldedHeadings.delete(heading.key))
+      this.renderFoldings()
+    }
+  }
+
+  /**
+   * Returns the folded headings in a form that doesn't depend on block keys, so that
+   * the fold state can be restored when the document is opened again.
+   *
+   * @returns {{lvl: number, content: string}[]}
+   */
+  ContentState.prototype.getFoldedHeadings = function () {
+    return this.blocks
+      .filter(block => this.foldedHeadings.has(block.key))
+      .map(block => ({ lvl: getHeadingLevel(block), content: getHeadingContent(block) }))
+  }
+
+  ContentState.prototype.setFoldedHeadings = function (headings, isRenderCursor = true) {
+    const isFolded = block => {
+      const lvl = getHeadingLevel(block)
+      if (!lvl) {
+        return false
+      }
+      const content = getHeadingContent(block)
+      return headings.some(heading => heading.lvl === lvl && heading.content === content)
+    }
+    this.foldedHeadings = new Set(this.blocks.filter(isFolded).map(block => block.key))
+    this.renderFoldings(isRenderCursor)
+  }
+
+  /**
+   * Move the heading with its section, subsections included, before the target heading
+   * or after the section of the target heading. The move is a single history step.
+   *
+   * @param {string} key The key of the heading to move.
+   * @param {string} targetKey The key of the target heading.
+   * @param {string} position `before` or `after`.
+   * @returns {boolean} Whether the section was moved.
+   */
+  ContentState.prototype.moveHeadingSection = function (key, targetKey, position) {
+    const heading = this.getBlock(key)
+    const target = this.getBlock(targetKey)
+    if (!heading || !target || heading.parent || target.parent || !getHeadingLevel(heading) || !getHeadingLevel(target)) {
+      return false
+    }
+    const section = [heading, ...this.getSectionBlocks(heading)]
+    if (section.includes(target)) {
+      return false
+    }
+
+    // Commit pending changes, so that undo only reverts the move.
+    if (this.historyTimer) {
+      this.pushHistory()
+    }
+
+    section.forEach(block => this.removeBlock(block))
+    let reference = position === 'before' ? null : [target, ...this.getSectionBlocks(target)].pop()
+    for (const block of section) {
+      block.preSibling = null
+      block.nextSibling = null
+      if (reference) {
+        this.insertAfter(block, reference)
+        reference = block
+      } else {
+        this.insertBefore(block, target)
+      }
+    }
+
+    this.pushHistory()
+    this.render()
+    this.muya.eventCenter.dispatch('stateChange')
+    return true
+  }
+}
+
+export default foldCtrl
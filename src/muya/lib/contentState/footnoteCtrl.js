@@ -0,0 +1,75 @@
+const footnoteCtrl = ContentState => {
+  ContentState.prototype.getFootnoteBlock = function (identifier) {
+    return this.blocks.find(block => {
+      return block.type === 'figure' &&
+        block.functionType === 'footnote' &&
+        block.children[0].text === identifier
+    })
+  }
+
+  // Set the cursor and scroll the block into view.
+  ContentState.prototype.moveCursorToFootnote = function (key, offset) {
+    this.cursor = {
+      start: { key, offset },
+      end: { key, offset }
+    }
+    this.render()
+
+    const ele = document.querySelector(`#${key}`)
+    if (ele) {
+      ele.scrollIntoView({
+        behavior: 'auto',
+        block: 'center'
+      })
+    }
+  }
+
+  /**
+   * Jump to the footnote definition of the given reference.
+   */
+  ContentState.prototype.jumpToFootnote = function (identifier) {
+    const footnote = this.getFootnoteBlock(identifier)
+    if (!footnote) {
+      return false
+    }
+
+    const block = this.firstInDescendant(footnote.children[1])
+    this.moveCursorToFootnote(block.key, 0)
+    return true
+  }
+
+  /**
+   * Jump back to the first reference of the given footnote.
+   */
+  ContentState.prototype.jumpToFootnoteReference = function (identifier) {
+    const reference = `[^${identifier}]`
+    let result = null
+    const travel = blocks => {
+      for (const block of blocks) {
+        const { text, children, functionType } = block
+        if (children.length) {
+          travel(children)
+        } else if (
+          text &&
+          functionType !== 'codeLine' &&
+          functionType !== 'languageInput' &&
+          functionType !== 'footnoteInput' &&
+          text.includes(reference)
+        ) {
+          result = block
+        }
+        if (result) break
+      }
+    }
+    travel(this.blocks)
+
+    if (!result) {
+      return false
+    }
+
+    this.moveCursorToFootnote(result.key, result.text.indexOf(reference) + reference.length)
+    return true
+  }
+}
+
+export default footnoteCtrl
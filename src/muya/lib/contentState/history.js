@@ -1,24 +1,195 @@
-import { deepCopy } from '../utils'
 import { UNDO_DEPTH } from '../config'
+import { getUniqueId, getLongUniqueId } from '../utils'
 
+// Version of the serialized history format, increase the version if the format changed.
+const HISTORY_VERSION = 1
+// Block keys are only unique for the current session, so we need to renew
+// all keys when a history from another session is loaded.
+const SESSION_ID = getLongUniqueId()
+const KEY_PROPERTIES = ['key', 'parent', 'preSibling', 'nextSibling']
+const CURSOR_PROPERTIES = ['anchor', 'focus', 'start', 'end']
+
+/**
+ * Flatten the block tree into a snapshot. Each block is serialized without
+ * children but with the keys of its children.
+ *
+ * @param {Array} blocks The block tree.
+ * @returns {{rootKeys: string[], nodes: Object.<string, string>}}
+ */
+const createSnapshot = blocks => {
+  const nodes = {}
+  const travel = blocks => {
+    return blocks.map(block => {
+      const { key, children } = block
+      const node = Object.assign({}, block, {
+        children: Array.isArray(children) ? travel(children) : children
+      })
+      nodes[key] = JSON.stringify(node)
+      return key
+    })
+  }
+  const rootKeys = travel(blocks)
+  return { rootKeys, nodes }
+}
+
+/**
+ * Create a new block tree from the given snapshot.
+ */
+const createBlocks = ({ rootKeys, nodes }) => {
+  const build = key => {
+    const block = JSON.parse(nodes[key])
+    if (Array.isArray(block.children)) {
+      block.children = block.children.map(build)
+    }
+    return block
+  }
+  return rootKeys.map(build)
+}
+
+const isSameKeys = (a, b) => {
+  return a.length === b.length && a.every((key, i) => key === b[i])
+}
+
+/**
+ * Create a patch that transforms `from` into `to`. Each changed block is
+ * stored as `[oldValue, newValue]` where `null` means that the block doesn't
+ * exist, so the patch can be applied in both directions.
+ */
+const createPatch = (from, to) => {
+  const nodes = {}
+  for (const key of Object.keys(from.nodes)) {
+    const value = to.nodes.hasOwnProperty(key) ? to.nodes[key] : null
+    if (from.nodes[key] !== value) {
+      nodes[key] = [from.nodes[key], value]
+    }
+  }
+  for (const key of Object.keys(to.nodes)) {
+    if (!from.nodes.hasOwnProperty(key)) {
+      nodes[key] = [null, to.nodes[key]]
+    }
+  }
+
+  const rootKeys = isSameKeys(from.rootKeys, to.rootKeys) ? null : [from.rootKeys, to.rootKeys]
+  return { rootKeys, nodes }
+}
+
+const applyPatch = (snapshot, patch, reverse = false) => {
+  const index = reverse ? 0 : 1
+  const nodes = Object.assign({}, snapshot.nodes)
+  for (const key of Object.keys(patch.nodes)) {
+    const value = patch.nodes[key][index]
+    if (value === null) {
+      delete nodes[key]
+    } else {
+      nodes[key] = value
+    }
+  }
+
+  const rootKeys = patch.rootKeys ? patch.rootKeys[index] : snapshot.rootKeys
+  return { rootKeys, nodes }
+}
+
+const copyCursor = cursor => {
+  const result = {}
+  for (const name of CURSOR_PROPERTIES) {
+    if (cursor[name]) {
+      result[name] = JSON.parse(JSON.stringify(cursor[name]))
+    }
+  }
+  return result
+}
+
+/**
+ * Replace all block keys of a serialized history with new unique keys.
+ */
+const renewKeys = ({ stack, index, snapshot }) => {
+  const keyMap = new Map()
+  const renewKey = key => {
+    if (!key) {
+      return key
+    }
+    if (!keyMap.has(key)) {
+      keyMap.set(key, getUniqueId())
+    }
+    return keyMap.get(key)
+  }
+
+  const renewNode = value => {
+    if (value === null) {
+      return null
+    }
+    const block = JSON.parse(value)
+    for (const name of KEY_PROPERTIES) {
+      block[name] = renewKey(block[name])
+    }
+    if (Array.isArray(block.children)) {
+      block.children = block.children.map(renewKey)
+    }
+    return JSON.stringify(block)
+  }
+
+  const renewNodes = (nodes, renewValue) => {
+    const result = {}
+    for (const key of Object.keys(nodes)) {
+      result[renewKey(key)] = renewValue(nodes[key])
+    }
+    return result
+  }
+
+  const renewCursor = cursor => {
+    const result = copyCursor(cursor)
+    for (const name of CURSOR_PROPERTIES) {
+      if (result[name]) {
+        result[name].key = renewKey(result[name].key)
+      }
+    }
+    return result
+  }
+
+  return {
+    version: HISTORY_VERSION,
+    session: SESSION_ID,
+    index,
+    snapshot: {
+      rootKeys: snapshot.rootKeys.map(renewKey),
+      nodes: renewNodes(snapshot.nodes, renewNode)
+    },
+    stack: stack.map(({ patch, cursor, renderRange }) => {
+      return {
+        patch: patch ? {
+          rootKeys: patch.rootKeys ? patch.rootKeys.map(keys => keys.map(renewKey)) : null,
+          nodes: renewNodes(patch.nodes, values => values.map(renewNode))
+        } : null,
+        cursor: renewCursor(cursor),
+        renderRange: renderRange.map(renewKey)
+      }
+    })
+  }
+}
+
+/**
+ * The undo history stores only the blocks of the current state and a patch
+ * for each history entry instead of a deep copy of every state.
+ *
+ * NOTE: History entries and snapshots are immutable, so a serialized history
+ * can share them with the editor.
+ */
 class History {
   constructor (contentState) {
+    // Each entry has the patch from the previous entry, the cursor and render range.
     this.stack = []
     this.index = -1
+    // The flattened blocks of the entry at `index`.
+    this.snapshot = null
     this.contentState = contentState
   }
 
   undo () {
-    if (this.index > 0) {
-      this.index = this.index - 1
-
-      const state = deepCopy(this.stack[this.index])
-      const { blocks, cursor, renderRange } = state
-      cursor.noHistory = true
-      this.contentState.blocks = blocks
-      this.contentState.renderRange = renderRange
-      this.contentState.cursor = cursor
-      this.contentState.render()
+    const { index, stack } = this
+    if (index > 0) {
+      this.snapshot = applyPatch(this.snapshot, stack[index].patch, true)
+      this.index = index - 1
+      this.restoreState()
     }
   }
 
@@ -27,30 +198,81 @@ class History {
     const len = stack.length
     if (index < len - 1) {
       this.index = index + 1
-      const state = deepCopy(stack[this.index])
-      const { blocks, cursor, renderRange } = state
-      cursor.noHistory = true
-      this.contentState.blocks = blocks
-      this.contentState.renderRange = renderRange
-      this.contentState.cursor = cursor
-      this.contentState.render()
+      this.snapshot = applyPatch(this.snapshot, stack[this.index].patch)
+      this.restoreState()
     }
   }
 
   push (state) {
+    const { blocks, cursor, renderRange } = state
     this.stack.splice(this.index + 1)
-    const copyState = deepCopy(state)
-    this.stack.push(copyState)
+
+    const snapshot = createSnapshot(blocks)
+    const patch = this.snapshot ? createPatch(this.snapshot, snapshot) : null
+    this.stack.push({
+      patch,
+      cursor: copyCursor(cursor),
+      renderRange: [...renderRange]
+    })
+    this.snapshot = snapshot
+
     if (this.stack.length > UNDO_DEPTH) {
       this.stack.shift()
+      // The oldest entry is never reverted, so we don't need its patch anymore.
+      this.stack[0] = Object.assign({}, this.stack[0], { patch: null })
       this.index = this.index - 1
     }
     this.index = this.index + 1
   }
 
+  restoreState () {
+    const { contentState, index, snapshot, stack } = this
+    const { cursor, renderRange } = stack[index]
+    contentState.blocks = createBlocks(snapshot)
+    contentState.renderRange = [...renderRange]
+    contentState.cursor = Object.assign(copyCursor(cursor), { noHistory: true })
+    contentState.render()
+  }
+
+  /**
+   * Returns a serializable and frozen copy of the history.
+   */
+  getHistory () {
+    const { index, snapshot, stack } = this
+    return Object.freeze({
+      version: HISTORY_VERSION,
+      session: SESSION_ID,
+      index,
+      snapshot,
+      stack: stack.slice()
+    })
+  }
+
+  /**
+   * Set the history from a serialized history. Invalid or outdated histories are discarded.
+   *
+   * @param {*} history The serialized history from `getHistory`.
+   */
+  setHistory (history) {
+    if (!history || history.version !== HISTORY_VERSION || !history.snapshot ||
+      !Array.isArray(history.stack) || history.index < 0 || history.index >= history.stack.length) {
+      return this.clearHistory()
+    }
+
+    if (history.session !== SESSION_ID) {
+      history = renewKeys(history)
+    }
+
+    const { index, snapshot, stack } = history
+    this.stack = stack.slice()
+    this.index = index
+    this.snapshot = snapshot
+  }
+
   clearHistory () {
     this.stack = []
     this.index = -1
+    this.snapshot = null
   }
 }
 
@@ -24,6 +24,11 @@ import clickCtrl from './clickCtrl'
 import inputCtrl from './inputCtrl'
 import tocCtrl from './tocCtrl'
 import emojiCtrl from './emojiCtrl'
+import wikiLinkCtrl from './wikiLinkCtrl'
+import footnoteCtrl from './footnoteCtrl'
+import spellCheckCtrl from './spellCheckCtrl'
+import dragDropCtrl from './dragDropCtrl'
+import foldCtrl from './foldCtrl'
 import importMarkdown from '../utils/importMarkdown'
 import Cursor from '../selection/cursor'
 
@@ -49,6 +54,11 @@ const prototypes = [
   inputCtrl,
   tocCtrl,
   emojiCtrl,
+  wikiLinkCtrl,
+  footnoteCtrl,
+  spellCheckCtrl,
+  dragDropCtrl,
+  foldCtrl,
   importMarkdown
 ]
 
@@ -67,6 +77,9 @@ class ContentState {
     this.currentCursor = null
     // you'll select the outmost block of current cursor when you click the front icon.
     this.selectedBlock = null
+    // Keys of folded headings and of the blocks that are hidden by them.
+    this.foldedHeadings = new Set()
+    this.foldedBlocks = new Set()
     this.prevCursor = null
     this.historyTimer = null
     this.history = new History(this)
@@ -81,12 +94,7 @@ class ContentState {
       cursor = new Cursor(cursor)
     }
     const handler = () => {
-      const { blocks, renderRange, currentCursor } = this
-      this.history.push({
-        blocks,
-        renderRange,
-        cursor: currentCursor
-      })
+      this.pushHistory()
     }
     this.prevCursor = this.currentCursor
     this.currentCursor = cursor
@@ -126,13 +134,24 @@ class ContentState {
     }
   }
 
+  // Push the current state to the history and cancel a pending push.
+  pushHistory () {
+    const { blocks, renderRange, currentCursor } = this
+    clearTimeout(this.historyTimer)
+    this.historyTimer = null
+    this.history.push({
+      blocks,
+      renderRange,
+      cursor: currentCursor
+    })
+  }
+
   getHistory () {
-    const { stack, index } = this.history
-    return { stack, index }
+    return this.history.getHistory()
   }
 
-  setHistory ({ stack, index }) {
-    Object.assign(this.history, { stack, index })
+  setHistory (history) {
+    this.history.setHistory(history)
   }
 
   setCursor () {
@@ -156,12 +175,19 @@ class ContentState {
       m.active = i === index
     })
     this.setNextRenderRange()
+    this.updateFoldedBlocks()
+    this.stateRender.collectMath(blocks)
     this.stateRender.collectLabels(blocks)
+    this.stateRender.collectFootnotes(blocks)
     this.stateRender.render(blocks, cursor, activeBlocks, matches, selectedBlock)
     if (isRenderCursor) this.setCursor()
   }
 
   partialRender (isRenderCursor = true) {
+    // Other sections may have been hidden or shown, or equation numbers and macros may have changed.
+    if (this.updateFoldedBlocks() || this.stateRender.collectMath(this.blocks)) {
+      return this.render(isRenderCursor)
+    }
     const { blocks, cursor, searchMatches: { matches, index }, selectedBlock } = this
     const activeBlocks = this.getActiveBlocks()
     const [ startKey, endKey ] = this.renderRange
@@ -174,6 +200,7 @@ class ContentState {
 
     this.setNextRenderRange()
     this.stateRender.collectLabels(blocks)
+    this.stateRender.collectFootnotes(blocks)
     this.stateRender.partialRender(needRenderBlocks, cursor, activeBlocks, matches, startKey, endKey, selectedBlock)
     if (isRenderCursor) this.setCursor()
   }
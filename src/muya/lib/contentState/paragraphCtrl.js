@@ -1,6 +1,7 @@
 import selection from '../selection'
 import { PARAGRAPH_TYPES, DEFAULT_TURNDOWN_CONFIG } from '../config'
 import ExportMarkdown from '../utils/exportMarkdown'
+import { getBlockSyntax } from '../syntax'
 
 const LINE_BREAKS_REG = /\n/
 
@@ -92,6 +93,71 @@ const paragraphCtrl = ContentState => {
     }
   }
 
+  /**
+   * Replace the front matter with the given YAML or remove the front matter if the text
+   * is empty. The change is a single history step.
+   *
+   * @param {string} text The front matter without delimiters.
+   */
+  ContentState.prototype.setFrontMatter = function (text) {
+    const firstBlock = this.blocks[0]
+    const hasFrontMatter = firstBlock.type === 'pre' && firstBlock.functionType === 'frontmatter'
+    const lines = text.replace(/\n$/, '').split('\n')
+    if (!hasFrontMatter && !text) {
+      return
+    }
+
+    // Commit pending changes, so that undo only reverts the front matter change.
+    if (this.historyTimer) {
+      this.pushHistory()
+    }
+
+    if (hasFrontMatter) {
+      this.removeBlock(firstBlock)
+    }
+    if (text) {
+      const lang = 'yaml'
+      const frontMatter = this.createBlock('pre', {
+        functionType: 'frontmatter',
+        lang
+      })
+      const codeBlock = this.createBlock('code', {
+        lang
+      })
+      for (const line of lines) {
+        this.appendChild(codeBlock, this.createBlock('span', {
+          text: line,
+          lang,
+          functionType: 'codeLine'
+        }))
+      }
+      this.appendChild(frontMatter, codeBlock)
+      if (this.blocks.length) {
+        this.insertBefore(frontMatter, this.blocks[0])
+      } else {
+        this.blocks.push(frontMatter)
+      }
+    }
+    if (this.blocks.length === 0) {
+      this.blocks.push(this.createBlockP())
+    }
+
+    // The cursor was in the removed front matter.
+    const { start, end } = this.cursor
+    if (!this.getBlock(start.key) || !this.getBlock(end.key)) {
+      const { key } = this.firstInDescendant(this.blocks[0])
+      const offset = 0
+      this.cursor = {
+        start: { key, offset },
+        end: { key, offset }
+      }
+    }
+
+    this.pushHistory()
+    this.render()
+    this.muya.eventCenter.dispatch('stateChange')
+  }
+
   ContentState.prototype.handleListMenu = function (paraType, insertMode) {
     const { start, end, affiliation } = this.selectionChange(this.cursor)
     const { orderListDelimiter, bulletListMarker, preferLooseListItem } = this.muya.options
@@ -589,6 +655,13 @@ const paragraphCtrl = ContentState => {
         }
         break
       }
+      default: {
+        // block syntaxes of plugins
+        if (getBlockSyntax(paraType)) {
+          this.insertContainerBlock(paraType, block)
+        }
+        break
+      }
     }
     if (paraType === 'front-matter') {
       this.render()
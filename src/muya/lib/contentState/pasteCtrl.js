@@ -177,6 +177,10 @@ const pasteCtrl = ContentState => {
     }
 
     if (/th|td/.test(startBlock.type)) {
+      // Spreadsheet data is pasted into multiple cells.
+      if (this.pasteTableCells(text)) {
+        return
+      }
       const pendingText = text.trim().replace(/\n/g, '<br/>')
       startBlock.text = startBlock.text.substring(0, start.offset) + pendingText + startBlock.text.substring(end.offset)
       const { key } = startBlock
@@ -0,0 +1,45 @@
+import { CLASS_OR_ID } from '../config'
+import { findNearestParagraph } from '../selection/dom'
+
+const spellCheckCtrl = ContentState => {
+  /**
+   * Get the misspelled word of the given node.
+   *
+   * @param {Node} node The node, e.g. the target of a context menu event.
+   * @returns {{key: string, start: number, end: number, word: string}|null}
+   */
+  ContentState.prototype.getMisspelledWord = function (node) {
+    const element = node && node.nodeType === 3 ? node.parentNode : node
+    if (!element || !element.closest) {
+      return null
+    }
+    const wordNode = element.closest(`span.${CLASS_OR_ID['AG_SPELLING_ERROR']}`)
+    const paragraph = wordNode && findNearestParagraph(wordNode)
+    if (!paragraph) {
+      return null
+    }
+
+    const { start, end, word } = wordNode.dataset
+    return { key: paragraph.id, start: +start, end: +end, word }
+  }
+
+  ContentState.prototype.replaceMisspelledWord = function ({ key, start, end, word }, replacement) {
+    const block = this.getBlock(key)
+    // The document may have changed since the word was checked.
+    if (!block || block.text.substring(start, end) !== word) {
+      return
+    }
+
+    const { text } = block
+    const offset = start + replacement.length
+    block.text = text.substring(0, start) + replacement + text.substring(end)
+    this.cursor = {
+      start: { key, offset },
+      end: { key, offset }
+    }
+    this.partialRender()
+    this.muya.eventCenter.dispatch('stateChange')
+  }
+}
+
+export default spellCheckCtrl
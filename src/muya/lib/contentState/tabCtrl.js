@@ -36,7 +36,7 @@ const parseSelector = (str = '') => {
   return { tag, id, className, isVoid }
 }
 
-const BOTH_SIDES_FORMATS = ['strong', 'em', 'inline_code', 'image', 'link', 'reference_image', 'reference_link', 'emoji', 'del', 'html_tag', 'inline_math']
+const BOTH_SIDES_FORMATS = ['strong', 'em', 'inline_code', 'image', 'link', 'reference_image', 'reference_link', 'emoji', 'del', 'html_tag', 'inline_math', 'wiki_link']
 
 const tabCtrl = ContentState => {
   ContentState.prototype.findNextCell = function (block) {
@@ -222,6 +222,15 @@ const tabCtrl = ContentState => {
               }
               break
             }
+            case 'wiki_link': {
+              if (offset === end - marker.length) {
+                result = {
+                  offset: marker.length
+                }
+                return
+              }
+              break
+            }
             case 'reference_image':
             case 'reference_link': {
               const labelLen = label ? label.length : 0
@@ -294,7 +303,8 @@ const tabCtrl = ContentState => {
       start.offset === end.offset &&
       HAS_TEXT_BLOCK_REG.test(startBlock.type) &&
       startBlock.functionType !== 'codeLine' && // code line has no inline syntax
-      startBlock.functionType !== 'languageInput' // language input textarea has no inline syntax
+      startBlock.functionType !== 'languageInput' && // language input textarea has no inline syntax
+      startBlock.functionType !== 'footnoteInput'
     ) {
       const { text, key } = startBlock
       const { offset } = start
@@ -1,7 +1,27 @@
 import { isLengthEven, getParagraphReference } from '../utils'
+import { detectDelimiter, parseCsv, stringifyCsv } from '../utils/csv'
 
 const TABLE_BLOCK_REG = /^\|.*?(\\*)\|.*?(\\*)\|/
 
+// Convert between plain values and the markdown text of table cells.
+const toCellText = value => value.trim().replace(/\|/g, '\\|').replace(/\r?\n/g, '<br/>')
+const fromCellText = text => text.replace(/\\\|/g, '|').replace(/<br\s*\/?>/gi, '\n')
+
+const toNumber = value => {
+  const number = Number(value.replace(/[\s,%]/g, ''))
+  return value && !Number.isNaN(number) ? number : null
+}
+
+// Empty and non-numeric values are sorted to the end in both orders.
+const compareValues = (a, b, numeric, direction) => {
+  const x = numeric ? toNumber(a) : a || null
+  const y = numeric ? toNumber(b) : b || null
+  if (x === null || y === null) {
+    return x === y ? 0 : (x === null ? 1 : -1)
+  }
+  return (numeric ? x - y : x.localeCompare(y)) * direction
+}
+
 const tableBlockCtrl = ContentState => {
   ContentState.prototype.createTableInFigure = function ({ rows, columns }, headerTexts) {
     const table = this.createBlock('table')
@@ -172,49 +192,9 @@ const tableBlockCtrl = ContentState => {
         const { row = 1, column = 1 } = table // zero base
 
         const handler = (row, column) => {
-          const { row: oldRow, column: oldColumn } = table
-          const tBody = table.children[1]
-          const tHead = table.children[0]
-          const headerRow = tHead.children[0]
-          const bodyRows = tBody.children
-          let i
-          if (column > oldColumn) {
-            for (i = oldColumn + 1; i <= column; i++) {
-              const th = this.createBlock('th')
-              th.column = i
-              th.align = ''
-              this.appendChild(headerRow, th)
-              bodyRows.forEach(bodyRow => {
-                const td = this.createBlock('td')
-                td.column = i
-                td.align = ''
-                this.appendChild(bodyRow, td)
-              })
-            }
-          } else if (column < oldColumn) {
-            const rows = [headerRow, ...bodyRows]
-            rows.forEach(row => {
-              while (row.children.length > column + 1) {
-                const lastChild = row.children[row.children.length - 1]
-                this.removeBlock(lastChild)
-              }
-            })
-          }
-
-          if (row < oldRow) {
-            while (tBody.children.length > row) {
-              const lastRow = tBody.children[tBody.children.length - 1]
-              this.removeBlock(lastRow)
-            }
-          } else if (row > oldRow) {
-            const oneRowInBody = bodyRows[0]
-            for (i = oldRow + 1; i <= row; i++) {
-              const bodyRow = this.createRow(oneRowInBody)
-              this.appendChild(tBody, bodyRow)
-            }
-          }
-          Object.assign(table, { row, column })
+          this.resizeTable(table, row, column)
 
+          const headerRow = table.children[0].children[0]
           const cursorBlock = headerRow.children[0]
           const key = cursorBlock.key
           const offset = cursorBlock.text.length
@@ -227,11 +207,65 @@ const tableBlockCtrl = ContentState => {
         }
         const reference = getParagraphReference(tableLable, tableLable.id)
         eventCenter.dispatch('muya-table-picker', { row, column }, reference, handler.bind(this))
+        break
+      }
+      case 'more': {
+        // The application shows the menu with sort, move and CSV actions.
+        const moreLabel = document.querySelector(`#${figure.key} [data-label=more]`)
+        const { left, bottom } = moreLabel.getBoundingClientRect()
+        this.muya.eventCenter.dispatch('table-menu', { x: Math.round(left), y: Math.round(bottom) })
+        break
+      }
+    }
+  }
+
+  // Add or remove rows and columns, `row` and `column` are zero based and the row includes the header row.
+  ContentState.prototype.resizeTable = function (table, row, column) {
+    const { row: oldRow, column: oldColumn } = table
+    const tBody = table.children[1]
+    const tHead = table.children[0]
+    const headerRow = tHead.children[0]
+    const bodyRows = tBody.children
+    let i
+    if (column > oldColumn) {
+      for (i = oldColumn + 1; i <= column; i++) {
+        const th = this.createBlock('th')
+        th.column = i
+        th.align = ''
+        this.appendChild(headerRow, th)
+        bodyRows.forEach(bodyRow => {
+          const td = this.createBlock('td')
+          td.column = i
+          td.align = ''
+          this.appendChild(bodyRow, td)
+        })
       }
+    } else if (column < oldColumn) {
+      const rows = [headerRow, ...bodyRows]
+      rows.forEach(row => {
+        while (row.children.length > column + 1) {
+          const lastChild = row.children[row.children.length - 1]
+          this.removeBlock(lastChild)
+        }
+      })
     }
+
+    if (row < oldRow) {
+      while (tBody.children.length > row) {
+        const lastRow = tBody.children[tBody.children.length - 1]
+        this.removeBlock(lastRow)
+      }
+    } else if (row > oldRow) {
+      const oneRowInBody = bodyRows[0] || headerRow
+      for (i = oldRow + 1; i <= row; i++) {
+        const bodyRow = this.createRow(oneRowInBody)
+        this.appendChild(tBody, bodyRow)
+      }
+    }
+    Object.assign(table, { row, column })
   }
 
-  // insert/remove row/column
+  // insert/remove/move row/column
   ContentState.prototype.editTable = function ({ location, action, target }) {
     const { start, end } = this.cursor
     const block = this.getBlock(start.key)
@@ -259,7 +293,9 @@ const tableBlockCtrl = ContentState => {
       return tr
     }
 
-    if (target === 'row') {
+    if (action === 'move') {
+      if (!this.moveTableRowOrColumn(block, target, location)) return
+    } else if (target === 'row') {
       if (action === 'insert') {
         let newRow = (location === 'previous' && block.type === 'th')
           ? createRow(column, true)
@@ -375,6 +411,170 @@ const tableBlockCtrl = ContentState => {
     this.muya.eventCenter.dispatch('stateChange')
   }
 
+  // Move the row or column of the cell, the header row is not moved.
+  ContentState.prototype.moveTableRowOrColumn = function (cell, target, location) {
+    const currentRow = this.getParent(cell)
+    if (target === 'row') {
+      if (cell.type === 'th') return false
+      if (location === 'previous') {
+        const preRow = this.getPreSibling(currentRow)
+        if (!preRow) return false
+        this.removeBlock(currentRow)
+        this.insertBefore(currentRow, preRow)
+      } else {
+        const nextRow = this.getNextSibling(currentRow)
+        if (!nextRow) return false
+        this.removeBlock(nextRow)
+        this.insertBefore(nextRow, currentRow)
+      }
+      return true
+    }
+
+    const table = this.getParent(this.getParent(currentRow))
+    const columnIndex = currentRow.children.indexOf(cell)
+    const otherIndex = location === 'left' ? columnIndex - 1 : columnIndex + 1
+    if (otherIndex < 0 || otherIndex >= currentRow.children.length) return false
+    const [leftIndex, rightIndex] = otherIndex < columnIndex ? [otherIndex, columnIndex] : [columnIndex, otherIndex]
+    for (const row of [...table.children[0].children, ...table.children[1].children]) {
+      const leftCell = row.children[leftIndex]
+      const rightCell = row.children[rightIndex]
+      this.removeBlock(rightCell)
+      this.insertBefore(rightCell, leftCell)
+      row.children.forEach((cell, i) => {
+        cell.column = i
+      })
+    }
+    return true
+  }
+
+  // Returns the cell of the cursor with its table and position or null if the cursor isn't in a single cell.
+  ContentState.prototype.getTableCellOfCursor = function () {
+    const { start, end } = this.cursor
+    const cell = this.getBlock(start.key)
+    if (start.key !== end.key || !/th|td/.test(cell.type)) {
+      return null
+    }
+    const row = this.getParent(cell)
+    const table = this.getParent(this.getParent(row))
+    const rows = [...table.children[0].children, ...table.children[1].children]
+    return {
+      cell,
+      table,
+      rowIndex: rows.indexOf(row),
+      columnIndex: row.children.indexOf(cell)
+    }
+  }
+
+  /**
+   * Sort the table body by the column of the cursor.
+   *
+   * @param {string} order The sort order, `asc` or `desc`.
+   * @param {boolean} numeric Whether the values are compared as numbers.
+   */
+  ContentState.prototype.sortTable = function (order = 'asc', numeric = false) {
+    const tableCell = this.getTableCellOfCursor()
+    if (!tableCell) return
+    const { table, columnIndex } = tableCell
+    const tBody = table.children[1]
+    const direction = order === 'desc' ? -1 : 1
+    const getValue = row => fromCellText(row.children[columnIndex].text).trim()
+    const rows = tBody.children.slice()
+      .sort((a, b) => compareValues(getValue(a), getValue(b), numeric, direction))
+
+    rows.forEach(row => this.removeBlock(row))
+    rows.forEach(row => this.appendChild(tBody, row))
+    this.partialRender()
+    this.muya.eventCenter.dispatch('stateChange')
+  }
+
+  // Write the values into the cells that start at the given position and expand the table if necessary.
+  ContentState.prototype.setTableCells = function (table, values, rowIndex, columnIndex) {
+    const columnCount = Math.max(...values.map(rowValues => rowValues.length))
+    const row = Math.max(table.row, rowIndex + values.length - 1)
+    const column = Math.max(table.column, columnIndex + columnCount - 1)
+    this.resizeTable(table, row, column)
+
+    const rows = [...table.children[0].children, ...table.children[1].children]
+    let lastCell = null
+    values.forEach((rowValues, i) => {
+      rowValues.forEach((value, j) => {
+        lastCell = rows[rowIndex + i].children[columnIndex + j]
+        lastCell.text = toCellText(value)
+      })
+    })
+    return lastCell
+  }
+
+  /**
+   * Paste tab or comma-separated values into the cells right and below of the cursor.
+   *
+   * @param {string} text The pasted text.
+   * @returns {boolean} Whether the text was pasted as table data.
+   */
+  ContentState.prototype.pasteTableCells = function (text) {
+    const tableCell = this.getTableCellOfCursor()
+    const delimiter = tableCell && detectDelimiter(text)
+    if (!delimiter) {
+      return false
+    }
+
+    const { table, rowIndex, columnIndex } = tableCell
+    const lastCell = this.setTableCells(table, parseCsv(text, delimiter), rowIndex, columnIndex)
+    const { key } = lastCell
+    const offset = lastCell.text.length
+    this.cursor = {
+      start: { key, offset },
+      end: { key, offset }
+    }
+    this.partialRender()
+    this.muya.eventCenter.dispatch('stateChange')
+    return true
+  }
+
+  /**
+   * Replace the content of the table at the cursor with the given CSV or TSV data.
+   *
+   * @param {string} text The CSV or TSV text.
+   * @param {string} [delimiter] The value delimiter.
+   */
+  ContentState.prototype.importTableCsv = function (text, delimiter = ',') {
+    const tableCell = this.getTableCellOfCursor()
+    const values = parseCsv(text, delimiter)
+    if (!tableCell || !values.length) return
+
+    // Keep at least one body row and two columns like a new table.
+    const { table } = tableCell
+    const columnCount = Math.max(2, ...values.map(rowValues => rowValues.length))
+    const rows = values.concat(values.length < 2 ? [[]] : [])
+      .map(rowValues => Array.from({ length: columnCount }, (_, i) => rowValues[i] || ''))
+    this.resizeTable(table, rows.length - 1, columnCount - 1)
+    this.setTableCells(table, rows, 0, 0)
+
+    const { key } = table.children[0].children[0].children[0]
+    this.cursor = {
+      start: { key, offset: 0 },
+      end: { key, offset: 0 }
+    }
+    this.partialRender()
+    this.muya.eventCenter.dispatch('stateChange')
+  }
+
+  /**
+   * Returns the table at the cursor as CSV.
+   *
+   * @param {string} [delimiter] The value delimiter.
+   * @returns {string|null} The CSV or null if the cursor is not in a table.
+   */
+  ContentState.prototype.getTableCsv = function (delimiter = ',') {
+    const tableCell = this.getTableCellOfCursor()
+    if (!tableCell) {
+      return null
+    }
+    const { table } = tableCell
+    const rows = [...table.children[0].children, ...table.children[1].children]
+    return stringifyCsv(rows.map(row => row.children.map(cell => fromCellText(cell.text))), delimiter)
+  }
+
   ContentState.prototype.getTableBlock = function () {
     const { start, end } = this.cursor
     const startBlock = this.getBlock(start.key)
@@ -1,19 +1,25 @@
+// Returns the level of a heading block or `0` if the block is not a heading.
+export const getHeadingLevel = block => /^h\d$/.test(block.type) ? +block.type.substring(1) : 0
+
+// Returns the heading text without ATX markers.
+export const getHeadingContent = block => {
+  const { headingStyle } = block
+  const { text } = block.children[0]
+  return headingStyle === 'setext' ? text.trim() : text.replace(/^ *#{1,6} {1,}/, '').trim()
+}
+
 const tocCtrl = ContentState => {
   ContentState.prototype.getTOC = function () {
     const { blocks } = this
     const toc = []
 
     for (const block of blocks) {
-      if (/^h\d$/.test(block.type)) {
-        const { headingStyle, key, type } = block
-        const { text } = block.children[0]
-        const content = headingStyle === 'setext' ? text.trim() : text.replace(/^ *#{1,6} {1,}/, '').trim()
-        const lvl = +type.substring(1)
-        const slug = key
+      const lvl = getHeadingLevel(block)
+      if (lvl) {
         toc.push({
-          content,
+          content: getHeadingContent(block),
           lvl,
-          slug
+          slug: block.key
         })
       }
     }
@@ -10,7 +10,8 @@ const INLINE_UPDATE_FRAGMENTS = [
   '^(?:[\\s\\S]+?)\\n {0,3}(\\={3,}|\\-{3,})(?= {1,}|$)', // Setext headings **match from beginning**
   '(?:^|\n) {0,3}(>).+', // Block quote
   '^( {4,})', // Indent code **match from beginning**
-  '(?:^|\n) {0,3}((?:\\* *\\* *\\*|- *- *-|_ *_ *_)[ \\*\\-\\_]*)$' // Thematic break
+  '(?:^|\n) {0,3}((?:\\* *\\* *\\*|- *- *-|_ *_ *_)[ \\*\\-\\_]*)$', // Thematic break
+  '^(\\[\\^[^\\^\\[\\]\\s]+?(?<!\\\\)\\]: )' // Footnote definition **match from beginning**
 ]
 
 const INLINE_UPDATE_REG = new RegExp(INLINE_UPDATE_FRAGMENTS.join('|'), 'i')
@@ -68,7 +69,7 @@ const updateCtrl = ContentState => {
   ContentState.prototype.checkInlineUpdate = function (block) {
     // table cell can not have blocks in it
     if (/th|td|figure/.test(block.type)) return false
-    if (/codeLine|languageInput/.test(block.functionType)) return false
+    if (/codeLine|languageInput|footnoteInput/.test(block.functionType)) return false
 
     let line = null
     const { text } = block
@@ -79,7 +80,7 @@ const updateCtrl = ContentState => {
     const listItem = this.getParent(block)
     const [
       match, bullet, tasklist, order, atxHeader,
-      setextHeader, blockquote, indentCode, hr
+      setextHeader, blockquote, indentCode, hr, footnote
     ] = text.match(INLINE_UPDATE_REG) || []
 
     switch (true) {
@@ -108,6 +109,10 @@ const updateCtrl = ContentState => {
       case !!indentCode:
         return this.updateIndentCode(block, line)
 
+      // only top level paragraphs can be updated to footnotes
+      case !!footnote && block.type === 'p' && !listItem:
+        return this.updateFootnote(block, footnote, line)
+
       case !match:
       default:
         return this.updateToParagraph(block, line)
@@ -577,6 +582,30 @@ const updateCtrl = ContentState => {
     return preBlock
   }
 
+  ContentState.prototype.updateFootnote = function (block, marker, line) {
+    const figureBlock = this.createBlock('figure', {
+      functionType: 'footnote'
+    })
+    const identifierInput = this.createBlock('span', {
+      text: marker.substring(2, marker.length - 3),
+      functionType: 'footnoteInput'
+    })
+    const contentBlock = this.createBlockP(line.text.substring(marker.length))
+
+    this.appendChild(figureBlock, identifierInput)
+    this.appendChild(figureBlock, contentBlock)
+    this.insertBefore(figureBlock, block)
+    this.removeBlock(block)
+
+    const key = contentBlock.children[0].key
+    const { start, end } = this.cursor
+    this.cursor = {
+      start: { key, offset: Math.max(0, start.offset - marker.length) },
+      end: { key, offset: Math.max(0, end.offset - marker.length) }
+    }
+    return figureBlock
+  }
+
   ContentState.prototype.updateToParagraph = function (block, line) {
     if (/^h\d$/.test(block.type) && block.headingStyle === 'setext') {
       return null
@@ -0,0 +1,64 @@
+import selection from '../selection'
+import { findNearestParagraph } from '../selection/dom'
+import { CLASS_OR_ID } from '../config'
+import { getParagraphReference } from '../utils'
+
+const wikiLinkCtrl = ContentState => {
+  ContentState.prototype.getWikiLinkNode = function () {
+    const node = selection.getSelectionStart()
+    const getNode = node => {
+      const parentNode = node && node.parentNode
+      if (node && node.classList && node.classList.contains(CLASS_OR_ID['AG_WIKI_LINK'])) {
+        return node
+      } else if (parentNode) {
+        return getNode(parentNode)
+      }
+      return null
+    }
+
+    return getNode(node)
+  }
+
+  ContentState.prototype.showAutoWikiLink = function (list) {
+    const { eventCenter } = this.muya
+    const node = this.getWikiLinkNode()
+
+    if (!node || !list.length) {
+      return eventCenter.dispatch('muya-image-picker', { list: [] })
+    }
+
+    const cb = item => {
+      const { text } = item
+      const { start: { key, offset } } = this.cursor
+      const block = this.getBlock(key)
+      const { text: oldText } = block
+      const preText = oldText.substring(0, offset).replace(/(\[\[)([^[\]|\n]*)$/, (m, p1) => p1 + text)
+      const postText = oldText.substring(offset)
+      // Move the cursor behind the link.
+      const newOffset = postText.startsWith(']]') ? preText.length + 2 : preText.length
+      block.text = preText + postText
+      this.cursor = {
+        start: { key, offset: newOffset },
+        end: { key, offset: newOffset }
+      }
+      this.partialRender()
+    }
+    const paragraph = findNearestParagraph(node)
+    const reference = getParagraphReference(node, paragraph.id)
+
+    eventCenter.dispatch('muya-image-picker', { reference, list, cb })
+  }
+
+  ContentState.prototype.listenForWikiLink = function () {
+    const { eventCenter } = this.muya
+
+    eventCenter.subscribe('wiki-link', target => {
+      eventCenter.dispatch('muya-image-picker', { list: [] })
+      if (target && typeof target === 'string') {
+        eventCenter.dispatch('wiki-link-autocomplement', target)
+      }
+    })
+  }
+}
+
+export default wikiLinkCtrl
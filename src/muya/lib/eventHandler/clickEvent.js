@@ -32,7 +32,8 @@ class ClickEvent {
       }
 
       const sectionChanges = contentState.selectionChange(contentState.cursor)
-      eventCenter.dispatch('contextmenu', event, sectionChanges)
+      const misspelledWord = contentState.getMisspelledWord(event.target)
+      eventCenter.dispatch('contextmenu', event, sectionChanges, misspelledWord)
     }
     eventCenter.attachDOMEvent(container, 'contextmenu', handler)
   }
@@ -83,6 +84,27 @@ class ClickEvent {
         }
       }
 
+      // handler heading section fold toggle click
+      const foldToggle = target.closest(`.${CLASS_OR_ID['AG_FOLD_TOGGLE']}`)
+      if (foldToggle) {
+        event.preventDefault()
+        event.stopPropagation()
+        return contentState.toggleFold(foldToggle.parentNode.id)
+      }
+
+      // handler footnote navigation, ctrl/cmd + click on a reference jumps to its definition
+      const footnoteBackLink = target.closest(`.${CLASS_OR_ID['AG_FOOTNOTE_BACKLINK']}`)
+      const footnoteIdentifier = target.closest(`.${CLASS_OR_ID['AG_INLINE_FOOTNOTE_IDENTIFIER']}`)
+      if (footnoteBackLink) {
+        event.preventDefault()
+        event.stopPropagation()
+        return contentState.jumpToFootnoteReference(footnoteBackLink.getAttribute('data-identifier'))
+      } else if (footnoteIdentifier && (event.metaKey || event.ctrlKey)) {
+        event.preventDefault()
+        event.stopPropagation()
+        return contentState.jumpToFootnote(footnoteIdentifier.getAttribute('data-identifier'))
+      }
+
       // handler to-do checkbox click
       if (target.tagName === 'INPUT' && target.classList.contains(CLASS_OR_ID['AG_TASK_LIST_ITEM_CHECKBOX'])) {
         contentState.listItemCheckBoxClick(target)
@@ -0,0 +1,145 @@
+import { CLASS_OR_ID } from '../config'
+
+class DragDrop {
+  constructor (muya) {
+    this.muya = muya
+    // The block that is dragged by its front icon.
+    this.dragBlock = null
+    // The block and position where the dragged block would be dropped.
+    this.dropTarget = null
+    this.indicator = null
+    this.dragDropBinding()
+  }
+
+  dragDropBinding () {
+    const { container, eventCenter, contentState } = this.muya
+
+    const dragStartHandler = event => {
+      const frontIcon = event.target.closest && event.target.closest(`.${CLASS_OR_ID['AG_FRONT_ICON']}`)
+      if (!frontIcon) {
+        return
+      }
+      const blockElement = frontIcon.parentNode
+      const block = contentState.getBlock(blockElement.id)
+      if (!block) {
+        return event.preventDefault()
+      }
+
+      this.dragBlock = block
+      eventCenter.dispatch('muya-front-menu', { reference: null })
+      event.dataTransfer.effectAllowed = 'move'
+      event.dataTransfer.setData('text/plain', '')
+      event.dataTransfer.setDragImage(blockElement, 0, 0)
+    }
+
+    const dragOverHandler = event => {
+      if (!this.dragBlock) {
+        return
+      }
+      // Don't let the application handle the event.
+      event.preventDefault()
+      event.stopPropagation()
+      this.dropTarget = this.getDropTarget(event)
+      event.dataTransfer.dropEffect = this.dropTarget ? 'move' : 'none'
+      this.showIndicator()
+    }
+
+    const dragLeaveHandler = event => {
+      if (this.dragBlock && !container.contains(event.relatedTarget)) {
+        this.dropTarget = null
+        this.showIndicator()
+      }
+    }
+
+    const dropHandler = event => {
+      if (!this.dragBlock) {
+        return
+      }
+      event.preventDefault()
+      event.stopPropagation()
+      const { dragBlock, dropTarget } = this
+      this.reset()
+      if (dropTarget) {
+        contentState.moveBlock(dragBlock, dropTarget.block, dropTarget.position)
+      }
+    }
+
+    const dragEndHandler = () => {
+      this.reset()
+    }
+
+    eventCenter.attachDOMEvent(container, 'dragstart', dragStartHandler)
+    eventCenter.attachDOMEvent(container, 'dragover', dragOverHandler)
+    eventCenter.attachDOMEvent(container, 'dragleave', dragLeaveHandler)
+    eventCenter.attachDOMEvent(container, 'drop', dropHandler)
+    eventCenter.attachDOMEvent(container, 'dragend', dragEndHandler)
+  }
+
+  // Find the innermost block under the mouse where the dragged block can be dropped.
+  getDropTarget (event) {
+    const { container, contentState } = this.muya
+    const { dragBlock } = this
+    const { clientY } = event
+    let element = event.target.nodeType === 1 ? event.target : event.target.parentNode
+    let block = null
+    while (element && element !== container) {
+      if (element.id && element.classList.contains(CLASS_OR_ID['AG_PARAGRAPH'])) {
+        const target = contentState.getBlock(element.id)
+        if (contentState.canDropBlock(dragBlock, target)) {
+          block = target
+          break
+        }
+      }
+      element = element.parentNode
+    }
+
+    // The mouse is between two blocks, use the nearest top-level block.
+    if (!block) {
+      const topLevelElements = Array.from(container.children[0].children)
+      element = topLevelElements.find(el => clientY < el.getBoundingClientRect().bottom) ||
+        topLevelElements[topLevelElements.length - 1]
+      block = element ? contentState.getBlock(element.id) : null
+      if (!contentState.canDropBlock(dragBlock, block)) {
+        return null
+      }
+    }
+
+    const rect = element.getBoundingClientRect()
+    const position = clientY < rect.top + rect.height / 2 ? 'before' : 'after'
+    return { block, position, rect }
+  }
+
+  showIndicator () {
+    const { dropTarget } = this
+    if (!dropTarget) {
+      if (this.indicator) {
+        this.indicator.style.display = 'none'
+      }
+      return
+    }
+
+    if (!this.indicator) {
+      this.indicator = document.createElement('div')
+      this.indicator.classList.add(CLASS_OR_ID['AG_DROP_INDICATOR'])
+      document.body.appendChild(this.indicator)
+    }
+    const { rect, position } = dropTarget
+    Object.assign(this.indicator.style, {
+      display: 'block',
+      top: `${position === 'before' ? rect.top : rect.bottom}px`,
+      left: `${rect.left}px`,
+      width: `${rect.width}px`
+    })
+  }
+
+  reset () {
+    this.dragBlock = null
+    this.dropTarget = null
+    if (this.indicator) {
+      this.indicator.remove()
+      this.indicator = null
+    }
+  }
+}
+
+export default DragDrop
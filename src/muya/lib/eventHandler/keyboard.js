@@ -224,9 +224,9 @@ class Keyboard {
         }
       }
 
-      // hide image-path float box
+      // hide image-path and wiki link float box
       const imageTextNode = contentState.getImageTextNode()
-      if (!imageTextNode) {
+      if (!imageTextNode && !contentState.getWikiLinkNode()) {
         eventCenter.dispatch('muya-image-picker', { list: [] })
       }
 
@@ -3,18 +3,61 @@ import EventCenter from './eventHandler/event'
 import Clipboard from './eventHandler/clipboard'
 import Keyboard from './eventHandler/keyboard'
 import ClickEvent from './eventHandler/clickEvent'
+import DragDrop from './eventHandler/dragDrop'
 import { CLASS_OR_ID, MUYA_DEFAULT_OPTION } from './config'
-import { wordCount } from './utils'
+import { getDefaultMessage } from './config/messages'
+import { wordCount, snakeToCamel } from './utils'
 import ExportMarkdown from './utils/exportMarkdown'
 import ExportHtml from './utils/exportHtml'
 import ToolTip from './ui/tooltip'
+import StateRender from './parser/render'
+import { registerSyntax } from './syntax'
+import { loadLanguage } from './prism/index'
 import './assets/styles/index.css'
 
 class Muya {
   static plugins = []
+  static syntaxPlugins = []
+  /**
+   * Add a UI plugin or a syntax plugin. UI plugins are classes that are instantiated
+   * with the editor. Syntax plugins are objects with custom inline and block syntaxes,
+   * see `syntax/index.js`. Syntax plugins must be added before creating an editor.
+   */
   static use (plugin) {
-    this.plugins.push(plugin)
+    if (typeof plugin === 'function') {
+      if (!this.plugins.includes(plugin)) {
+        this.plugins.push(plugin)
+      }
+    } else if (!this.syntaxPlugins.includes(plugin)) {
+      const { inlines = [], blocks = [] } = plugin
+      for (const { type } of inlines) {
+        if (StateRender.prototype[snakeToCamel(type)]) {
+          throw new Error(`The inline syntax type "${type}" is already defined.`)
+        }
+      }
+      registerSyntax(plugin)
+      for (const { type, render } of inlines) {
+        StateRender.prototype[snakeToCamel(type)] = render
+      }
+      for (const { lang } of blocks) {
+        if (lang) {
+          loadLanguage(lang)
+        }
+      }
+      this.syntaxPlugins.push(plugin)
+    }
+  }
+  /**
+   * Translate an UI message with the `translate` option, UI plugins may pass it around unbound.
+   *
+   * @param {string} key The message key, e.g. `quickInsert.paragraph`.
+   * @returns {string}
+   */
+  t = key => {
+    const { translate } = this.options
+    return (typeof translate === 'function' && translate(key)) || getDefaultMessage(key)
   }
+
   constructor (container, options) {
     this.options = Object.assign({}, MUYA_DEFAULT_OPTION, options)
     const { markdown } = this.options
@@ -33,6 +76,7 @@ class Muya {
     this.clipboard = new Clipboard(this)
     this.clickEvent = new ClickEvent(this)
     this.keyboard = new Keyboard(this)
+    this.dragDrop = new DragDrop(this)
     this.init()
   }
 
@@ -41,6 +85,7 @@ class Muya {
     contentState.stateRender.setContainer(container.children[0])
     eventCenter.subscribe('stateChange', this.dispatchChange)
     contentState.listenForPathChange()
+    contentState.listenForWikiLink()
     const { markdown } = this
     const { focusMode } = this.options
     this.setMarkdown(markdown)
@@ -114,6 +159,10 @@ class Muya {
     return this.contentState.getTOC()
   }
 
+  getBlockLines (markdown = this.getMarkdown()) {
+    return this.contentState.getBlockLines(markdown)
+  }
+
   setHistory (history) {
     return this.contentState.setHistory(history)
   }
@@ -122,9 +171,9 @@ class Muya {
     return this.contentState.history.clearHistory()
   }
 
-  exportStyledHTML (title = '', printOptimization = false) {
+  exportStyledHTML (title = '', printOptimization = false, options = {}) {
     const { markdown } = this
-    return new ExportHtml(markdown, this).generate(title, printOptimization)
+    return new ExportHtml(markdown, this).generate(title, printOptimization, options)
   }
 
   exportHtml () {
@@ -211,14 +260,62 @@ class Muya {
     this.contentState.deleteParagraph()
   }
 
+  moveParagraph (direction/* up or down */) {
+    this.contentState.moveParagraph(direction)
+  }
+
+  toggleFold (key) {
+    this.contentState.toggleFold(key)
+  }
+
+  unfoldToLevel (level) {
+    this.contentState.unfoldToLevel(level)
+  }
+
+  unfoldAll () {
+    this.contentState.unfoldAll()
+  }
+
+  revealBlock (key) {
+    this.contentState.revealBlock(key)
+  }
+
+  getFoldedHeadings () {
+    return this.contentState.getFoldedHeadings()
+  }
+
+  setFoldedHeadings (headings, isRenderCursor = true) {
+    this.contentState.setFoldedHeadings(headings, isRenderCursor)
+  }
+
+  moveHeadingSection (key, targetKey, position/* before or after */) {
+    return this.contentState.moveHeadingSection(key, targetKey, position)
+  }
+
   insertParagraph (location/* before or after */, text = '', outMost = false) {
     this.contentState.insertParagraph(location, text, outMost)
   }
 
+  setFrontMatter (text) {
+    this.contentState.setFrontMatter(text)
+  }
+
   editTable (data) {
     this.contentState.editTable(data)
   }
 
+  sortTable (order, numeric) {
+    this.contentState.sortTable(order, numeric)
+  }
+
+  importTableCsv (text, delimiter) {
+    this.contentState.importTableCsv(text, delimiter)
+  }
+
+  getTableCsv (delimiter) {
+    return this.contentState.getTableCsv(delimiter)
+  }
+
   hasFocus () {
     return document.activeElement === this.container
   }
@@ -240,6 +337,15 @@ class Muya {
     this.contentState.showAutoImagePath(list)
   }
 
+  showAutoWikiLink (names) {
+    const list = names.map(name => ({ text: name, iconClass: 'icon-link' }))
+    this.contentState.showAutoWikiLink(list)
+  }
+
+  replaceMisspelledWord (misspelledWord, replacement) {
+    this.contentState.replaceMisspelledWord(misspelledWord, replacement)
+  }
+
   format (type) {
     this.contentState.format(type)
   }
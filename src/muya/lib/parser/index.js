@@ -1,6 +1,7 @@
 import { beginRules, inlineRules } from './rules'
 import { isLengthEven, union } from '../utils'
 import { getAttributes, parseSrcAndTitle, validateEmphasize, lowerPriority } from './utils'
+import { matchInlineSyntax, createInlineToken, getInlineSyntax } from '../syntax'
 
 // const CAN_NEST_RULES = ['strong', 'em', 'link', 'del', 'a_link', 'reference_link', 'html_tag']
 // disallowed html tags in https://github.github.com/gfm/#raw-html
@@ -11,6 +12,16 @@ delete validateRules.strong
 delete validateRules['tail_header']
 delete validateRules['backlash']
 
+// A tag must start the text or follow a whitespace.
+const canStartTag = (pending, tokens, top) => {
+  if (pending) {
+    return /\s$/.test(pending)
+  } else if (tokens.length) {
+    return /\s$/.test(tokens[tokens.length - 1].raw)
+  }
+  return top
+}
+
 const tokenizerFac = (src, beginRules, inlineRules, pos = 0, top, labels) => {
   const tokens = []
   let pending = ''
@@ -180,6 +191,16 @@ const tokenizerFac = (src, beginRules, inlineRules, pos = 0, top, labels) => {
       }
     }
     if (inChunk) continue
+    // inline syntaxes of plugins
+    const syntaxTo = matchInlineSyntax(src)
+    if (syntaxTo) {
+      const { syntax, match } = syntaxTo
+      pushPending()
+      tokens.push(createInlineToken(syntax, match, pos, tokens))
+      src = src.substring(match[0].length)
+      pos = pos + match[0].length
+      continue
+    }
     // image
     const imageTo = inlineRules.image.exec(src)
     if (imageTo && isLengthEven(imageTo[3]) && isLengthEven(imageTo[5])) {
@@ -209,6 +230,46 @@ const tokenizerFac = (src, beginRules, inlineRules, pos = 0, top, labels) => {
       pos = pos + imageTo[0].length
       continue
     }
+    // wiki link
+    const wikiLinkTo = inlineRules['wiki_link'].exec(src)
+    if (wikiLinkTo) {
+      pushPending()
+      tokens.push({
+        type: 'wiki_link',
+        raw: wikiLinkTo[0],
+        marker: wikiLinkTo[1],
+        target: wikiLinkTo[2],
+        aliasMarker: wikiLinkTo[3] || '',
+        alias: wikiLinkTo[4] || '',
+        parent: tokens,
+        range: {
+          start: pos,
+          end: pos + wikiLinkTo[0].length
+        }
+      })
+      src = src.substring(wikiLinkTo[0].length)
+      pos = pos + wikiLinkTo[0].length
+      continue
+    }
+    // tag
+    const tagTo = inlineRules['inline_tag'].exec(src)
+    if (tagTo && !/^[\d/]+$/.test(tagTo[2]) && canStartTag(pending, tokens, top)) {
+      pushPending()
+      tokens.push({
+        type: 'inline_tag',
+        raw: tagTo[0],
+        marker: tagTo[1],
+        content: tagTo[2],
+        parent: tokens,
+        range: {
+          start: pos,
+          end: pos + tagTo[0].length
+        }
+      })
+      src = src.substring(tagTo[0].length)
+      pos = pos + tagTo[0].length
+      continue
+    }
     // link
     const linkTo = inlineRules.link.exec(src)
     if (linkTo && isLengthEven(linkTo[3]) && isLengthEven(linkTo[5])) {
@@ -239,6 +300,26 @@ const tokenizerFac = (src, beginRules, inlineRules, pos = 0, top, labels) => {
       continue
     }
 
+    // footnote identifier
+    const footnoteTo = inlineRules['footnote_identifier'].exec(src)
+    if (footnoteTo) {
+      pushPending()
+      tokens.push({
+        type: 'footnote_identifier',
+        raw: footnoteTo[0],
+        marker: footnoteTo[1],
+        content: footnoteTo[2],
+        parent: tokens,
+        range: {
+          start: pos,
+          end: pos + footnoteTo[0].length
+        }
+      })
+      src = src.substring(footnoteTo[0].length)
+      pos = pos + footnoteTo[0].length
+      continue
+    }
+
     const rLinkTo = inlineRules['reference_link'].exec(src)
     if (rLinkTo && labels.has(rLinkTo[3] || rLinkTo[1]) && isLengthEven(rLinkTo[2]) && isLengthEven(rLinkTo[4])) {
       pushPending()
@@ -475,6 +556,31 @@ export const tokenizer = (src, highlights = [], hasBeginRules = true, labels = n
   return tokens
 }
 
+// serialize a token, the inline syntaxes of plugins may change their markdown on export
+const serializeToken = token => {
+  const syntax = getInlineSyntax(token.type)
+  if (syntax && syntax.toMarkdown) {
+    return syntax.toMarkdown(token)
+  }
+  const { raw, range, children } = token
+  if (!children || !children.length || !range) {
+    return raw
+  }
+  let result = ''
+  let pos = range.start
+  for (const child of children) {
+    const start = child.range.start - range.start
+    const end = child.range.end - range.start
+    // keep the raw text if the children are not part of it
+    if (raw.substring(start, end) !== child.raw) {
+      return raw
+    }
+    result += raw.substring(pos - range.start, start) + serializeToken(child)
+    pos = child.range.end
+  }
+  return result + raw.substring(pos - range.start)
+}
+
 // transform `tokens` to text ignore the range of token
 // the opposite of tokenizer
 export const generator = tokens => {
@@ -484,3 +590,12 @@ export const generator = tokens => {
   }
   return result
 }
+
+// transform `tokens` to the exported markdown
+export const serializer = tokens => {
+  let result = ''
+  for (const token of tokens) {
+    result += serializeToken(token)
+  }
+  return result
+}
@@ -33,7 +33,9 @@ export const block = {
 
   // extra
   frontmatter: /^---\n([\s\S]+?)---(?:\n+|$)/,
-  multiplemath: /^\$\$\n([\s\S]+?)\n\$\$(?:\n+|$)/
+  multiplemath: /^\$\$\n([\s\S]+?)\n\$\$(?:\n+|$)/,
+  // A footnote definition ends before the next definition or a non-indented line after a blank line.
+  footnote: /^\[\^([^\^\[\]\s]+?)(?<!\\)\]:[\s\S]+?(?=\n *\n {0,3}[^ ]+|\n {0,3}\[\^[^\^\[\]\s]+?\]:|$)/
 }
 
 block._label = /(?!\s*\])(?:\\[\[\]]|[^\[\]])+/
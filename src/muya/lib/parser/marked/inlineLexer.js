@@ -3,14 +3,18 @@ import { normal, breaks, gfm, pedantic } from './inlineRules'
 import defaultOptions from './options'
 import { escape, findClosingBracket } from './utils'
 import { validateEmphasize, lowerPriority } from '../utils'
+import { matchInlineSyntax, createInlineToken, findInlineSyntaxStart } from '../../syntax'
 
 /**
  * Inline Lexer & Compiler
  */
 
-function InlineLexer (links, options) {
+function InlineLexer (links, options, footnotes) {
   this.options = options || defaultOptions
   this.links = links
+  this.footnotes = footnotes || Object.create(null)
+  // Footnote identifiers in the order of their first reference.
+  this.footnoteOrder = []
   this.rules = normal
   this.renderer = this.options.renderer || new Renderer()
   this.renderer.options = this.options
@@ -49,7 +53,7 @@ function InlineLexer (links, options) {
 InlineLexer.prototype.output = function (src) {
   // src = src
     // .replace(/\u00a0/g, ' ')
-  const { disableInline, emoji, math } = this.options
+  const { disableInline, emoji, math, footnote } = this.options
   if (disableInline) {
     return escape(src)
   }
@@ -132,6 +136,17 @@ InlineLexer.prototype.output = function (src) {
       continue
     }
 
+    // footnote identifier
+    if (footnote) {
+      cap = this.rules.footnoteIdentifier.exec(src)
+      if (cap && this.footnotes[cap[1]]) {
+        src = src.substring(cap[0].length)
+        lastChar = cap[0].charAt(cap[0].length - 1)
+        out += this.outputFootnoteIdentifier(cap[1])
+        continue
+      }
+    }
+
     // reflink, nolink
     cap = this.rules.reflink.exec(src) || this.rules.nolink.exec(src)
     if (cap) {
@@ -266,9 +281,26 @@ InlineLexer.prototype.output = function (src) {
       continue
     }
 
+    // inline syntaxes of plugins
+    const syntaxCap = matchInlineSyntax(src)
+    if (syntaxCap) {
+      const { syntax, match } = syntaxCap
+      src = src.substring(match[0].length)
+      lastChar = match[0].charAt(match[0].length - 1)
+      out += syntax.toHtml
+        ? syntax.toHtml(createInlineToken(syntax, match, 0, []))
+        : this.renderer.text(escape(match[0]))
+      continue
+    }
+
     // text
     cap = this.rules.text.exec(src)
     if (cap) {
+      // stop at the next inline syntax of a plugin
+      const syntaxStart = findInlineSyntaxStart(cap[0])
+      if (syntaxStart !== -1) {
+        cap[0] = cap[0].substring(0, syntaxStart)
+      }
       src = src.substring(cap[0].length)
       lastChar = cap[0].charAt(cap[0].length - 1)
       if (this.inRawBlock) {
@@ -291,6 +323,19 @@ InlineLexer.prototype.escapes = function (text) {
   return text ? text.replace(this.rules._escapes, '$1') : text
 }
 
+/**
+ * Compile Footnote Identifier
+ */
+
+InlineLexer.prototype.outputFootnoteIdentifier = function (identifier) {
+  let index = this.footnoteOrder.indexOf(identifier)
+  const isFirstReference = index === -1
+  if (isFirstReference) {
+    index = this.footnoteOrder.push(identifier) - 1
+  }
+  return this.renderer.footnoteIdentifier(identifier, index + 1, isFirstReference)
+}
+
 /**
  * Compile Link
  */
@@ -37,7 +37,8 @@ const inline = {
   emoji: noop,
 
   // TODO: make math optional GH#740
-  math: /^\$([^$]{1}[\s\S]+?[^$]{1})\$(?!\$)/
+  math: /^\$([^$]{1}[\s\S]+?[^$]{1})\$(?!\$)/,
+  footnoteIdentifier: /^\[\^([^\^\[\]\s]+?)(?<!\\)\]/
 }
 
 // list of punctuation marks from common mark spec
@@ -9,6 +9,8 @@ import { splitCells, rtrim } from './utils'
 function Lexer (opts) {
   this.tokens = []
   this.tokens.links = Object.create(null)
+  this.tokens.footnotes = Object.create(null)
+  this.depth = 0
   this.options = Object.assign({}, options, opts)
   this.rules = normal
 
@@ -43,9 +45,30 @@ Lexer.prototype.lex = function (src) {
  */
 
 Lexer.prototype.token = function (src, top) {
-  const { frontMatter, math } = this.options
+  const { footnote, frontMatter, math } = this.options
   src = src.replace(/^ +$/gm, '')
 
+  // Top-level tokens get the line number where they start in the source (`line`),
+  // which is used to map blocks to source lines.
+  const isTopLevel = this.depth++ === 0
+  let lineSrc = src
+  let lineTokenIndex = this.tokens.length
+  let line = 0
+  let tokenLine = 0
+  const markLine = () => {
+    if (!isTopLevel) {
+      return
+    }
+    const token = this.tokens[lineTokenIndex]
+    if (token) {
+      token.line = tokenLine
+    }
+    line += (lineSrc.substring(0, lineSrc.length - src.length).match(/\n/g) || []).length
+    lineSrc = src
+    lineTokenIndex = this.tokens.length
+    tokenLine = line
+  }
+
   let loose
   let cap
   let bull
@@ -82,6 +105,7 @@ Lexer.prototype.token = function (src, top) {
         })
       }
     }
+    markLine()
 
     // code
     // An indented code block cannot interrupt a paragraph.
@@ -399,6 +423,31 @@ Lexer.prototype.token = function (src, top) {
       continue
     }
 
+    // footnote definition, must be checked before `def` because it looks like a link definition.
+    if (footnote) {
+      cap = this.rules.footnote.exec(src)
+      if (top && cap) {
+        src = src.substring(cap[0].length)
+        const identifier = cap[1]
+        this.tokens.footnotes[identifier] = true
+        this.tokens.push({
+          type: 'footnote_start',
+          identifier
+        })
+
+        // Remove the identifier prefix and the indentation of the following blocks.
+        cap = cap[0]
+          .replace(/^\[\^[^^[\]\s]+?(?<!\\)\]: */, '')
+          .replace(/^ {4}/gm, '')
+        this.token(cap, top)
+
+        this.tokens.push({
+          type: 'footnote_end'
+        })
+        continue
+      }
+    }
+
     // def
     cap = this.rules.def.exec(src)
     if (top && cap) {
@@ -523,6 +572,8 @@ Lexer.prototype.token = function (src, top) {
       throw new Error('Infinite loop on byte: ' + src.charCodeAt(0))
     }
   }
+  markLine()
+  this.depth--
 
   return this.tokens
 }
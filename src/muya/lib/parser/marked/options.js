@@ -8,6 +8,7 @@ export default {
   emoji: true,
   math: true,
   frontMatter: true,
+  footnote: true,
   headerIds: true,
   headerPrefix: '',
   highlight: null,
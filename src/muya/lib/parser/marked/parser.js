@@ -23,12 +23,15 @@ function Parser (options) {
  */
 
 Parser.prototype.parse = function (src) {
-  this.inline = new InlineLexer(src.links, this.options)
+  this.inline = new InlineLexer(src.links, this.options, src.footnotes)
   // use an InlineLexer with a TextRenderer to extract pure text
   this.inlineText = new InlineLexer(
     src.links,
-    Object.assign({}, this.options, {renderer: new TextRenderer()})
+    Object.assign({}, this.options, {renderer: new TextRenderer()}),
+    src.footnotes
   )
+  // Rendered footnote definitions, they are emitted after the document.
+  this.footnotes = Object.create(null)
   this.tokens = src.reverse()
 
   let out = ''
@@ -36,7 +39,23 @@ Parser.prototype.parse = function (src) {
     out += this.tok()
   }
 
-  return out
+  return out + this.parseFootnotes()
+}
+
+/**
+ * Render referenced footnotes in the order of their first reference
+ */
+
+Parser.prototype.parseFootnotes = function () {
+  const { footnoteOrder } = this.inline
+  if (!footnoteOrder.length) {
+    return ''
+  }
+
+  const items = footnoteOrder
+    .map(identifier => this.renderer.footnoteItem(this.footnotes[identifier] || '', identifier))
+    .join('')
+  return this.renderer.footnotes(items)
 }
 
 /**
@@ -148,6 +167,20 @@ Parser.prototype.tok = function () {
 
       return this.renderer.blockquote(body)
     }
+    case 'footnote_start': {
+      let body = ''
+      const { identifier } = this.token
+
+      while (this.next().type !== 'footnote_end') {
+        body += this.tok()
+      }
+
+      // Only the first definition of an identifier is used.
+      if (this.footnotes[identifier] === undefined) {
+        this.footnotes[identifier] = body
+      }
+      return ''
+    }
     case 'list_start': {
       let body = ''
       let taskList = false
@@ -1,5 +1,6 @@
 import defaultOptions from './options'
 import { cleanUrl, escape } from './utils'
+import { getBlockSyntax } from '../../syntax'
 
 /**
  * Renderer
@@ -41,6 +42,11 @@ Renderer.prototype.emoji = function (text, emoji) {
 
 Renderer.prototype.code = function (code, infostring, escaped, codeBlockStyle) {
   const lang = (infostring || '').match(/\S*/)[0]
+  // block syntaxes of plugins
+  const syntax = codeBlockStyle === 'fenced' && getBlockSyntax(lang)
+  if (syntax && syntax.toHtml) {
+    return syntax.toHtml(code) + '\n'
+  }
   if (this.options.highlight) {
     let out = this.options.highlight(code, lang)
     if (out !== null && out !== code) {
@@ -139,6 +145,22 @@ Renderer.prototype.tablecell = function (content, flags) {
   return tag + content + '</' + type + '>\n'
 }
 
+Renderer.prototype.footnotes = function (items) {
+  return '<section class="footnotes">\n<hr>\n<ol>\n' + items + '</ol>\n</section>\n'
+}
+
+Renderer.prototype.footnoteItem = function (content, identifier) {
+  const id = escape(identifier)
+  const backLink = '<a href="#fnref-' + id + '" class="footnote-backref">\u21A9</a>'
+  // Put the back link at the end of the last paragraph if there is one.
+  if (/<\/p>\n$/.test(content)) {
+    content = content.replace(/<\/p>\n$/, ' ' + backLink + '</p>\n')
+  } else {
+    content += backLink + '\n'
+  }
+  return '<li id="fn-' + id + '" class="footnote-item">\n' + content + '</li>\n'
+}
+
 // span level renderer
 Renderer.prototype.strong = function (text) {
   return '<strong>' + text + '</strong>'
@@ -160,6 +182,13 @@ Renderer.prototype.del = function (text) {
   return '<del>' + text + '</del>'
 }
 
+Renderer.prototype.footnoteIdentifier = function (identifier, number, isFirstReference) {
+  const id = escape(identifier)
+  // Only the first reference gets an id, it's the target of the footnote back link.
+  const attrs = isFirstReference ? ' id="fnref-' + id + '"' : ''
+  return '<sup class="footnote-ref"' + attrs + '><a href="#fn-' + id + '">' + number + '</a></sup>'
+}
+
 Renderer.prototype.link = function (href, title, text) {
   href = cleanUrl(this.options.sanitize, this.options.baseUrl, href)
   if (href === null) {
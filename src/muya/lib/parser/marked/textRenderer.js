@@ -20,7 +20,8 @@ TextRenderer.prototype.image = function(href, title, text) {
   return '' + text
 }
 
-TextRenderer.prototype.br = function() {
+TextRenderer.prototype.br =
+TextRenderer.prototype.footnoteIdentifier = function() {
   return ''
 }
 
@@ -2,12 +2,16 @@ import mermaid from 'mermaid'
 import flowchart from 'flowchart.js'
 import Diagram from './sequence'
 import vegaEmbed from 'vega-embed'
-import { CLASS_OR_ID } from '../../config'
-import { conflict, mixins, camelToSnake } from '../../utils'
+import { CLASS_OR_ID, PREVIEW_DOMPURIFY_CONFIG } from '../../config'
+import { conflict, mixins, camelToSnake, sanitize, escapeHtml } from '../../utils'
+import { createMathContext } from '../../utils/math'
 import { patch, toVNode, toHTML, h } from './snabbdom'
 import { beginRules } from '../rules'
 import renderInlines from './renderInlines'
 import renderBlock from './renderBlock'
+import { getBlockSyntax } from '../../syntax'
+
+const FOOTNOTE_REFERENCE_REG = /\[\^([^^[\]\s]+?)(?<!\\)\]/g
 
 class StateRender {
   constructor (muya) {
@@ -20,6 +24,11 @@ class StateRender {
     this.diagramCache = new Map()
     this.tokenCache = new Map()
     this.labels = new Map()
+    this.footnotes = new Map()
+    this.mathContext = createMathContext('', '', [])
+    this.mathContextKey = ''
+    this.foldedHeadings = new Set()
+    this.foldedBlocks = new Set()
     this.container = null
   }
 
@@ -27,6 +36,12 @@ class StateRender {
     this.container = container
   }
 
+  // set the keys of folded headings and of the blocks that are hidden by them
+  setFoldings (foldedHeadings, foldedBlocks) {
+    this.foldedHeadings = foldedHeadings
+    this.foldedBlocks = foldedBlocks
+  }
+
   // collect link reference definition
   collectLabels (blocks) {
     this.labels.clear()
@@ -52,6 +67,82 @@ class StateRender {
     blocks.forEach(b => travel(b))
   }
 
+  // collect footnote definitions and number them in the order of their first reference
+  collectFootnotes (blocks) {
+    this.footnotes.clear()
+
+    const definitions = new Map()
+    const references = []
+    const getText = block => {
+      const { text, children } = block
+      return children && children.length ? children.map(getText).join('\n') : text
+    }
+    const travel = block => {
+      const { type, text, functionType, children } = block
+      if (type === 'figure' && functionType === 'footnote') {
+        const [identifierInput, ...content] = children
+        if (!definitions.has(identifierInput.text)) {
+          definitions.set(identifierInput.text, content.map(getText).join('\n'))
+        }
+        content.forEach(c => travel(c))
+      } else if (children && children.length) {
+        children.forEach(c => travel(c))
+      } else if (text && functionType !== 'codeLine' && functionType !== 'languageInput') {
+        FOOTNOTE_REFERENCE_REG.lastIndex = 0
+        let result
+        while ((result = FOOTNOTE_REFERENCE_REG.exec(text)) !== null) {
+          references.push(result[1])
+        }
+      }
+    }
+
+    blocks.forEach(b => travel(b))
+
+    // Footnotes that are never referenced are numbered after the referenced ones.
+    let number = 1
+    for (const identifier of [...references, ...definitions.keys()]) {
+      if (definitions.has(identifier) && !this.footnotes.has(identifier)) {
+        this.footnotes.set(identifier, {
+          number: number++,
+          text: definitions.get(identifier)
+        })
+      }
+    }
+  }
+
+  /**
+   * Collect the math macros of the preferences and the front matter and number the
+   * labeled display formulas. The rendered formulas are cleared if the context changed.
+   *
+   * @returns {boolean} Whether the math context changed.
+   */
+  collectMath (blocks) {
+    const getCode = block => block.children[0].children.map(line => line.text).join('\n')
+    const [ firstBlock ] = blocks
+    const frontMatter = firstBlock && firstBlock.type === 'pre' && firstBlock.functionType === 'frontmatter'
+      ? getCode(firstBlock)
+      : ''
+    const displayMaths = []
+    const travel = block => {
+      if (block.type === 'pre' && block.functionType === 'multiplemath') {
+        displayMaths.push(getCode(block))
+      } else if (block.children && block.children.length) {
+        block.children.forEach(c => travel(c))
+      }
+    }
+    blocks.forEach(b => travel(b))
+
+    const mathContext = createMathContext(this.muya.options.mathPreamble, frontMatter, displayMaths)
+    const mathContextKey = JSON.stringify([ mathContext.macros, [...mathContext.labels] ])
+    if (mathContextKey === this.mathContextKey) {
+      return false
+    }
+    this.mathContext = mathContext
+    this.mathContextKey = mathContextKey
+    this.loadMathMap.clear()
+    return true
+  }
+
   checkConflicted (block, token, cursor) {
     const { start, end } = cursor
     const key = block.key
@@ -91,6 +182,11 @@ class StateRender {
     if (!block.parent && selectedBlock && block.key === selectedBlock.key) {
       selector += `.${CLASS_OR_ID['AG_SELECTED']}`
     }
+    if (!block.parent && this.foldedHeadings.has(block.key)) {
+      selector += `.${CLASS_OR_ID['AG_FOLDED']}`
+    } else if (!block.parent && this.foldedBlocks.has(block.key)) {
+      selector += `.${CLASS_OR_ID['AG_FOLDED_CONTENT']}`
+    }
     return selector
   }
 
@@ -115,6 +211,13 @@ class StateRender {
       for (const [key, value] of cache.entries()) {
         const target = document.querySelector(key)
         const { code, functionType } = value
+        const syntax = getBlockSyntax(functionType)
+        if (syntax) {
+          if (target) {
+            await this.renderSyntaxBlock(syntax, code, target)
+          }
+          continue
+        }
         const render = RENDER_MAP[functionType]
         const options = {}
         if (functionType === 'sequence') {
@@ -142,6 +245,19 @@ class StateRender {
     }
   }
 
+  // render the preview of a block syntax of a plugin
+  async renderSyntaxBlock (syntax, code, target) {
+    try {
+      const html = await syntax.render(code, target, this.muya)
+      if (typeof html === 'string') {
+        target.innerHTML = sanitize(html, PREVIEW_DOMPURIFY_CONFIG)
+      }
+    } catch (err) {
+      target.innerHTML = `< Invalid ${escapeHtml(syntax.label)} Codes >`
+      target.classList.add(CLASS_OR_ID['AG_MATH_ERROR'])
+    }
+  }
+
   render (blocks, cursor, activeBlocks, matches, selectedBlock) {
     const selector = `div#${CLASS_OR_ID['AG_EDITOR_ID']}`
 
@@ -1,7 +1,10 @@
 import { CLASS_OR_ID } from '../../../config'
+import { parseFrontMatter } from '../../../utils/frontMatter'
 import { renderTableTools } from './renderToolBar'
-import { renderEditIcon } from './renderContainerEditIcon'
+import { renderEditIcon, renderFootnoteBackLink, renderFoldToggle } from './renderContainerEditIcon'
 import { h } from '../snabbdom'
+import { hasFrontIcon } from './renderIcon'
+import { getBlockSyntax } from '../../../syntax'
 
 const PRE_BLOCK_HASH = {
   'fencecode': `.${CLASS_OR_ID['AG_FENCE_CODE']}`,
@@ -50,6 +53,9 @@ export default function renderContainerBlock (block, cursor, activeBlocks, selec
         head: type
       })
       selector += `.${headingStyle}`
+      if (!block.parent) {
+        children.unshift(renderFoldToggle())
+      }
     }
     Object.assign(data.dataset, {
       role: type
@@ -59,13 +65,22 @@ export default function renderContainerBlock (block, cursor, activeBlocks, selec
       Object.assign(data.dataset, { role: functionType.toUpperCase() })
       if (functionType === 'table') {
         children.unshift(renderTableTools(activeBlocks))
+      } else if (functionType === 'footnote') {
+        const identifier = block.children[0].text
+        const footnote = this.footnotes.get(identifier)
+        selector += `.${CLASS_OR_ID['AG_FOOTNOTE_BLOCK']}`
+        if (footnote) {
+          Object.assign(data.dataset, { number: footnote.number })
+        }
+        children.push(renderFootnoteBackLink(identifier))
       } else {
         children.unshift(renderEditIcon())
       }
     }
 
     if (
-      /html|multiplemath|flowchart|mermaid|sequence|vega-lite/.test(functionType)
+      /html|multiplemath|flowchart|mermaid|sequence|vega-lite/.test(functionType) ||
+      getBlockSyntax(functionType)
     ) {
       selector += `.${CLASS_OR_ID['AG_CONTAINER_BLOCK']}`
     }
@@ -81,16 +96,26 @@ export default function renderContainerBlock (block, cursor, activeBlocks, selec
     selector += isLooseListItem ? `.${CLASS_OR_ID['AG_LOOSE_LIST_ITEM']}` : `.${CLASS_OR_ID['AG_TIGHT_LIST_ITEM']}`
   } else if (type === 'pre') {
     Object.assign(data.dataset, { role: functionType })
-    selector += PRE_BLOCK_HASH[block.functionType]
+    selector += PRE_BLOCK_HASH[block.functionType] || ''
 
-    if (/html|multiplemath|mermaid|flowchart|wega-lite|sequence/.test(functionType)) {
+    if (/html|multiplemath|mermaid|flowchart|wega-lite|sequence/.test(functionType) || getBlockSyntax(functionType)) {
       const codeBlock = block.children[0]
       const code = codeBlock.children.map(line => line.text).join('\n')
       this.codeCache.set(block.key, code)
+    } else if (functionType === 'frontmatter') {
+      // Show YAML errors below the front matter.
+      const code = block.children[0].children.map(line => line.text).join('\n')
+      const { error } = parseFrontMatter(code)
+      if (error) {
+        selector += `.${CLASS_OR_ID['AG_FRONT_MATTER_ERROR']}`
+        children.push(h(`span.${CLASS_OR_ID['AG_FRONT_MATTER_ERROR_MESSAGE']}`, {
+          attrs: { contenteditable: 'false' }
+        }, `Line ${error.line + 1}: ${error.message}`))
+      }
     }
   }
 
-  if (!block.parent) {
+  if (hasFrontIcon(block, activeBlocks)) {
     children.unshift(this.renderIcon(block))
   }
 
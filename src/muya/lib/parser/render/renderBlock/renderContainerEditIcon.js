@@ -17,3 +17,24 @@ export const renderEditIcon = () => {
     }
   }, iconVnode)
 }
+
+export const renderFootnoteBackLink = identifier => {
+  const selector = `a.${CLASS_OR_ID['AG_FOOTNOTE_BACKLINK']}`
+  return h(selector, {
+    attrs: {
+      contenteditable: 'false'
+    },
+    dataset: {
+      identifier
+    }
+  }, '\u21A9')
+}
+
+export const renderFoldToggle = () => {
+  const selector = `a.${CLASS_OR_ID['AG_FOLD_TOGGLE']}`
+  return h(selector, {
+    attrs: {
+      contenteditable: 'false'
+    }
+  })
+}
@@ -21,6 +21,8 @@ import flowchartIcon from '../../../assets/pngicon/flowchart/2.png'
 import sequenceIcon from '../../../assets/pngicon/sequence/2.png'
 import mermaidIcon from '../../../assets/pngicon/mermaid/2.png'
 import vegaIcon from '../../../assets/pngicon/chart/2.png'
+import footnoteIcon from '../../../assets/pngicon/format_link/2.png'
+import { getBlockSyntax } from '../../../syntax'
 
 const FUNCTION_TYPE_HASH = {
   'mermaid': mermaidIcon,
@@ -32,14 +34,29 @@ const FUNCTION_TYPE_HASH = {
   'multiplemath': mathblockIcon,
   'fencecode': codeIcon,
   'indentcode': codeIcon,
-  'frontmatter': frontMatterIcon
+  'frontmatter': frontMatterIcon,
+  'footnote': footnoteIcon
 }
 
-export default function renderIcon (block) {
-  if (block.parent) {
-    console.error('Only top most block can render front icon button.')
+/**
+ * Top-level blocks have a front icon. The innermost list item or block quote child
+ * of the cursor has a front icon too, so that it can be dragged.
+ */
+export const hasFrontIcon = (block, activeBlocks) => {
+  if (!block.parent) {
+    return true
+  }
+  for (let i = 0; i < activeBlocks.length - 1; i++) {
+    const activeBlock = activeBlocks[i]
+    if (activeBlock.type === 'li' || activeBlocks[i + 1].type === 'blockquote') {
+      return activeBlock.key === block.key
+    }
   }
-  const { type, functionType, listType } = block
+  return false
+}
+
+export default function renderIcon (block) {
+  const { type, functionType, listType, listItemType } = block
   const selector = `a.${CLASS_OR_ID['AG_FRONT_ICON']}`
   let icon = null
 
@@ -50,7 +67,8 @@ export default function renderIcon (block) {
     }
     case 'figure':
     case 'pre': {
-      icon = FUNCTION_TYPE_HASH[functionType]
+      const syntax = getBlockSyntax(functionType)
+      icon = FUNCTION_TYPE_HASH[functionType] || (syntax && (syntax.icon || codeIcon))
       if (!icon) {
         console.warn(`Unhandled functionType ${functionType}`)
         icon = paragraphIcon
@@ -69,6 +87,16 @@ export default function renderIcon (block) {
       icon = orderListIcon
       break
     }
+    case 'li': {
+      if (listItemType === 'task') {
+        icon = todoListIcon
+      } else if (listItemType === 'order') {
+        icon = orderListIcon
+      } else {
+        icon = bulletListIcon
+      }
+      break
+    }
     case 'blockquote': {
       icon = quoteIcon
       break
@@ -115,7 +143,9 @@ export default function renderIcon (block) {
 
   return h(selector, {
     attrs: {
-      contenteditable: 'false'
+      contenteditable: 'false',
+      // front matter must stay the first block.
+      draggable: functionType === 'frontmatter' ? 'false' : 'true'
     }
   }, iconVnode)
 }
@@ -1,10 +1,12 @@
-import katex from 'katex'
 import mermaid from 'mermaid'
 import prism, { loadedCache, transfromAliasToOrigin } from '../../../prism/'
 import { CLASS_OR_ID, DEVICE_MEMORY, PREVIEW_DOMPURIFY_CONFIG, HAS_TEXT_BLOCK_REG } from '../../../config'
 import { tokenizer } from '../../'
 import { snakeToCamel, sanitize, escapeHtml, getLongUniqueId, getImageInfo } from '../../../utils'
+import { renderMath } from '../../../utils/math'
 import { h, htmlToVNode } from '../snabbdom'
+import { hasFrontIcon } from './renderIcon'
+import { getBlockSyntax } from '../../../syntax'
 
 // todo@jocs any better solutions?
 const MARKER_HASK = {
@@ -81,7 +83,8 @@ export default function renderLeafBlock (block, cursor, activeBlocks, selectedBl
     } else if (
       HAS_TEXT_BLOCK_REG.test(type) &&
       functionType !== 'codeLine' &&
-      functionType !== 'languageInput'
+      functionType !== 'languageInput' &&
+      functionType !== 'footnoteInput'
     ) {
       const hasBeginRules = type === 'span'
       tokens = tokenizer(text, highlights, hasBeginRules, this.labels)
@@ -137,9 +140,7 @@ export default function renderLeafBlock (block, cursor, activeBlocks, selectedBl
           children = loadMathMap.get(key)
         } else {
           try {
-            const html = katex.renderToString(code, {
-              displayMode: true
-            })
+            const html = renderMath(code, true, this.mathContext)
 
             children = htmlToVNode(html)
             loadMathMap.set(key, children)
@@ -183,6 +184,25 @@ export default function renderLeafBlock (block, cursor, activeBlocks, selectedBl
         }
         break
       }
+      default: {
+        // block syntaxes of plugins
+        const syntax = getBlockSyntax(functionType)
+        if (!syntax) {
+          break
+        }
+        selector += `.${CLASS_OR_ID['AG_CONTAINER_PREVIEW']}`
+        if (code === '') {
+          children = `< Empty ${syntax.label} Block >`
+          selector += `.${CLASS_OR_ID['AG_EMPTY']}`
+        } else {
+          children = ''
+          this.diagramCache.set(`#${block.key}`, {
+            code,
+            functionType
+          })
+        }
+        break
+      }
     }
   } else if (type === 'input') {
     Object.assign(data.attrs, {
@@ -217,11 +237,11 @@ export default function renderLeafBlock (block, cursor, activeBlocks, selectedBl
     } else {
       children = htmlToVNode(code)
     }
-  } else if (type === 'span' && functionType === 'languageInput') {
+  } else if (type === 'span' && (functionType === 'languageInput' || functionType === 'footnoteInput')) {
     const html = getHighlightHtml(text, highlights)
     children = htmlToVNode(html)
   }
-  if (!block.parent) {
+  if (hasFrontIcon(block, activeBlocks)) {
     return h(selector, data, [this.renderIcon(block), ...children])
   } else {
     return h(selector, data, children)
@@ -5,6 +5,7 @@ import TableIcon from '../../../assets/pngicon/table/table@2x.png'
 import AlignLeftIcon from '../../../assets/pngicon/algin_left/algin_left@2x.png'
 import AlignRightIcon from '../../../assets/pngicon/algin_right/algin_right@2x.png'
 import AlignCenterIcon from '../../../assets/pngicon/algin_center/algin_center@2x.png'
+import MoreIcon from '../../../assets/pngicon/more/more@2x.png'
 import DeleteIcon from '../../../assets/pngicon/delete/delete@2x.png'
 
 export const TABLE_TOOLS = [{
@@ -23,6 +24,10 @@ export const TABLE_TOOLS = [{
   label: 'right',
   title: 'Align Right',
   icon: AlignRightIcon
+}, {
+  label: 'more',
+  title: 'Sort, Move and CSV',
+  icon: MoreIcon
 }, {
   label: 'delete',
   title: 'Delete Table',
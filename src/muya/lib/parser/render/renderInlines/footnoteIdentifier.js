@@ -0,0 +1,36 @@
+import { CLASS_OR_ID } from '../../../config'
+
+// render token of footnote reference `[^identifier]` to vdom
+export default function footnoteIdentifier (h, cursor, block, token, outerClass) {
+  const className = this.getClassName(outerClass, block, token, cursor)
+  const { marker, content: identifier } = token
+  const { start, end } = token.range
+  const footnote = this.footnotes.get(identifier)
+  const data = {
+    dataset: {
+      identifier
+    }
+  }
+
+  const startMarker = this.highlight(h, block, start, start + marker.length, token)
+  const content = this.highlight(h, block, start + marker.length, end - 1, token)
+  const endMarker = this.highlight(h, block, end - 1, end, token)
+  let contentSelector = `span.${CLASS_OR_ID['AG_WARN']}`
+
+  // Show the footnote number instead of the identifier and preview the footnote on hover.
+  if (footnote) {
+    Object.assign(data.dataset, { tooltip: footnote.text })
+    contentSelector = `span.${className}`
+    if (className === CLASS_OR_ID['AG_HIDE']) {
+      Object.assign(data.dataset, { number: footnote.number })
+    }
+  }
+
+  return [
+    h(`sup.${CLASS_OR_ID['AG_INLINE_FOOTNOTE_IDENTIFIER']}.${CLASS_OR_ID['AG_INLINE_RULE']}`, data, [
+      h(`span.${className}.${CLASS_OR_ID['AG_REMOVE']}`, startMarker),
+      h(contentSelector, content),
+      h(`span.${className}.${CLASS_OR_ID['AG_REMOVE']}`, endMarker)
+    ])
+  ]
+}
@@ -1,6 +1,7 @@
 import backlashInToken from './backlashInToken'
 import backlash from './backlash'
 import highlight from './highlight'
+import spellCheck from './spellCheck'
 import header from './header'
 import link from './link'
 import htmlTag from './htmlTag'
@@ -27,11 +28,15 @@ import referenceDefinition from './referenceDefinition'
 import htmlRuby from './htmlRuby'
 import referenceLink from './referenceLink'
 import referenceImage from './referenceImage'
+import wikiLink from './wikiLink'
+import footnoteIdentifier from './footnoteIdentifier'
+import inlineTag from './inlineTag'
 
 export default {
   backlashInToken,
   backlash,
   highlight,
+  spellCheck,
   header,
   link,
   htmlTag,
@@ -57,5 +62,8 @@ export default {
   referenceDefinition,
   htmlRuby,
   referenceLink,
-  referenceImage
+  referenceImage,
+  wikiLink,
+  footnoteIdentifier,
+  inlineTag
 }
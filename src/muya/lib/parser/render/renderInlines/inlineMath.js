@@ -1,5 +1,5 @@
-import katex from 'katex'
 import { CLASS_OR_ID } from '../../../config'
+import { renderMath } from '../../../utils/math'
 import { htmlToVNode } from '../snabbdom'
 
 import 'katex/dist/katex.min.css'
@@ -19,7 +19,7 @@ export default function displayMath (h, cursor, block, token, outerClass) {
 
   const { content: math, type } = token
 
-  const { loadMathMap } = this
+  const { loadMathMap, mathContext } = this
 
   const displayMode = false
   const key = `${math}_${type}`
@@ -29,9 +29,7 @@ export default function displayMath (h, cursor, block, token, outerClass) {
     mathVnode = loadMathMap.get(key)
   } else {
     try {
-      const html = katex.renderToString(math, {
-        displayMode
-      })
+      const html = renderMath(math, displayMode, mathContext)
       mathVnode = htmlToVNode(html)
       loadMathMap.set(key, mathVnode)
     } catch (err) {
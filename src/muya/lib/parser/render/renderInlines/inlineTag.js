@@ -0,0 +1,16 @@
+import { CLASS_OR_ID } from '../../../config'
+
+// render token of tag `#tag` to vdom
+export default function inlineTag (h, cursor, block, token, outerClass) {
+  const { start, end } = token.range
+  const data = {
+    dataset: {
+      tag: token.content
+    }
+  }
+  const content = this.highlight(h, block, start, end, token)
+
+  return [
+    h(`span.${CLASS_OR_ID['AG_INLINE_TAG']}.${CLASS_OR_ID['AG_INLINE_RULE']}`, data, content)
+  ]
+}
@@ -0,0 +1,51 @@
+import { CLASS_OR_ID } from '../../../config'
+
+// Letters with inner apostrophes, e.g. "don't". Created at runtime because of the unicode property escapes.
+const WORD_REG = new RegExp('[\\p{L}\\p{M}]+(?:[\'’][\\p{L}\\p{M}]+)*', 'gu')
+// Words that continue outside of the range, e.g. around a search highlight, are not checked.
+const WORD_BOUNDARY_REG = new RegExp('[\\p{L}\\p{M}\\d_]', 'u')
+
+// change text to vdom and mark misspelled words
+export default function spellCheck (h, cursor, block, rStart, rEnd) {
+  const { spellChecker } = this.muya.options
+  const { key, text } = block
+  const content = text.substring(rStart, rEnd)
+  const result = []
+  let pos = rStart
+  let match
+
+  WORD_REG.lastIndex = 0
+  while ((match = WORD_REG.exec(content)) !== null) {
+    const word = match[0]
+    const start = rStart + match.index
+    const end = start + word.length
+    // Don't mark the word that is currently typed.
+    const isTyping = cursor && cursor.start && cursor.start.key === key && cursor.start.offset === end
+    if (
+      word.length < 2 ||
+      isTyping ||
+      WORD_BOUNDARY_REG.test(text.charAt(start - 1)) ||
+      WORD_BOUNDARY_REG.test(text.charAt(end)) ||
+      !spellChecker.isMisspelled(word)
+    ) {
+      continue
+    }
+
+    if (pos < start) {
+      result.push(text.substring(pos, start))
+    }
+    result.push(h(`span.${CLASS_OR_ID['AG_SPELLING_ERROR']}`, {
+      dataset: {
+        start,
+        end,
+        word
+      }
+    }, word))
+    pos = end
+  }
+
+  if (pos < rEnd) {
+    result.push(text.substring(pos, rEnd))
+  }
+  return result
+}
@@ -1,5 +1,29 @@
+import { union } from '../../../utils'
+
 // render token of text type to vdom.
 export default function text (h, cursor, block, token) {
   const { start, end } = token.range
-  return this.highlight(h, block, start, end, token)
+  const { highlights = [] } = token
+  const { spellChecker } = this.muya.options
+  if (!spellChecker) {
+    return this.highlight(h, block, start, end, token)
+  }
+
+  // Search highlights take precedence over spelling errors, the text around them is still checked.
+  const result = []
+  let pos = start
+  for (const light of highlights) {
+    const un = union({ start, end }, light)
+    if (!un) continue
+    if (pos < un.start) {
+      result.push(...this.spellCheck(h, cursor, block, pos, un.start))
+    }
+    const className = this.getHighlightClassName(un.active)
+    result.push(h(`span.${className}`, block.text.substring(un.start, un.end)))
+    pos = un.end
+  }
+  if (pos < end) {
+    result.push(...this.spellCheck(h, cursor, block, pos, end))
+  }
+  return result
 }
@@ -0,0 +1,41 @@
+import { CLASS_OR_ID } from '../../../config'
+
+// render token of wiki link `[[target]]` or `[[target|alias]]` to vdom
+export default function wikiLink (h, cursor, block, token, outerClass) {
+  const { eventCenter } = this
+  const { start: cursorStart, end: cursorEnd } = cursor
+  const { start, end } = token.range
+  const { marker, target, aliasMarker, alias } = token
+  const targetEnd = start + marker.length + target.length
+
+  // Ask for note names to autocomplete when the cursor is at the end of the target.
+  if (
+    !alias &&
+    cursorStart.key === block.key &&
+    cursorStart.key === cursorEnd.key &&
+    cursorStart.offset === cursorEnd.offset &&
+    cursorStart.offset === targetEnd
+  ) {
+    eventCenter.dispatch('wiki-link', target)
+  }
+
+  const className = this.getClassName(outerClass, block, token, cursor)
+  const linkSelector = `span.${CLASS_OR_ID['AG_WIKI_LINK']}.${CLASS_OR_ID['AG_INLINE_RULE']}`
+  const data = {
+    dataset: {
+      target: target.trim()
+    }
+  }
+
+  // The target is part of the start marker when the link has an alias.
+  const contentStart = alias ? targetEnd + aliasMarker.length : start + marker.length
+  const startMarker = this.highlight(h, block, start, contentStart, token)
+  const content = this.highlight(h, block, contentStart, end - marker.length, token)
+  const endMarker = this.highlight(h, block, end - marker.length, end, token)
+
+  return [
+    h(`span.${className}.${CLASS_OR_ID['AG_REMOVE']}`, startMarker),
+    h(linkSelector, data, content),
+    h(`span.${className}.${CLASS_OR_ID['AG_REMOVE']}`, endMarker)
+  ]
+}
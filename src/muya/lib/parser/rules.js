@@ -32,6 +32,10 @@ export const inlineRules = {
   'backlash': /^(\\)([\\`*{}\[\]()#+\-.!_>~:\|\<\>$]{1})/,
 
   // extra (not belongs to GFM)
-  'inline_math': /^(\$)([^\$]*?[^\$\\])(\\*)\1(?!\1)/
+  'inline_math': /^(\$)([^\$]*?[^\$\\])(\\*)\1(?!\1)/,
+  'wiki_link': /^(\[\[)([^\[\]|\n]+?)(?:(\|)([^\[\]\n]+?))?(\]\])/,
+  'footnote_identifier': /^(\[\^)([^\^\[\]\s]+?)(?<!\\)(\])/,
+  // `#tag` or nested `#tag/child`, same as the tag names in `common/tags`
+  'inline_tag': /^(#)([^\s!-,./:-@\[-\^`{-~](?:[^\s!-,./:-@\[-\^`{-~]|\/(?=[^\s!-,./:-@\[-\^`{-~]))*)/
 }
 /* eslint-enable no-useless-escape */
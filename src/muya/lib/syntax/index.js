@@ -0,0 +1,156 @@
+import { inlineRules } from '../parser/rules'
+
+/**
+ * A custom inline syntax, e.g. `@mention` or `{{variable}}`.
+ *
+ * @typedef {Object} IInlineSyntax
+ * @property {string} type The token type in snake case, e.g. `user_mention`.
+ * @property {RegExp} regex The rule, must start with `^` and match at least one character.
+ * @property {(match: RegExpExecArray) => Object} [tokenize] Returns additional token properties.
+ * @property {Function} render Renders the token to vdom: `(h, cursor, block, token, outerClass) => VNode[]`,
+ *                             `this` is the state renderer.
+ * @property {(token: Object) => string} [toMarkdown] Serializes the token, default is the raw text.
+ * @property {(token: Object) => string} [toHtml] Returns the exported HTML, default is the escaped raw text.
+ */
+
+/**
+ * A custom fenced block syntax, e.g. ```` ```chart ````.
+ *
+ * @typedef {Object} IBlockSyntax
+ * @property {string} type The function type of the block and the language of the fence.
+ * @property {string} [label] The name of the block in messages like `< Invalid Chart Codes >`.
+ * @property {string} [lang] The Prism language to highlight the source code.
+ * @property {string} [description] The description in the quick insert menu.
+ * @property {string} [icon] The URL of the icon of the block.
+ * @property {(code: string, target: HTMLElement, muya: Muya) => Promise<string|void>|string|void} render
+ *           Renders the preview into the target or returns the preview HTML. Throw for invalid code.
+ * @property {(code: string) => string} [toMarkdown] Returns the exported code of the fenced block, default is the code.
+ * @property {(code: string) => string} [toHtml] Returns the exported HTML, default is rendering the preview
+ *           into the exported document.
+ */
+
+const TYPE_REG = /^[a-z][a-z0-9_-]*$/
+const BUILT_IN_INLINE_TYPES = [...Object.keys(inlineRules), 'text', 'emoji', 'inline_math']
+const BUILT_IN_BLOCK_TYPES = [
+  'fencecode', 'indentcode', 'frontmatter', 'multiplemath', 'html', 'table', 'footnote',
+  'mermaid', 'flowchart', 'sequence', 'vega-lite'
+]
+
+export const inlineSyntaxes = []
+export const blockSyntaxes = new Map()
+
+const validateType = (type, builtInTypes, isRegistered) => {
+  if (typeof type !== 'string' || !TYPE_REG.test(type)) {
+    throw new Error(`Invalid syntax type "${type}", use lowercase letters, digits, "-" and "_".`)
+  }
+  if (builtInTypes.includes(type) || isRegistered(type)) {
+    throw new Error(`The syntax type "${type}" is already defined.`)
+  }
+}
+
+/**
+ * Register the inline and block syntaxes of a syntax plugin.
+ *
+ * @param {{name: string, inlines?: IInlineSyntax[], blocks?: IBlockSyntax[]}} plugin
+ */
+export const registerSyntax = plugin => {
+  const { inlines = [], blocks = [] } = plugin
+  for (const syntax of inlines) {
+    validateType(syntax.type, BUILT_IN_INLINE_TYPES, type => inlineSyntaxes.some(s => s.type === type))
+    if (!(syntax.regex instanceof RegExp) || !syntax.regex.source.startsWith('^')) {
+      throw new Error(`The rule of the inline syntax "${syntax.type}" must be a regular expression starting with "^".`)
+    }
+    if (typeof syntax.render !== 'function') {
+      throw new Error(`The inline syntax "${syntax.type}" has no render function.`)
+    }
+  }
+  for (const syntax of blocks) {
+    validateType(syntax.type, BUILT_IN_BLOCK_TYPES, type => blockSyntaxes.has(type))
+    if (typeof syntax.render !== 'function') {
+      throw new Error(`The block syntax "${syntax.type}" has no render function.`)
+    }
+  }
+
+  for (const syntax of inlines) {
+    // Used to find the syntax in the text of other inline rules, see `findInlineSyntaxStart`.
+    const flags = syntax.regex.flags.replace(/[gy]/g, '')
+    inlineSyntaxes.push(Object.assign({}, syntax, {
+      searchRegex: new RegExp(syntax.regex.source.substring(1), `${flags}g`)
+    }))
+  }
+  for (const syntax of blocks) {
+    blockSyntaxes.set(syntax.type, Object.assign({ label: syntax.type, lang: '' }, syntax))
+  }
+}
+
+/**
+ * @param {string} type The token type.
+ * @returns {IInlineSyntax|undefined}
+ */
+export const getInlineSyntax = type => inlineSyntaxes.find(syntax => syntax.type === type)
+
+/**
+ * @param {string} functionType The function type of the block or the language of a fence.
+ * @returns {IBlockSyntax|undefined}
+ */
+export const getBlockSyntax = functionType => blockSyntaxes.get(functionType)
+
+/**
+ * Match the inline syntaxes at the start of the text.
+ *
+ * @param {string} src The remaining text.
+ * @returns {{syntax: IInlineSyntax, match: RegExpExecArray}|null} The first matching syntax.
+ */
+export const matchInlineSyntax = src => {
+  for (const syntax of inlineSyntaxes) {
+    const match = syntax.regex.exec(src)
+    if (match && match[0]) {
+      return { syntax, match }
+    }
+  }
+  return null
+}
+
+/**
+ * Create the token of a matched inline syntax.
+ *
+ * @param {IInlineSyntax} syntax The syntax.
+ * @param {RegExpExecArray} match The match of the syntax rule.
+ * @param {number} pos The start of the token.
+ * @param {Object[]} parent The token list.
+ */
+export const createInlineToken = (syntax, match, pos, parent) => {
+  const extra = syntax.tokenize ? syntax.tokenize(match) : {}
+  return Object.assign({}, extra, {
+    type: syntax.type,
+    raw: match[0],
+    parent,
+    range: {
+      start: pos,
+      end: pos + match[0].length
+    }
+  })
+}
+
+/**
+ * Find the first position after the start of the text where an inline syntax matches.
+ *
+ * @param {string} text The text.
+ * @returns {number} The position or `-1`.
+ */
+export const findInlineSyntaxStart = text => {
+  let start = -1
+  for (const syntax of inlineSyntaxes) {
+    const { searchRegex } = syntax
+    searchRegex.lastIndex = 1
+    let result
+    while ((result = searchRegex.exec(text)) !== null && (start === -1 || result.index < start)) {
+      if (result[0] && matchInlineSyntax(text.substring(result.index))) {
+        start = result.index
+        break
+      }
+      searchRegex.lastIndex = result.index + 1
+    }
+  }
+  return start
+}
@@ -3,33 +3,32 @@ import newIcon from '../../assets/pngicon/paragraph/2.png'
 import deleteIcon from '../../assets/pngicon/delete/delete@2x.png'
 import turnIcon from '../../assets/pngicon/turninto/2.png'
 import { isOsx } from '../../config'
-import { quicInsertObj } from '../quickInsert/config'
+import { getQuickInsertObj } from '../quickInsert/config'
 
-const wholeSubMenu = Object.keys(quicInsertObj).reduce((acc, key) => {
-  const items = quicInsertObj[key]
-  return [...acc, ...items]
-}, [])
+const getWholeSubMenu = t => {
+  const quickInsertObj = getQuickInsertObj(t)
+  return Object.keys(quickInsertObj).reduce((acc, key) => {
+    const items = quickInsertObj[key]
+    return [...acc, ...items]
+  }, [])
+}
 
 const COMMAND_KEY = isOsx ? '⌘' : '⌃'
 
 export const menu = [{
   icon: copyIcon,
   label: 'duplicate',
-  text: 'Duplicate',
   shortCut: `⇧${COMMAND_KEY}P`
 }, {
   icon: turnIcon,
-  label: 'turnInto',
-  text: 'Turn Into'
+  label: 'turnInto'
 }, {
   icon: newIcon,
   label: 'new',
-  text: 'Create Paragraph',
   shortCut: `⇧${COMMAND_KEY}N`
 }, {
   icon: deleteIcon,
   label: 'delete',
-  text: 'Delete',
   shortCut: `⇧${COMMAND_KEY}D`
 }]
 
@@ -110,8 +109,9 @@ export const getLabel = block => {
   return label
 }
 
-export const getSubMenu = (block, startBlock, endBlock) => {
+export const getSubMenu = (block, startBlock, endBlock, t) => {
   const { type } = block
+  const wholeSubMenu = getWholeSubMenu(t)
   switch (type) {
     case 'p': {
       return wholeSubMenu.filter(menuItem => {
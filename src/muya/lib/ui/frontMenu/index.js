@@ -98,8 +98,8 @@ class FrontMenu extends BaseFloat {
   render () {
     const { oldVnode, frontMenuContainer, outmostBlock, startBlock, endBlock } = this
     const { type, functionType } = outmostBlock
-    const children = menu.map(({ icon, label, text, shortCut }) => {
-      const subMenu = getSubMenu(outmostBlock, startBlock, endBlock)
+    const children = menu.map(({ icon, label, shortCut }) => {
+      const subMenu = getSubMenu(outmostBlock, startBlock, endBlock, this.muya.t)
       const iconWrapperSelector = 'div.icon-wrapper'
       const iconWrapper = h(iconWrapperSelector, h('i.icon', h(`i.icon-${label.replace(/\s/g, '-')}`, {
         style: {
@@ -107,7 +107,7 @@ class FrontMenu extends BaseFloat {
           'background-size': '100%'
         }
       }, '')))
-      const textWrapper = h('span', text)
+      const textWrapper = h('span', this.muya.t(`frontMenu.${label}`))
       const shortCutWrapper = h('div.short-cut', [
         h('span', shortCut)
       ])
@@ -3,11 +3,13 @@ import { patch, h } from '../../parser/render/snabbdom'
 import FolderIcon from '../../assets/icons/folder.svg'
 import ImageIcon from '../../assets/icons/image.svg'
 import UploadIcon from '../../assets/icons/upload.svg'
+import LinkIcon from '../../assets/icons/format_link.svg'
 
 const iconhash = {
   'icon-image': ImageIcon,
   'icon-folder': FolderIcon,
-  'icon-upload': UploadIcon
+  'icon-upload': UploadIcon,
+  'icon-link': LinkIcon
 }
 
 class ImagePathPicker extends BaseScrollFloat {
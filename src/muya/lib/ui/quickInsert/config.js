@@ -20,6 +20,7 @@ import sequenceIcon from '../../assets/pngicon/sequence/2.png'
 import mermaidIcon from '../../assets/pngicon/mermaid/2.png'
 import vegaIcon from '../../assets/pngicon/chart/2.png'
 import { isOsx } from '../../config'
+import { blockSyntaxes } from '../../syntax'
 
 const COMMAND_KEY = isOsx ? '⌘' : '⌃'
 
@@ -39,132 +40,148 @@ const COMMAND_KEY = isOsx ? '⌘' : '⌃'
 // Fn
 
 
-export const quicInsertObj = {
+const SECTION_KEYS = {
+  'basic block': 'basicBlock',
+  'header': 'header',
+  'advanced block': 'advancedBlock',
+  'list block': 'listBlock',
+  'diagram': 'diagram'
+}
+
+export const getSectionTitle = (name, t) => t(`quickInsert.sections.${SECTION_KEYS[name]}`)
+
+// The menu is created on demand to use the current locale, `t` is the translate function of Muya.
+export const getQuickInsertObj = t => ({
   'basic block': [{
-    title: 'Paragraph',
+    title: t('quickInsert.paragraph'),
     subTitle: 'Lorem Ipsum is simply dummy text',
     label: 'paragraph',
     shortCut: `${COMMAND_KEY}0`,
     icon: paragraphIcon
   }, {
-    title: 'Horizontal Line',
+    title: t('quickInsert.horizontalLine'),
     subTitle: '---',
     label: 'hr',
     shortCut: `⌥${COMMAND_KEY}-`,
     icon: hrIcon
   }, {
-    title: 'Front Matter',
+    title: t('quickInsert.frontMatter'),
     subTitle: '--- Lorem Ipsum ---',
     label: 'front-matter',
     shortCut: `⌥${COMMAND_KEY}Y`,
     icon: frontMatterIcon
   }],
   'header': [{
-    title: 'Header 1',
+    title: t('quickInsert.header1'),
     subTitle: '# Lorem Ipsum is simply ...',
     label: 'heading 1',
     shortCut: `${COMMAND_KEY}1`,
     icon: header1Icon
   }, {
-    title: 'Header 2',
+    title: t('quickInsert.header2'),
     subTitle: '## Lorem Ipsum is simply ...',
     label: 'heading 2',
     shortCut: `${COMMAND_KEY}2`,
     icon: header2Icon
   }, {
-    title: 'Header 3',
+    title: t('quickInsert.header3'),
     subTitle: '### Lorem Ipsum is simply ...',
     label: 'heading 3',
     shortCut: `${COMMAND_KEY}3`,
     icon: header3Icon
   }, {
-    title: 'Header 4',
+    title: t('quickInsert.header4'),
     subTitle: '#### Lorem Ipsum is simply ...',
     label: 'heading 4',
     shortCut: `${COMMAND_KEY}4`,
     icon: header4Icon
   }, {
-    title: 'Header 5',
+    title: t('quickInsert.header5'),
     subTitle: '##### Lorem Ipsum is simply ...',
     label: 'heading 5',
     shortCut: `${COMMAND_KEY}5`,
     icon: header5Icon
   }, {
-    title: 'Header 6',
+    title: t('quickInsert.header6'),
     subTitle: '###### Lorem Ipsum is simply ...',
     label: 'heading 6',
     shortCut: `${COMMAND_KEY}6`,
     icon: header6Icon
   }],
   'advanced block': [{
-    title: 'Table Block',
+    title: t('quickInsert.tableBlock'),
     subTitle: '|Lorem | Ipsum is simply |',
     label: 'table',
     shortCut: `${COMMAND_KEY}T`,
     icon: newTableIcon
   }, {
-    title: 'Math Formula',
+    title: t('quickInsert.mathFormula'),
     subTitle: '$$ Lorem Ipsum is simply $$',
     label: 'mathblock',
     shortCut: `⌥${COMMAND_KEY}M`,
     icon: mathblockIcon
   }, {
-    title: 'HTML Block',
+    title: t('quickInsert.htmlBlock'),
     subTitle: '<div> Lorem Ipsum is simply </div>',
     label: 'html',
     shortCut: `⌥${COMMAND_KEY}J`,
     icon: htmlIcon
   }, {
-    title: 'Code Block',
+    title: t('quickInsert.codeBlock'),
     subTitle: '```java Lorem Ipsum is simply ```',
     label: 'pre',
     shortCut: `⌥${COMMAND_KEY}C`,
     icon: codeIcon
   }, {
-    title: 'Quote Block',
+    title: t('quickInsert.quoteBlock'),
     subTitle: '>Lorem Ipsum is simply ...',
     label: 'blockquote',
     shortCut: `⌥${COMMAND_KEY}Q`,
     icon: quoteIcon
   }],
   'list block': [{
-    title: 'Order List',
+    title: t('quickInsert.orderList'),
     subTitle: '1. Lorem Ipsum is simply ...',
     label: 'ol-order',
     shortCut: `⌥${COMMAND_KEY}O`,
     icon: orderListIcon
   }, {
-    title: 'Bullet List',
+    title: t('quickInsert.bulletList'),
     subTitle: '- Lorem Ipsum is simply ...',
     label: 'ul-bullet',
     shortCut: `⌥${COMMAND_KEY}U`,
     icon: bulletListIcon
   }, {
-    title: 'To-do List',
+    title: t('quickInsert.toDoList'),
     subTitle: '- [x] Lorem Ipsum is simply ...',
     label: 'ul-task',
     shortCut: `⌥${COMMAND_KEY}X`,
     icon: todoListIcon
   }],
   'diagram': [{
-    title: 'Vega Chart',
-    subTitle: 'Render flow chart by vega-lite.js.',
+    title: t('quickInsert.vegaChart'),
+    subTitle: t('quickInsert.vegaChartDescription'),
     label: 'vega-lite',
     icon: vegaIcon
   }, {
-    title: 'Flow Chart',
-    subTitle: 'Render flow chart by flowchart.js.',
+    title: t('quickInsert.flowChart'),
+    subTitle: t('quickInsert.flowChartDescription'),
     label: 'flowchart',
     icon: flowchartIcon
   }, {
-    title: 'Sequence Diagram',
-    subTitle: 'Render sequence diagram by js-sequence.',
+    title: t('quickInsert.sequenceDiagram'),
+    subTitle: t('quickInsert.sequenceDiagramDescription'),
     label: 'sequence',
     icon: sequenceIcon
   }, {
-    title: 'Mermaid',
-    subTitle: 'Render Diagram by mermaid.',
+    title: t('quickInsert.mermaid'),
+    subTitle: t('quickInsert.mermaidDescription'),
     label: 'mermaid',
     icon: mermaidIcon
-  }]
-}
+  }, ...Array.from(blockSyntaxes.values()).map(({ type, label, description, icon }) => ({
+    title: label,
+    subTitle: description || '',
+    label: type,
+    icon: icon || codeIcon
+  }))]
+})
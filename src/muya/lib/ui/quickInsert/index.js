@@ -1,8 +1,7 @@
 import { filter } from 'fuzzaldrin'
 import { patch, h } from '../../parser/render/snabbdom'
-import { deepCopy } from '../../utils'
 import BaseScrollFloat from '../baseScrollFloat'
-import { quicInsertObj } from './config'
+import { getQuickInsertObj, getSectionTitle } from './config'
 import './index.css'
 
 class QuickInsert extends BaseScrollFloat {
@@ -16,7 +15,7 @@ class QuickInsert extends BaseScrollFloat {
     this.renderArray = null
     this.activeItem = null
     this.block = null
-    this.renderObj = quicInsertObj
+    this.renderObj = getQuickInsertObj(this.muya.t)
     this.render()
     this.listen()
   }
@@ -41,7 +40,7 @@ class QuickInsert extends BaseScrollFloat {
       return _renderObj[key].length !== 0
     })
       .map(key => {
-        const titleVnode = h('div.title', key.toUpperCase())
+        const titleVnode = h('div.title', getSectionTitle(key, this.muya.t).toUpperCase())
         const items = []
         for (const item of _renderObj[key]) {
           const { title, subTitle, label, icon, shortCut } = item
@@ -74,7 +73,7 @@ class QuickInsert extends BaseScrollFloat {
       })
 
     if (children.length === 0) {
-      children = h('div.no-result', 'No result')
+      children = h('div.no-result', this.muya.t('quickInsert.noResult'))
     }
     const vnode = h('div', children)
 
@@ -103,7 +102,7 @@ class QuickInsert extends BaseScrollFloat {
   search (text) {
     const { contentState } = this.muya
     const canInserFrontMatter = contentState.canInserFrontMatter(this.block)
-    const obj = deepCopy(quicInsertObj)
+    const obj = getQuickInsertObj(this.muya.t)
     if (!canInserFrontMatter) {
       obj['basic block'].splice(2, 1)
     }
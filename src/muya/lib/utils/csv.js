@@ -0,0 +1,93 @@
+const LINE_BREAK_REG = /\r\n|\n|\r/
+
+/**
+ * Parse delimiter-separated values. Values may be quoted with `"` and quotes in
+ * quoted values are escaped by doubling them (RFC 4180).
+ *
+ * @param {string} text The CSV or TSV text.
+ * @param {string} [delimiter] The value delimiter, e.g. `,` or `\t`.
+ * @returns {string[][]} The rows.
+ */
+export const parseCsv = (text, delimiter = ',') => {
+  const rows = []
+  let row = []
+  let value = ''
+  let inQuotes = false
+  let i = 0
+
+  // Spreadsheet applications end the copied data with a line break.
+  text = text.replace(/(\r\n|\n|\r)$/, '')
+  if (!text) {
+    return rows
+  }
+
+  while (i < text.length) {
+    const char = text[i]
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        value += '"'
+        i++
+      } else if (char === '"') {
+        inQuotes = false
+      } else {
+        value += char
+      }
+    } else if (char === '"' && !value) {
+      inQuotes = true
+    } else if (char === delimiter) {
+      row.push(value)
+      value = ''
+    } else if (char === '\r' || char === '\n') {
+      if (char === '\r' && text[i + 1] === '\n') {
+        i++
+      }
+      row.push(value)
+      rows.push(row)
+      row = []
+      value = ''
+    } else {
+      value += char
+    }
+    i++
+  }
+  row.push(value)
+  rows.push(row)
+  return rows
+}
+
+/**
+ * Convert rows into CSV and quote values if necessary.
+ *
+ * @param {string[][]} rows The rows.
+ * @param {string} [delimiter] The value delimiter.
+ * @returns {string}
+ */
+export const stringifyCsv = (rows, delimiter = ',') => {
+  const quote = value => {
+    if (value.includes(delimiter) || value.includes('"') || LINE_BREAK_REG.test(value)) {
+      return `"${value.replace(/"/g, '""')}"`
+    }
+    return value
+  }
+  return rows.map(row => row.map(quote).join(delimiter)).join('\n') + '\n'
+}
+
+/**
+ * Returns the delimiter if the text looks like spreadsheet data: tab-separated values
+ * or at least two lines with the same number of comma-separated values.
+ *
+ * @param {string} text The text.
+ * @returns {string|null} The delimiter or null if the text is not tabular.
+ */
+export const detectDelimiter = text => {
+  if (text.includes('\t')) {
+    return '\t'
+  }
+
+  const rows = parseCsv(text, ',')
+  if (rows.length < 2) {
+    return null
+  }
+  const count = rows[0].length
+  return count > 1 && rows.every(row => row.length === count) ? ',' : null
+}
@@ -1,6 +1,5 @@
-import marked from '../parser/marked'
+import marked, { Lexer } from '../parser/marked'
 import Prism from 'prismjs'
-import katex from 'katex'
 import mermaid from 'mermaid'
 import flowchart from 'flowchart.js'
 import Diagram from '../parser/render/sequence'
@@ -9,8 +8,11 @@ import githubMarkdownCss from 'github-markdown-css/github-markdown.css'
 import highlightCss from 'prismjs/themes/prism.css'
 import katexCss from 'katex/dist/katex.css'
 import { EXPORT_DOMPURIFY_CONFIG } from '../config'
-import { sanitize, unescapeHtml } from '../utils'
+import { escapeHtml, sanitize, unescapeHtml } from '../utils'
 import { validEmoji } from '../ui/emojis'
+import { createMathContext, renderMath } from './math'
+import { getMetadata } from './frontMatter'
+import { blockSyntaxes, getBlockSyntax } from '../syntax'
 
 export const getSanitizeHtml = markdown => {
   const html = marked(markdown)
@@ -24,12 +26,73 @@ const DIAGRAM_TYPE = [
   'vega-lite'
 ]
 
+// Create a table of contents from the headings of the given HTML.
+const createToc = html => {
+  const container = document.createElement('div')
+  container.innerHTML = html
+  const items = Array.from(container.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .filter(heading => heading.id)
+    .map(heading => {
+      const level = heading.tagName.substring(1)
+      return `<li class="toc-h${level}"><a href="#${heading.id}">${escapeHtml(heading.textContent)}</a></li>`
+    })
+  return items.length ? `<nav class="toc"><ul>${items.join('')}</ul></nav>` : ''
+}
+
+// Wrap the document into a table to repeat the header and footer on every printed page.
+const addHeaderAndFooter = (body, header, footer) => {
+  const headerHtml = header
+    ? `<thead><tr><td><div class="page-header">${escapeHtml(header)}</div></td></tr></thead>`
+    : ''
+  const footerHtml = footer
+    ? `<tfoot><tr><td><div class="page-footer">${escapeHtml(footer)}</div></td></tr></tfoot>`
+    : ''
+  return `<table class="page-layout">${headerHtml}<tbody><tr><td>${body}</td></tr></tbody>${footerHtml}</table>`
+}
+
+// Create the meta tags of the document metadata.
+const createMetaTags = ({ tags, date, data }) => {
+  const metaTags = []
+  const addMetaTag = (name, content) => {
+    metaTags.push(`<meta name="${name}" content="${escapeHtml(content)}">`)
+  }
+  for (const name of ['author', 'description']) {
+    const values = [].concat(data[name]).filter(value => value !== null && value !== undefined && typeof value !== 'object')
+    if (values.length) {
+      addMetaTag(name, values.join(', '))
+    }
+  }
+  if (tags.length) {
+    addMetaTag('keywords', tags.join(', '))
+  }
+  if (date) {
+    addMetaTag('date', date)
+  }
+  return metaTags.join('\n  ')
+}
+
+// Create the math context with the front matter and display formulas of the markdown.
+const getMathContext = (markdown, preamble) => {
+  const tokens = new Lexer().lex(markdown)
+  const frontMatter = tokens.find(token => token.type === 'frontmatter')
+  const displayMaths = tokens.filter(token => token.type === 'multiplemath').map(token => token.text)
+  return createMathContext(preamble, frontMatter ? frontMatter.text : '', displayMaths)
+}
+
 class ExportHtml {
-  constructor (markdown, muya) {
+  /**
+   * @param {string} markdown The markdown document.
+   * @param {Muya} [muya] The editor instance.
+   * @param {string} [mathPreamble] The KaTeX macro definitions, default are the definitions of the editor.
+   */
+  constructor (markdown, muya, mathPreamble) {
     this.markdown = markdown
     this.muya = muya
     this.exportContainer = null
     this.mathRendererCalled = false
+    this.mathPreamble = typeof mathPreamble === 'string' ? mathPreamble : (muya ? muya.options.mathPreamble : '')
+    this.mathContext = null
+    this.exportOptions = {}
   }
 
   renderMermaid () {
@@ -41,9 +104,9 @@ class ExportHtml {
       mermaidContainer.classList.add('mermaid')
       preEle.replaceWith(mermaidContainer)
     }
-    // We only export light theme, so set mermaid theme to `default`, in the future, we can choose whick theme to export.
+    // Use the light theme unless the export options request another one.
     mermaid.initialize({
-      theme: 'default'
+      theme: this.exportOptions.mermaidTheme || 'default'
     })
     mermaid.init(undefined, this.exportContainer.querySelectorAll('div.mermaid'))
     if (this.muya){
@@ -75,7 +138,7 @@ class ExportHtml {
       } else if (functionType === 'vega-lite') {
         Object.assign(options, {
           actions: false, tooltip: false, renderer: 'svg',
-          theme: 'latimes' // only render light theme
+          theme: this.exportOptions.vegaTheme || 'latimes'
         })
       }
       try {
@@ -93,16 +156,39 @@ class ExportHtml {
     }
   }
 
+  // Render the block syntaxes of plugins that have no HTML export into the document.
+  async renderSyntaxBlocks () {
+    for (const syntax of blockSyntaxes.values()) {
+      if (syntax.toHtml) {
+        continue
+      }
+      const codes = this.exportContainer.querySelectorAll(`code.language-${syntax.type}`)
+      for (const code of codes) {
+        const rawCode = unescapeHtml(code.innerHTML)
+        const container = document.createElement('div')
+        container.classList.add(syntax.type)
+        code.parentNode.replaceWith(container)
+        try {
+          const html = await syntax.render(rawCode, container, this.muya)
+          if (typeof html === 'string') {
+            container.innerHTML = sanitize(html, EXPORT_DOMPURIFY_CONFIG)
+          }
+        } catch (err) {
+          container.innerHTML = `< Invalid ${escapeHtml(syntax.label)} Codes >`
+        }
+      }
+    }
+  }
+
   mathRenderer = (math, displayMode) => {
     this.mathRendererCalled = true
-    return katex.renderToString(math, {
-      displayMode
-    })
+    return renderMath(math, displayMode, this.mathContext)
   }
 
   // render pure html by marked
   async renderHtml () {
     this.mathRendererCalled = false
+    this.mathContext = getMathContext(this.markdown, this.mathPreamble)
     let html = marked(this.markdown, {
       highlight (code, lang) {
         // Language may be undefined (GH#591)
@@ -110,7 +196,7 @@ class ExportHtml {
           return code
         }
 
-        if (DIAGRAM_TYPE.includes(lang)) {
+        if (DIAGRAM_TYPE.includes(lang) || getBlockSyntax(lang)) {
           return code
         }
 
@@ -139,6 +225,7 @@ class ExportHtml {
     // render only render the light theme of mermaid and diragram...
     this.renderMermaid()
     await this.renderDiagram()
+    await this.renderSyntaxBlocks()
     let result = exportContainer.innerHTML
     exportContainer.remove()
     // hack to add arrow marker to output html
@@ -158,19 +245,46 @@ class ExportHtml {
   /**
    * Get HTML with style
    *
-   * @param {*} title Page title
+   * @param {*} title Page title, default is the title of the front matter
    * @param {*} printOptimization Optimize HTML and CSS for printing
+   * @param {Object} [options] Export options
+   * @param {string} [options.extraCss] Additional style sheet like an editor theme or user CSS
+   * @param {string} [options.mermaidTheme] Theme of mermaid diagrams
+   * @param {string} [options.vegaTheme] Theme of vega-lite diagrams
+   * @param {boolean} [options.toc] Insert a table of contents
+   * @param {string} [options.header] Page header text
+   * @param {string} [options.footer] Page footer text
+   * @param {string} [options.pageMargin] Margin of printed pages, e.g. `20mm`
    */
-  async generate (title = '', printOptimization = false) {
+  async generate (title = '', printOptimization = false, options = {}) {
+    this.exportOptions = options
+    const { extraCss, toc, header, footer, pageMargin } = options
     // WORKAROUND: Hide Prism.js style when exporting or printing. Otherwise the background color is white in the dark theme.
     const highlightCssStyle = printOptimization ? `@media print { ${highlightCss} }` : highlightCss
+    // The same applies to the export theme when the document is printed by the editor window.
+    const extraCssStyle = extraCss && printOptimization ? `@media print { ${extraCss} }` : (extraCss || '')
+    const pageCssStyle = pageMargin ? `@page { margin: ${pageMargin}; }` : ''
     const html = await this.renderHtml()
+    const metadata = getMetadata(this.markdown)
+    const metaTags = createMetaTags(metadata)
+    if (!title) {
+      title = escapeHtml(metadata.title)
+    }
     const katexCssStyle = this.mathRendererCalled ? katexCss : ''
+    const tocHtml = toc ? createToc(html) : ''
+    let body = `<article class="markdown-body">
+  ${tocHtml}
+  ${html}
+  </article>`
+    if (header || footer) {
+      body = addHeaderAndFooter(body, header, footer)
+    }
     return `<!DOCTYPE html>
 <html lang="en">
 <head>
   <meta charset="UTF-8">
   <meta name="viewport" content="width=device-width, initial-scale=1">
+  ${metaTags}
   <title>${title}</title>
   <style>
   ${githubMarkdownCss}
@@ -202,17 +316,51 @@ class ExportHtml {
       margin-top: 0;
       display: inline-block;
     }
+    .markdown-body .footnotes {
+      font-size: 85%;
+    }
+    .markdown-body .footnote-backref {
+      text-decoration: none;
+    }
+    .markdown-body .toc ul {
+      list-style-type: none;
+      padding-left: 0;
+    }
+    .markdown-body .toc .toc-h2 { padding-left: 1em; }
+    .markdown-body .toc .toc-h3 { padding-left: 2em; }
+    .markdown-body .toc .toc-h4 { padding-left: 3em; }
+    .markdown-body .toc .toc-h5 { padding-left: 4em; }
+    .markdown-body .toc .toc-h6 { padding-left: 5em; }
+    .page-layout {
+      width: 100%;
+      border-collapse: collapse;
+    }
+    .page-layout > thead > tr > td,
+    .page-layout > tbody > tr > td,
+    .page-layout > tfoot > tr > td {
+      padding: 0;
+    }
+    .page-header,
+    .page-footer {
+      max-width: 980px;
+      margin: 0 auto;
+      padding: 8px 45px;
+      font-size: 12px;
+      color: #6a737d;
+    }
     @media (max-width: 767px) {
       .markdown-body {
         padding: 15px;
       }
     }
+    ${pageCssStyle}
+  </style>
+  <style>
+  ${extraCssStyle}
   </style>
 </head>
 <body>
-  <article class="markdown-body">
-  ${html}
-  </article>
+  ${body}
 </body>
 </html>`
   }
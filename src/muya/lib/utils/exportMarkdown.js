@@ -7,6 +7,15 @@
  * and GitHub Flavored Markdown Spec: https://github.github.com/gfm/
  * The output markdown needs to obey the standards of the two Spec.
  */
+import { tokenizer, serializer } from '../parser'
+import { inlineSyntaxes, getBlockSyntax } from '../syntax'
+
+// Inline syntaxes of plugins may change the markdown of their tokens.
+const serializeText = text => {
+  return inlineSyntaxes.some(syntax => syntax.toMarkdown)
+    ? serializer(tokenizer(text, [], false))
+    : text
+}
 
 class ExportMarkdown {
   constructor (blocks, listIndentation = 1) {
@@ -78,6 +87,10 @@ class ExportMarkdown {
               result.push(this.normalizeMultipleMath(block, indent))
               break
             }
+            case 'footnote': {
+              result.push(this.normalizeFootnote(block, indent))
+              break
+            }
             case 'mermaid':
             case 'flowchart':
             case 'sequence':
@@ -85,6 +98,13 @@ class ExportMarkdown {
               result.push(this.normalizeContainer(block, indent))
               break
             }
+            default: {
+              // block syntaxes of plugins
+              if (getBlockSyntax(block.functionType)) {
+                result.push(this.normalizeSyntaxBlock(block, indent))
+              }
+              break
+            }
           }
           break
         }
@@ -167,14 +187,14 @@ class ExportMarkdown {
   }
 
   normalizeParagraphText (block, indent) {
-    const { text } = block
+    const text = serializeText(block.text)
     const lines = text.split('\n')
     return lines.map(line => `${indent}${line}`).join('\n') + '\n'
   }
 
   normalizeHeaderText (block, indent) {
     const { headingStyle, marker } = block
-    const { text } = block.children[0]
+    const text = serializeText(block.children[0].text)
     if (headingStyle === 'atx') {
       const match = text.match(/(#{1,6})(.*)/)
       const atxHeadingText = `${match[1]} ${match[2].trim()}`
@@ -191,6 +211,14 @@ class ExportMarkdown {
     return this.translateBlocks2Markdown(children, newIndent)
   }
 
+  normalizeFootnote (block, indent) { // figureBlock
+    const [identifierInput, ...children] = block.children
+    const newIndent = `${indent}    `
+    // The first line of the footnote content follows the identifier, all other lines are indented.
+    const content = this.translateBlocks2Markdown(children, newIndent).substring(newIndent.length)
+    return `${indent}[^${identifierInput.text}]: ${content}`
+  }
+
   normalizeFrontMatter (block, indent) { // preBlock
     const result = []
     result.push('---\n')
@@ -223,6 +251,22 @@ class ExportMarkdown {
     return result.join('')
   }
 
+  normalizeSyntaxBlock (block, indent) {
+    const { toMarkdown } = getBlockSyntax(block.functionType)
+    if (!toMarkdown) {
+      return this.normalizeContainer(block, indent)
+    }
+    const result = []
+    const { functionType } = block.children[0]
+    const code = block.children[0].children[0].children.map(line => line.text).join('\n')
+    result.push(`${indent}\`\`\`${functionType}\n`)
+    for (const line of toMarkdown(code).replace(/\n$/, '').split('\n')) {
+      result.push(`${indent}${line}\n`)
+    }
+    result.push(`${indent}\`\`\`\n`)
+    return result.join('')
+  }
+
   normalizeCodeBlock (block, indent) {
     const result = []
     const textList = block.children[1].children.map(codeLine => codeLine.text)
@@ -258,9 +302,9 @@ class ExportMarkdown {
     const tHeader = table.children[0]
 
     const tBody = table.children[1]
-    tableData.push(tHeader.children[0].children.map(th => th.text.trim()))
+    tableData.push(tHeader.children[0].children.map(th => serializeText(th.text).trim()))
     tBody.children.forEach(bodyRow => {
-      tableData.push(bodyRow.children.map(td => td.text.trim()))
+      tableData.push(bodyRow.children.map(td => serializeText(td.text).trim()))
     })
 
     const columnWidth = tHeader.children[0].children.map(th => ({ width: 5, align: th.align }))
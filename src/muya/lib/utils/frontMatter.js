@@ -0,0 +1,139 @@
+import yaml from 'js-yaml'
+
+// Same as the front matter rule of the markdown parser.
+const FRONT_MATTER_REG = /^---\n([\s\S]+?)---(?:\n+|$)/
+
+// Timestamps are not resolved, so that dates are kept as written.
+const YAML_OPTIONS = { schema: yaml.CORE_SCHEMA }
+
+/**
+ * @typedef {Object} IFrontMatterError
+ * @property {string} message The error message.
+ * @property {number} line The zero-based line of the error in the front matter.
+ */
+
+/**
+ * The well-known metadata fields of a document.
+ *
+ * @typedef {Object} IDocumentMetadata
+ * @property {string} title The document title or an empty string.
+ * @property {string[]} tags The document tags.
+ * @property {string} date The document date as written or an empty string.
+ * @property {Object} data All front matter fields.
+ */
+
+/**
+ * Split the markdown document into the front matter and the content.
+ *
+ * @param {string} markdown The markdown document.
+ * @returns {{frontMatter: string|null, content: string}} The front matter without delimiters or
+ *                                                       null if the document has no front matter.
+ */
+export const splitFrontMatter = markdown => {
+  const result = FRONT_MATTER_REG.exec(markdown)
+  if (!result) {
+    return { frontMatter: null, content: markdown }
+  }
+  return { frontMatter: result[1], content: markdown.substring(result[0].length) }
+}
+
+/**
+ * Parse the YAML front matter. The front matter must be a mapping.
+ *
+ * @param {string} text The front matter without delimiters.
+ * @returns {{data: Object, error: IFrontMatterError|null}}
+ */
+export const parseFrontMatter = text => {
+  let data = null
+  try {
+    data = yaml.safeLoad(text, YAML_OPTIONS)
+  } catch (err) {
+    const { reason, mark } = err
+    return { data: {}, error: { message: reason || err.message, line: mark ? mark.line : 0 } }
+  }
+  if (data === null || data === undefined) {
+    return { data: {}, error: null }
+  } else if (typeof data !== 'object' || Array.isArray(data)) {
+    return { data: {}, error: { message: 'The front matter must be a mapping of keys to values.', line: 0 } }
+  }
+  return { data, error: null }
+}
+
+/**
+ * Parse the text of a front matter field like a YAML scalar, e.g. `42` is a number
+ * and `true` a boolean. Other text is kept as string.
+ *
+ * @param {string} text The field value.
+ * @returns {string|number|boolean}
+ */
+export const parseScalar = text => {
+  try {
+    const value = yaml.safeLoad(text, YAML_OPTIONS)
+    if (value !== null && value !== undefined && typeof value !== 'object') {
+      return value
+    }
+  } catch (err) {
+    // Not a valid YAML scalar, e.g. `a: b`.
+  }
+  return text
+}
+
+/**
+ * Returns the YAML front matter of the fields without delimiters.
+ *
+ * @param {Object} data The front matter fields.
+ * @returns {string} The front matter or an empty string if there are no fields.
+ */
+export const stringifyFrontMatter = data => {
+  if (Object.keys(data).length === 0) {
+    return ''
+  }
+  return yaml.safeDump(data, Object.assign({ lineWidth: -1 }, YAML_OPTIONS))
+}
+
+/**
+ * Returns the tags of the front matter fields. Tags are either a list or a string
+ * separated by commas or spaces.
+ *
+ * @param {Object} data The front matter fields.
+ * @returns {string[]}
+ */
+export const getTags = data => {
+  const { tags } = data
+  let result = []
+  if (Array.isArray(tags)) {
+    result = tags.filter(tag => tag !== null && typeof tag !== 'object').map(tag => String(tag).trim())
+  } else if (typeof tags === 'string') {
+    result = tags.split(tags.includes(',') ? ',' : /\s+/).map(tag => tag.trim())
+  }
+  return Array.from(new Set(result.filter(tag => tag)))
+}
+
+/**
+ * Returns the metadata of the front matter fields.
+ *
+ * @param {Object} data The front matter fields.
+ * @returns {IDocumentMetadata}
+ */
+export const getMetadataFromData = data => {
+  const { title, date } = data
+  const isScalar = value => value !== null && value !== undefined && typeof value !== 'object'
+  return {
+    title: isScalar(title) ? String(title).trim() : '',
+    tags: getTags(data),
+    date: isScalar(date) ? String(date) : '',
+    data
+  }
+}
+
+/**
+ * Returns the metadata of the markdown document. Invalid front matter is ignored.
+ *
+ * @param {string} markdown The markdown document.
+ * @returns {IDocumentMetadata}
+ */
+export const getMetadata = markdown => {
+  const { frontMatter } = splitFrontMatter(markdown)
+  const { data } = frontMatter ? parseFrontMatter(frontMatter) : { data: {} }
+  return getMetadataFromData(data)
+}
@@ -10,6 +10,7 @@ import { loadLanguage } from '../prism/index'
 
 // To be disabled rules when parse markdown, Because content state don't need to parse inline rules
 import { CURSOR_DNA } from '../config'
+import { getBlockSyntax } from '../syntax'
 
 const LINE_BREAKS_REG = /\n/
 
@@ -161,7 +162,7 @@ const importRegister = ContentState => {
           if (value.endsWith('\n')) {
             value = value.replace(/\n+$/, '')
           }
-          if (/mermaid|flowchart|vega-lite|sequence/.test(lang)) {
+          if (/mermaid|flowchart|vega-lite|sequence/.test(lang) || (codeBlockStyle === 'fenced' && getBlockSyntax(lang))) {
             block = this.createContainerBlock(lang, value)
             this.appendChild(parentList[0], block)
           } else {
@@ -289,6 +290,27 @@ const importRegister = ContentState => {
           parentList.shift()
           break
         }
+        case 'footnote_start': {
+          block = this.createBlock('figure', {
+            functionType: 'footnote'
+          })
+          const identifierInput = this.createBlock('span', {
+            text: token.identifier,
+            functionType: 'footnoteInput'
+          })
+          this.appendChild(block, identifierInput)
+          this.appendChild(parentList[0], block)
+          parentList.unshift(block)
+          break
+        }
+        case 'footnote_end': {
+          // A footnote without content still needs a paragraph to type in.
+          if (parentList[0].children.length === 1) {
+            this.appendChild(parentList[0], this.createBlockP())
+          }
+          parentList.shift()
+          break
+        }
         case 'list_start': {
           const { ordered, listType, start } = token
           block = this.createBlock(ordered === true ? 'ol' : 'ul')
@@ -424,6 +446,22 @@ const importRegister = ContentState => {
     }
   }
 
+  /**
+   * Map the top-level blocks to the source lines where they start. The markdown must
+   * be the source of the current blocks, e.g. the exported markdown.
+   *
+   * @param {string} markdown The markdown of the document.
+   * @returns {{key: string, line: number}[]} The zero-based start line of each block.
+   */
+  ContentState.prototype.getBlockLines = function (markdown) {
+    const lines = new Lexer({ disableInline: true }).lex(markdown)
+      .filter(token => typeof token.line === 'number' && token.type !== 'space' && !/_end$/.test(token.type))
+      .map(token => token.line)
+    return this.blocks
+      .slice(0, lines.length)
+      .map((block, i) => ({ key: block.key, line: lines[i] }))
+  }
+
   ContentState.prototype.importMarkdown = function (markdown) {
     this.blocks = this.markdownToState(markdown)
   }
@@ -0,0 +1,198 @@
+import katex from 'katex'
+
+const FRONT_MATTER_MACROS_KEY = 'katex-macros'
+
+// `\newcommand{\name}[2]{`, `\renewcommand\name{` or `\def\name#1{`
+const MACRO_DEFINITION_REG = /\\(?:(?:re)?newcommand\*?|g?def)\s*(?:\{\s*(\\(?:[a-zA-Z@]+|.))\s*\}|(\\(?:[a-zA-Z@]+|.)))\s*(?:\[\d\])?\s*(?:#\d\s*)*\{/g
+const LABEL_REG = /\\label\{([^{}]+)\}/g
+const TAG_REG = /\\tag\*?\{([^{}]*)\}/
+const REFERENCE_REG = /\\(eq)?ref\{([^{}]+)\}/g
+
+/**
+ * The macros and equation labels that are shared by all formulas of a document.
+ *
+ * @typedef {Object} IMathContext
+ * @property {Object.<string, string>} macros The KaTeX macros.
+ * @property {Map<string, string>} labels The equation number of each label.
+ */
+
+// Returns the end index of the group that starts at the given opening brace or -1.
+const findGroupEnd = (text, start) => {
+  let depth = 0
+  for (let i = start; i < text.length; i++) {
+    const char = text[i]
+    if (char === '\\') {
+      i++
+    } else if (char === '{') {
+      depth++
+    } else if (char === '}' && --depth === 0) {
+      return i
+    }
+  }
+  return -1
+}
+
+/**
+ * Parse macro definitions like `\newcommand{\R}{\mathbb{R}}`. The number of arguments
+ * is inferred by KaTeX from the `#1`...`#9` placeholders of the macro.
+ *
+ * @param {string} preamble The macro definitions, `%` starts a comment.
+ * @returns {Object.<string, string>} The KaTeX macros.
+ */
+export const parseMacros = preamble => {
+  const macros = {}
+  if (!preamble) {
+    return macros
+  }
+  const text = preamble.replace(/(^|[^\\])%.*$/gm, '$1')
+  MACRO_DEFINITION_REG.lastIndex = 0
+  let result
+  while ((result = MACRO_DEFINITION_REG.exec(text)) !== null) {
+    const start = MACRO_DEFINITION_REG.lastIndex - 1
+    const end = findGroupEnd(text, start)
+    if (end === -1) {
+      break
+    }
+    macros[result[1] || result[2]] = text.substring(start + 1, end)
+    MACRO_DEFINITION_REG.lastIndex = end + 1
+  }
+  return macros
+}
+
+const unquote = value => {
+  if (/^"[\s\S]*"$/.test(value)) {
+    try {
+      return JSON.parse(value)
+    } catch (err) {
+      return value.slice(1, -1)
+    }
+  } else if (/^'[\s\S]*'$/.test(value)) {
+    return value.slice(1, -1).replace(/''/g, '\'')
+  }
+  return value
+}
+
+/**
+ * Returns the macros of the `katex-macros` front matter entry. The entry is either a
+ * mapping from macro names to their expansion or a block of macro definitions:
+ *
+ * ```yaml
+ * katex-macros:
+ *   \R: \mathbb{R}
+ * katex-macros: |
+ *   \newcommand{\R}{\mathbb{R}}
+ * ```
+ *
+ * @param {string} frontMatter The front matter without delimiters.
+ * @returns {Object.<string, string>} The KaTeX macros.
+ */
+export const getFrontMatterMacros = frontMatter => {
+  const macros = {}
+  const lines = frontMatter ? frontMatter.split('\n') : []
+  const index = lines.findIndex(line => line.startsWith(`${FRONT_MATTER_MACROS_KEY}:`))
+  if (index === -1) {
+    return macros
+  }
+
+  const value = lines[index].substring(FRONT_MATTER_MACROS_KEY.length + 1).trim()
+  const entries = []
+  for (let i = index + 1; i < lines.length && /^(\s|$)/.test(lines[i]); i++) {
+    entries.push(lines[i])
+  }
+  if (/^[|>][+-]?$/.test(value)) {
+    return parseMacros(entries.join('\n'))
+  }
+  for (const entry of entries) {
+    // The macro name may contain a colon, e.g. `\:`, so split at the first colon after the name.
+    const result = /^\s+("[^"]+"|'[^']+'|\\?(?:[a-zA-Z@]+|.)):\s*(.*)$/.exec(entry)
+    if (result) {
+      const name = unquote(result[1])
+      macros[name.startsWith('\\') ? name : `\\${name}`] = unquote(result[2].trim())
+    }
+  }
+  return macros
+}
+
+/**
+ * Number the display formulas with a `\label` in document order. Formulas with a `\tag`
+ * use the tag as number.
+ *
+ * @param {string[]} displayMaths The display formulas in document order.
+ * @returns {Map<string, string>} The equation number of each label.
+ */
+export const numberEquations = displayMaths => {
+  const labels = new Map()
+  let count = 0
+  for (const math of displayMaths) {
+    const names = []
+    LABEL_REG.lastIndex = 0
+    let result
+    while ((result = LABEL_REG.exec(math)) !== null) {
+      names.push(result[1])
+    }
+    if (names.length) {
+      const tag = TAG_REG.exec(math)
+      const number = tag ? tag[1] : String(++count)
+      names.filter(name => !labels.has(name)).forEach(name => labels.set(name, number))
+    }
+  }
+  return labels
+}
+
+/**
+ * Create the math context of a document.
+ *
+ * @param {string} preamble The macro definitions of the preferences.
+ * @param {string} frontMatter The front matter of the document.
+ * @param {string[]} displayMaths The display formulas in document order.
+ * @returns {IMathContext}
+ */
+export const createMathContext = (preamble, frontMatter, displayMaths) => {
+  return {
+    macros: Object.assign(parseMacros(preamble), getFrontMatterMacros(frontMatter)),
+    labels: numberEquations(displayMaths)
+  }
+}
+
+/**
+ * Replace `\label` by the equation number and `\ref`/`\eqref` by the referenced number
+ * because KaTeX doesn't support cross-references.
+ *
+ * @param {string} math The formula.
+ * @param {boolean} displayMode Whether the formula is a display formula.
+ * @param {Map<string, string>} labels The equation number of each label.
+ */
+export const resolveEquationReferences = (math, displayMode, labels) => {
+  let number = null
+  let result = math
+    .replace(REFERENCE_REG, (_, isEquation, name) => {
+      const label = labels.get(name) || '??'
+      return isEquation ? `\\text{(${label})}` : `\\text{${label}}`
+    })
+    .replace(LABEL_REG, (_, name) => {
+      if (!number) {
+        number = labels.get(name)
+      }
+      return ''
+    })
+  if (displayMode && number && !TAG_REG.test(result)) {
+    result += `\\tag{${number}}`
+  }
+  return result
+}
+
+/**
+ * Render the formula to HTML, throws an error if the formula is invalid.
+ *
+ * @param {string} math The formula.
+ * @param {boolean} displayMode Whether the formula is a display formula.
+ * @param {IMathContext} [context] The math context of the document.
+ * @returns {string}
+ */
+export const renderMath = (math, displayMode, context = { macros: {}, labels: new Map() }) => {
+  return katex.renderToString(resolveEquationReferences(math, displayMode, context.labels), {
+    displayMode,
+    // KaTeX adds global definitions like `\gdef` to the macros.
+    macros: Object.assign({}, context.macros)
+  })
+}
@@ -1 +1 @@
-(function(window){var svgSprite='<svg><symbol id="icon-info" viewBox="0 0 1024 1024"><path d="M512 35.776C249.024 35.776 35.776 249.024 35.776 512S249.024 988.224 512 988.224 988.224 774.976 988.224 512 774.976 35.776 512 35.776zM563.776 748.224l-96 0 0-288 96 0L563.776 748.224zM515.776 388.224c-39.744 0-72-32.256-72-72s32.256-72 72-72S587.776 276.48 587.776 316.224 555.52 388.224 515.776 388.224z"  ></path></symbol><symbol id="icon-findreplace" viewBox="0 0 1024 1024"><path d="M469.333333 256c58.88 0 112.213333 23.893333 150.826667 62.506667l-108.16 108.16 256 0 0-256-87.466667 87.466667c-53.973333-53.973333-128.64-87.466667-211.2-87.466667-150.4 0-274.56 111.36-295.253333 256l86.186667 0c19.84-97.28 105.813333-170.666667 209.066667-170.666667zM709.973333 645.76c28.373333-38.613333 47.573333-84.266667 54.613333-133.76l-86.186667 0c-19.84 97.28-105.813333 170.666667-209.066667 170.666667-58.88 0-112.213333-23.893333-150.826667-62.506667l108.16-108.16-256 0 0 256 87.466667-87.466667c53.973333 53.973333 128.64 87.466667 211.2 87.466667 66.133333 0 127.146667-21.76 176.64-58.24l207.36 207.146667 63.573333-63.573333-206.933333-207.573333z"  ></path></symbol><symbol id="icon-collected" viewBox="0 0 1024 1024"><path d="M695.984 103.984l-400.16 0c-53.008 0-96 42.992-96 96l0 288c0 1.04 0.128 2.048 0.16 3.088l0 423.184 297.904-133.328 294.096 133.328L791.984 487.984l0-64 0-224C791.984 146.976 748.992 103.984 695.984 103.984zM589.68 596.8l-99.76-52.576-98.128 55.568 19.568-110.432-83.568-75.456 111.84-15.68 46.48-102.192 49.584 100.752 112.288 12.288-81.216 77.952L589.68 596.8z"  ></path></symbol><symbol id="icon-warn" viewBox="0 0 1024 1024"><path d="M512.000512 31.565926c-265.345344 0-480.434074 215.09794-480.434074 480.434074 0 265.325901 215.08873 480.434074 480.434074 480.434074 265.346367 0 480.434074-215.108173 480.434074-480.434074C992.434585 246.662843 777.345856 31.565926 512.000512 31.565926zM559.809377 774.364453l-95.618754 0 0-92.154863 95.618754 0L559.809377 774.364453zM559.802214 627.249861l-95.598288 0.002047-0.014326-386.999055 95.618754 0.026606L559.802214 627.249861z"  ></path></symbol><symbol id="icon-list" viewBox="0 0 1024 1024"><path d="M128.952442 162.509211c-35.902698 0-64.99734 28.940123-64.99734 64.617693 0 35.677571 29.094642 64.60746 64.99734 64.60746s65.00041-28.92989 65.00041-64.60746C193.951829 191.450357 164.85514 162.509211 128.952442 162.509211L128.952442 162.509211zM933.280324 158.802796 294.242999 158.802796c-14.795984 0-26.761504 11.916401-26.761504 26.601868l0 73.653487c0 14.700817 11.961426 26.601868 26.761504 26.601868l639.038348 0c14.781658 0 26.762527-11.900028 26.762527-26.601868l0-73.653487C960.043874 170.718173 948.063005 158.802796 933.280324 158.802796L933.280324 158.802796zM933.280324 440.756399 294.242999 440.756399c-14.795984 0-26.761504 11.906168-26.761504 26.612101l0 73.646324c0 14.691607 11.961426 26.601868 26.761504 26.601868l639.038348 0c14.781658 0 26.762527-11.910261 26.762527-26.601868L960.043874 467.367477C960.043874 452.661543 948.063005 440.756399 933.280324 440.756399L933.280324 440.756399zM933.280324 722.707956 294.242999 722.707956c-14.795984 0-26.761504 11.905144-26.761504 26.590612l0 73.658603c0 14.685467 11.961426 26.611078 26.761504 26.611078l639.038348 0c14.781658 0 26.762527-11.92561 26.762527-26.611078l0-73.658603C960.043874 734.6131 948.063005 722.707956 933.280324 722.707956L933.280324 722.707956zM128.952442 444.462814c-35.902698 0-64.99734 28.930913-64.99734 64.617693 0 35.671431 29.094642 64.602344 64.99734 64.602344s65.00041-28.92989 65.00041-64.602344C193.951829 473.393727 164.85514 444.462814 128.952442 444.462814L128.952442 444.462814zM128.952442 726.418464c-35.902698 0-64.99734 28.92989-64.99734 64.608483s29.094642 64.60439 64.99734 64.60439 65.00041-28.92682 65.00041-64.60439S164.85514 726.418464 128.952442 726.418464L128.952442 726.418464zM128.952442 726.418464"  ></path></symbol><symbol id="icon-header" viewBox="0 0 1024 1024"><path d="M905 896q-22 0-66.25-1.75t-66.75-1.75q-22 0-66 1.75t-66 1.75q-12 0-18.5-10.25t-6.5-22.75q0-15.5 8.5-23t19.5-8.5 25.5-3.5 22.5-7.5q16.5-10.5 16.5-70l-0.5-195.5q0-10.5-0.5-15.5-6.5-2-25-2l-337.5 0q-19 0-25.5 2-0.5 5-0.5 15.5l-0.5 185.5q0 71 18.5 82 8 5 24 6.5t28.5 1.75 22.5 7.5 10 22.75q0 13-6.25 24t-18.25 11q-23.5 0-69.75-1.75t-69.25-1.75q-21.5 0-64 1.75t-63.5 1.75q-11.5 0-17.75-10.5t-6.25-22.5q0-15 7.75-22.5t18-8.75 23.75-3.75 21-7.5q16.5-11.5 16.5-71.5l-0.5-28.5 0-406.5q0-1.5 2.5-13t0-18.25-0.75-19.25-1.75-21-3.25-18.25-5.5-15.75-8-9q-7.5-5-22.5-6t-26.5-1-20.5-7-9-22.5q0-13 6-24t18-11q23 0 69.25 1.75t69.25 1.75q21 0 63.25-1.75t63.25-1.75q12.5 0 18.75 11t6.25 24q0 15-8.5 21.75t-19.25 7.25-24.75 2-21.5 6.5q-17.5 10.5-17.5 80l0.5 160q0 10.5 0.5 16 6.5 1.5 19.5 1.5l349.5 0q12.5 0 19-1.5 0.5-5.5 0.5-16l0.5-160q0-69.5-17.5-80-9-5.5-29.25-6.25t-33-6.5-12.75-24.75q0-13 6.25-24t18.75-11q22 0 66 1.75t66 1.75q21.5 0 64.5-1.75t64.5-1.75q12.5 0 18.75 11t6.25 24q0 15-8.75 22t-20 7.25-25.75 1.5-22 6.25q-17.5 11.5-17.5 80.5l0.5 471.5q0 59.5 17 70 8 5 23 6.75t26.75 2.25 20.75 7.75 9 22.25q0 13-6 24t-18 11z"  ></path></symbol><symbol id="icon-close-small" viewBox="0 0 1024 1024"><path d="M851.456 755.419429q0 22.820571-16.018286 38.838857l-77.677714 77.677714q-16.018286 16.018286-38.838857 16.018286t-38.838857-16.018286l-168.009143-168.009143-168.009143 168.009143q-16.018286 16.018286-38.838857 16.018286t-38.838857-16.018286l-77.677714-77.677714q-16.018286-16.018286-16.018286-38.838857t16.018286-38.838857l168.009143-168.009143-168.009143-168.009143q-16.018286-16.018286-16.018286-38.838857t16.018286-38.838857l77.677714-77.677714q16.018286-16.018286 38.838857-16.018286t38.838857 16.018286l168.009143 168.009143 168.009143-168.009143q16.018286-16.018286 38.838857-16.018286t38.838857 16.018286l77.677714 77.677714q16.018286 16.018286 16.018286 38.838857t-16.018286 38.838857l-168.009143 168.009143 168.009143 168.009143q16.018286 16.018286 16.018286 38.838857z"  ></path></symbol><symbol id="icon-twitter" viewBox="0 0 1024 1024"><path d="M962.267429 233.179429q-38.253714 56.027429-92.598857 95.451429 0.585143 7.972571 0.585143 23.990857 0 74.313143-21.723429 148.260571t-65.974857 141.970286-105.398857 120.32-147.456 83.456-184.539429 31.158857q-154.843429 0-283.428571-82.870857 19.968 2.267429 44.544 2.267429 128.585143 0 229.156571-78.848-59.977143-1.170286-107.446857-36.864t-65.170286-91.136q18.870857 2.852571 34.889143 2.852571 24.576 0 48.566857-6.290286-64-13.165714-105.984-63.707429t-41.984-117.394286l0-2.267429q38.838857 21.723429 83.456 23.405714-37.741714-25.161143-59.977143-65.682286t-22.308571-87.990857q0-50.322286 25.161143-93.110857 69.12 85.138286 168.301714 136.265143t212.260571 56.832q-4.534857-21.723429-4.534857-42.276571 0-76.580571 53.979429-130.56t130.56-53.979429q80.018286 0 134.875429 58.294857 62.317714-11.995429 117.174857-44.544-21.138286 65.682286-81.115429 101.741714 53.174857-5.705143 106.276571-28.598857z"  ></path></symbol><symbol id="icon-table" viewBox="0 0 1024 1024"><path d="M329.124352 786.300928l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm0-219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm-292.552704-438.829056l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm-292.552704-438.829056l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm0-219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm73.138176-182.84544l0 621.674496q0 37.711872-26.855424 64.567296t-64.567296 26.855424l-767.950848 0q-37.711872 0-64.567296-26.855424t-26.855424-64.567296l0-621.674496q0-37.711872 26.855424-64.567296t64.567296-26.855424l767.950848 0q37.711872 0 64.567296 26.855424t26.855424 64.567296z"  ></path></symbol><symbol id="icon-folder-close" viewBox="0 0 1024 1024"><path d="M928.229 752.132c0 61.534-50.527 112.062-112.062 112.062L207.833 864.194c-61.534 0-112.062-50.527-112.062-112.062L95.771 271.868c0-61.534 50.528-112.062 112.062-112.062l160.088 0c61.534 0 112.062 50.528 112.062 112.062l0 16.009 336.185 0c61.534 0 112.062 50.528 112.062 112.062L928.23 752.132z"  ></path></symbol><symbol id="icon-lineheight" viewBox="0 0 1024 1024"><path d="M158.185 167.101c3.261 1.398 88.526 2.33 98.311 2.33 41.001 0 82.003-1.864 123.004-1.864 33.547 0 66.628 0.466 100.174 0.466l136.517 0c18.638 0 29.354 4.193 41.934-13.512l19.569-0.466c4.193 0 8.853 0.466 13.046 0.466 0.932 52.184 0.932 104.368 0.932 156.552 0 16.307 0.466 34.479-2.33 50.786-10.25 3.727-20.967 6.989-31.683 8.387-10.716-18.637-18.171-39.138-25.16-59.639-3.262-9.319-14.443-72.219-15.376-73.151-9.784-12.114-20.5-9.785-34.944-9.785-42.399 0-86.663-1.863-128.596 3.262-2.33 20.501-4.193 42.399-3.728 63.366 0.466 130.925 1.864 261.85 1.864 392.776 0 35.877-5.591 73.616 4.66 108.095 35.41 18.172 77.344 20.967 113.686 37.274 0.933 7.455 2.33 15.376 2.33 23.297 0 4.193-0.466 8.853-1.397 13.512l-15.842 0.466c-66.162 1.863-131.392-8.387-198.02-8.387-47.059 0-94.117 8.387-141.176 8.387-0.466-7.921-1.398-16.308-1.398-24.229l0-4.193c17.705-28.421 81.537-28.887 110.891-46.127 10.25-22.83 8.853-149.096 8.853-178.449 0-94.117-2.795-188.234-2.795-282.352l0-54.514c0-8.387 1.864-41.934-3.728-48.457-6.523-6.989-67.56-5.591-75.48-5.591-17.239 0-67.094 7.92-80.605 17.705-22.365 15.375-22.365 108.561-50.32 110.425-8.387-5.125-20.035-12.58-26.092-20.501l0-178.45 37.74-0.466L158.185 167.101zM922.306 779.795l-58.707 75.48c-12.58 16.307-33.08 16.307-45.66 0l-58.707-75.48c-12.58-16.308-6.058-29.354 14.443-29.354l37.274 0L810.949 273.333l-37.274 0c-20.501 0-27.023-13.046-14.443-29.354l58.707-75.48c12.58-16.308 33.08-16.308 45.66 0l58.707 75.48c12.58 16.308 6.058 29.354-14.443 29.354l-37.274 0 0 477.109 37.274 0C928.363 750.441 934.886 763.487 922.306 779.795z"  ></path></symbol><symbol id="icon-search" viewBox="0 0 1024 1024"><path d="M922.666667 876.373333 702.677333 648.405333C805.290667 511.701333 796.245333 314.133333 675.008 188.501333 609.344 120.448 523.264 86.421333 437.205333 86.421333 351.146667 86.421333 265.066667 120.448 199.402667 188.501333 68.074667 324.608 68.074667 545.258667 199.402667 681.344 265.066667 749.397333 351.146667 783.424 437.205333 783.424 510.058667 783.424 582.762667 758.762667 643.221333 710.016L863.210667 937.984 922.666667 876.373333ZM258.858667 619.733333C160.512 517.824 160.512 352.021333 258.858667 250.112 306.496 200.746667 369.834667 173.546667 437.205333 173.546667 504.576 173.546667 567.914667 200.746667 615.552 250.112 713.898667 352.021333 713.898667 517.824 615.552 619.733333 567.914667 669.098667 504.576 696.298667 437.205333 696.298667 369.834667 696.298667 306.496 669.098667 258.858667 619.733333Z"  ></path></symbol><symbol id="icon-font" viewBox="0 0 1024 1024"><path d="M680.021333 790.016l89.984 0-217.984-555.989333-80 0-217.984 555.989333 89.984 0 48-128 240 0zM854.016 86.016q34.005333 0 59.008 25.002667t25.002667 59.008l0 683.989333q0 34.005333-25.002667 59.008t-59.008 25.002667l-683.989333 0q-34.005333 0-59.008-25.002667t-25.002667-59.008l0-683.989333q0-34.005333 25.002667-59.008t59.008-25.002667l683.989333 0zM424.021333 576l88.021333-235.989333 88.021333 235.989333-176 0z"  ></path></symbol><symbol id="icon-shuffle" viewBox="0 0 1024 1024"><path d="M632.021333 571.989333l134.016 134.016 88.021333-88.021333 0 235.989333-235.989333 0 88.021333-88.021333-134.016-134.016zM617.984 169.984l235.989333 0 0 235.989333-88.021333-88.021333-536.021333 536.021333-59.989333-59.989333 536.021333-536.021333zM452.010667 392.021333l-59.989333 59.989333-221.994667-221.994667 59.989333-59.989333z"  ></path></symbol><symbol id="icon-case" viewBox="0 0 1024 1024"><path d="M430.72 721.92l-24.64-64.768L196.544 657.152l-24.64 66.112c-9.6 25.792-17.792 43.264-24.576 52.224-6.784 9.024-17.92 13.568-33.408 13.568-13.12 0-24.704-4.8-34.752-14.464C69.056 765.056 64 754.176 64 742.016c0-7.04 1.152-14.336 3.52-21.824s6.208-17.92 11.648-31.296l131.84-334.784c3.776-9.536 8.256-21.12 13.504-34.56C229.76 305.984 235.456 294.784 241.408 285.952c5.952-9.024 13.824-16.192 23.616-21.696C274.688 258.816 286.656 256 300.992 256 315.52 256 327.616 258.816 337.344 264.256c9.728 5.504 17.6 12.608 23.616 21.312 5.952 8.64 11.008 17.984 15.04 27.968s9.344 23.296 15.68 39.872l134.656 332.672c10.624 25.344 15.872 43.776 15.872 55.232 0 11.968-4.992 22.848-14.976 32.832-9.92 9.984-21.952 14.976-35.968 14.976-8.256 0-15.232-1.472-21.12-4.352-5.888-2.944-10.752-6.912-14.72-12.032s-8.256-12.8-12.864-23.232C438.016 739.136 434.048 729.92 430.72 721.92zM224 578.816l153.984 0L300.288 366.08 224 578.816zM854.848 734.912c-23.232 18.048-45.696 31.616-67.392 40.64-21.632 9.024-46.016 13.568-72.96 13.568-24.64 0-46.272-4.864-64.96-14.656-18.624-9.664-33.024-22.848-43.072-39.552-10.048-16.64-15.104-34.688-15.104-54.144 0-26.24 8.32-48.64 25.024-67.136 16.64-18.56 39.424-30.976 68.544-37.312 6.144-1.408 21.248-4.544 45.376-9.472s44.8-9.408 62.08-13.568c17.216-4.032 35.968-9.088 56.064-14.912C847.36 513.088 842.24 494.528 833.28 482.624c-9.088-11.84-27.776-17.664-56.128-17.664-24.384 0-42.752 3.392-54.976 10.112-12.288 6.784-22.848 17.024-31.68 30.656-8.832 13.568-14.912 22.592-18.624 26.88-3.648 4.352-11.456 6.528-23.36 6.528-10.816 0-20.096-3.456-27.968-10.368C612.608 521.792 608.704 512.96 608.704 502.144c0-16.896 6.016-33.28 17.92-49.216 12.032-15.936 30.656-29.056 55.872-39.36 25.344-10.304 56.896-15.488 94.656-15.488 42.24 0 75.392 4.992 99.52 14.912 24.192 9.984 41.28 25.728 51.2 47.296s14.912 50.176 14.912 85.824c0 22.528-0.064 41.6-0.128 57.344-0.128 15.68-0.384 33.152-0.576 52.416 0 17.984 2.944 36.8 8.96 56.384S960 744.448 960 750.08c0 9.792-4.608 18.816-13.888 26.944-9.28 8.064-19.776 12.096-31.488 12.096-9.856 0-19.584-4.672-29.184-13.888C875.84 765.952 865.6 752.512 854.848 734.912zM848.512 595.968c-14.08 5.184-34.496 10.688-61.376 16.384-26.816 5.76-45.376 9.984-55.744 12.672-10.24 2.688-20.096 8-29.504 15.808-9.344 7.872-14.08 18.816-14.08 32.896 0 14.528 5.504 26.944 16.576 37.12 11.008 10.176 25.344 15.296 43.264 15.296 19.008 0 36.48-4.16 52.48-12.48 16.128-8.32 27.904-19.072 35.392-32.192 8.704-14.528 12.992-38.464 12.992-71.68L848.512 595.968z"  ></path></symbol><symbol id="icon-fontsize" viewBox="0 0 1024 1024"><path d="M954.368 794.24l-34.816 0L754.56 391.808c0 0-4.736-6.656-14.656-7.744-9.92-1.024-25.28 5.184-25.28 5.184l-176 404.992L531.328 794.24C516.544 794.24 512 800.64 512 814.4 512 828.032 519.936 832 534.72 832l102.72 0c14.656 0 26.816-4.096 26.816-17.6 0-13.76-12.096-20.096-26.816-20.096L610.944 794.304l37.056-87.296 191.104 0 37.632 87.296-42.432 0c-14.784 0-26.88 6.4-26.88 20.096 0 13.696 12.032 17.6 26.88 17.6l120.064 0c14.848 0 26.816-3.968 26.816-17.6C981.184 800.64 969.28 794.24 954.368 794.24zM665.216 669.248 746.56 486.4l77.312 182.848L665.216 669.248zM261.056 772.608l-41.6 0 58.112-137.088 252.928 0 60.928-138.368L445.248 140.288c0 0-7.616-10.496-23.104-12.096C406.592 126.592 382.336 136.256 382.336 136.256l-276.544 636.352L94.464 772.608C71.104 772.608 64 782.656 64 804.224 64 825.728 76.544 832 99.776 832l161.344 0c23.296 0 42.176-6.4 42.176-27.776C303.232 782.656 284.352 772.608 261.056 772.608zM432.576 288.896l121.408 287.36L304.64 576.256 432.576 288.896z"  ></path></symbol><symbol id="icon-replace" viewBox="0 0 1024 1024"><path d="M357.312 438.656 337.6 386.944 169.984 386.944 150.336 439.808c-7.68 20.608-14.272 34.56-19.712 41.728C125.184 488.832 116.224 492.352 103.872 492.352c-10.496 0-19.776-3.84-27.84-11.52S64 464.512 64 454.72c0-5.632 0.896-11.456 2.752-17.472 1.856-5.952 4.992-14.336 9.344-25.024l105.408-267.776c3.008-7.68 6.656-16.96 10.88-27.712 4.16-10.816 8.704-19.776 13.504-26.88C210.624 82.816 216.96 77.056 224.704 72.64c7.808-4.352 17.344-6.656 28.8-6.656 11.648 0 21.376 2.24 29.12 6.656C290.432 77.056 296.704 82.752 301.504 89.6 306.24 96.64 310.336 104.064 313.536 112c3.328 8 7.424 18.624 12.544 31.936l107.712 266.048C442.24 430.272 446.528 444.992 446.528 454.144c0 9.6-3.968 18.368-12.032 26.304-7.936 8-17.536 11.968-28.8 11.968-6.592 0-12.16-1.152-16.896-3.52C384.128 486.592 380.16 483.392 377.024 479.296c-3.2-3.968-6.656-10.176-10.24-18.56C363.072 452.416 359.936 445.056 357.312 438.656zM191.936 324.224l123.2 0L252.992 154.048 191.936 324.224zM821.504 960l-126.016 0c-18.176 0-31.168-4.032-38.912-12.224-7.808-8.128-11.712-21.12-11.712-38.912L644.864 598.848c0-18.176 3.968-31.232 11.968-39.232 8-7.936 20.864-11.968 38.656-11.968l133.568 0c19.776 0 36.736 1.28 51.264 3.712 14.4 2.432 27.328 7.104 38.72 14.016 9.728 5.888 18.368 13.184 25.856 22.144 7.488 8.896 13.248 18.752 17.216 29.504 3.968 10.816 5.952 22.208 5.952 34.176 0 41.28-20.672 71.424-61.888 90.56 54.144 17.28 81.28 50.816 81.28 100.672 0 23.04-5.888 43.84-17.728 62.336-11.776 18.432-27.776 32.128-47.744 40.896-12.608 5.312-27.008 9.024-43.392 11.136C862.336 958.912 843.264 960 821.504 960zM728.448 610.368l0 106.624 76.48 0c20.736 0 36.864-1.984 48.192-5.888 11.392-3.968 19.968-11.456 26.048-22.528 4.608-7.872 6.976-16.704 6.976-26.496 0-20.736-7.424-34.624-22.272-41.408-14.784-6.848-37.376-10.304-67.776-10.304L728.448 610.368zM815.296 776.896l-86.848 0 0 120.384 89.664 0c56.448 0 84.672-20.288 84.672-60.992 0-20.8-7.36-35.904-22.016-45.248S844.352 776.896 815.296 776.896zM928.32 213.184l-141.376-141.376c-10.24-10.368-27.008-10.368-37.376 0-10.368 10.432-10.368 27.2 0 37.568l84.416 84.416c-3.776-0.064-6.848-0.32-10.816-0.32-23.552 0.192-51.2 2.304-80.256 9.344-28.928 6.976-59.648 19.52-84.928 40C645.056 252.8 634.56 264.832 624.96 277.952 617.344 289.28 608.704 304.064 603.904 317.44c-10.816 27.072-14.656 53.824-14.72 76.352C588.928 439.04 599.552 467.008 599.552 467.008s-6.4-29.44 0.128-72.32c3.136-21.312 10.432-45.44 23.488-67.968 6.464-11.712 13.568-20.8 23.68-32.128 8.96-8.896 19.008-18.048 30.4-24.512 22.528-13.696 48.64-20.672 73.536-23.296 25.088-2.688 49.088-1.344 69.376 1.152 11.776 1.408 21.888 3.264 30.912 5.248L749.568 354.56c-10.368 10.368-10.368 27.136 0 37.568 5.12 5.184 11.904 7.744 18.624 7.744s13.632-2.56 18.752-7.744l141.376-141.376C938.688 240.384 938.688 223.488 928.32 213.184zM527.808 773.376 386.432 632c-5.12-5.248-12.032-7.744-18.752-7.744S354.176 626.752 349.056 632c-10.368 10.368-10.368 27.136 0 37.504l99.008 99.008c-11.264 1.6-23.808 3.2-38.912 4.416-47.616 3.584-115.008 4.864-170.688-22.016-13.696-6.848-25.728-15.808-36.48-26.112-10.624-11.712-20.288-23.616-27.776-36.48-15.744-25.792-25.728-53.312-32.064-77.376C129.408 562.496 129.472 528.256 129.472 528.256s-4.48 33.728 1.92 84.736c3.328 25.408 9.856 55.232 23.232 85.504 6.592 15.488 15.68 30.464 25.664 44.608 11.712 14.272 25.472 27.008 41.088 37.12 63.616 39.552 136.96 44.992 188.928 47.232 9.408 0.32 17.536 0.192 25.792 0.128l-87.104 87.104c-10.368 10.368-10.368 27.136 0 37.504s27.136 10.368 37.376 0l141.376-141.376C538.176 800.64 538.176 783.744 527.808 773.376z"  ></path></symbol><symbol id="icon-table-3d" viewBox="0 0 1024 1024"><path d="M262.08 254.848c0 0-0.768 81.984-14.016 105.472C234.816 383.936 166.08 425.152 166.08 425.152S105.792 464.512 85.12 463.68C64.832 462.912 68.672 374.912 68.8 372.096c0-2.752-1.024-86.528 19.776-112.384 21.12-26.24 81.344-60.288 81.344-60.288s68.8-42.752 81.536-35.072C264.064 172.032 262.08 254.848 262.08 254.848zM482.56 23.296c-12.672-7.68-81.472 35.072-81.472 35.072s-60.16 34.048-81.28 60.288c-20.8 25.792-19.84 109.632-19.776 112.32-0.128 2.88-4.032 90.88 16.256 91.648 20.672 0.832 81.024-38.592 81.024-38.592s68.736-41.216 81.984-64.768 13.888-105.472 13.888-105.472S495.296 30.976 482.56 23.296zM246.912 429.248c-12.736-7.68-81.472 35.072-81.472 35.072s-60.16 34.048-81.344 60.288C63.296 550.528 64.32 634.24 64.384 636.992c-0.128 2.816-3.968 90.88 16.256 91.648 20.736 0.768 81.024-38.592 81.024-38.592s68.8-41.28 81.984-64.768c13.248-23.552 13.952-105.472 13.952-105.472S259.648 436.992 246.912 429.248zM478.144 288.256C465.408 280.512 396.608 323.264 396.608 323.264s-60.16 34.112-81.344 60.288C294.592 409.344 295.552 493.184 295.552 495.936c-0.064 2.816-3.968 90.88 16.32 91.648 20.672 0.768 80.96-38.656 80.96-38.656s68.736-41.216 81.984-64.768c13.312-23.488 13.952-105.408 13.952-105.408S490.816 295.936 478.144 288.256zM761.92 254.848c0 0 0.768 81.984 13.952 105.472 13.248 23.552 82.048 64.768 82.048 64.768s60.224 39.36 80.96 38.592c20.288-0.768 16.448-88.768 16.32-91.584 0-2.752 1.088-86.528-19.776-112.384-21.12-26.24-81.344-60.288-81.344-60.288s-68.8-42.752-81.472-35.072C759.872 172.032 761.92 254.848 761.92 254.848zM541.44 23.296c12.672-7.68 81.472 35.072 81.472 35.072s60.16 34.048 81.344 60.288c20.736 25.792 19.776 109.632 19.776 112.32 0.064 2.88 3.968 90.88-16.32 91.648-20.672 0.832-80.96-38.592-80.96-38.592S557.952 242.88 544.768 219.328C531.456 195.776 530.752 113.792 530.752 113.792S528.704 30.976 541.44 23.296zM777.088 429.248c12.736-7.68 81.472 35.072 81.472 35.072s60.16 34.048 81.344 60.288c20.8 25.856 19.84 109.632 19.776 112.384 0.128 2.816 3.968 90.88-16.256 91.648-20.736 0.768-81.024-38.592-81.024-38.592s-68.8-41.28-81.984-64.768c-13.248-23.552-14.016-105.472-14.016-105.472S764.352 436.992 777.088 429.248zM545.856 288.256c12.672-7.744 81.472 35.008 81.472 35.008s60.16 34.112 81.344 60.288c20.672 25.792 19.712 109.632 19.712 112.384 0.064 2.816 3.968 90.88-16.32 91.648-20.608 0.768-80.96-38.656-80.96-38.656S562.432 507.776 549.184 484.16c-13.248-23.488-14.08-105.408-14.08-105.408S533.184 295.936 545.856 288.256zM415.616 703.744c0 0 71.872 39.488 98.816 39.488 27.072 0 96.64-39.808 96.64-39.808s63.872-33.28 73.344-51.648c9.344-18.112-69.376-57.792-71.872-59.136C610.112 591.296 537.536 549.44 504.896 554.88c-33.28 5.568-92.416 41.344-92.416 41.344s-70.976 39.04-70.528 53.888C342.464 665.024 415.616 703.744 415.616 703.744zM105.728 782.656c-0.512-14.848 70.528-53.888 70.528-53.888s59.2-35.84 92.352-41.344c32.768-5.44 105.28 36.48 107.648 37.824 2.496 1.344 81.216 41.024 71.936 59.072-9.472 18.432-73.344 51.712-73.344 51.712s-69.632 39.808-96.64 39.808c-27.072 0-98.816-39.488-98.816-39.488S106.24 797.504 105.728 782.656zM575.04 776c-0.448-14.848 70.592-53.888 70.592-53.888s59.2-35.904 92.352-41.344c32.704-5.504 105.28 36.416 107.584 37.824 2.624 1.28 81.28 41.024 71.936 59.072-9.408 18.368-73.344 51.648-73.344 51.648s-69.568 39.872-96.64 39.872c-26.944 0-98.816-39.488-98.816-39.488S575.552 790.784 575.04 776zM338.88 908.48c-0.512-14.848 70.464-53.952 70.464-53.952s59.264-35.776 92.48-41.344c32.704-5.504 105.216 36.416 107.584 37.76 2.56 1.344 81.216 41.088 71.936 59.136C671.872 928.576 608 961.792 608 961.792S538.368 1001.6 511.36 1001.6s-98.816-39.488-98.816-39.488S339.392 923.392 338.88 908.48z"  ></path></symbol><symbol id="icon-save-all" viewBox="0 0 1024 1024"><path d="M725.333333 298.666667 725.333333 128 298.666667 128 298.666667 298.666667 725.333333 298.666667M597.333333 725.333333C668.16 725.333333 725.333333 668.16 725.333333 597.333333 725.333333 526.506667 668.16 469.333333 597.333333 469.333333 526.506667 469.333333 469.333333 526.506667 469.333333 597.333333 469.333333 668.16 526.506667 725.333333 597.333333 725.333333M810.666667 42.666667 981.333333 213.333333 981.333333 725.333333C981.333333 772.266667 942.933333 810.666667 896 810.666667L298.666667 810.666667C251.306667 810.666667 213.333333 772.266667 213.333333 725.333333L213.333333 128C213.333333 81.066667 251.733333 42.666667 298.666667 42.666667L810.666667 42.666667M42.666667 298.666667 128 298.666667 128 896 725.333333 896 725.333333 981.333333 128 981.333333C81.066667 981.333333 42.666667 942.933333 42.666667 896L42.666667 298.666667Z"  ></path></symbol><symbol id="icon-markdown" viewBox="0 0 1024 1024"><path d="M85.333333 682.666667 85.333333 341.333333 170.666667 341.333333 298.666667 469.333333 426.666667 341.333333 512 341.333333 512 682.666667 426.666667 682.666667 426.666667 462.08 298.666667 590.08 170.666667 462.08 170.666667 682.666667 85.333333 682.666667M682.666667 341.333333 810.666667 341.333333 810.666667 512 917.333333 512 746.666667 704 576 512 682.666667 512 682.666667 341.333333Z"  ></path></symbol><symbol id="icon-gou" viewBox="0 0 1397 1024"><path d="M1396.363636 121.018182c0 0-223.418182 74.472727-484.072727 372.363636-242.036364 269.963636-297.890909 381.672727-390.981818 530.618182C512 1014.690909 372.363636 744.727273 0 549.236364l195.490909-186.181818c0 0 176.872727 121.018182 297.890909 344.436364 0 0 307.2-474.763636 902.981818-707.490909L1396.363636 121.018182 1396.363636 121.018182zM1396.363636 121.018182"  ></path></symbol><symbol id="icon-tree" viewBox="0 0 1024 1024"><path d="M222.090191 544.207539l579.803245 0 0 64.420195 64.424288 0L866.317725 479.779158 544.212656 479.779158l0-64.412009-64.425312 0 0 64.412009L157.678182 479.779158l0 128.848577 64.412009 0L222.090191 544.207539 222.090191 544.207539zM93.253894 866.321818l193.260585 0L286.514479 673.056116 93.253894 673.056116 93.253894 866.321818 93.253894 866.321818zM415.359986 866.321818l193.268772 0L608.628758 673.056116 415.359986 673.056116 415.359986 866.321818 415.359986 866.321818zM737.473241 673.056116l0 193.265702 193.272865 0L930.746106 673.056116 737.473241 673.056116 737.473241 673.056116zM608.628758 157.678182 415.359986 157.678182l0 193.260585 193.268772 0L608.628758 157.678182 608.628758 157.678182zM608.628758 157.678182"  ></path></symbol><symbol id="icon-ok" viewBox="0 0 1024 1024"><path d="M510.998695 63.451124c-246.784616 0-447.533756 200.797235-447.533756 447.581852 0 246.734474 200.74914 447.485661 447.533756 447.485661 246.782569 0 447.533756-200.751187 447.533756-447.485661C958.532451 264.24836 757.781264 63.451124 510.998695 63.451124zM510.998695 815.214836c-167.752632 0-304.232003-136.453788-304.232003-304.181861 0-167.777191 136.479371-304.280098 304.232003-304.280098S815.230698 343.255785 815.230698 511.032976C815.230698 678.761048 678.751327 815.214836 510.998695 815.214836z"  ></path></symbol><symbol id="icon-github" viewBox="0 0 1024 1024"><path d="M498.894518 100.608396c-211.824383 0-409.482115 189.041494-409.482115 422.192601 0 186.567139 127.312594 344.783581 295.065226 400.602887 21.13025 3.916193 32.039717-9.17701 32.039717-20.307512 0-10.101055 1.176802-43.343157 1.019213-78.596056-117.448946 25.564235-141.394311-49.835012-141.394311-49.835012-19.225877-48.805566-46.503127-61.793368-46.503127-61.793368-38.293141-26.233478 3.13848-25.611308 3.13848-25.611308 42.361807 2.933819 64.779376 43.443441 64.779376 43.443441 37.669948 64.574714 98.842169 45.865607 122.912377 35.094286 3.815909-27.262924 14.764262-45.918819 26.823925-56.431244-93.796246-10.665921-192.323237-46.90017-192.323237-208.673623 0-46.071292 16.498766-83.747379 43.449581-113.332185-4.379751-10.665921-18.805298-53.544497 4.076852-111.732757 0 0 35.46063-11.336186 116.16265 43.296085 33.653471-9.330506 69.783343-14.022365 105.654318-14.174837 35.869952 0.153496 72.046896 4.844332 105.753579 14.174837 80.606853-54.631248 116.00813-43.296085 116.00813-43.296085 22.935362 58.18826 8.559956 101.120049 4.180206 111.732757 27.052123 29.584806 43.443441 67.260893 43.443441 113.332185 0 162.137751-98.798167 197.850114-192.799074 208.262254 15.151072 13.088086 28.65155 38.804794 28.65155 78.17957 0 56.484456-0.459464 101.94381-0.459464 115.854635 0 11.235902 7.573489 24.381293 29.014824 20.2543C825.753867 867.330798 933.822165 709.10924 933.822165 522.700713c0-233.155201-224.12657-422.192601-434.927647-422.192601L498.894518 100.608396z"  ></path></symbol><symbol id="icon-close" viewBox="0 0 1024 1024"><path d="M4.43392 97.36192l90.5088-90.5088 923.18976 923.18976-90.5088 90.5088-923.18976-923.18976ZM930.04288 4.43392l90.5088 90.5088-923.18976 923.18976-90.5088-90.5088 923.18976-923.18976Z"  ></path></symbol><symbol id="icon-arrow" viewBox="0 0 1024 1024"><path d="M369.4 826.2l4.2-3.6 313-272c10.6-9.2 17.2-23 17.2-38.4 0-15.4-6.8-29.2-17.2-38.4L374.2 202l-5.2-4.6C364 194 358 192 351.6 192c-17.4 0-31.6 14.8-31.6 33.2l0 0 0 573.6 0 0c0 18.4 14.2 33.2 31.6 33.2C358.2 832 364.4 829.8 369.4 826.2z"  ></path></symbol><symbol id="icon-arrow-up" viewBox="0 0 1024 1024"><path d="M93.334 700.269c0-14.331 5.512-27.677 15.529-37.657l365.99-365.34c1.306-1.337 2.417-2.38 3.607-3.234l2.723-2.16c10.703-10.653 23.296-15.888 36.627-15.888 13.571 0 26.26 5.351 35.73 15.053l363.953 367.853c9.813 9.951 15.222 23.238 15.222 37.401 0 13.848-5.25 26.931-14.769 36.832-9.549 9.841-22.867 15.507-36.518 15.506-13.484 0-26.259-5.365-35.969-15.134l-328.283-331.846-336.964 336.081c-9.666 9.607-22.296 14.915-35.619 14.915-13.958 0-27.055-5.673-36.876-15.937-9.271-9.768-14.381-22.734-14.381-36.444z"  ></path></symbol><symbol id="icon-files" viewBox="0 0 1024 1024"><path d="M917.824 357.056c-22.208-30.272-53.184-65.728-87.168-99.712s-69.44-64.96-99.712-87.168C679.36 132.352 654.336 128 640 128H272C227.904 128 192 163.904 192 208v736c0 44.096 35.904 80 80 80h608c44.096 0 80-35.904 80-80V448c0-14.336-4.352-39.36-42.176-90.944z m-132.48-54.4c30.72 30.72 54.784 58.368 72.576 81.344h-153.984V230.08c22.976 17.792 50.688 41.856 81.344 72.576zM896 944c0 8.704-7.296 16-16 16h-608a16.192 16.192 0 0 1-16-16V208c0-8.64 7.296-16 16-16H640v224a32 32 0 0 0 32 32H896v496z" fill="" ></path><path d="M602.944 42.176C551.36 4.352 526.336 0 512 0H144C99.904 0 64 35.904 64 80v736c0 38.656 27.52 70.976 64 78.4V80c0-8.64 7.36-16 16-16h486.848A669.12 669.12 0 0 0 602.88 42.176z" fill="" ></path></symbol><symbol id="icon-arrowdown" viewBox="0 0 1024 1024"><path d="M930.666 323.731c0 14.331-5.512 27.677-15.529 37.657l-365.99 365.34c-1.306 1.336-2.417 2.379-3.607 3.234l-2.723 2.16c-10.703 10.653-23.296 15.887-36.627 15.887-13.571 0-26.26-5.351-35.729-15.053l-363.953-367.853c-9.813-9.951-15.222-23.238-15.222-37.401 0-13.849 5.25-26.931 14.769-36.832 9.549-9.841 22.867-15.506 36.518-15.506 13.484 0 26.259 5.365 35.969 15.134l328.283 331.846 336.964-336.081c9.666-9.607 22.296-14.915 35.619-14.915 13.958 0 27.055 5.673 36.876 15.937 9.271 9.768 14.381 22.734 14.381 36.444z"  ></path></symbol><symbol id="icon-collect" viewBox="0 0 1024 1024"><path d="M512 134.608l121.136 248.451 270.871 39.867L708.005 616.305l46.265 273.088L512 760.464 269.73 889.393l46.266-273.088L119.993 422.926l270.873-39.867L512 134.608M512 77.923c-21.302 0-40.771 12.251-50.204 31.583l-108.12 221.763-241.724 35.547c-21.109 3.118-38.637 18.047-45.227 38.583-6.563 20.535-1.094 43.066 14.165 58.106l174.921 172.598L214.549 879.82c-3.609 21.274 5.032 42.767 22.286 55.43 9.762 7.163 21.301 10.827 32.896 10.827 8.914 0 17.882-2.16 26.087-6.509L512 824.505l216.239 115.063c8.176 4.349 17.117 6.509 26.03 6.509 11.622 0 23.188-3.664 32.923-10.827 17.256-12.69 25.896-34.181 22.287-55.43l-41.29-243.718L943.11 463.504c15.256-15.04 20.727-37.571 14.164-58.106-6.589-20.536-24.118-35.465-45.228-38.583l-241.722-35.547L562.229 109.533C552.797 90.174 533.328 77.923 512 77.923L512 77.923z"  ></path></symbol><symbol id="icon-folder-open" viewBox="0 0 1097 1024"><path d="M1073.714286 544q0 17.714286-17.714286 37.714286l-192 226.285714q-24.571429 29.142857-68.857143 49.428571T713.142857 877.714286H91.428571q-19.428571 0-34.571428-7.428572T41.714286 845.714286q0-17.714286 17.714285-37.714286l192-226.285714q24.571429-29.142857 68.857143-49.428572T402.285714 512h621.714286q19.428571 0 34.571429 7.428571t15.142857 24.571429z m-196-196.571429v91.428572H402.285714q-53.714286 0-112.571428 27.142857T196 534.285714L3.428571 760.571429l-2.857142 3.428571q0-2.285714-0.285715-7.142857T0 749.714286V201.142857q0-52.571429 37.714286-90.285714t90.285714-37.714286h182.857143q52.571429 0 90.285714 37.714286t37.714286 90.285714v18.285714h310.857143q52.571429 0 90.285714 37.714286t37.714286 90.285714z"  ></path></symbol><symbol id="icon-error" viewBox="0 0 1024 1024"><path d="M512 39.384615C252.061538 39.384615 39.384615 252.061538 39.384615 512s212.676923 472.615385 472.615385 472.615385 472.615385-212.676923 472.615385-472.615385S771.938462 39.384615 512 39.384615z m234.338462 506.092308c-1.969231 13.784615-13.784615 25.6-29.538462 25.6H307.2c-15.753846 0-27.569231-9.846154-29.538462-25.6-1.969231-23.630769-1.969231-45.292308 0-66.953846 1.969231-13.784615 13.784615-25.6 29.538462-25.6h409.6c15.753846 0 27.569231 11.815385 29.538462 25.6 1.969231 23.630769 1.969231 45.292308 0 66.953846z"  ></path></symbol><symbol id="icon-all-inclusive" viewBox="0 0 1024 1024"><path d="M793.6 282.453333c-61.44 0-119.466667 23.893333-160.853333 65.28L332.8 613.973333c-27.306667 27.306667-63.573333 42.24-102.4 42.24C150.613333 656.213333 85.333333 591.786667 85.333333 512c0-79.786667 65.28-144.213333 145.066667-144.213333 38.826667 0 75.093333 14.933333 104.106667 43.946666l48.213333 42.666667 65.28-57.173333L393.386667 349.866667A229.12 229.12 0 0 0 230.4 282.453333C103.253333 282.453333 0 385.706667 0 512s103.253333 229.546667 230.4 229.546667c61.44 0 119.466667-23.893333 160.853333-65.28l299.946667-266.24c27.306667-27.306667 63.573333-42.24 102.4-42.24 79.786667 0 145.066667 64.426667 145.066667 144.213333 0 79.786667-65.28 144.213333-145.066667 144.213333-38.4 0-75.093333-14.933333-104.106667-43.946666L640 569.173333l-64 57.173334 54.613333 47.786666a229.802667 229.802667 0 0 0 162.986667 66.986667c127.146667 0 230.4-102.826667 230.4-229.12 0-128-103.253333-229.546667-230.4-229.546667z" fill="" ></path></symbol><symbol id="icon-sad" viewBox="0 0 1024 1024"><path d="M511.748 63.946c-247.04 0-447.306 200.264-447.306 447.306 0 247.04 200.266 447.306 447.306 447.306s447.306-200.266 447.306-447.306c0-247.041-200.266-447.306-447.306-447.306zM326.656 341.585c42.594 0 77.122 34.528 77.122 77.122s-34.528 77.122-77.122 77.122-77.122-34.528-77.122-77.122c0-42.595 34.528-77.122 77.122-77.122z m406.44 414.016a30.717 30.717 0 0 1-11.99 2.455c-12.02 0-23.453-7.08-28.424-18.859-30.819-72.874-101.84-119.975-180.935-119.975s-150.116 47.101-180.935 119.975c-6.628 15.711-24.763 23.031-40.414 16.403-15.695-6.628-23.046-24.733-16.403-40.414 40.474-95.784 133.803-157.663 237.752-157.663s197.278 61.878 237.752 157.663c6.643 15.682-0.707 33.788-16.403 40.415zM696.84 495.828c-42.594 0-77.122-34.528-77.122-77.122s34.528-77.122 77.122-77.122 77.122 34.528 77.122 77.122c-0.001 42.594-34.528 77.122-77.122 77.122z"  ></path></symbol><symbol id="icon-smile" viewBox="0 0 1024 1024"><path d="M511.019 63.946c-246.875 0-447.007 200.13-447.007 447.007 0 246.875 200.132 447.007 447.007 447.007s447.007-200.132 447.007-447.007c0-246.876-200.132-447.007-447.007-447.007zM326.051 341.399c42.565 0 77.07 34.505 77.07 77.07 0 42.565-34.505 77.07-77.07 77.07s-77.07-34.505-77.07-77.07c0-42.565 34.504-77.07 77.07-77.07z m422.561 289.449c-40.447 95.721-133.714 157.557-237.593 157.557s-197.146-61.837-237.593-157.557c-6.638-15.67 0.708-33.763 16.392-40.387 15.64-6.623 33.763 0.692 40.387 16.392C361.003 679.68 431.977 726.75 511.019 726.75s150.016-47.07 180.814-119.895c6.623-15.7 24.747-23.016 40.387-16.392 15.684 6.622 23.03 24.715 16.392 40.385z m-52.625-135.309c-42.565 0-77.07-34.505-77.07-77.07 0-42.565 34.505-77.07 77.07-77.07s77.07 34.505 77.07 77.07c0.001 42.565-34.504 77.07-77.07 77.07z"  ></path></symbol><symbol id="icon-arrow-right" viewBox="0 0 1024 1024"><path d="M698.75712 565.02272l-191.488 225.4848a81.73568 81.73568 0 0 1-62.48448 28.89728 81.89952 81.89952 0 0 1-62.40256-134.94272l146.432-172.4416-146.432-172.4416a81.92 81.92 0 0 1 124.88704-106.06592l191.488 225.4848a81.87904 81.87904 0 0 1 0 106.02496z"  ></path></symbol><symbol id="icon-confirm" viewBox="0 0 1024 1024"><path d="M300.032 104.448c-147.968 76.8-249.344 230.912-249.344 409.088 0 414.208 504.832 614.4 790.016 318.976C1205.248 454.144 751.616-128 300.032 104.448z m520.704 318.464l-322.56 322.56a55.936 55.936 0 0 1-79.36 0l-175.104-175.104c-10.752-10.752-16.384-25.6-16.384-39.936s5.632-28.672 16.384-39.936a55.936 55.936 0 0 1 79.36 0l135.168 135.168 282.624-282.624a55.936 55.936 0 0 1 79.36 0c22.528 22.016 22.528 57.856 0.512 79.872z" fill="" ></path></symbol><symbol id="icon-message" viewBox="0 0 1024 1024"><path d="M635.485091 845.172364l-124.741818 124.741818-124.695273-124.741818H162.909091a93.090909 93.090909 0 0 1-93.090909-93.090909V232.727273a93.090909 93.090909 0 0 1 93.090909-93.090909h695.714909a93.090909 93.090909 0 0 1 93.090909 93.090909v519.354182a93.090909 93.090909 0 0 1-93.090909 93.090909h-223.138909zM279.272727 558.545455a69.818182 69.818182 0 1 0 0-139.636364 69.818182 69.818182 0 0 0 0 139.636364z m215.272728 0a69.818182 69.818182 0 1 0 0-139.636364 69.818182 69.818182 0 0 0 0 139.636364z m215.272727 0a69.818182 69.818182 0 1 0 0-139.636364 69.818182 69.818182 0 0 0 0 139.636364z"  ></path></symbol><symbol id="icon-create" viewBox="0 0 1024 1024"><path d="M659.842257 190.360191a25.724215 25.724215 0 0 1-18.927013-7.673452 68.347549 68.347549 0 0 1-12.793259-17.900549 97.076051 97.076051 0 0 1-7.673452-20.979943 80.039236 80.039236 0 0 1-2.503573-17.913066V0.001001h2.05293a71.56464 71.56464 0 0 1 17.399833 2.05293q8.186684 2.05293 19.953479 9.726382a343.102191 343.102191 0 0 1 28.653395 21.493176q16.886601 13.769653 42.47312 36.301812 27.62693 24.560053 44.012817 41.446655a297.06148 297.06148 0 0 1 25.035732 28.653395q8.699917 11.766794 10.740329 19.953479A60.1859 60.1859 0 0 1 810.29449 173.99934v16.373369z m318.279263 482.025469a77.260269 77.260269 0 0 1 4.093342 20.466711q1.013947 12.280027-10.239614 23.546106-5.119807 5.107289-9.21315 9.726382t-7.160219 7.673452a49.695928 49.695928 0 0 1-7.160219 6.133754l-86.986652-85.960186q6.146272-5.119807 13.769653-12.280027t12.793259-11.266079q12.280027-11.266079 26.612983-9.726382t23.533589 6.659505q10.227097 5.107289 22.006408 17.913066a95.861818 95.861818 0 0 1 17.900549 27.113698z m-361.265615 95.135782q22.532159 0 37.866545-12.280027L456.176576 962.011527H173.710928q-19.440246 0-42.473119-11.266079a179.5062 179.5062 0 0 1-42.973835-29.667343 168.24012 168.24012 0 0 1-33.25997-42.473119A101.269537 101.269537 0 0 1 41.697513 828.971647V132.014417q0-21.493176 9.726382-45.064318A148.674695 148.674695 0 0 1 77.999324 44.514533a162.557009 162.557009 0 0 1 38.404813-31.720272A86.736294 86.736294 0 0 1 161.443419 0.001001h391.959423v127.920074a160.040918 160.040918 0 0 0 6.146272 41.959887 138.67292 138.67292 0 0 0 18.927014 41.446655 109.69406 109.69406 0 0 0 33.25997 31.720272q20.466711 12.793259 49.120106 12.793259H810.29449V594.59964L670.09439 739.932065a64.279242 64.279242 0 0 0-53.238485-100.268107H233.070649a60.436257 60.436257 0 0 0-45.064318 18.939531 62.977384 62.977384 0 0 0-18.376227 45.502443q0 26.612983 18.413781 45.064318t45.064318 18.413781zM233.070649 383.786257a60.436257 60.436257 0 0 0-45.064318 18.927014 62.989902 62.989902 0 0 0-18.376227 45.539997q0 26.612983 18.413781 45.064318t45.064318 18.413781h383.747702a62.939831 62.939831 0 0 0 45.539997-18.413781 60.411222 60.411222 0 0 0 18.939531-45.064318 64.64226 64.64226 0 0 0-64.46701-64.479528z m385.825668 512.731795l13.306492-13.306492 25.586518-25.586518q15.346904-15.346904 33.798239-34.286435t36.84008-37.353313q44.012817-44.012817 99.266677-98.25273l85.960187 85.972704-136.119276 136.119276-33.798238 33.798238q-14.320439 14.332957-24.046821 24.572571t-10.752847 11.26608q-5.107289 4.093342-11.266079 8.699916a80.815343 80.815343 0 0 1-12.280027 7.673452 189.971136 189.971136 0 0 1-18.927014 7.673452q-12.793259 4.606575-26.09975 8.699917t-25.586519 7.16022q-12.280027 3.079395-18.413781 4.093342-12.280027 2.040412-16.373368-3.066877t-2.05293-17.399834q1.026465-6.146272 4.093342-18.426299t7.160219-25.035732q4.093342-12.805777 7.673452-24.046821A123.926874 123.926874 0 0 1 602.497913 920.064158a81.040665 81.040665 0 0 1 16.373369-23.533588z m0 0"  ></path></symbol><symbol id="icon-plus" viewBox="0 0 1024 1024"><path d="M888.5 486.5A36 36 0 0 1 863 548H545v312q0 14-10.5 25a35.06 35.06 0 0 1-51 0Q473 874 473 860V548H161q-14 0-25-10.5a35.06 35.06 0 0 1 0-51q11-10.5 25-10.5h312V166a36 36 0 1 1 72 0v310h318a34.72 34.72 0 0 1 25.5 10.5z" fill="" ></path></symbol><symbol id="icon-close-all" viewBox="0 0 1024 1024"><path d="M938.666667 384V341.333333a85.333333 85.333333 0 0 0-85.333334-85.333333H341.333333a85.333333 85.333333 0 0 0-85.333333 85.333333v512a85.333333 85.333333 0 0 0 85.333333 85.333334h42.666667l42.666667 85.333333H341.333333a170.666667 170.666667 0 0 1-170.666666-170.666667 170.666667 170.666667 0 0 1-170.666667-170.666666V170.666667a170.666667 170.666667 0 0 1 170.666667-170.666667h512a170.666667 170.666667 0 0 1 170.666666 170.666667 170.666667 170.666667 0 0 1 170.666667 170.666666v85.333334zM682.666667 85.333333H170.666667a85.333333 85.333333 0 0 0-85.333334 85.333334v512a85.333333 85.333333 0 0 0 85.333334 85.333333V341.333333a170.666667 170.666667 0 0 1 170.666666-170.666666h426.666667a85.333333 85.333333 0 0 0-85.333333-85.333334zM546.133333 484.010667l180.992 180.992 181.077334-180.992 60.330666 60.330666L787.456 725.333333l181.077333 180.992-60.330666 60.330667-181.077334-180.992L546.133333 966.656l-60.330666-60.330667L666.794667 725.333333 485.802667 544.341333z"  ></path></symbol><symbol id="icon-create-project" viewBox="0 0 1024 1024"><path d="M485.723773 761.402136H210.044676c-26.248337 0-45.941745-19.693409-45.941745-45.956058s19.693409-45.941745 45.941745-45.941745h275.679097c26.248337 0 45.941745 19.693409 45.941745 45.941745S511.97211 761.402136 485.723773 761.402136zM210.044676 479.153799H584.176504c26.262649 0 45.956057 19.693409 45.956057 45.941745S610.439153 571.051602 584.176504 571.051602H210.044676c-26.248337 0-45.941745-19.693409-45.941745-45.941746s19.693409-45.941745 45.941745-45.941745z m0-196.919774h479.153799c26.248337 0 45.941745 19.693409 45.941746 45.941745s-19.693409 45.941745-45.941746 45.941746H210.044676c-26.248337 0-45.941745-19.693409-45.941745-45.941746s19.693409-45.941745 45.941745-45.941745z m334.745011 498.847207c0-144.408789 118.14614-262.554928 262.554928-262.554928 19.693409 0 39.386817 0 59.080226 6.56924V150.963717C866.424841 65.635154 794.220446 0 702.322644 0h-525.109857C85.329296 0 13.124902 65.635154 13.124902 150.963717V873.036283c0 85.328563 72.204394 150.963717 164.087885 150.963717h531.679097c-91.897803-39.386817-164.102197-131.270308-164.102197-242.847207z m0 0"  ></path><path d="M925.490754 722.015318l-13.124168 13.138481h-13.13848L853.243424 689.197741v-13.13848l13.13848-13.124168h13.124169l45.941745 45.941745zM886.161185 761.402136l-124.715379 124.701067s-6.56924 6.56924-13.124169 6.569241l-59.080226 6.56924c-6.56924 0-6.56924 0-6.56924-6.56924l6.56924-59.080226c0-6.56924 0-6.56924 6.569241-13.124169l124.715379-124.715379h13.124169l45.956057 45.941745c13.124168 13.124168 13.124168 13.124168 6.569241 19.693409z m-78.716386-177.226366c-111.634148 0-203.474702 91.883491-203.474702 203.474702S695.810652 991.125175 807.344615 991.125175 1010.819317 899.227372 1010.819317 787.650472s-91.883491-203.474702-203.474702-203.474702z m0 0"  ></path></symbol></svg>';var script=function(){var scripts=document.getElementsByTagName("script");return scripts[scripts.length-1]}();var shouldInjectCss=script.getAttribute("data-injectcss");var ready=function(fn){if(document.addEventListener){if(~["complete","loaded","interactive"].indexOf(document.readyState)){setTimeout(fn,0)}else{var loadFn=function(){document.removeEventListener("DOMContentLoaded",loadFn,false);fn()};document.addEventListener("DOMContentLoaded",loadFn,false)}}else if(document.attachEvent){IEContentLoaded(window,fn)}function IEContentLoaded(w,fn){var d=w.document,done=false,init=function(){if(!done){done=true;fn()}};var polling=function(){try{d.documentElement.doScroll("left")}catch(e){setTimeout(polling,50);return}init()};polling();d.onreadystatechange=function(){if(d.readyState=="complete"){d.onreadystatechange=null;init()}}}};var before=function(el,target){target.parentNode.insertBefore(el,target)};var prepend=function(el,target){if(target.firstChild){before(el,target.firstChild)}else{target.appendChild(el)}};function appendSvg(){var div,svg;div=document.createElement("div");div.innerHTML=svgSprite;svgSprite=null;svg=div.getElementsByTagName("svg")[0];if(svg){svg.setAttribute("aria-hidden","true");svg.style.position="absolute";svg.style.width=0;svg.style.height=0;svg.style.overflow="hidden";prepend(svg,document.body)}}if(shouldInjectCss&&!window.__iconfont__svg__cssinject__){window.__iconfont__svg__cssinject__=true;try{document.write("<style>.svgfont {display: inline-block;width: 1em;height: 1em;fill: currentColor;vertical-align: -0.1em;font-size:16px;}</style>")}catch(e){console&&console.log(e)}}ready(appendSvg)})(window)
\ No newline at end of file
+(function(window){var svgSprite='<svg><symbol id="icon-info" viewBox="0 0 1024 1024"><path d="M512 35.776C249.024 35.776 35.776 249.024 35.776 512S249.024 988.224 512 988.224 988.224 774.976 988.224 512 774.976 35.776 512 35.776zM563.776 748.224l-96 0 0-288 96 0L563.776 748.224zM515.776 388.224c-39.744 0-72-32.256-72-72s32.256-72 72-72S587.776 276.48 587.776 316.224 555.52 388.224 515.776 388.224z"  ></path></symbol><symbol id="icon-findreplace" viewBox="0 0 1024 1024"><path d="M469.333333 256c58.88 0 112.213333 23.893333 150.826667 62.506667l-108.16 108.16 256 0 0-256-87.466667 87.466667c-53.973333-53.973333-128.64-87.466667-211.2-87.466667-150.4 0-274.56 111.36-295.253333 256l86.186667 0c19.84-97.28 105.813333-170.666667 209.066667-170.666667zM709.973333 645.76c28.373333-38.613333 47.573333-84.266667 54.613333-133.76l-86.186667 0c-19.84 97.28-105.813333 170.666667-209.066667 170.666667-58.88 0-112.213333-23.893333-150.826667-62.506667l108.16-108.16-256 0 0 256 87.466667-87.466667c53.973333 53.973333 128.64 87.466667 211.2 87.466667 66.133333 0 127.146667-21.76 176.64-58.24l207.36 207.146667 63.573333-63.573333-206.933333-207.573333z"  ></path></symbol><symbol id="icon-collected" viewBox="0 0 1024 1024"><path d="M695.984 103.984l-400.16 0c-53.008 0-96 42.992-96 96l0 288c0 1.04 0.128 2.048 0.16 3.088l0 423.184 297.904-133.328 294.096 133.328L791.984 487.984l0-64 0-224C791.984 146.976 748.992 103.984 695.984 103.984zM589.68 596.8l-99.76-52.576-98.128 55.568 19.568-110.432-83.568-75.456 111.84-15.68 46.48-102.192 49.584 100.752 112.288 12.288-81.216 77.952L589.68 596.8z"  ></path></symbol><symbol id="icon-warn" viewBox="0 0 1024 1024"><path d="M512.000512 31.565926c-265.345344 0-480.434074 215.09794-480.434074 480.434074 0 265.325901 215.08873 480.434074 480.434074 480.434074 265.346367 0 480.434074-215.108173 480.434074-480.434074C992.434585 246.662843 777.345856 31.565926 512.000512 31.565926zM559.809377 774.364453l-95.618754 0 0-92.154863 95.618754 0L559.809377 774.364453zM559.802214 627.249861l-95.598288 0.002047-0.014326-386.999055 95.618754 0.026606L559.802214 627.249861z"  ></path></symbol><symbol id="icon-list" viewBox="0 0 1024 1024"><path d="M128.952442 162.509211c-35.902698 0-64.99734 28.940123-64.99734 64.617693 0 35.677571 29.094642 64.60746 64.99734 64.60746s65.00041-28.92989 65.00041-64.60746C193.951829 191.450357 164.85514 162.509211 128.952442 162.509211L128.952442 162.509211zM933.280324 158.802796 294.242999 158.802796c-14.795984 0-26.761504 11.916401-26.761504 26.601868l0 73.653487c0 14.700817 11.961426 26.601868 26.761504 26.601868l639.038348 0c14.781658 0 26.762527-11.900028 26.762527-26.601868l0-73.653487C960.043874 170.718173 948.063005 158.802796 933.280324 158.802796L933.280324 158.802796zM933.280324 440.756399 294.242999 440.756399c-14.795984 0-26.761504 11.906168-26.761504 26.612101l0 73.646324c0 14.691607 11.961426 26.601868 26.761504 26.601868l639.038348 0c14.781658 0 26.762527-11.910261 26.762527-26.601868L960.043874 467.367477C960.043874 452.661543 948.063005 440.756399 933.280324 440.756399L933.280324 440.756399zM933.280324 722.707956 294.242999 722.707956c-14.795984 0-26.761504 11.905144-26.761504 26.590612l0 73.658603c0 14.685467 11.961426 26.611078 26.761504 26.611078l639.038348 0c14.781658 0 26.762527-11.92561 26.762527-26.611078l0-73.658603C960.043874 734.6131 948.063005 722.707956 933.280324 722.707956L933.280324 722.707956zM128.952442 444.462814c-35.902698 0-64.99734 28.930913-64.99734 64.617693 0 35.671431 29.094642 64.602344 64.99734 64.602344s65.00041-28.92989 65.00041-64.602344C193.951829 473.393727 164.85514 444.462814 128.952442 444.462814L128.952442 444.462814zM128.952442 726.418464c-35.902698 0-64.99734 28.92989-64.99734 64.608483s29.094642 64.60439 64.99734 64.60439 65.00041-28.92682 65.00041-64.60439S164.85514 726.418464 128.952442 726.418464L128.952442 726.418464zM128.952442 726.418464"  ></path></symbol><symbol id="icon-header" viewBox="0 0 1024 1024"><path d="M905 896q-22 0-66.25-1.75t-66.75-1.75q-22 0-66 1.75t-66 1.75q-12 0-18.5-10.25t-6.5-22.75q0-15.5 8.5-23t19.5-8.5 25.5-3.5 22.5-7.5q16.5-10.5 16.5-70l-0.5-195.5q0-10.5-0.5-15.5-6.5-2-25-2l-337.5 0q-19 0-25.5 2-0.5 5-0.5 15.5l-0.5 185.5q0 71 18.5 82 8 5 24 6.5t28.5 1.75 22.5 7.5 10 22.75q0 13-6.25 24t-18.25 11q-23.5 0-69.75-1.75t-69.25-1.75q-21.5 0-64 1.75t-63.5 1.75q-11.5 0-17.75-10.5t-6.25-22.5q0-15 7.75-22.5t18-8.75 23.75-3.75 21-7.5q16.5-11.5 16.5-71.5l-0.5-28.5 0-406.5q0-1.5 2.5-13t0-18.25-0.75-19.25-1.75-21-3.25-18.25-5.5-15.75-8-9q-7.5-5-22.5-6t-26.5-1-20.5-7-9-22.5q0-13 6-24t18-11q23 0 69.25 1.75t69.25 1.75q21 0 63.25-1.75t63.25-1.75q12.5 0 18.75 11t6.25 24q0 15-8.5 21.75t-19.25 7.25-24.75 2-21.5 6.5q-17.5 10.5-17.5 80l0.5 160q0 10.5 0.5 16 6.5 1.5 19.5 1.5l349.5 0q12.5 0 19-1.5 0.5-5.5 0.5-16l0.5-160q0-69.5-17.5-80-9-5.5-29.25-6.25t-33-6.5-12.75-24.75q0-13 6.25-24t18.75-11q22 0 66 1.75t66 1.75q21.5 0 64.5-1.75t64.5-1.75q12.5 0 18.75 11t6.25 24q0 15-8.75 22t-20 7.25-25.75 1.5-22 6.25q-17.5 11.5-17.5 80.5l0.5 471.5q0 59.5 17 70 8 5 23 6.75t26.75 2.25 20.75 7.75 9 22.25q0 13-6 24t-18 11z"  ></path></symbol><symbol id="icon-close-small" viewBox="0 0 1024 1024"><path d="M851.456 755.419429q0 22.820571-16.018286 38.838857l-77.677714 77.677714q-16.018286 16.018286-38.838857 16.018286t-38.838857-16.018286l-168.009143-168.009143-168.009143 168.009143q-16.018286 16.018286-38.838857 16.018286t-38.838857-16.018286l-77.677714-77.677714q-16.018286-16.018286-16.018286-38.838857t16.018286-38.838857l168.009143-168.009143-168.009143-168.009143q-16.018286-16.018286-16.018286-38.838857t16.018286-38.838857l77.677714-77.677714q16.018286-16.018286 38.838857-16.018286t38.838857 16.018286l168.009143 168.009143 168.009143-168.009143q16.018286-16.018286 38.838857-16.018286t38.838857 16.018286l77.677714 77.677714q16.018286 16.018286 16.018286 38.838857t-16.018286 38.838857l-168.009143 168.009143 168.009143 168.009143q16.018286 16.018286 16.018286 38.838857z"  ></path></symbol><symbol id="icon-twitter" viewBox="0 0 1024 1024"><path d="M962.267429 233.179429q-38.253714 56.027429-92.598857 95.451429 0.585143 7.972571 0.585143 23.990857 0 74.313143-21.723429 148.260571t-65.974857 141.970286-105.398857 120.32-147.456 83.456-184.539429 31.158857q-154.843429 0-283.428571-82.870857 19.968 2.267429 44.544 2.267429 128.585143 0 229.156571-78.848-59.977143-1.170286-107.446857-36.864t-65.170286-91.136q18.870857 2.852571 34.889143 2.852571 24.576 0 48.566857-6.290286-64-13.165714-105.984-63.707429t-41.984-117.394286l0-2.267429q38.838857 21.723429 83.456 23.405714-37.741714-25.161143-59.977143-65.682286t-22.308571-87.990857q0-50.322286 25.161143-93.110857 69.12 85.138286 168.301714 136.265143t212.260571 56.832q-4.534857-21.723429-4.534857-42.276571 0-76.580571 53.979429-130.56t130.56-53.979429q80.018286 0 134.875429 58.294857 62.317714-11.995429 117.174857-44.544-21.138286 65.682286-81.115429 101.741714 53.174857-5.705143 106.276571-28.598857z"  ></path></symbol><symbol id="icon-table" viewBox="0 0 1024 1024"><path d="M329.124352 786.300928l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm0-219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm-292.552704-438.829056l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm-292.552704-438.829056l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm292.552704 219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm0-219.414528l0-109.707264q0-7.999488-5.142528-13.142016t-13.142016-5.142528l-182.84544 0q-7.999488 0-13.142016 5.142528t-5.142528 13.142016l0 109.707264q0 7.999488 5.142528 13.142016t13.142016 5.142528l182.84544 0q7.999488 0 13.142016-5.142528t5.142528-13.142016zm73.138176-182.84544l0 621.674496q0 37.711872-26.855424 64.567296t-64.567296 26.855424l-767.950848 0q-37.711872 0-64.567296-26.855424t-26.855424-64.567296l0-621.674496q0-37.711872 26.855424-64.567296t64.567296-26.855424l767.950848 0q37.711872 0 64.567296 26.855424t26.855424 64.567296z"  ></path></symbol><symbol id="icon-folder-close" viewBox="0 0 1024 1024"><path d="M928.229 752.132c0 61.534-50.527 112.062-112.062 112.062L207.833 864.194c-61.534 0-112.062-50.527-112.062-112.062L95.771 271.868c0-61.534 50.528-112.062 112.062-112.062l160.088 0c61.534 0 112.062 50.528 112.062 112.062l0 16.009 336.185 0c61.534 0 112.062 50.528 112.062 112.062L928.23 752.132z"  ></path></symbol><symbol id="icon-lineheight" viewBox="0 0 1024 1024"><path d="M158.185 167.101c3.261 1.398 88.526 2.33 98.311 2.33 41.001 0 82.003-1.864 123.004-1.864 33.547 0 66.628 0.466 100.174 0.466l136.517 0c18.638 0 29.354 4.193 41.934-13.512l19.569-0.466c4.193 0 8.853 0.466 13.046 0.466 0.932 52.184 0.932 104.368 0.932 156.552 0 16.307 0.466 34.479-2.33 50.786-10.25 3.727-20.967 6.989-31.683 8.387-10.716-18.637-18.171-39.138-25.16-59.639-3.262-9.319-14.443-72.219-15.376-73.151-9.784-12.114-20.5-9.785-34.944-9.785-42.399 0-86.663-1.863-128.596 3.262-2.33 20.501-4.193 42.399-3.728 63.366 0.466 130.925 1.864 261.85 1.864 392.776 0 35.877-5.591 73.616 4.66 108.095 35.41 18.172 77.344 20.967 113.686 37.274 0.933 7.455 2.33 15.376 2.33 23.297 0 4.193-0.466 8.853-1.397 13.512l-15.842 0.466c-66.162 1.863-131.392-8.387-198.02-8.387-47.059 0-94.117 8.387-141.176 8.387-0.466-7.921-1.398-16.308-1.398-24.229l0-4.193c17.705-28.421 81.537-28.887 110.891-46.127 10.25-22.83 8.853-149.096 8.853-178.449 0-94.117-2.795-188.234-2.795-282.352l0-54.514c0-8.387 1.864-41.934-3.728-48.457-6.523-6.989-67.56-5.591-75.48-5.591-17.239 0-67.094 7.92-80.605 17.705-22.365 15.375-22.365 108.561-50.32 110.425-8.387-5.125-20.035-12.58-26.092-20.501l0-178.45 37.74-0.466L158.185 167.101zM922.306 779.795l-58.707 75.48c-12.58 16.307-33.08 16.307-45.66 0l-58.707-75.48c-12.58-16.308-6.058-29.354 14.443-29.354l37.274 0L810.949 273.333l-37.274 0c-20.501 0-27.023-13.046-14.443-29.354l58.707-75.48c12.58-16.308 33.08-16.308 45.66 0l58.707 75.48c12.58 16.308 6.058 29.354-14.443 29.354l-37.274 0 0 477.109 37.274 0C928.363 750.441 934.886 763.487 922.306 779.795z"  ></path></symbol><symbol id="icon-search" viewBox="0 0 1024 1024"><path d="M922.666667 876.373333 702.677333 648.405333C805.290667 511.701333 796.245333 314.133333 675.008 188.501333 609.344 120.448 523.264 86.421333 437.205333 86.421333 351.146667 86.421333 265.066667 120.448 199.402667 188.501333 68.074667 324.608 68.074667 545.258667 199.402667 681.344 265.066667 749.397333 351.146667 783.424 437.205333 783.424 510.058667 783.424 582.762667 758.762667 643.221333 710.016L863.210667 937.984 922.666667 876.373333ZM258.858667 619.733333C160.512 517.824 160.512 352.021333 258.858667 250.112 306.496 200.746667 369.834667 173.546667 437.205333 173.546667 504.576 173.546667 567.914667 200.746667 615.552 250.112 713.898667 352.021333 713.898667 517.824 615.552 619.733333 567.914667 669.098667 504.576 696.298667 437.205333 696.298667 369.834667 696.298667 306.496 669.098667 258.858667 619.733333Z"  ></path></symbol><symbol id="icon-font" viewBox="0 0 1024 1024"><path d="M680.021333 790.016l89.984 0-217.984-555.989333-80 0-217.984 555.989333 89.984 0 48-128 240 0zM854.016 86.016q34.005333 0 59.008 25.002667t25.002667 59.008l0 683.989333q0 34.005333-25.002667 59.008t-59.008 25.002667l-683.989333 0q-34.005333 0-59.008-25.002667t-25.002667-59.008l0-683.989333q0-34.005333 25.002667-59.008t59.008-25.002667l683.989333 0zM424.021333 576l88.021333-235.989333 88.021333 235.989333-176 0z"  ></path></symbol><symbol id="icon-shuffle" viewBox="0 0 1024 1024"><path d="M632.021333 571.989333l134.016 134.016 88.021333-88.021333 0 235.989333-235.989333 0 88.021333-88.021333-134.016-134.016zM617.984 169.984l235.989333 0 0 235.989333-88.021333-88.021333-536.021333 536.021333-59.989333-59.989333 536.021333-536.021333zM452.010667 392.021333l-59.989333 59.989333-221.994667-221.994667 59.989333-59.989333z"  ></path></symbol><symbol id="icon-case" viewBox="0 0 1024 1024"><path d="M430.72 721.92l-24.64-64.768L196.544 657.152l-24.64 66.112c-9.6 25.792-17.792 43.264-24.576 52.224-6.784 9.024-17.92 13.568-33.408 13.568-13.12 0-24.704-4.8-34.752-14.464C69.056 765.056 64 754.176 64 742.016c0-7.04 1.152-14.336 3.52-21.824s6.208-17.92 11.648-31.296l131.84-334.784c3.776-9.536 8.256-21.12 13.504-34.56C229.76 305.984 235.456 294.784 241.408 285.952c5.952-9.024 13.824-16.192 23.616-21.696C274.688 258.816 286.656 256 300.992 256 315.52 256 327.616 258.816 337.344 264.256c9.728 5.504 17.6 12.608 23.616 21.312 5.952 8.64 11.008 17.984 15.04 27.968s9.344 23.296 15.68 39.872l134.656 332.672c10.624 25.344 15.872 43.776 15.872 55.232 0 11.968-4.992 22.848-14.976 32.832-9.92 9.984-21.952 14.976-35.968 14.976-8.256 0-15.232-1.472-21.12-4.352-5.888-2.944-10.752-6.912-14.72-12.032s-8.256-12.8-12.864-23.232C438.016 739.136 434.048 729.92 430.72 721.92zM224 578.816l153.984 0L300.288 366.08 224 578.816zM854.848 734.912c-23.232 18.048-45.696 31.616-67.392 40.64-21.632 9.024-46.016 13.568-72.96 13.568-24.64 0-46.272-4.864-64.96-14.656-18.624-9.664-33.024-22.848-43.072-39.552-10.048-16.64-15.104-34.688-15.104-54.144 0-26.24 8.32-48.64 25.024-67.136 16.64-18.56 39.424-30.976 68.544-37.312 6.144-1.408 21.248-4.544 45.376-9.472s44.8-9.408 62.08-13.568c17.216-4.032 35.968-9.088 56.064-14.912C847.36 513.088 842.24 494.528 833.28 482.624c-9.088-11.84-27.776-17.664-56.128-17.664-24.384 0-42.752 3.392-54.976 10.112-12.288 6.784-22.848 17.024-31.68 30.656-8.832 13.568-14.912 22.592-18.624 26.88-3.648 4.352-11.456 6.528-23.36 6.528-10.816 0-20.096-3.456-27.968-10.368C612.608 521.792 608.704 512.96 608.704 502.144c0-16.896 6.016-33.28 17.92-49.216 12.032-15.936 30.656-29.056 55.872-39.36 25.344-10.304 56.896-15.488 94.656-15.488 42.24 0 75.392 4.992 99.52 14.912 24.192 9.984 41.28 25.728 51.2 47.296s14.912 50.176 14.912 85.824c0 22.528-0.064 41.6-0.128 57.344-0.128 15.68-0.384 33.152-0.576 52.416 0 17.984 2.944 36.8 8.96 56.384S960 744.448 960 750.08c0 9.792-4.608 18.816-13.888 26.944-9.28 8.064-19.776 12.096-31.488 12.096-9.856 0-19.584-4.672-29.184-13.888C875.84 765.952 865.6 752.512 854.848 734.912zM848.512 595.968c-14.08 5.184-34.496 10.688-61.376 16.384-26.816 5.76-45.376 9.984-55.744 12.672-10.24 2.688-20.096 8-29.504 15.808-9.344 7.872-14.08 18.816-14.08 32.896 0 14.528 5.504 26.944 16.576 37.12 11.008 10.176 25.344 15.296 43.264 15.296 19.008 0 36.48-4.16 52.48-12.48 16.128-8.32 27.904-19.072 35.392-32.192 8.704-14.528 12.992-38.464 12.992-71.68L848.512 595.968z"  ></path></symbol><symbol id="icon-fontsize" viewBox="0 0 1024 1024"><path d="M954.368 794.24l-34.816 0L754.56 391.808c0 0-4.736-6.656-14.656-7.744-9.92-1.024-25.28 5.184-25.28 5.184l-176 404.992L531.328 794.24C516.544 794.24 512 800.64 512 814.4 512 828.032 519.936 832 534.72 832l102.72 0c14.656 0 26.816-4.096 26.816-17.6 0-13.76-12.096-20.096-26.816-20.096L610.944 794.304l37.056-87.296 191.104 0 37.632 87.296-42.432 0c-14.784 0-26.88 6.4-26.88 20.096 0 13.696 12.032 17.6 26.88 17.6l120.064 0c14.848 0 26.816-3.968 26.816-17.6C981.184 800.64 969.28 794.24 954.368 794.24zM665.216 669.248 746.56 486.4l77.312 182.848L665.216 669.248zM261.056 772.608l-41.6 0 58.112-137.088 252.928 0 60.928-138.368L445.248 140.288c0 0-7.616-10.496-23.104-12.096C406.592 126.592 382.336 136.256 382.336 136.256l-276.544 636.352L94.464 772.608C71.104 772.608 64 782.656 64 804.224 64 825.728 76.544 832 99.776 832l161.344 0c23.296 0 42.176-6.4 42.176-27.776C303.232 782.656 284.352 772.608 261.056 772.608zM432.576 288.896l121.408 287.36L304.64 576.256 432.576 288.896z"  ></path></symbol><symbol id="icon-replace" viewBox="0 0 1024 1024"><path d="M357.312 438.656 337.6 386.944 169.984 386.944 150.336 439.808c-7.68 20.608-14.272 34.56-19.712 41.728C125.184 488.832 116.224 492.352 103.872 492.352c-10.496 0-19.776-3.84-27.84-11.52S64 464.512 64 454.72c0-5.632 0.896-11.456 2.752-17.472 1.856-5.952 4.992-14.336 9.344-25.024l105.408-267.776c3.008-7.68 6.656-16.96 10.88-27.712 4.16-10.816 8.704-19.776 13.504-26.88C210.624 82.816 216.96 77.056 224.704 72.64c7.808-4.352 17.344-6.656 28.8-6.656 11.648 0 21.376 2.24 29.12 6.656C290.432 77.056 296.704 82.752 301.504 89.6 306.24 96.64 310.336 104.064 313.536 112c3.328 8 7.424 18.624 12.544 31.936l107.712 266.048C442.24 430.272 446.528 444.992 446.528 454.144c0 9.6-3.968 18.368-12.032 26.304-7.936 8-17.536 11.968-28.8 11.968-6.592 0-12.16-1.152-16.896-3.52C384.128 486.592 380.16 483.392 377.024 479.296c-3.2-3.968-6.656-10.176-10.24-18.56C363.072 452.416 359.936 445.056 357.312 438.656zM191.936 324.224l123.2 0L252.992 154.048 191.936 324.224zM821.504 960l-126.016 0c-18.176 0-31.168-4.032-38.912-12.224-7.808-8.128-11.712-21.12-11.712-38.912L644.864 598.848c0-18.176 3.968-31.232 11.968-39.232 8-7.936 20.864-11.968 38.656-11.968l133.568 0c19.776 0 36.736 1.28 51.264 3.712 14.4 2.432 27.328 7.104 38.72 14.016 9.728 5.888 18.368 13.184 25.856 22.144 7.488 8.896 13.248 18.752 17.216 29.504 3.968 10.816 5.952 22.208 5.952 34.176 0 41.28-20.672 71.424-61.888 90.56 54.144 17.28 81.28 50.816 81.28 100.672 0 23.04-5.888 43.84-17.728 62.336-11.776 18.432-27.776 32.128-47.744 40.896-12.608 5.312-27.008 9.024-43.392 11.136C862.336 958.912 843.264 960 821.504 960zM728.448 610.368l0 106.624 76.48 0c20.736 0 36.864-1.984 48.192-5.888 11.392-3.968 19.968-11.456 26.048-22.528 4.608-7.872 6.976-16.704 6.976-26.496 0-20.736-7.424-34.624-22.272-41.408-14.784-6.848-37.376-10.304-67.776-10.304L728.448 610.368zM815.296 776.896l-86.848 0 0 120.384 89.664 0c56.448 0 84.672-20.288 84.672-60.992 0-20.8-7.36-35.904-22.016-45.248S844.352 776.896 815.296 776.896zM928.32 213.184l-141.376-141.376c-10.24-10.368-27.008-10.368-37.376 0-10.368 10.432-10.368 27.2 0 37.568l84.416 84.416c-3.776-0.064-6.848-0.32-10.816-0.32-23.552 0.192-51.2 2.304-80.256 9.344-28.928 6.976-59.648 19.52-84.928 40C645.056 252.8 634.56 264.832 624.96 277.952 617.344 289.28 608.704 304.064 603.904 317.44c-10.816 27.072-14.656 53.824-14.72 76.352C588.928 439.04 599.552 467.008 599.552 467.008s-6.4-29.44 0.128-72.32c3.136-21.312 10.432-45.44 23.488-67.968 6.464-11.712 13.568-20.8 23.68-32.128 8.96-8.896 19.008-18.048 30.4-24.512 22.528-13.696 48.64-20.672 73.536-23.296 25.088-2.688 49.088-1.344 69.376 1.152 11.776 1.408 21.888 3.264 30.912 5.248L749.568 354.56c-10.368 10.368-10.368 27.136 0 37.568 5.12 5.184 11.904 7.744 18.624 7.744s13.632-2.56 18.752-7.744l141.376-141.376C938.688 240.384 938.688 223.488 928.32 213.184zM527.808 773.376 386.432 632c-5.12-5.248-12.032-7.744-18.752-7.744S354.176 626.752 349.056 632c-10.368 10.368-10.368 27.136 0 37.504l99.008 99.008c-11.264 1.6-23.808 3.2-38.912 4.416-47.616 3.584-115.008 4.864-170.688-22.016-13.696-6.848-25.728-15.808-36.48-26.112-10.624-11.712-20.288-23.616-27.776-36.48-15.744-25.792-25.728-53.312-32.064-77.376C129.408 562.496 129.472 528.256 129.472 528.256s-4.48 33.728 1.92 84.736c3.328 25.408 9.856 55.232 23.232 85.504 6.592 15.488 15.68 30.464 25.664 44.608 11.712 14.272 25.472 27.008 41.088 37.12 63.616 39.552 136.96 44.992 188.928 47.232 9.408 0.32 17.536 0.192 25.792 0.128l-87.104 87.104c-10.368 10.368-10.368 27.136 0 37.504s27.136 10.368 37.376 0l141.376-141.376C538.176 800.64 538.176 783.744 527.808 773.376z"  ></path></symbol><symbol id="icon-table-3d" viewBox="0 0 1024 1024"><path d="M262.08 254.848c0 0-0.768 81.984-14.016 105.472C234.816 383.936 166.08 425.152 166.08 425.152S105.792 464.512 85.12 463.68C64.832 462.912 68.672 374.912 68.8 372.096c0-2.752-1.024-86.528 19.776-112.384 21.12-26.24 81.344-60.288 81.344-60.288s68.8-42.752 81.536-35.072C264.064 172.032 262.08 254.848 262.08 254.848zM482.56 23.296c-12.672-7.68-81.472 35.072-81.472 35.072s-60.16 34.048-81.28 60.288c-20.8 25.792-19.84 109.632-19.776 112.32-0.128 2.88-4.032 90.88 16.256 91.648 20.672 0.832 81.024-38.592 81.024-38.592s68.736-41.216 81.984-64.768 13.888-105.472 13.888-105.472S495.296 30.976 482.56 23.296zM246.912 429.248c-12.736-7.68-81.472 35.072-81.472 35.072s-60.16 34.048-81.344 60.288C63.296 550.528 64.32 634.24 64.384 636.992c-0.128 2.816-3.968 90.88 16.256 91.648 20.736 0.768 81.024-38.592 81.024-38.592s68.8-41.28 81.984-64.768c13.248-23.552 13.952-105.472 13.952-105.472S259.648 436.992 246.912 429.248zM478.144 288.256C465.408 280.512 396.608 323.264 396.608 323.264s-60.16 34.112-81.344 60.288C294.592 409.344 295.552 493.184 295.552 495.936c-0.064 2.816-3.968 90.88 16.32 91.648 20.672 0.768 80.96-38.656 80.96-38.656s68.736-41.216 81.984-64.768c13.312-23.488 13.952-105.408 13.952-105.408S490.816 295.936 478.144 288.256zM761.92 254.848c0 0 0.768 81.984 13.952 105.472 13.248 23.552 82.048 64.768 82.048 64.768s60.224 39.36 80.96 38.592c20.288-0.768 16.448-88.768 16.32-91.584 0-2.752 1.088-86.528-19.776-112.384-21.12-26.24-81.344-60.288-81.344-60.288s-68.8-42.752-81.472-35.072C759.872 172.032 761.92 254.848 761.92 254.848zM541.44 23.296c12.672-7.68 81.472 35.072 81.472 35.072s60.16 34.048 81.344 60.288c20.736 25.792 19.776 109.632 19.776 112.32 0.064 2.88 3.968 90.88-16.32 91.648-20.672 0.832-80.96-38.592-80.96-38.592S557.952 242.88 544.768 219.328C531.456 195.776 530.752 113.792 530.752 113.792S528.704 30.976 541.44 23.296zM777.088 429.248c12.736-7.68 81.472 35.072 81.472 35.072s60.16 34.048 81.344 60.288c20.8 25.856 19.84 109.632 19.776 112.384 0.128 2.816 3.968 90.88-16.256 91.648-20.736 0.768-81.024-38.592-81.024-38.592s-68.8-41.28-81.984-64.768c-13.248-23.552-14.016-105.472-14.016-105.472S764.352 436.992 777.088 429.248zM545.856 288.256c12.672-7.744 81.472 35.008 81.472 35.008s60.16 34.112 81.344 60.288c20.672 25.792 19.712 109.632 19.712 112.384 0.064 2.816 3.968 90.88-16.32 91.648-20.608 0.768-80.96-38.656-80.96-38.656S562.432 507.776 549.184 484.16c-13.248-23.488-14.08-105.408-14.08-105.408S533.184 295.936 545.856 288.256zM415.616 703.744c0 0 71.872 39.488 98.816 39.488 27.072 0 96.64-39.808 96.64-39.808s63.872-33.28 73.344-51.648c9.344-18.112-69.376-57.792-71.872-59.136C610.112 591.296 537.536 549.44 504.896 554.88c-33.28 5.568-92.416 41.344-92.416 41.344s-70.976 39.04-70.528 53.888C342.464 665.024 415.616 703.744 415.616 703.744zM105.728 782.656c-0.512-14.848 70.528-53.888 70.528-53.888s59.2-35.84 92.352-41.344c32.768-5.44 105.28 36.48 107.648 37.824 2.496 1.344 81.216 41.024 71.936 59.072-9.472 18.432-73.344 51.712-73.344 51.712s-69.632 39.808-96.64 39.808c-27.072 0-98.816-39.488-98.816-39.488S106.24 797.504 105.728 782.656zM575.04 776c-0.448-14.848 70.592-53.888 70.592-53.888s59.2-35.904 92.352-41.344c32.704-5.504 105.28 36.416 107.584 37.824 2.624 1.28 81.28 41.024 71.936 59.072-9.408 18.368-73.344 51.648-73.344 51.648s-69.568 39.872-96.64 39.872c-26.944 0-98.816-39.488-98.816-39.488S575.552 790.784 575.04 776zM338.88 908.48c-0.512-14.848 70.464-53.952 70.464-53.952s59.264-35.776 92.48-41.344c32.704-5.504 105.216 36.416 107.584 37.76 2.56 1.344 81.216 41.088 71.936 59.136C671.872 928.576 608 961.792 608 961.792S538.368 1001.6 511.36 1001.6s-98.816-39.488-98.816-39.488S339.392 923.392 338.88 908.48z"  ></path></symbol><symbol id="icon-save-all" viewBox="0 0 1024 1024"><path d="M725.333333 298.666667 725.333333 128 298.666667 128 298.666667 298.666667 725.333333 298.666667M597.333333 725.333333C668.16 725.333333 725.333333 668.16 725.333333 597.333333 725.333333 526.506667 668.16 469.333333 597.333333 469.333333 526.506667 469.333333 469.333333 526.506667 469.333333 597.333333 469.333333 668.16 526.506667 725.333333 597.333333 725.333333M810.666667 42.666667 981.333333 213.333333 981.333333 725.333333C981.333333 772.266667 942.933333 810.666667 896 810.666667L298.666667 810.666667C251.306667 810.666667 213.333333 772.266667 213.333333 725.333333L213.333333 128C213.333333 81.066667 251.733333 42.666667 298.666667 42.666667L810.666667 42.666667M42.666667 298.666667 128 298.666667 128 896 725.333333 896 725.333333 981.333333 128 981.333333C81.066667 981.333333 42.666667 942.933333 42.666667 896L42.666667 298.666667Z"  ></path></symbol><symbol id="icon-markdown" viewBox="0 0 1024 1024"><path d="M85.333333 682.666667 85.333333 341.333333 170.666667 341.333333 298.666667 469.333333 426.666667 341.333333 512 341.333333 512 682.666667 426.666667 682.666667 426.666667 462.08 298.666667 590.08 170.666667 462.08 170.666667 682.666667 85.333333 682.666667M682.666667 341.333333 810.666667 341.333333 810.666667 512 917.333333 512 746.666667 704 576 512 682.666667 512 682.666667 341.333333Z"  ></path></symbol><symbol id="icon-gou" viewBox="0 0 1397 1024"><path d="M1396.363636 121.018182c0 0-223.418182 74.472727-484.072727 372.363636-242.036364 269.963636-297.890909 381.672727-390.981818 530.618182C512 1014.690909 372.363636 744.727273 0 549.236364l195.490909-186.181818c0 0 176.872727 121.018182 297.890909 344.436364 0 0 307.2-474.763636 902.981818-707.490909L1396.363636 121.018182 1396.363636 121.018182zM1396.363636 121.018182"  ></path></symbol><symbol id="icon-tree" viewBox="0 0 1024 1024"><path d="M222.090191 544.207539l579.803245 0 0 64.420195 64.424288 0L866.317725 479.779158 544.212656 479.779158l0-64.412009-64.425312 0 0 64.412009L157.678182 479.779158l0 128.848577 64.412009 0L222.090191 544.207539 222.090191 544.207539zM93.253894 866.321818l193.260585 0L286.514479 673.056116 93.253894 673.056116 93.253894 866.321818 93.253894 866.321818zM415.359986 866.321818l193.268772 0L608.628758 673.056116 415.359986 673.056116 415.359986 866.321818 415.359986 866.321818zM737.473241 673.056116l0 193.265702 193.272865 0L930.746106 673.056116 737.473241 673.056116 737.473241 673.056116zM608.628758 157.678182 415.359986 157.678182l0 193.260585 193.268772 0L608.628758 157.678182 608.628758 157.678182zM608.628758 157.678182"  ></path></symbol><symbol id="icon-ok" viewBox="0 0 1024 1024"><path d="M510.998695 63.451124c-246.784616 0-447.533756 200.797235-447.533756 447.581852 0 246.734474 200.74914 447.485661 447.533756 447.485661 246.782569 0 447.533756-200.751187 447.533756-447.485661C958.532451 264.24836 757.781264 63.451124 510.998695 63.451124zM510.998695 815.214836c-167.752632 0-304.232003-136.453788-304.232003-304.181861 0-167.777191 136.479371-304.280098 304.232003-304.280098S815.230698 343.255785 815.230698 511.032976C815.230698 678.761048 678.751327 815.214836 510.998695 815.214836z"  ></path></symbol><symbol id="icon-github" viewBox="0 0 1024 1024"><path d="M498.894518 100.608396c-211.824383 0-409.482115 189.041494-409.482115 422.192601 0 186.567139 127.312594 344.783581 295.065226 400.602887 21.13025 3.916193 32.039717-9.17701 32.039717-20.307512 0-10.101055 1.176802-43.343157 1.019213-78.596056-117.448946 25.564235-141.394311-49.835012-141.394311-49.835012-19.225877-48.805566-46.503127-61.793368-46.503127-61.793368-38.293141-26.233478 3.13848-25.611308 3.13848-25.611308 42.361807 2.933819 64.779376 43.443441 64.779376 43.443441 37.669948 64.574714 98.842169 45.865607 122.912377 35.094286 3.815909-27.262924 14.764262-45.918819 26.823925-56.431244-93.796246-10.665921-192.323237-46.90017-192.323237-208.673623 0-46.071292 16.498766-83.747379 43.449581-113.332185-4.379751-10.665921-18.805298-53.544497 4.076852-111.732757 0 0 35.46063-11.336186 116.16265 43.296085 33.653471-9.330506 69.783343-14.022365 105.654318-14.174837 35.869952 0.153496 72.046896 4.844332 105.753579 14.174837 80.606853-54.631248 116.00813-43.296085 116.00813-43.296085 22.935362 58.18826 8.559956 101.120049 4.180206 111.732757 27.052123 29.584806 43.443441 67.260893 43.443441 113.332185 0 162.137751-98.798167 197.850114-192.799074 208.262254 15.151072 13.088086 28.65155 38.804794 28.65155 78.17957 0 56.484456-0.459464 101.94381-0.459464 115.854635 0 11.235902 7.573489 24.381293 29.014824 20.2543C825.753867 867.330798 933.822165 709.10924 933.822165 522.700713c0-233.155201-224.12657-422.192601-434.927647-422.192601L498.894518 100.608396z"  ></path></symbol><symbol id="icon-close" viewBox="0 0 1024 1024"><path d="M4.43392 97.36192l90.5088-90.5088 923.18976 923.18976-90.5088 90.5088-923.18976-923.18976ZM930.04288 4.43392l90.5088 90.5088-923.18976 923.18976-90.5088-90.5088 923.18976-923.18976Z"  ></path></symbol><symbol id="icon-arrow" viewBox="0 0 1024 1024"><path d="M369.4 826.2l4.2-3.6 313-272c10.6-9.2 17.2-23 17.2-38.4 0-15.4-6.8-29.2-17.2-38.4L374.2 202l-5.2-4.6C364 194 358 192 351.6 192c-17.4 0-31.6 14.8-31.6 33.2l0 0 0 573.6 0 0c0 18.4 14.2 33.2 31.6 33.2C358.2 832 364.4 829.8 369.4 826.2z"  ></path></symbol><symbol id="icon-arrow-up" viewBox="0 0 1024 1024"><path d="M93.334 700.269c0-14.331 5.512-27.677 15.529-37.657l365.99-365.34c1.306-1.337 2.417-2.38 3.607-3.234l2.723-2.16c10.703-10.653 23.296-15.888 36.627-15.888 13.571 0 26.26 5.351 35.73 15.053l363.953 367.853c9.813 9.951 15.222 23.238 15.222 37.401 0 13.848-5.25 26.931-14.769 36.832-9.549 9.841-22.867 15.507-36.518 15.506-13.484 0-26.259-5.365-35.969-15.134l-328.283-331.846-336.964 336.081c-9.666 9.607-22.296 14.915-35.619 14.915-13.958 0-27.055-5.673-36.876-15.937-9.271-9.768-14.381-22.734-14.381-36.444z"  ></path></symbol><symbol id="icon-files" viewBox="0 0 1024 1024"><path d="M917.824 357.056c-22.208-30.272-53.184-65.728-87.168-99.712s-69.44-64.96-99.712-87.168C679.36 132.352 654.336 128 640 128H272C227.904 128 192 163.904 192 208v736c0 44.096 35.904 80 80 80h608c44.096 0 80-35.904 80-80V448c0-14.336-4.352-39.36-42.176-90.944z m-132.48-54.4c30.72 30.72 54.784 58.368 72.576 81.344h-153.984V230.08c22.976 17.792 50.688 41.856 81.344 72.576zM896 944c0 8.704-7.296 16-16 16h-608a16.192 16.192 0 0 1-16-16V208c0-8.64 7.296-16 16-16H640v224a32 32 0 0 0 32 32H896v496z" fill="" ></path><path d="M602.944 42.176C551.36 4.352 526.336 0 512 0H144C99.904 0 64 35.904 64 80v736c0 38.656 27.52 70.976 64 78.4V80c0-8.64 7.36-16 16-16h486.848A669.12 669.12 0 0 0 602.88 42.176z" fill="" ></path></symbol><symbol id="icon-arrowdown" viewBox="0 0 1024 1024"><path d="M930.666 323.731c0 14.331-5.512 27.677-15.529 37.657l-365.99 365.34c-1.306 1.336-2.417 2.379-3.607 3.234l-2.723 2.16c-10.703 10.653-23.296 15.887-36.627 15.887-13.571 0-26.26-5.351-35.729-15.053l-363.953-367.853c-9.813-9.951-15.222-23.238-15.222-37.401 0-13.849 5.25-26.931 14.769-36.832 9.549-9.841 22.867-15.506 36.518-15.506 13.484 0 26.259 5.365 35.969 15.134l328.283 331.846 336.964-336.081c9.666-9.607 22.296-14.915 35.619-14.915 13.958 0 27.055 5.673 36.876 15.937 9.271 9.768 14.381 22.734 14.381 36.444z"  ></path></symbol><symbol id="icon-collect" viewBox="0 0 1024 1024"><path d="M512 134.608l121.136 248.451 270.871 39.867L708.005 616.305l46.265 273.088L512 760.464 269.73 889.393l46.266-273.088L119.993 422.926l270.873-39.867L512 134.608M512 77.923c-21.302 0-40.771 12.251-50.204 31.583l-108.12 221.763-241.724 35.547c-21.109 3.118-38.637 18.047-45.227 38.583-6.563 20.535-1.094 43.066 14.165 58.106l174.921 172.598L214.549 879.82c-3.609 21.274 5.032 42.767 22.286 55.43 9.762 7.163 21.301 10.827 32.896 10.827 8.914 0 17.882-2.16 26.087-6.509L512 824.505l216.239 115.063c8.176 4.349 17.117 6.509 26.03 6.509 11.622 0 23.188-3.664 32.923-10.827 17.256-12.69 25.896-34.181 22.287-55.43l-41.29-243.718L943.11 463.504c15.256-15.04 20.727-37.571 14.164-58.106-6.589-20.536-24.118-35.465-45.228-38.583l-241.722-35.547L562.229 109.533C552.797 90.174 533.328 77.923 512 77.923L512 77.923z"  ></path></symbol><symbol id="icon-folder-open" viewBox="0 0 1097 1024"><path d="M1073.714286 544q0 17.714286-17.714286 37.714286l-192 226.285714q-24.571429 29.142857-68.857143 49.428571T713.142857 877.714286H91.428571q-19.428571 0-34.571428-7.428572T41.714286 845.714286q0-17.714286 17.714285-37.714286l192-226.285714q24.571429-29.142857 68.857143-49.428572T402.285714 512h621.714286q19.428571 0 34.571429 7.428571t15.142857 24.571429z m-196-196.571429v91.428572H402.285714q-53.714286 0-112.571428 27.142857T196 534.285714L3.428571 760.571429l-2.857142 3.428571q0-2.285714-0.285715-7.142857T0 749.714286V201.142857q0-52.571429 37.714286-90.285714t90.285714-37.714286h182.857143q52.571429 0 90.285714 37.714286t37.714286 90.285714v18.285714h310.857143q52.571429 0 90.285714 37.714286t37.714286 90.285714z"  ></path></symbol><symbol id="icon-error" viewBox="0 0 1024 1024"><path d="M512 39.384615C252.061538 39.384615 39.384615 252.061538 39.384615 512s212.676923 472.615385 472.615385 472.615385 472.615385-212.676923 472.615385-472.615385S771.938462 39.384615 512 39.384615z m234.338462 506.092308c-1.969231 13.784615-13.784615 25.6-29.538462 25.6H307.2c-15.753846 0-27.569231-9.846154-29.538462-25.6-1.969231-23.630769-1.969231-45.292308 0-66.953846 1.969231-13.784615 13.784615-25.6 29.538462-25.6h409.6c15.753846 0 27.569231 11.815385 29.538462 25.6 1.969231 23.630769 1.969231 45.292308 0 66.953846z"  ></path></symbol><symbol id="icon-all-inclusive" viewBox="0 0 1024 1024"><path d="M793.6 282.453333c-61.44 0-119.466667 23.893333-160.853333 65.28L332.8 613.973333c-27.306667 27.306667-63.573333 42.24-102.4 42.24C150.613333 656.213333 85.333333 591.786667 85.333333 512c0-79.786667 65.28-144.213333 145.066667-144.213333 38.826667 0 75.093333 14.933333 104.106667 43.946666l48.213333 42.666667 65.28-57.173333L393.386667 349.866667A229.12 229.12 0 0 0 230.4 282.453333C103.253333 282.453333 0 385.706667 0 512s103.253333 229.546667 230.4 229.546667c61.44 0 119.466667-23.893333 160.853333-65.28l299.946667-266.24c27.306667-27.306667 63.573333-42.24 102.4-42.24 79.786667 0 145.066667 64.426667 145.066667 144.213333 0 79.786667-65.28 144.213333-145.066667 144.213333-38.4 0-75.093333-14.933333-104.106667-43.946666L640 569.173333l-64 57.173334 54.613333 47.786666a229.802667 229.802667 0 0 0 162.986667 66.986667c127.146667 0 230.4-102.826667 230.4-229.12 0-128-103.253333-229.546667-230.4-229.546667z" fill="" ></path></symbol><symbol id="icon-sad" viewBox="0 0 1024 1024"><path d="M511.748 63.946c-247.04 0-447.306 200.264-447.306 447.306 0 247.04 200.266 447.306 447.306 447.306s447.306-200.266 447.306-447.306c0-247.041-200.266-447.306-447.306-447.306zM326.656 341.585c42.594 0 77.122 34.528 77.122 77.122s-34.528 77.122-77.122 77.122-77.122-34.528-77.122-77.122c0-42.595 34.528-77.122 77.122-77.122z m406.44 414.016a30.717 30.717 0 0 1-11.99 2.455c-12.02 0-23.453-7.08-28.424-18.859-30.819-72.874-101.84-119.975-180.935-119.975s-150.116 47.101-180.935 119.975c-6.628 15.711-24.763 23.031-40.414 16.403-15.695-6.628-23.046-24.733-16.403-40.414 40.474-95.784 133.803-157.663 237.752-157.663s197.278 61.878 237.752 157.663c6.643 15.682-0.707 33.788-16.403 40.415zM696.84 495.828c-42.594 0-77.122-34.528-77.122-77.122s34.528-77.122 77.122-77.122 77.122 34.528 77.122 77.122c-0.001 42.594-34.528 77.122-77.122 77.122z"  ></path></symbol><symbol id="icon-smile" viewBox="0 0 1024 1024"><path d="M511.019 63.946c-246.875 0-447.007 200.13-447.007 447.007 0 246.875 200.132 447.007 447.007 447.007s447.007-200.132 447.007-447.007c0-246.876-200.132-447.007-447.007-447.007zM326.051 341.399c42.565 0 77.07 34.505 77.07 77.07 0 42.565-34.505 77.07-77.07 77.07s-77.07-34.505-77.07-77.07c0-42.565 34.504-77.07 77.07-77.07z m422.561 289.449c-40.447 95.721-133.714 157.557-237.593 157.557s-197.146-61.837-237.593-157.557c-6.638-15.67 0.708-33.763 16.392-40.387 15.64-6.623 33.763 0.692 40.387 16.392C361.003 679.68 431.977 726.75 511.019 726.75s150.016-47.07 180.814-119.895c6.623-15.7 24.747-23.016 40.387-16.392 15.684 6.622 23.03 24.715 16.392 40.385z m-52.625-135.309c-42.565 0-77.07-34.505-77.07-77.07 0-42.565 34.505-77.07 77.07-77.07s77.07 34.505 77.07 77.07c0.001 42.565-34.504 77.07-77.07 77.07z"  ></path></symbol><symbol id="icon-arrow-right" viewBox="0 0 1024 1024"><path d="M698.75712 565.02272l-191.488 225.4848a81.73568 81.73568 0 0 1-62.48448 28.89728 81.89952 81.89952 0 0 1-62.40256-134.94272l146.432-172.4416-146.432-172.4416a81.92 81.92 0 0 1 124.88704-106.06592l191.488 225.4848a81.87904 81.87904 0 0 1 0 106.02496z"  ></path></symbol><symbol id="icon-confirm" viewBox="0 0 1024 1024"><path d="M300.032 104.448c-147.968 76.8-249.344 230.912-249.344 409.088 0 414.208 504.832 614.4 790.016 318.976C1205.248 454.144 751.616-128 300.032 104.448z m520.704 318.464l-322.56 322.56a55.936 55.936 0 0 1-79.36 0l-175.104-175.104c-10.752-10.752-16.384-25.6-16.384-39.936s5.632-28.672 16.384-39.936a55.936 55.936 0 0 1 79.36 0l135.168 135.168 282.624-282.624a55.936 55.936 0 0 1 79.36 0c22.528 22.016 22.528 57.856 0.512 79.872z" fill="" ></path></symbol><symbol id="icon-message" viewBox="0 0 1024 1024"><path d="M635.485091 845.172364l-124.741818 124.741818-124.695273-124.741818H162.909091a93.090909 93.090909 0 0 1-93.090909-93.090909V232.727273a93.090909 93.090909 0 0 1 93.090909-93.090909h695.714909a93.090909 93.090909 0 0 1 93.090909 93.090909v519.354182a93.090909 93.090909 0 0 1-93.090909 93.090909h-223.138909zM279.272727 558.545455a69.818182 69.818182 0 1 0 0-139.636364 69.818182 69.818182 0 0 0 0 139.636364z m215.272728 0a69.818182 69.818182 0 1 0 0-139.636364 69.818182 69.818182 0 0 0 0 139.636364z m215.272727 0a69.818182 69.818182 0 1 0 0-139.636364 69.818182 69.818182 0 0 0 0 139.636364z"  ></path></symbol><symbol id="icon-create" viewBox="0 0 1024 1024"><path d="M659.842257 190.360191a25.724215 25.724215 0 0 1-18.927013-7.673452 68.347549 68.347549 0 0 1-12.793259-17.900549 97.076051 97.076051 0 0 1-7.673452-20.979943 80.039236 80.039236 0 0 1-2.503573-17.913066V0.001001h2.05293a71.56464 71.56464 0 0 1 17.399833 2.05293q8.186684 2.05293 19.953479 9.726382a343.102191 343.102191 0 0 1 28.653395 21.493176q16.886601 13.769653 42.47312 36.301812 27.62693 24.560053 44.012817 41.446655a297.06148 297.06148 0 0 1 25.035732 28.653395q8.699917 11.766794 10.740329 19.953479A60.1859 60.1859 0 0 1 810.29449 173.99934v16.373369z m318.279263 482.025469a77.260269 77.260269 0 0 1 4.093342 20.466711q1.013947 12.280027-10.239614 23.546106-5.119807 5.107289-9.21315 9.726382t-7.160219 7.673452a49.695928 49.695928 0 0 1-7.160219 6.133754l-86.986652-85.960186q6.146272-5.119807 13.769653-12.280027t12.793259-11.266079q12.280027-11.266079 26.612983-9.726382t23.533589 6.659505q10.227097 5.107289 22.006408 17.913066a95.861818 95.861818 0 0 1 17.900549 27.113698z m-361.265615 95.135782q22.532159 0 37.866545-12.280027L456.176576 962.011527H173.710928q-19.440246 0-42.473119-11.266079a179.5062 179.5062 0 0 1-42.973835-29.667343 168.24012 168.24012 0 0 1-33.25997-42.473119A101.269537 101.269537 0 0 1 41.697513 828.971647V132.014417q0-21.493176 9.726382-45.064318A148.674695 148.674695 0 0 1 77.999324 44.514533a162.557009 162.557009 0 0 1 38.404813-31.720272A86.736294 86.736294 0 0 1 161.443419 0.001001h391.959423v127.920074a160.040918 160.040918 0 0 0 6.146272 41.959887 138.67292 138.67292 0 0 0 18.927014 41.446655 109.69406 109.69406 0 0 0 33.25997 31.720272q20.466711 12.793259 49.120106 12.793259H810.29449V594.59964L670.09439 739.932065a64.279242 64.279242 0 0 0-53.238485-100.268107H233.070649a60.436257 60.436257 0 0 0-45.064318 18.939531 62.977384 62.977384 0 0 0-18.376227 45.502443q0 26.612983 18.413781 45.064318t45.064318 18.413781zM233.070649 383.786257a60.436257 60.436257 0 0 0-45.064318 18.927014 62.989902 62.989902 0 0 0-18.376227 45.539997q0 26.612983 18.413781 45.064318t45.064318 18.413781h383.747702a62.939831 62.939831 0 0 0 45.539997-18.413781 60.411222 60.411222 0 0 0 18.939531-45.064318 64.64226 64.64226 0 0 0-64.46701-64.479528z m385.825668 512.731795l13.306492-13.306492 25.586518-25.586518q15.346904-15.346904 33.798239-34.286435t36.84008-37.353313q44.012817-44.012817 99.266677-98.25273l85.960187 85.972704-136.119276 136.119276-33.798238 33.798238q-14.320439 14.332957-24.046821 24.572571t-10.752847 11.26608q-5.107289 4.093342-11.266079 8.699916a80.815343 80.815343 0 0 1-12.280027 7.673452 189.971136 189.971136 0 0 1-18.927014 7.673452q-12.793259 4.606575-26.09975 8.699917t-25.586519 7.16022q-12.280027 3.079395-18.413781 4.093342-12.280027 2.040412-16.373368-3.066877t-2.05293-17.399834q1.026465-6.146272 4.093342-18.426299t7.160219-25.035732q4.093342-12.805777 7.673452-24.046821A123.926874 123.926874 0 0 1 602.497913 920.064158a81.040665 81.040665 0 0 1 16.373369-23.533588z m0 0"  ></path></symbol><symbol id="icon-plus" viewBox="0 0 1024 1024"><path d="M888.5 486.5A36 36 0 0 1 863 548H545v312q0 14-10.5 25a35.06 35.06 0 0 1-51 0Q473 874 473 860V548H161q-14 0-25-10.5a35.06 35.06 0 0 1 0-51q11-10.5 25-10.5h312V166a36 36 0 1 1 72 0v310h318a34.72 34.72 0 0 1 25.5 10.5z" fill="" ></path></symbol><symbol id="icon-close-all" viewBox="0 0 1024 1024"><path d="M938.666667 384V341.333333a85.333333 85.333333 0 0 0-85.333334-85.333333H341.333333a85.333333 85.333333 0 0 0-85.333333 85.333333v512a85.333333 85.333333 0 0 0 85.333333 85.333334h42.666667l42.666667 85.333333H341.333333a170.666667 170.666667 0 0 1-170.666666-170.666667 170.666667 170.666667 0 0 1-170.666667-170.666666V170.666667a170.666667 170.666667 0 0 1 170.666667-170.666667h512a170.666667 170.666667 0 0 1 170.666666 170.666667 170.666667 170.666667 0 0 1 170.666667 170.666666v85.333334zM682.666667 85.333333H170.666667a85.333333 85.333333 0 0 0-85.333334 85.333334v512a85.333333 85.333333 0 0 0 85.333334 85.333333V341.333333a170.666667 170.666667 0 0 1 170.666666-170.666666h426.666667a85.333333 85.333333 0 0 0-85.333333-85.333334zM546.133333 484.010667l180.992 180.992 181.077334-180.992 60.330666 60.330666L787.456 725.333333l181.077333 180.992-60.330666 60.330667-181.077334-180.992L546.133333 966.656l-60.330666-60.330667L666.794667 725.333333 485.802667 544.341333z"  ></path></symbol><symbol id="icon-create-project" viewBox="0 0 1024 1024"><path d="M485.723773 761.402136H210.044676c-26.248337 0-45.941745-19.693409-45.941745-45.956058s19.693409-45.941745 45.941745-45.941745h275.679097c26.248337 0 45.941745 19.693409 45.941745 45.941745S511.97211 761.402136 485.723773 761.402136zM210.044676 479.153799H584.176504c26.262649 0 45.956057 19.693409 45.956057 45.941745S610.439153 571.051602 584.176504 571.051602H210.044676c-26.248337 0-45.941745-19.693409-45.941745-45.941746s19.693409-45.941745 45.941745-45.941745z m0-196.919774h479.153799c26.248337 0 45.941745 19.693409 45.941746 45.941745s-19.693409 45.941745-45.941746 45.941746H210.044676c-26.248337 0-45.941745-19.693409-45.941745-45.941746s19.693409-45.941745 45.941745-45.941745z m334.745011 498.847207c0-144.408789 118.14614-262.554928 262.554928-262.554928 19.693409 0 39.386817 0 59.080226 6.56924V150.963717C866.424841 65.635154 794.220446 0 702.322644 0h-525.109857C85.329296 0 13.124902 65.635154 13.124902 150.963717V873.036283c0 85.328563 72.204394 150.963717 164.087885 150.963717h531.679097c-91.897803-39.386817-164.102197-131.270308-164.102197-242.847207z m0 0"  ></path><path d="M925.490754 722.015318l-13.124168 13.138481h-13.13848L853.243424 689.197741v-13.13848l13.13848-13.124168h13.124169l45.941745 45.941745zM886.161185 761.402136l-124.715379 124.701067s-6.56924 6.56924-13.124169 6.569241l-59.080226 6.56924c-6.56924 0-6.56924 0-6.56924-6.56924l6.56924-59.080226c0-6.56924 0-6.56924 6.569241-13.124169l124.715379-124.715379h13.124169l45.956057 45.941745c13.124168 13.124168 13.124168 13.124168 6.569241 19.693409z m-78.716386-177.226366c-111.634148 0-203.474702 91.883491-203.474702 203.474702S695.810652 991.125175 807.344615 991.125175 1010.819317 899.227372 1010.819317 787.650472s-91.883491-203.474702-203.474702-203.474702z m0 0"  ></path></symbol><symbol id="icon-tag" viewBox="0 0 24 24"><path d="M21.41 11.58l-9-9C12.05 2.22 11.55 2 11 2H4c-1.1 0-2 .9-2 2v7c0 .55.22 1.05.59 1.42l9 9c.36.36.86.58 1.41.58.55 0 1.05-.22 1.41-.59l7-7c.37-.36.59-.86.59-1.41 0-.55-.23-1.06-.59-1.42zM5.5 7C4.67 7 4 6.33 4 5.5S4.67 4 5.5 4 7 4.67 7 5.5 6.33 7 5.5 7z"  ></path></symbol><symbol id="icon-extension" viewBox="0 0 24 24"><path d="M20.5 11H19V7c0-1.1-.9-2-2-2h-4V3.5C13 2.12 11.88 1 10.5 1S8 2.12 8 3.5V5H4c-1.1 0-1.99.9-1.99 2v3.8H3.5c1.49 0 2.7 1.21 2.7 2.7s-1.21 2.7-2.7 2.7H2V20c0 1.1.9 2 2 2h3.8v-1.5c0-1.49 1.21-2.7 2.7-2.7 1.49 0 2.7 1.21 2.7 2.7V22H17c1.1 0 2-.9 2-2v-4h1.5c1.38 0 2.5-1.12 2.5-2.5S21.88 11 20.5 11z"  ></path></symbol></svg>';var script=function(){var scripts=document.getElementsByTagName("script");return scripts[scripts.length-1]}();var shouldInjectCss=script.getAttribute("data-injectcss");var ready=function(fn){if(document.addEventListener){if(~["complete","loaded","interactive"].indexOf(document.readyState)){setTimeout(fn,0)}else{var loadFn=function(){document.removeEventListener("DOMContentLoaded",loadFn,false);fn()};document.addEventListener("DOMContentLoaded",loadFn,false)}}else if(document.attachEvent){IEContentLoaded(window,fn)}function IEContentLoaded(w,fn){var d=w.document,done=false,init=function(){if(!done){done=true;fn()}};var polling=function(){try{d.documentElement.doScroll("left")}catch(e){setTimeout(polling,50);return}init()};polling();d.onreadystatechange=function(){if(d.readyState=="complete"){d.onreadystatechange=null;init()}}}};var before=function(el,target){target.parentNode.insertBefore(el,target)};var prepend=function(el,target){if(target.firstChild){before(el,target.firstChild)}else{target.appendChild(el)}};function appendSvg(){var div,svg;div=document.createElement("div");div.innerHTML=svgSprite;svgSprite=null;svg=div.getElementsByTagName("svg")[0];if(svg){svg.setAttribute("aria-hidden","true");svg.style.position="absolute";svg.style.width=0;svg.style.height=0;svg.style.overflow="hidden";prepend(svg,document.body)}}if(shouldInjectCss&&!window.__iconfont__svg__cssinject__){window.__iconfont__svg__cssinject__=true;try{document.write("<style>.svgfont {display: inline-block;width: 1em;height: 1em;fill: currentColor;vertical-align: -0.1em;font-size:16px;}</style>")}catch(e){console&&console.log(e)}}ready(appendSvg)})(window)
\ No newline at end of file
@@ -2,6 +2,7 @@ import path from 'path'
 import { crashReporter, ipcRenderer } from 'electron'
 import log from 'electron-log'
 import EnvPaths from 'common/envPaths'
+import { setLocale } from 'common/i18n'
 
 let exceptionLogger = s => console.error(s)
 
@@ -23,12 +24,14 @@ const parseUrlArgs = () => {
   const debug = params.get('debug') === '1'
   const theme = params.get('theme')
   const titleBarStyle = params.get('tbs')
+  const language = params.get('lang')
   const userDataPath = params.get('udp')
   const windowId = params.get('wid')
   const type = params.get('type')
   return {
     type,
     debug,
+    language,
     userDataPath,
     windowId,
     initialState: {
@@ -64,7 +67,7 @@ const bootstrapRenderer = () => {
     ipcRenderer.send('AGANI::handle-renderer-error', copy)
   })
 
-  const { debug, initialState, userDataPath, windowId, type } = parseUrlArgs()
+  const { debug, initialState, language, userDataPath, windowId, type } = parseUrlArgs()
   const marktext = {
     initialState,
     env: {
@@ -77,6 +80,7 @@ const bootstrapRenderer = () => {
   global.marktext = marktext
 
   configureLogger()
+  setLocale(language)
 }
 
 export default bootstrapRenderer
@@ -0,0 +1,26 @@
+export const themeOptions = [{
+  label: 'Cadmium Light',
+  value: 'light'
+}, {
+  label: 'Dark',
+  value: 'dark'
+}, {
+  label: 'Graphite Light',
+  value: 'graphite'
+}, {
+  label: 'Material Dark',
+  value: 'material-dark'
+}, {
+  label: 'One Dark',
+  value: 'one-dark'
+}, {
+  label: 'Ulysses Light',
+  value: 'ulysses'
+}, {
+  // The label is translated by the dialog.
+  label: 'Custom style sheet',
+  value: 'custom'
+}]
+
+// Page sizes that are supported by Electron's `printToPDF`.
+export const pageSizeOptions = ['A3', 'A4', 'A5', 'Legal', 'Letter', 'Tabloid']
@@ -8,6 +8,15 @@ export const sideBarIcons = [
   }, {
     name: 'toc',
     icon: 'icon-header'
+  }, {
+    name: 'backlinks',
+    icon: 'icon-all-inclusive'
+  }, {
+    name: 'tags',
+    icon: 'icon-tag'
+  }, {
+    name: 'metadata',
+    icon: 'icon-info'
   }
 ]
 
@@ -14,6 +14,3 @@ export const DEFAULT_STYLE = {
   codeFontSize: '14px',
   theme: 'light'
 }
-
-export const railscastsThemes = ['dark', 'material-dark']
-export const oneDarkThemes = ['one-dark']
@@ -23,3 +23,23 @@ export const insertParagraph = location => {
 export const editTable = data => {
   bus.$emit('editTable', data)
 }
+
+export const sortTable = (order, numeric) => {
+  bus.$emit('sort-table', order, numeric)
+}
+
+export const importTableCsv = () => {
+  bus.$emit('import-table-csv')
+}
+
+export const exportTableCsv = () => {
+  bus.$emit('export-table-csv')
+}
+
+export const replaceMisspelledWord = (misspelledWord, replacement) => {
+  bus.$emit('replace-misspelled-word', misspelledWord, replacement)
+}
+
+export const addToDictionary = (word, toProject) => {
+  bus.$emit('add-to-dictionary', word, toProject)
+}
@@ -1,4 +1,7 @@
 import { remote } from 'electron'
+import { t } from 'common/i18n'
+import spellChecker from '@/util/spellChecker'
+import * as contextMenu from './actions'
 import {
   CUT,
   COPY,
@@ -13,12 +16,47 @@ import {
   INSERT_ROW,
   REMOVE_ROW,
   INSERT_COLUMN,
-  REMOVE_COLUMN
+  REMOVE_COLUMN,
+  SORT_TABLE,
+  MOVE_ROW,
+  MOVE_COLUMN,
+  IMPORT_TABLE_CSV,
+  EXPORT_TABLE_CSV,
+  NO_SUGGESTIONS
 } from './menuItems'
 
 const { Menu, MenuItem } = remote
 
-export const showContextMenu = (event, { start, end }) => {
+const TABLE_TOOL_ITEMS = [SORT_TABLE, MOVE_ROW, MOVE_COLUMN, SEPARATOR, IMPORT_TABLE_CSV, EXPORT_TABLE_CSV]
+
+const getSpellingItems = misspelledWord => {
+  const { word } = misspelledWord
+  const suggestions = spellChecker.getSuggestions(word)
+  const items = suggestions.length
+    ? suggestions.map(suggestion => ({
+      label: suggestion,
+      click () {
+        contextMenu.replaceMisspelledWord(misspelledWord, suggestion)
+      }
+    }))
+    : [NO_SUGGESTIONS]
+
+  items.push(SEPARATOR, {
+    label: t('contextMenu.editor.addToDictionary'),
+    click () {
+      contextMenu.addToDictionary(word, false)
+    }
+  }, {
+    label: t('contextMenu.editor.addToProjectWordList'),
+    enabled: !!spellChecker.projectPath,
+    click () {
+      contextMenu.addToDictionary(word, true)
+    }
+  }, SEPARATOR)
+  return items
+}
+
+export const showContextMenu = (event, { start, end }, misspelledWord) => {
   const menu = new Menu()
   const win = remote.getCurrentWindow()
   const disableCutAndCopy = start.key === end.key && start.offset === end.offset
@@ -31,11 +69,17 @@ export const showContextMenu = (event, { start, end }) => {
       INSERT_COLUMN,
       REMOVE_COLUMN,
       SEPARATOR,
+      ...TABLE_TOOL_ITEMS,
+      SEPARATOR,
       COPY_TABLE,
       SEPARATOR
     )
   }
 
+  if (misspelledWord) {
+    CONTEXT_ITEMS.unshift(...getSpellingItems(misspelledWord))
+  }
+
   [CUT, COPY, COPY_AS_HTML, COPY_AS_MARKDOWN].forEach(item => {
     item.enabled = !disableCutAndCopy
   })
@@ -45,3 +89,13 @@ export const showContextMenu = (event, { start, end }) => {
   })
   menu.popup({ window: win, x: event.clientX, y: event.clientY })
 }
+
+// Shown by the table tool bar.
+export const showTableMenu = ({ x, y }) => {
+  const menu = new Menu()
+  const win = remote.getCurrentWindow()
+  TABLE_TOOL_ITEMS.forEach(item => {
+    menu.append(new MenuItem(item))
+  })
+  menu.popup({ window: win, x, y })
+}
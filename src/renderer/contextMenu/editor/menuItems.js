@@ -1,25 +1,28 @@
 import * as contextMenu from './actions'
+import { t } from 'common/i18n'
+
+// Labels are getters to translate them each time the menu is created.
 
 export const CUT = {
-  label: 'Cut',
+  get label () { return t('contextMenu.editor.cut') },
   id: 'cutMenuItem', // not used yet!
   role: 'cut'
 }
 
 export const COPY = {
-  label: 'Copy',
+  get label () { return t('contextMenu.editor.copy') },
   id: 'copyMenuItem',
   role: 'copy'
 }
 
 export const PASTE = {
-  label: 'Paste',
+  get label () { return t('contextMenu.editor.paste') },
   id: 'pasteMenuItem',
   role: 'paste'
 }
 
 export const COPY_TABLE = {
-  label: 'Copy Table',
+  get label () { return t('contextMenu.editor.copyTable') },
   id: 'copyTableMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.copyTable()
@@ -27,7 +30,7 @@ export const COPY_TABLE = {
 }
 
 export const COPY_AS_MARKDOWN = {
-  label: 'Copy As Markdown',
+  get label () { return t('contextMenu.editor.copyAsMarkdown') },
   id: 'copyAsMarkdownMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.copyAsMarkdown()
@@ -35,7 +38,7 @@ export const COPY_AS_MARKDOWN = {
 }
 
 export const COPY_AS_HTML = {
-  label: 'Copy As Html',
+  get label () { return t('contextMenu.editor.copyAsHtml') },
   id: 'copyAsHtmlMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.copyAsHtml()
@@ -43,7 +46,7 @@ export const COPY_AS_HTML = {
 }
 
 export const PASTE_AS_PLAIN_TEXT = {
-  label: 'Paste As Plain Text',
+  get label () { return t('contextMenu.editor.pasteAsPlainText') },
   id: 'pasteAsPlainTextMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.pasteAsPlainText()
@@ -51,7 +54,7 @@ export const PASTE_AS_PLAIN_TEXT = {
 }
 
 export const INSERT_BEFORE = {
-  label: 'Insert Paragraph Before',
+  get label () { return t('contextMenu.editor.insertParagraphBefore') },
   id: 'insertParagraphBeforeMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.insertParagraph('before')
@@ -59,7 +62,7 @@ export const INSERT_BEFORE = {
 }
 
 export const INSERT_AFTER = {
-  label: 'Insert Paragraph After',
+  get label () { return t('contextMenu.editor.insertParagraphAfter') },
   id: 'insertParagraphAfterMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.insertParagraph('after')
@@ -67,9 +70,9 @@ export const INSERT_AFTER = {
 }
 
 export const INSERT_ROW = {
-  label: 'Insert Row',
+  get label () { return t('contextMenu.editor.insertRow') },
   submenu: [{
-    label: 'Previous Row',
+    get label () { return t('contextMenu.editor.previousRow') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'previous',
@@ -78,7 +81,7 @@ export const INSERT_ROW = {
       })
     }
   }, {
-    label: 'Next Row',
+    get label () { return t('contextMenu.editor.nextRow') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'next',
@@ -90,9 +93,9 @@ export const INSERT_ROW = {
 }
 
 export const REMOVE_ROW = {
-  label: 'Remove Row',
+  get label () { return t('contextMenu.editor.removeRow') },
   submenu: [{
-    label: 'Previous Row',
+    get label () { return t('contextMenu.editor.previousRow') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'previous',
@@ -101,7 +104,7 @@ export const REMOVE_ROW = {
       })
     }
   }, {
-    label: 'Current Row',
+    get label () { return t('contextMenu.editor.currentRow') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'current',
@@ -110,7 +113,7 @@ export const REMOVE_ROW = {
       })
     }
   }, {
-    label: 'Next Row',
+    get label () { return t('contextMenu.editor.nextRow') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'next',
@@ -122,9 +125,9 @@ export const REMOVE_ROW = {
 }
 
 export const INSERT_COLUMN = {
-  label: 'Insert Column',
+  get label () { return t('contextMenu.editor.insertColumn') },
   submenu: [{
-    label: 'Left Column',
+    get label () { return t('contextMenu.editor.leftColumn') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'left',
@@ -133,7 +136,7 @@ export const INSERT_COLUMN = {
       })
     }
   }, {
-    label: 'Right Column',
+    get label () { return t('contextMenu.editor.rightColumn') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'right',
@@ -145,9 +148,9 @@ export const INSERT_COLUMN = {
 }
 
 export const REMOVE_COLUMN = {
-  label: 'Remove Column',
+  get label () { return t('contextMenu.editor.removeColumn') },
   submenu: [{
-    label: 'Left Column',
+    get label () { return t('contextMenu.editor.leftColumn') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'left',
@@ -156,7 +159,7 @@ export const REMOVE_COLUMN = {
       })
     }
   }, {
-    label: 'Current Column',
+    get label () { return t('contextMenu.editor.currentColumn') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'current',
@@ -165,7 +168,7 @@ export const REMOVE_COLUMN = {
       })
     }
   }, {
-    label: 'Right Column',
+    get label () { return t('contextMenu.editor.rightColumn') },
     click (menuItem, browserWindow) {
       contextMenu.editTable({
         location: 'right',
@@ -176,6 +179,99 @@ export const REMOVE_COLUMN = {
   }]
 }
 
+export const SORT_TABLE = {
+  get label () { return t('contextMenu.editor.sortTable') },
+  submenu: [{
+    get label () { return t('contextMenu.editor.sortAscending') },
+    click (menuItem, browserWindow) {
+      contextMenu.sortTable('asc', false)
+    }
+  }, {
+    get label () { return t('contextMenu.editor.sortDescending') },
+    click (menuItem, browserWindow) {
+      contextMenu.sortTable('desc', false)
+    }
+  }, {
+    get label () { return t('contextMenu.editor.sortAscendingNumeric') },
+    click (menuItem, browserWindow) {
+      contextMenu.sortTable('asc', true)
+    }
+  }, {
+    get label () { return t('contextMenu.editor.sortDescendingNumeric') },
+    click (menuItem, browserWindow) {
+      contextMenu.sortTable('desc', true)
+    }
+  }]
+}
+
+export const MOVE_ROW = {
+  get label () { return t('contextMenu.editor.moveRow') },
+  submenu: [{
+    get label () { return t('contextMenu.editor.up') },
+    click (menuItem, browserWindow) {
+      contextMenu.editTable({
+        location: 'previous',
+        action: 'move',
+        target: 'row'
+      })
+    }
+  }, {
+    get label () { return t('contextMenu.editor.down') },
+    click (menuItem, browserWindow) {
+      contextMenu.editTable({
+        location: 'next',
+        action: 'move',
+        target: 'row'
+      })
+    }
+  }]
+}
+
+export const MOVE_COLUMN = {
+  get label () { return t('contextMenu.editor.moveColumn') },
+  submenu: [{
+    get label () { return t('contextMenu.editor.left') },
+    click (menuItem, browserWindow) {
+      contextMenu.editTable({
+        location: 'left',
+        action: 'move',
+        target: 'column'
+      })
+    }
+  }, {
+    get label () { return t('contextMenu.editor.right') },
+    click (menuItem, browserWindow) {
+      contextMenu.editTable({
+        location: 'right',
+        action: 'move',
+        target: 'column'
+      })
+    }
+  }]
+}
+
+export const IMPORT_TABLE_CSV = {
+  get label () { return t('contextMenu.editor.importCsv') },
+  id: 'importTableCsvMenuItem',
+  click (menuItem, browserWindow) {
+    contextMenu.importTableCsv()
+  }
+}
+
+export const EXPORT_TABLE_CSV = {
+  get label () { return t('contextMenu.editor.exportCsv') },
+  id: 'exportTableCsvMenuItem',
+  click (menuItem, browserWindow) {
+    contextMenu.exportTableCsv()
+  }
+}
+
 export const SEPARATOR = {
   type: 'separator'
 }
+
+export const NO_SUGGESTIONS = {
+  get label () { return t('contextMenu.editor.noSuggestions') },
+  id: 'noSuggestionsMenuItem',
+  enabled: false
+}
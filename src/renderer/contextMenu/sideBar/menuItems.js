@@ -1,11 +1,14 @@
 import * as contextMenu from './actions'
+import { t } from 'common/i18n'
+
+// Labels are getters to translate them each time the menu is created.
 
 export const SEPARATOR = {
   type: 'separator'
 }
 
 export const NEW_FILE = {
-  label: 'New File',
+  get label () { return t('contextMenu.sideBar.newFile') },
   id: 'newFileMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.newFile()
@@ -13,7 +16,7 @@ export const NEW_FILE = {
 }
 
 export const NEW_DIRECTORY = {
-  label: 'New Directory',
+  get label () { return t('contextMenu.sideBar.newDirectory') },
   id: 'newDirectoryMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.newDirectory()
@@ -21,7 +24,7 @@ export const NEW_DIRECTORY = {
 }
 
 export const COPY = {
-  label: 'Copy',
+  get label () { return t('contextMenu.sideBar.copy') },
   id: 'copyMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.copy()
@@ -29,7 +32,7 @@ export const COPY = {
 }
 
 export const CUT = {
-  label: 'Cut',
+  get label () { return t('contextMenu.sideBar.cut') },
   id: 'cutMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.cut()
@@ -37,7 +40,7 @@ export const CUT = {
 }
 
 export const PASTE = {
-  label: 'Paste',
+  get label () { return t('contextMenu.sideBar.paste') },
   id: 'pasteMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.paste()
@@ -45,7 +48,7 @@ export const PASTE = {
 }
 
 export const RENAME = {
-  label: 'Rename',
+  get label () { return t('contextMenu.sideBar.rename') },
   id: 'renameMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.rename()
@@ -53,7 +56,7 @@ export const RENAME = {
 }
 
 export const DELETE = {
-  label: 'Move To Trash',
+  get label () { return t('contextMenu.sideBar.moveToTrash') },
   id: 'deleteMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.remove()
@@ -61,7 +64,7 @@ export const DELETE = {
 }
 
 export const SHOW_IN_FOLDER = {
-  label: 'Show In Folder',
+  get label () { return t('contextMenu.sideBar.showInFolder') },
   id: 'showInFolderMenuItem',
   click (menuItem, browserWindow) {
     contextMenu.showInFolder()
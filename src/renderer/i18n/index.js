@@ -0,0 +1,18 @@
+import { getLocale, onLocaleChange, t } from 'common/i18n'
+
+/**
+ * Vue plugin that adds the reactive `$t` translate function to all components.
+ */
+export default {
+  install (Vue) {
+    const state = Vue.observable({ locale: getLocale() })
+    onLocaleChange(locale => {
+      state.locale = locale
+    })
+
+    Vue.prototype.$t = (key, params) => {
+      // Access the locale to re-render the component when the locale changes.
+      return state.locale && t(key, params)
+    }
+  }
+}
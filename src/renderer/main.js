@@ -7,6 +7,7 @@ import VueRouter from 'vue-router'
 import lang from 'element-ui/lib/locale/lang/en'
 import locale from 'element-ui/lib/locale'
 import store from './store'
+import i18n from './i18n'
 import './assets/symbolIcon'
 import {
   Dialog,
@@ -25,7 +26,8 @@ import {
   Switch,
   Select,
   Option,
-  Radio
+  Radio,
+  Input
 } from 'element-ui'
 import services from './services'
 import routes from './router'
@@ -72,8 +74,10 @@ Vue.use(Switch)
 Vue.use(Select)
 Vue.use(Option)
 Vue.use(Radio)
+Vue.use(Input)
 
 Vue.use(VueRouter)
+Vue.use(i18n)
 
 Vue.use(VueElectron)
 Vue.http = Vue.prototype.$http = axios
@@ -1,6 +1,3 @@
-import { ipcRenderer } from 'electron'
-import { getFileStateFromData } from '../store/help.js'
-
 export const tabsMixins = {
   methods: {
     selectFile (file) {
@@ -22,29 +19,13 @@ export const tabsMixins = {
 export const fileMixins = {
   methods: {
     handleFileClick () {
-      const { data, isMarkdown, pathname } = this.file
+      const { isMarkdown, pathname } = this.file
       if (!isMarkdown || this.currentFile.pathname === pathname) return
-      const { isMixedLineEndings, filename, lineEnding } = data
-      const isOpened = this.tabs.filter(file => file.pathname === pathname)[0]
-
-      const fileState = isOpened || getFileStateFromData(data)
-      this.$store.dispatch('UPDATE_CURRENT_FILE', fileState)
-      // ask main process to watch this file changes
-      this.$store.dispatch('ASK_FILE_WATCH', {
-        pathname,
-        watch: true
-      })
-
-      ipcRenderer.send('mt::add-recently-used-document', pathname)
-
-      if (isMixedLineEndings && !isOpened) {
-        this.$notify({
-          title: 'Line Ending',
-          message: `${filename} has mixed line endings which are automatically normalized to ${lineEnding.toUpperCase()}.`,
-          type: 'primary',
-          time: 20000,
-          showConfirm: false
-        })
+      const openedTab = this.tabs.find(file => file.pathname === pathname)
+      if (openedTab) {
+        this.$store.dispatch('UPDATE_CURRENT_FILE', openedTab)
+      } else {
+        this.$store.dispatch('OPEN_PROJECT_FILE', { pathname })
       }
     }
   }
@@ -1,3 +1,5 @@
+import { locales } from 'common/i18n'
+
 export const titleBarStyleOptions = [{
   label: 'Custom',
   value: 'custom'
@@ -17,7 +19,7 @@ export const fileSortByOptions = [{
   value: 'title'
 }]
 
-export const languageOptions = [{
-  label: 'English',
-  value: 'en'
-}]
+export const languageOptions = Object.keys(locales).map(value => ({
+  label: locales[value].name,
+  value
+}))
@@ -0,0 +1,26 @@
+export const imageUploaderOptions = [{
+  label: 'HTTP multipart upload',
+  value: 'http'
+}, {
+  label: 'S3-compatible object storage',
+  value: 's3'
+}, {
+  label: 'Custom command',
+  value: 'command'
+}]
+
+// Convert the request headers to lines of `Name: value`.
+export const stringifyHeaders = headers => {
+  return Object.keys(headers || {}).map(name => `${name}: ${headers[name]}`).join('\n')
+}
+
+export const parseHeaders = text => {
+  const headers = {}
+  for (const line of text.split(/\r?\n/)) {
+    const index = line.indexOf(':')
+    if (index > 0) {
+      headers[line.substring(0, index).trim()] = line.substring(index + 1).trim()
+    }
+  }
+  return headers
+}
@@ -1,14 +1,26 @@
 import App from '@/pages/app'
 import Preference from '@/pages/preference'
+import HeadlessExport from '@/pages/headlessExport'
 import General from '@/prefComponents/general'
 import Editor from '@/prefComponents/editor'
 import Markdown from '@/prefComponents/markdown'
 import Theme from '@/prefComponents/theme'
+import Image from '@/prefComponents/image'
+import Plugins from '@/prefComponents/plugins'
+
+const getDefaultPath = type => {
+  if (type === 'export') {
+    return '/export'
+  }
+  return type === 'editor' ? '/editor' : '/preference'
+}
 
 const routes = type => ([{
-  path: '/', redirect: type === 'editor'? '/editor' : '/preference'
+  path: '/', redirect: getDefaultPath(type)
 }, {
   path: '/editor', component: App 
+}, {
+  path: '/export', component: HeadlessExport
 }, {
   path: '/preference', component: Preference,
   children: [{
@@ -21,6 +33,10 @@ const routes = type => ([{
     path: 'markdown', component: Markdown, name: 'markdown'
   }, {
     path: 'theme', component: Theme, name: 'theme'
+  }, {
+    path: 'image', component: Image, name: 'image'
+  }, {
+    path: 'plugins', component: Plugins, name: 'plugins'
   }]
 }])
 
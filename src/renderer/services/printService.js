@@ -1,5 +1,23 @@
 import { getImageInfo } from 'muya/lib/utils'
 
+// Don't wait forever for images that cannot be loaded, e.g. from an unreachable server.
+const IMAGE_LOAD_TIMEOUT = 30000
+
+const waitForImage = image => {
+  if (image.complete) {
+    return Promise.resolve()
+  }
+  return new Promise(resolve => {
+    const timer = setTimeout(resolve, IMAGE_LOAD_TIMEOUT)
+    const done = () => {
+      clearTimeout(timer)
+      resolve()
+    }
+    image.addEventListener('load', done, { once: true })
+    image.addEventListener('error', done, { once: true })
+  })
+}
+
 class MarkdownPrint {
 
   /**
@@ -28,6 +46,22 @@ class MarkdownPrint {
     document.body.appendChild(printContainer)
   }
 
+  /**
+   * Wait until the print container is completely rendered, i.e. all images are
+   * loaded (or failed to load) and all fonts like the math fonts are loaded.
+   * Diagrams are already rendered by the HTML exporter.
+   *
+   * @returns {Promise<void>}
+   */
+  async waitForRender () {
+    const { container } = this
+    if (!container) {
+      return
+    }
+    await Promise.all(Array.from(container.getElementsByTagName('img')).map(waitForImage))
+    await document.fonts.ready
+  }
+
   /**
    * Remove the print container from the window.
    */
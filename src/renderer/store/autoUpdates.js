@@ -1,4 +1,5 @@
 import { ipcRenderer } from 'electron'
+import { t } from 'common/i18n'
 import notice from '../services/notification'
 
 const state = {}
@@ -12,7 +13,7 @@ const actions = {
   LISTEN_FOR_UPDATE ({ commit }) {
     ipcRenderer.on('AGANI::UPDATE_ERROR', (e, message) => {
       notice.notify({
-        title: 'Update',
+        title: t('notification.update.title'),
         type: 'error',
         time: 10000,
         message
@@ -20,21 +21,21 @@ const actions = {
     })
     ipcRenderer.on('AGANI::UPDATE_NOT_AVAILABLE', (e, message) => {
       notice.notify({
-        title: 'Update not Available',
+        title: t('notification.update.notAvailable'),
         type: 'warning',
         message
       })
     })
     ipcRenderer.on('AGANI::UPDATE_DOWNLOADED', (e, message) => {
       notice.notify({
-        title: 'Update Downloaded',
+        title: t('notification.update.downloaded'),
         type: 'info',
         message
       })
     })
     ipcRenderer.on('AGANI::UPDATE_AVAILABLE', (e, message) => {
       notice.notify({
-        title: 'Update Available',
+        title: t('notification.update.available'),
         type: 'primary',
         message,
         showConfirm: true
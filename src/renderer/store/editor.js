@@ -1,17 +1,116 @@
 import { clipboard, ipcRenderer, shell } from 'electron'
 import path from 'path'
+import { t } from 'common/i18n'
 import bus from '../bus'
 import { hasKeys } from '../util'
 import { isSameFileSync } from '../util/fileSystem'
 import listToTree from '../util/listToTree'
-import { createDocumentState, getOptionsFromState, getSingleFileState, getBlankFileState } from './help'
+import { loadUndoHistory, saveUndoHistory } from '../util/undoHistory'
+import { merge3, getMergedMarkdown } from '../util/merge'
+import { createDocumentState, getOptionsFromState, getSingleFileState, getBlankFileState, getFileStateFromData } from './help'
 import notice from '../services/notification'
 
+// Opened documents that are modified on disk by "Replace in Folder" and need to be reloaded.
+const replacedDocuments = new Set()
+
+// Pending image uploads that are waiting for the main process response.
+const pendingUploads = new Map()
+let uploadRequestId = 0
+
+let groupId = 0
+
+// An editor group (pane) with its own tab list. The tabs of all groups are in `state.tabs`
+// and a document that is opened in multiple groups shares the same file state.
+const createEditorGroup = (tabs = [], currentFile = {}) => {
+  return { id: `group-${++groupId}`, tabs, currentFile }
+}
+
+const initialGroup = createEditorGroup()
+
 const state = {
   lineEnding: 'lf',
   currentFile: {},
   tabs: [],
-  toc: []
+  toc: [],
+  groups: [ initialGroup ],
+  activeGroupId: initialGroup.id,
+  // `row` shows the editor groups side by side and `column` one below the other.
+  groupDirection: 'row'
+}
+
+const getActiveGroup = state => state.groups.find(g => g.id === state.activeGroupId)
+
+const isOpenedInOtherGroups = (state, file, groupId) => {
+  return state.groups.some(g => g.id !== groupId && g.tabs.includes(file))
+}
+
+// Remove the tab from the group and select the next tab if it was the current tab of the group.
+// Empty groups are removed unless it's the last group.
+const removeTabFromGroup = (state, group, file) => {
+  const index = group.tabs.indexOf(file)
+  if (index === -1) return
+  group.tabs.splice(index, 1)
+  if (group.currentFile === file) {
+    group.currentFile = group.tabs[index] || group.tabs[index - 1] || {}
+  }
+
+  const { groups } = state
+  if (group.tabs.length === 0 && groups.length > 1) {
+    const groupIndex = groups.indexOf(group)
+    groups.splice(groupIndex, 1)
+    if (group.id === state.activeGroupId) {
+      state.activeGroupId = (groups[groupIndex - 1] || groups[0]).id
+    }
+  }
+}
+
+// Show the current file of the active group after tabs or groups were changed. `force` reloads
+// the document if the active group changed but the current file is the same.
+const selectCurrentFileOfActiveGroup = (state, force = false) => {
+  const fileState = getActiveGroup(state).currentFile
+  if (!force && fileState === state.currentFile) return
+  state.currentFile = fileState
+  if (typeof fileState.markdown === 'string') {
+    const { id, markdown, cursor, history, pathname, scrollTop } = fileState
+    window.DIRNAME = pathname ? path.dirname(pathname) : ''
+    bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history, scrollTop })
+  } else {
+    window.DIRNAME = ''
+  }
+}
+
+// Persist the undo history of a saved document to restore it when the document is opened again.
+const persistUndoHistory = file => {
+  const { history, isSaved, markdown, pathname } = file
+  if (pathname && isSaved) {
+    return saveUndoHistory(pathname, markdown, history)
+  }
+  return Promise.resolve()
+}
+
+const persistUndoHistoryOfTabs = (state, ids) => {
+  const files = state.tabs.filter(file => ids.includes(file.id))
+  return Promise.all(files.map(persistUndoHistory))
+}
+
+// Merge external changes into the unsaved document or ask the user to resolve conflicts.
+const mergeExternalChange = (commit, tab, change) => {
+  const { pathname, data } = change
+  const { filename, markdown } = data
+  const regions = merge3(tab.baseMarkdown, tab.markdown, markdown)
+  if (regions.some(region => region.conflict)) {
+    bus.$emit('merge-conflict', { pathname, filename, regions, baseMarkdown: markdown })
+  } else {
+    commit('MERGE_CHANGE', { pathname, markdown: getMergedMarkdown(regions), baseMarkdown: markdown })
+    notice.clear()
+    notice.notify({
+      title: t('notification.fileChanged.title'),
+      message: t('notification.fileChanged.merged', { filename }),
+      type: 'primary',
+      time: 10000,
+      showConfirm: false
+    })
+  }
 }
 
 const mutations = {
@@ -24,38 +123,105 @@ const mutations = {
   },
   SET_CURRENT_FILE (state, currentFile) {
     const oldCurrentFile = state.currentFile
+    const group = getActiveGroup(state)
+    // The document may be opened in another group.
+    if (state.tabs.includes(currentFile) && !group.tabs.includes(currentFile)) {
+      group.tabs.push(currentFile)
+    }
+    group.currentFile = currentFile
     if (!oldCurrentFile.id || oldCurrentFile.id !== currentFile.id) {
-      const { id, markdown, cursor, history, pathname } = currentFile
+      const { id, markdown, cursor, history, pathname, scrollTop } = currentFile
       window.DIRNAME = pathname ? path.dirname(pathname) : ''
       // set state first, then emit file changed event
       state.currentFile = currentFile
-      bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history })
+      bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history, scrollTop })
     }
   },
   ADD_FILE_TO_TABS (state, currentFile) {
     state.tabs.push(currentFile)
+    const group = getActiveGroup(state)
+    if (!group.tabs.includes(currentFile)) {
+      group.tabs.push(currentFile)
+    }
   },
+  // Close the document in all editor groups.
   REMOVE_FILE_WITHIN_TABS (state, file) {
-    const { tabs, currentFile } = state
+    const { tabs } = state
     const index = tabs.indexOf(file)
     tabs.splice(index, 1)
     state.tabs = tabs
-    if (file.id === currentFile.id) {
-      const fileState = state.tabs[index] || state.tabs[index - 1] || state.tabs[0] || {}
-      state.currentFile = fileState
-      if (typeof fileState.markdown === 'string') {
-        const { id, markdown, cursor, history, pathname } = fileState
-        window.DIRNAME = pathname ? path.dirname(pathname) : ''
-        bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history })
+    for (const group of state.groups.slice()) {
+      removeTabFromGroup(state, group, file)
+    }
+    selectCurrentFileOfActiveGroup(state)
+  },
+  // Close the tab of a document that is still opened in another editor group.
+  CLOSE_GROUP_TAB (state, { groupId, file }) {
+    const group = state.groups.find(g => g.id === groupId)
+    if (group && isOpenedInOtherGroups(state, file, groupId)) {
+      removeTabFromGroup(state, group, file)
+      selectCurrentFileOfActiveGroup(state)
+    }
+  },
+  SET_ACTIVE_GROUP (state, groupId) {
+    const group = state.groups.find(g => g.id === groupId)
+    if (!group || groupId === state.activeGroupId) return
+    state.activeGroupId = groupId
+    // The editor of the group already shows the document, so don't emit "file-changed".
+    const { pathname } = group.currentFile
+    state.currentFile = group.currentFile
+    window.DIRNAME = pathname ? path.dirname(pathname) : ''
+  },
+  // Open the current document in a new editor group after the active group.
+  SPLIT_EDITOR_GROUP (state, direction) {
+    const { currentFile, groups } = state
+    if (!hasKeys(currentFile)) return
+    const group = createEditorGroup([ currentFile ], currentFile)
+    groups.splice(groups.indexOf(getActiveGroup(state)) + 1, 0, group)
+    state.groupDirection = direction
+    state.activeGroupId = group.id
+  },
+  // Move all tabs of the group into the previous group.
+  CLOSE_EDITOR_GROUP (state, groupId) {
+    const { groups } = state
+    const index = groups.findIndex(g => g.id === groupId)
+    if (index === -1 || groups.length === 1) return
+    const [ group ] = groups.splice(index, 1)
+    const target = groups[index - 1] || groups[0]
+    for (const file of group.tabs) {
+      if (!target.tabs.includes(file)) {
+        target.tabs.push(file)
       }
     }
+    if (group.id === state.activeGroupId) {
+      state.activeGroupId = target.id
+      target.currentFile = group.currentFile
+      selectCurrentFileOfActiveGroup(state, true)
+    }
   },
-  // Exchange from with to and move from to the end if to is null or empty.
+  // Exchange from with to and move from to the end if to is null or empty. The tab is moved
+  // into the group `groupId` if it's from another group (`fromGroupId`).
   EXCHANGE_TABS_BY_ID (state, tabIDs) {
     const { fromId } = tabIDs
     const toId = tabIDs.toId // may be null
+    const group = state.groups.find(g => g.id === tabIDs.groupId) || getActiveGroup(state)
+    const fromGroup = state.groups.find(g => g.id === tabIDs.fromGroupId) || group
 
-    const { tabs } = state
+    if (fromGroup !== group) {
+      const file = fromGroup.tabs.find(t => t.id === fromId)
+      if (!file) return
+      if (!group.tabs.includes(file)) {
+        const toIndex = group.tabs.findIndex(t => t.id === toId)
+        group.tabs.splice(toIndex === -1 ? group.tabs.length : toIndex, 0, file)
+      }
+      group.currentFile = file
+      removeTabFromGroup(state, fromGroup, file)
+      state.activeGroupId = group.id
+      selectCurrentFileOfActiveGroup(state, true)
+      return
+    }
+
+    const { tabs } = group
     const moveItem = (arr, from, to) => {
       if (from === to) return true
       const len = arr.length
@@ -83,8 +249,8 @@ const mutations = {
     const newFileState = getSingleFileState({ markdown, filename, pathname, options })
     if (isMixedLineEndings) {
       notice.notify({
-        title: 'Line Ending',
-        message: `${filename} has mixed line endings which are automatically normalized to ${lineEnding.toUpperCase()}.`,
+        title: t('notification.lineEnding.title'),
+        message: t('notification.lineEnding.mixed', { filename, lineEnding: lineEnding.toUpperCase() }),
         type: 'primary',
         time: 20000,
         showConfirm: false
@@ -112,8 +278,35 @@ const mutations = {
       bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history })
     }
   },
+  SET_BASE_MARKDOWN (state, { pathname, markdown }) {
+    const tab = state.tabs.find(f => f.pathname === pathname)
+    if (tab) {
+      tab.baseMarkdown = markdown
+    }
+  },
+  // Apply the merged document of local and external changes and keep the cursor. The undo
+  // history is kept and the editor adds the merge as an undoable step.
+  MERGE_CHANGE (state, { pathname, markdown, baseMarkdown }) {
+    const tab = state.tabs.find(f => f.pathname === pathname)
+    if (!tab) return
+
+    const lines = markdown.split('\n')
+    let { cursor } = tab
+    if (cursor && cursor.line < lines.length) {
+      cursor = { line: cursor.line, ch: Math.min(cursor.ch, lines[cursor.line].length) }
+    } else {
+      cursor = null
+    }
+    const isSaved = markdown === baseMarkdown
+    Object.assign(tab, { markdown, baseMarkdown, cursor, isSaved })
+
+    if (tab === state.currentFile) {
+      const { id } = tab
+      bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true })
+    }
+  },
   SET_PATHNAME (state, file) {
-    const { filename, pathname, id } = file
+    const { filename, pathname, id, markdown, encoding } = file
     if (id === state.currentFile.id && pathname) {
       window.DIRNAME = path.dirname(pathname)
     }
@@ -122,6 +315,14 @@ const mutations = {
     if (targetFile) {
       const isSaved = true
       Object.assign(targetFile, { filename, pathname, isSaved })
+      // The document may be saved with another encoding, e.g. as UTF-8 instead of losing characters.
+      if (encoding) {
+        targetFile.encoding = encoding
+      }
+      // The saved document is the new base to merge external changes.
+      if (typeof markdown === 'string') {
+        targetFile.baseMarkdown = markdown
+      }
     }
   },
   SET_SAVE_STATUS (state, status) {
@@ -129,6 +330,12 @@ const mutations = {
       state.currentFile.isSaved = status
     }
   },
+  SET_SAVE_STATUS_BY_ID (state, { id, status }) {
+    const tab = state.tabs.find(f => f.id === id)
+    if (tab) {
+      tab.isSaved = status
+    }
+  },
   SET_SAVE_STATUS_WHEN_REMOVE (state, { pathname }) {
     state.tabs.forEach(f => {
       if (f.pathname === pathname) {
@@ -166,37 +373,45 @@ const mutations = {
       state.currentFile.cursor = cursor
     }
   },
+  SET_SCROLL_TOP (state, scrollTop) {
+    if (hasKeys(state.currentFile)) {
+      state.currentFile.scrollTop = scrollTop
+    }
+  },
   SET_HISTORY (state, history) {
     if (hasKeys(state.currentFile)) {
       state.currentFile.history = history
     }
   },
   CLOSE_TABS (state, arr) {
-    let tabIndex = 0
     arr.forEach(id => {
       const index = state.tabs.findIndex(f => f.id === id)
-      const { pathname } = state.tabs.find(f => f.id === id)
+      const file = state.tabs[index]
+      const { pathname } = file
       if (pathname) {
         // close tab and unwatch this file
         ipcRenderer.send('AGANI::file-watch', { pathname, watch: false })
       }
 
       state.tabs.splice(index, 1)
-      if (state.currentFile.id === id) {
-        state.currentFile = {}
-        window.DIRNAME = ''
-        if (arr.length === 1) {
-          tabIndex = index
-        }
+      for (const group of state.groups.slice()) {
+        removeTabFromGroup(state, group, file)
       }
     })
-    if (!state.currentFile.id && state.tabs.length) {
-      state.currentFile = state.tabs[tabIndex] || state.tabs[tabIndex - 1] || state.tabs[0] || {}
-      if (typeof state.currentFile.markdown === 'string') {
-        const { id, markdown, cursor, history, pathname } = state.currentFile
-        window.DIRNAME = pathname ? path.dirname(pathname) : ''
-        bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history })
-      }
+    selectCurrentFileOfActiveGroup(state)
+  },
+  // Set the markdown of an opened document without saving it.
+  SET_TAB_MARKDOWN (state, { pathname, markdown }) {
+    const tab = state.tabs.find(f => f.pathname === pathname)
+    if (!tab) return
+    tab.markdown = markdown
+    tab.isSaved = false
+    if (tab.id === state.currentFile.id) {
+      const { id, history } = tab
+      // The cursor may be outside of the document if lines were removed.
+      const lineCount = markdown.split('\n').length
+      const cursor = tab.cursor && tab.cursor.line < lineCount ? tab.cursor : null
+      bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history })
     }
   },
   RENAME_IF_NEEDED (state, { src, dest }) {
@@ -235,10 +450,34 @@ const actions = {
     commit('SET_SEARCH', value)
   },
 
+  // Upload the image given by path or base64 data via the configured image uploader.
+  UPLOAD_IMAGE ({ commit }, { pathname, data, filename }) {
+    const id = ++uploadRequestId
+    return new Promise((resolve, reject) => {
+      pendingUploads.set(id, { resolve, reject })
+      ipcRenderer.send('mt::upload-image', { id, pathname, data, filename })
+    })
+  },
+
+  LISTEN_FOR_IMAGE_UPLOAD ({ commit }) {
+    ipcRenderer.on('mt::upload-image-response', (e, { id, url, deletionUrl, error }) => {
+      const request = pendingUploads.get(id)
+      if (!request) return
+      pendingUploads.delete(id)
+      if (error) {
+        request.reject(new Error(error))
+      } else {
+        request.resolve({ url, deletionUrl })
+      }
+    })
+  },
+
   SHOW_IMAGE_DELETION_URL ({ commit }, deletionUrl) {
+    // Not every upload backend provides a deletion URL.
+    if (!deletionUrl) return
     notice.notify({
-      title: 'Image deletion URL',
-      message: `Click to copy the deletion URL of the uploaded image to the clipboard (${deletionUrl}).`,
+      title: t('notification.imageDeletionUrl.title'),
+      message: t('notification.imageDeletionUrl.message', { url: deletionUrl }),
       showConfirm: true,
       time: 20000
     })
@@ -248,12 +487,118 @@ const actions = {
   },
 
   REMOVE_FILE_IN_TABS ({ commit, dispatch }, file) {
+    persistUndoHistory(file)
     commit('REMOVE_FILE_WITHIN_TABS', file)
     // unwatch this file
     const { pathname } = file
     dispatch('ASK_FILE_WATCH', { pathname, watch: false })
   },
 
+  // Open the given document from the opened folder and move the cursor to the given position.
+  OPEN_FILE_AT_POSITION ({ commit, state, dispatch, rootGetters }, { pathname, line, ch }) {
+    const cursor = { line, ch }
+    const tab = state.tabs.find(f => isSameFileSync(f.pathname, pathname))
+    if (tab) {
+      tab.cursor = cursor
+      if (tab.id === state.currentFile.id) {
+        const { id, markdown, history } = tab
+        bus.$emit('file-changed', { id, markdown, cursor, renderCursor: true, history })
+      } else {
+        dispatch('UPDATE_CURRENT_FILE', tab)
+      }
+      return
+    }
+
+    if (rootGetters.fileList.some(f => f.pathname === pathname)) {
+      dispatch('OPEN_PROJECT_FILE', { pathname, cursor })
+    }
+  },
+
+  // Documents of the opened folder are loaded on demand because the project tree only has their metadata.
+  OPEN_PROJECT_FILE ({ commit }, { pathname, cursor = null }) {
+    ipcRenderer.send('mt::open-project-file', { pathname, cursor })
+  },
+
+  LISTEN_FOR_OPEN_PROJECT_FILE ({ dispatch, state }) {
+    ipcRenderer.on('mt::open-project-file-response', (e, { data, cursor }) => {
+      const { pathname, isMixedLineEndings, filename, lineEnding } = data
+      // The document may have been opened while it was loaded.
+      const tab = state.tabs.find(f => isSameFileSync(f.pathname, pathname))
+      if (tab) {
+        dispatch('UPDATE_CURRENT_FILE', tab)
+        return
+      }
+
+      const fileState = getFileStateFromData(data)
+      fileState.cursor = cursor
+      dispatch('UPDATE_CURRENT_FILE', fileState)
+      dispatch('ASK_FILE_WATCH', { pathname, watch: true })
+      ipcRenderer.send('mt::add-recently-used-document', pathname)
+
+      if (isMixedLineEndings) {
+        notice.notify({
+          title: t('notification.lineEnding.title'),
+          message: t('notification.lineEnding.mixed', { filename, lineEnding: lineEnding.toUpperCase() }),
+          type: 'primary',
+          time: 20000,
+          showConfirm: false
+        })
+      }
+    })
+  },
+
+  // Replace the selected matches of the folder search.
+  REPLACE_IN_FOLDER ({ commit, state }, { query, options, replacement, files, isTagRename = false }) {
+    const payload = files.map(({ pathname, matches }) => {
+      if (matches) {
+        matches = matches.map(({ line, ch, length }) => ({ line, ch, length }))
+      }
+      const tab = state.tabs.find(f => f.pathname === pathname)
+      if (tab && !tab.isSaved) {
+        // Replace unsaved documents in memory to keep the unsaved changes.
+        return { pathname, matches, markdown: tab.markdown }
+      } else if (tab) {
+        replacedDocuments.add(pathname)
+      }
+      return { pathname, matches }
+    })
+
+    commit('REMOVE_SEARCH_MATCHES', files)
+    ipcRenderer.send('mt::replace-in-folder', { query, options, replacement, files: payload, isTagRename })
+  },
+
+  LISTEN_FOR_REPLACE_IN_FOLDER ({ commit }) {
+    ipcRenderer.on('mt::replace-in-folder-response', (e, { count, documents, written, errors }) => {
+      for (const { pathname, markdown } of documents) {
+        commit('SET_TAB_MARKDOWN', { pathname, markdown })
+      }
+      // Don't wait for changes of documents that were not written.
+      for (const pathname of Array.from(replacedDocuments)) {
+        if (!written.includes(pathname)) {
+          replacedDocuments.delete(pathname)
+        }
+      }
+
+      if (errors.length) {
+        notice.notify({
+          title: t('notification.replaceInFolder.title'),
+          message: t('notification.replaceInFolder.error', { errors: errors.join(', ') }),
+          type: 'error',
+          time: 20000,
+          showConfirm: false
+        })
+      } else {
+        notice.notify({
+          title: t('notification.replaceInFolder.title'),
+          message: t('notification.replaceInFolder.success', { count }),
+          type: 'primary',
+          time: 5000,
+          showConfirm: false
+        })
+      }
+    })
+  },
+
   EXCHANGE_TABS_BY_ID ({ commit }, tabIDs) {
     commit('EXCHANGE_TABS_BY_ID', tabIDs)
   },
@@ -305,6 +650,10 @@ const actions = {
     ipcRenderer.on('AGANI::set-pathname', (e, file) => {
       commit('SET_PATHNAME', file)
     })
+    // The document may be auto saved, so the tab must be marked as unsaved.
+    ipcRenderer.on('mt::save-failed', (e, { id }) => {
+      commit('SET_SAVE_STATUS_BY_ID', { id, status: false })
+    })
   },
 
   LISTEN_FOR_CLOSE ({ commit, state }) {
@@ -316,11 +665,15 @@ const actions = {
           return { id, filename, pathname, markdown, options }
         })
 
-      if (unSavedFiles.length) {
-        ipcRenderer.send('AGANI::response-close-confirm', unSavedFiles)
-      } else {
-        ipcRenderer.send('AGANI::close-window')
-      }
+      // Wait until all undo histories are written because the window is destroyed afterwards.
+      Promise.all(state.tabs.map(persistUndoHistory))
+        .then(() => {
+          if (unSavedFiles.length) {
+            ipcRenderer.send('AGANI::response-close-confirm', unSavedFiles)
+          } else {
+            ipcRenderer.send('AGANI::close-window')
+          }
+        })
     })
   },
 
@@ -328,11 +681,13 @@ const actions = {
     ipcRenderer.on('AGANI::save-all-response', (e, { err, data }) => {
       if (!err && Array.isArray(data)) {
         const toBeClosedTabs = [...state.tabs.filter(f => f.isSaved), ...data]
+        persistUndoHistoryOfTabs(state, toBeClosedTabs)
         commit('CLOSE_TABS', toBeClosedTabs)
       }
     })
     ipcRenderer.on('AGANI::save-single-response', (e, { err, data }) => {
       if (!err && Array.isArray(data) && data.length) {
+        persistUndoHistoryOfTabs(state, data)
         commit('CLOSE_TABS', data)
       }
     })
@@ -350,7 +705,9 @@ const actions = {
       const isSingle = false
       ipcRenderer.send(EVENT_NAME, unSavedFiles, isSingle)
     } else if (isClose) {
-      commit('CLOSE_TABS', state.tabs.map(f => f.id))
+      const ids = state.tabs.map(f => f.id)
+      persistUndoHistoryOfTabs(state, ids)
+      commit('CLOSE_TABS', ids)
     }
   },
 
@@ -410,10 +767,14 @@ const actions = {
       const fileState = getSingleFileState({ markdown, filename, pathname, options })
       const { id } = fileState
       const { lineEnding } = options
+      const history = loadUndoHistory(pathname, markdown)
+      if (history) {
+        fileState.history = history
+      }
       commit('SET_GLOBAL_LINE_ENDING', lineEnding)
       dispatch('INIT_STATUS', true)
       dispatch('UPDATE_CURRENT_FILE', fileState)
-      bus.$emit('file-loaded', { id, markdown })
+      bus.$emit('file-loaded', { id, markdown, history })
       commit('SET_LAYOUT', {
         rightColumn: 'files',
         showSideBar: false,
@@ -422,6 +783,39 @@ const actions = {
       dispatch('SET_LAYOUT_MENU_ITEM')
     })
 
+    // Restore the tabs and layout of the window session.
+    ipcRenderer.on('mt::bootstrap-session', (e, { documents, selectedIndex, layout, lineEnding }) => {
+      commit('SET_GLOBAL_LINE_ENDING', lineEnding)
+      dispatch('INIT_STATUS', true)
+      const fileStates = documents.map(markdownDocument => {
+        const { markdown, pathname, isSaved, cursor, scrollTop } = markdownDocument
+        const fileState = createDocumentState(markdownDocument)
+        const history = isSaved ? loadUndoHistory(pathname, markdown) : null
+        if (history) {
+          fileState.history = history
+        }
+        // The cursor may be outside of the document if the document was changed on disk.
+        const lineCount = markdown.split('\n').length
+        return Object.assign(fileState, {
+          isSaved,
+          cursor: cursor && cursor.line < lineCount ? cursor : null,
+          scrollTop: scrollTop || 0
+        })
+      })
+      if (fileStates.length) {
+        fileStates.forEach(fileState => commit('ADD_FILE_TO_TABS', fileState))
+        dispatch('UPDATE_CURRENT_FILE', fileStates[selectedIndex] || fileStates[0])
+      } else {
+        dispatch('UPDATE_CURRENT_FILE', getBlankFileState(state.tabs, lineEnding))
+      }
+      commit('SET_LAYOUT', Object.assign({
+        rightColumn: 'files',
+        showSideBar: false,
+        showTabBar: fileStates.length > 1
+      }, layout))
+      dispatch('SET_LAYOUT_MENU_ITEM')
+    })
+
     ipcRenderer.on('mt::bootstrap-blank-window', (e, { lineEnding, markdown: source }) => {
       const { tabs } = state
       const fileState = getBlankFileState(tabs, lineEnding, source)
@@ -463,11 +857,43 @@ const actions = {
     ipcRenderer.on('AGANI::close-tab', e => {
       const file = state.currentFile
       if (!hasKeys(file)) return
-      const { isSaved } = file
-      if (isSaved) {
-        dispatch('REMOVE_FILE_IN_TABS', file)
-      } else {
-        dispatch('CLOSE_SINGLE_FILE', file)
+      dispatch('CLOSE_TAB', { groupId: state.activeGroupId, file })
+    })
+  },
+
+  // Close the tab of the editor group, the document is only closed if it's not opened in another group.
+  CLOSE_TAB ({ commit, state, dispatch }, { groupId, file }) {
+    if (isOpenedInOtherGroups(state, file, groupId)) {
+      commit('CLOSE_GROUP_TAB', { groupId, file })
+    } else if (file.isSaved) {
+      dispatch('REMOVE_FILE_IN_TABS', file)
+    } else {
+      dispatch('CLOSE_SINGLE_FILE', file)
+    }
+  },
+
+  SET_ACTIVE_GROUP ({ commit }, groupId) {
+    commit('SET_ACTIVE_GROUP', groupId)
+  },
+
+  CLOSE_EDITOR_GROUP ({ commit }, groupId) {
+    commit('CLOSE_EDITOR_GROUP', groupId)
+  },
+
+  LISTEN_FOR_EDITOR_GROUP ({ commit, state, dispatch }) {
+    ipcRenderer.on('AGANI::editor-group', (e, { type }) => {
+      switch (type) {
+        case 'splitRight':
+          commit('SPLIT_EDITOR_GROUP', 'row')
+          dispatch('SHOW_TAB_VIEW', true)
+          break
+        case 'splitDown':
+          commit('SPLIT_EDITOR_GROUP', 'column')
+          dispatch('SHOW_TAB_VIEW', true)
+          break
+        case 'close':
+          commit('CLOSE_EDITOR_GROUP', state.activeGroupId)
+          break
       }
     })
   },
@@ -509,14 +935,18 @@ const actions = {
     const { markdown, isMixedLineEndings } = markdownDocument
     const docState = createDocumentState(markdownDocument)
     const { id } = docState
+    const history = loadUndoHistory(pathname, markdown)
+    if (history) {
+      docState.history = history
+    }
     dispatch('UPDATE_CURRENT_FILE', docState)
-    bus.$emit('file-loaded', { id, markdown })
+    bus.$emit('file-loaded', { id, markdown, history })
 
     if (isMixedLineEndings) {
       const { filename, lineEnding } = markdownDocument
       notice.notify({
-        title: 'Line Ending',
-        message: `${filename} has mixed line endings which are automatically normalized to ${lineEnding.toUpperCase()}.`,
+        title: t('notification.lineEnding.title'),
+        message: t('notification.lineEnding.mixed', { filename, lineEnding: lineEnding.toUpperCase() }),
         type: 'primary',
         time: 20000,
         showConfirm: false
@@ -611,24 +1041,24 @@ const actions = {
   // listen for export from main process
   LISTEN_FOR_EXPORT_PRINT ({ commit, state }) {
     ipcRenderer.on('AGANI::export', (e, { type }) => {
-      bus.$emit('export', type)
+      bus.$emit('export-setting', type)
     })
     ipcRenderer.on('AGANI::print', e => {
       bus.$emit('print')
     })
   },
 
-  EXPORT ({ commit, state }, { type, content, markdown }) {
+  EXPORT ({ commit, state }, { type, content, markdown, pageOptions }) {
     if (!hasKeys(state.currentFile)) return
     const { filename, pathname } = state.currentFile
-    ipcRenderer.send('AGANI::response-export', { type, content, filename, pathname, markdown })
+    ipcRenderer.send('AGANI::response-export', { type, content, filename, pathname, markdown, pageOptions })
   },
 
   LINTEN_FOR_EXPORT_SUCCESS ({ commit }) {
     ipcRenderer.on('AGANI::export-success', (e, { type, filePath }) => {
       notice.notify({
-        title: 'Export',
-        message: `Export ${path.basename(filePath)} successfully`,
+        title: t('notification.export.title'),
+        message: t('notification.export.success', { filename: path.basename(filePath) }),
         showConfirm: true
       })
         .then(() => {
@@ -676,41 +1106,110 @@ const actions = {
     })
   },
 
+  LISTEN_FOR_SET_ENCODING ({ commit, state }) {
+    ipcRenderer.on('mt::set-document-encoding', (e, encoding) => {
+      if (!hasKeys(state.currentFile)) return
+      if (encoding !== state.currentFile.encoding) {
+        commit('SET_DOCUMENT_ENCODING', encoding)
+        commit('SET_SAVE_STATUS', false)
+      }
+    })
+
+    ipcRenderer.on('mt::ask-for-reopen-with-encoding', (e, encoding) => {
+      const { pathname, lineEnding, isSaved } = state.currentFile
+      if (!pathname) {
+        return notice.notify({
+          title: t('menu.edit.reopenWithEncoding'),
+          message: t('notification.reopenWithEncoding.unsavedDocument'),
+          type: 'warning'
+        })
+      }
+
+      const reopen = () => {
+        ipcRenderer.send('mt::reopen-with-encoding', { pathname, lineEnding, encoding })
+      }
+      if (isSaved) {
+        reopen()
+      } else {
+        notice.notify({
+          title: t('menu.edit.reopenWithEncoding'),
+          message: t('notification.reopenWithEncoding.discardChanges', { filename: path.basename(pathname) }),
+          type: 'warning',
+          showConfirm: true,
+          time: 0
+        })
+          .then(reopen)
+      }
+    })
+
+    ipcRenderer.on('mt::reopen-with-encoding-response', (e, change) => {
+      commit('LOAD_CHANGE', change)
+    })
+  },
+
   LISTEN_FOR_FILE_CHANGE ({ commit, state, rootState }) {
     ipcRenderer.on('AGANI::update-file', (e, { type, change }) => {
       // TODO: Set `isSaved` to false.
       // TODO: A new "changed" notification from different files overwrite the old notification - the old notification disappears.
       if (type === 'unlink') {
         return notice.notify({
-          title: 'File Removed on Disk',
-          message: `${change.pathname} has been removed or moved to other place`,
+          title: t('notification.fileRemoved.title'),
+          message: t('notification.fileRemoved.message', { pathname: change.pathname }),
           type: 'warning',
           time: 0,
           showConfirm: false
         })
       } else {
         const { autoSave } = rootState.preferences
-        const { windowActive } = rootState
         const { filename } = change.data
-        if (windowActive) return
-        if (autoSave) {
+
+        // Reload documents that were changed by "Replace in Folder" if there are no unsaved changes.
+        if (replacedDocuments.has(change.pathname)) {
+          replacedDocuments.delete(change.pathname)
+          const tab = state.tabs.find(f => f.pathname === change.pathname)
+          if (tab && tab.isSaved) {
+            commit('LOAD_CHANGE', change)
+          }
+          return
+        }
+
+        const tab = state.tabs.find(f => f.pathname === change.pathname)
+        if (!tab) return
+        const { markdown } = change.data
+        if (markdown === tab.markdown) {
+          // The document was saved by us or the change was already applied.
+          commit('SET_BASE_MARKDOWN', { pathname: change.pathname, markdown })
+        } else if (!tab.isSaved) {
+          mergeExternalChange(commit, tab, change)
+        } else if (autoSave) {
           commit('LOAD_CHANGE', change)
         } else {
           notice.clear()
           notice.notify({
-            title: 'File Changed on Disk',
-            message: `${filename} has been changed on disk, do you want to reload it?`,
+            title: t('notification.fileChanged.title'),
+            message: t('notification.fileChanged.reload', { filename }),
             showConfirm: true,
             time: 0
           })
             .then(() => {
-              commit('LOAD_CHANGE', change)
+              if (!state.tabs.includes(tab)) return
+              // The document may have been edited while the notification was shown.
+              if (tab.isSaved) {
+                commit('LOAD_CHANGE', change)
+              } else {
+                mergeExternalChange(commit, tab, change)
+              }
             })
         }
       }
     })
   },
 
+  RESOLVE_MERGE_CONFLICT ({ commit }, { pathname, regions, resolutions, baseMarkdown }) {
+    const markdown = getMergedMarkdown(regions, resolutions)
+    commit('MERGE_CHANGE', { pathname, markdown, baseMarkdown })
+  },
+
   ASK_FILE_WATCH ({ commit }, { pathname, watch }) {
     ipcRenderer.send('AGANI::file-watch', { pathname, watch })
   }
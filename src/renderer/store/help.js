@@ -12,7 +12,9 @@ export const defaultFileState = {
   pathname: '',
   filename: 'Untitled-1',
   markdown: '',
-  encoding: 'utf8', // Currently just "utf8" or "utf8bom"
+  // The document content when it was last loaded or saved, used to merge external changes.
+  baseMarkdown: '',
+  encoding: 'utf8', // "utf8", "utf8bom" or any other supported encoding like "utf16le" or "gbk"
   lineEnding: 'lf', // lf or crlf
   adjustLineEndingOnSave: false, // convert editor buffer (LF) to CRLF when saving
   history: {
@@ -20,6 +22,8 @@ export const defaultFileState = {
     index: -1
   },
   cursor: null,
+  // The scroll position of the editor.
+  scrollTop: 0,
   wordCount: {
     paragraph: 0,
     word: 0,
@@ -55,6 +59,7 @@ export const getFileStateFromData = data => {
   return Object.assign(fileState, {
     id,
     markdown,
+    baseMarkdown: markdown,
     filename,
     pathname,
     encoding,
@@ -100,6 +105,7 @@ export const getSingleFileState = ({ id = getUniqueId(), markdown, filename, pat
   return Object.assign(fileState, {
     id,
     markdown,
+    baseMarkdown: markdown,
     filename,
     pathname,
     encoding,
@@ -131,6 +137,7 @@ export const createDocumentState = (markdownDocument, id = getUniqueId()) => {
   return Object.assign(docState, {
     id,
     markdown,
+    baseMarkdown: markdown,
     filename,
     pathname,
     encoding,
@@ -11,6 +11,8 @@ import preferences from './preferences'
 import autoUpdates from './autoUpdates'
 import notification from './notification'
 import tweet from './tweet'
+import session from './session'
+import plugins from './plugins'
 
 Vue.use(Vuex)
 
@@ -56,12 +58,14 @@ const store = new Vuex.Store({
     autoUpdates,
     notification,
     tweet,
+    session,
     // have states
     project,
     aidou,
     preferences,
     editor,
-    layout
+    layout,
+    plugins
   }
 })
 
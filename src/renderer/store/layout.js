@@ -18,7 +18,7 @@ const mutations = {
     Object.assign(state, layout)
   },
   SET_SIDE_BAR_WIDTH (state, width) {
-    // TODO: Add side bar with to session (GH#732).
+    // The width is restored with the window session, new windows use the last width.
     localStorage.setItem('side-bar-width', Math.max(+width, 180))
     state.sideBarWidth = width
   }
@@ -27,6 +27,12 @@ const actions = {
     })
   },
 
+  LISTEN_FOR_FOLD_HEADINGS ({ commit }) {
+    ipcRenderer.on('AGANI::fold-headings', (e, { level }) => {
+      bus.$emit('fold-headings', level)
+    })
+  },
+
   LISTEN_FOR_ABOUT_DIALOG ({ commit }) {
     ipcRenderer.on('AGANI::about-dialog', e => {
       bus.$emit('aboutDialog')
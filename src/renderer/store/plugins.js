@@ -0,0 +1,130 @@
+import { ipcRenderer } from 'electron'
+import log from 'electron-log'
+import { t } from 'common/i18n'
+import { escapeHtml } from 'muya/lib/utils'
+import notice from '../services/notification'
+import { getCommand, getExportFormat, registerPlugin } from '../util/plugins'
+
+const NOTIFICATION_TYPES = ['primary', 'info', 'warning', 'error']
+
+const state = {
+  safeMode: false,
+  // plugins in the plugins folder, scripts are only run by the plugin hosts of editor windows
+  plugins: [],
+  // whether the plugin hosts of this window loaded the plugins
+  loaded: false,
+  // side bar panels of the plugins that were loaded by this window
+  sidebarPanels: []
+}
+
+const getters = {}
+
+const mutations = {
+  SET_PLUGINS (state, { safeMode, plugins }) {
+    state.safeMode = safeMode
+    state.plugins = plugins
+  },
+  SET_PLUGINS_LOADED (state, loaded) {
+    state.loaded = loaded
+  },
+  SET_PLUGIN_SIDEBAR_PANELS (state, panels) {
+    state.sidebarPanels = panels
+  }
+}
+
+const notifyError = (title, err) => {
+  log.error(err)
+  notice.notify({
+    title,
+    type: 'error',
+    message: err.message
+  })
+}
+
+const actions = {
+  // The editor is created after the plugins are loaded, so syntax plugins are added before.
+  LOAD_PLUGINS ({ commit, rootState }) {
+    ipcRenderer.once('mt::plugins-loaded', (e, { results, ...pluginState }) => {
+      commit('SET_PLUGINS', pluginState)
+
+      const editor = {
+        getDocument: () => {
+          const { markdown = '', pathname = '', filename = '' } = rootState.editor.currentFile
+          return { markdown, pathname, filename }
+        }
+      }
+      const sidebarPanels = []
+      for (const result of results) {
+        const plugin = pluginState.plugins.find(p => p.id === result.id)
+        if (!plugin) {
+          continue
+        }
+        try {
+          registerPlugin(plugin, result, editor)
+          sidebarPanels.push(...plugin.contributes.sidebarPanels)
+        } catch (err) {
+          notifyError(t('plugins.loadError', { name: plugin.name }), err)
+        }
+      }
+      commit('SET_PLUGIN_SIDEBAR_PANELS', sidebarPanels)
+      commit('SET_PLUGINS_LOADED', true)
+    })
+    ipcRenderer.send('mt::load-plugins')
+  },
+
+  LISTEN_FOR_PLUGINS ({ commit }) {
+    ipcRenderer.on('mt::plugins', (e, pluginState) => {
+      commit('SET_PLUGINS', pluginState)
+    })
+  },
+
+  LISTEN_FOR_PLUGIN_NOTIFICATION () {
+    ipcRenderer.on('mt::plugin-notify', (e, { title, message, type }) => {
+      notice.notify({
+        title: escapeHtml(title),
+        message: escapeHtml(message),
+        type: NOTIFICATION_TYPES.includes(type) ? type : 'info'
+      })
+    })
+  },
+
+  ASK_FOR_PLUGINS () {
+    ipcRenderer.send('mt::ask-for-plugins')
+  },
+
+  LISTEN_FOR_PLUGIN_COMMAND () {
+    ipcRenderer.on('mt::plugin-command', async (e, { command }) => {
+      const handler = getCommand(command)
+      if (!handler) {
+        log.warn(`No handler for plugin command "${command}", the plugin is not loaded in this window.`)
+        return
+      }
+      try {
+        await handler()
+      } catch (err) {
+        notifyError(t('plugins.commandError'), err)
+      }
+    })
+  },
+
+  LISTEN_FOR_PLUGIN_EXPORT ({ rootState }) {
+    ipcRenderer.on('mt::plugin-export', async (e, { format }) => {
+      const { markdown = '', pathname = '' } = rootState.editor.currentFile
+      try {
+        const exporter = getExportFormat(format)
+        if (!exporter) {
+          throw new Error(t('plugins.formatNotLoaded'))
+        }
+        const content = await exporter()
+        if (typeof content !== 'string') {
+          throw new Error(t('plugins.invalidExport'))
+        }
+        ipcRenderer.send('mt::save-plugin-export', { format, content, pathname, markdown })
+      } catch (err) {
+        notifyError(t('plugins.exportError'), err)
+      }
+    })
+  }
+}
+
+export default { state, getters, mutations, actions }
@@ -1,10 +1,13 @@
 import { ipcRenderer } from 'electron'
+import { setLocale } from 'common/i18n'
+import { setUserThemes } from '../util/theme'
 import { getOptionsFromState } from './help'
 
 // user preference
 const state = {
   autoSave: true,
   autoSaveDelay: 3000,
+  backupOnSave: false,
   titleBarStyle: 'csd',
   openFilesInNewWindow: false,
   aidou: true,
@@ -23,6 +26,8 @@ const state = {
   endOfLine: 'default',
   textDirection: 'ltr',
   hideQuickInsertHint: false,
+  spellcheckerEnabled: false,
+  spellcheckerLanguage: 'en-US',
   imageDropAction: 'folder',
 
   preferLooseListItem: true,
@@ -31,12 +36,40 @@ const state = {
   preferHeadingStyle: 'atx',
   tabSize: 4,
   listIndentation: 1,
+  mathPreamble: '',
+
+  imageUploader: 'http',
+  imageUploaderHttp: {
+    url: 'https://sm.ms/api/upload',
+    fieldName: 'smfile',
+    headers: {},
+    urlPath: 'data.url',
+    deletionUrlPath: 'data.delete'
+  },
+  imageUploaderS3: {
+    endpoint: '',
+    region: 'us-east-1',
+    bucket: '',
+    accessKeyId: '',
+    secretAccessKey: '',
+    pathStyle: false,
+    pathPrefix: '',
+    acl: 'public-read',
+    publicUrl: ''
+  },
+  imageUploaderCommand: '',
 
   theme: 'light',
+
+  disabledPlugins: [],
   // edit modes (they are not in preference.md, but still put them here)
   typewriter: false, // typewriter mode
   focus: false, // focus mode
-  sourceCode: false // source code mode
+  sourceCode: false, // source code mode
+  splitView: false, // source code and editor side by side
+
+  // themes from the user data directory (not a preference)
+  userThemes: []
 }
 
 const getters = {}
@@ -51,6 +84,9 @@ const mutations = {
   },
   SET_MODE (state, { type, checked }) {
     state[type] = checked
+  },
+  SET_USER_THEMES (state, themes) {
+    state.userThemes = themes
   }
 }
 
@@ -59,8 +95,11 @@ const actions = {
     ipcRenderer.send('mt::ask-for-user-preference')
 
     ipcRenderer.on('AGANI::user-preference', (e, preference) => {
-      const { autoSave } = preference
+      const { autoSave, language } = preference
       commit('SET_USER_PREFERENCE', preference)
+      if (language) {
+        setLocale(language)
+      }
 
       // handle autoSave @todo
       if (autoSave) {
@@ -86,6 +125,15 @@ const actions = {
     })
   },
 
+  // The main process sends the themes again when a theme was changed.
+  LISTEN_FOR_USER_THEMES ({ commit }) {
+    ipcRenderer.send('mt::ask-for-user-themes')
+    ipcRenderer.on('mt::user-themes', (e, themes) => {
+      setUserThemes(themes)
+      commit('SET_USER_THEMES', themes)
+    })
+  },
+
   SET_SINGLE_PREFERENCE ({ commit }, { type, value }) {
     // commit('SET_USER_PREFERENCE', { [type]: value })
     // save to electron-store
@@ -5,7 +5,10 @@ import bus from '../bus'
 import { create, paste, rename } from '../util/fileSystem'
 import { PATH_SEPARATOR } from '../config'
 import notice from '../services/notification'
-import { getFileStateFromData } from './help'
+import { getDocumentMetadata } from 'common/documentMetadata'
+import { findWikiLinks, getNoteName, isLinkTo, resolveWikiLink } from 'common/wikiLink'
+import { extractTags, findTagOccurrences, isValidTagName } from 'common/tags'
+import { t } from 'common/i18n'
 
 const state = {
   activeItem: {},
@@ -14,7 +17,62 @@ const state = {
   newFileNameCache: '',
   renameCache: null,
   clipboard: null,
-  projectTree: null
+  projectTree: null,
+  // Result of the full-text search in the opened folder.
+  searchResult: {
+    results: [],
+    error: ''
+  },
+  // Only files with this tag are listed if set.
+  tagFilter: ''
+}
+
+// Id of the last search request, responses of older requests are discarded.
+let searchRequestId = 0
+
+// Maximum number of note names that are suggested for a wiki link.
+const MAX_WIKI_LINK_SUGGESTIONS = 20
+
+/**
+ * Returns all documents of the opened folder that contain wiki links to the
+ * given document. Unsaved documents are searched instead of the metadata of the
+ * content on disk.
+ *
+ * @param {Array} fileList All markdown files of the opened folder.
+ * @param {Array} tabs The opened tabs.
+ * @param {string} pathname The document path.
+ * @returns {{pathname: string, links: IWikiLink[]}[]}
+ */
+const getBacklinks = (fileList, tabs, pathname) => {
+  const name = getNoteName(pathname)
+  const unsavedTabs = tabs.filter(tab => tab.pathname && tab.pathname !== pathname && !tab.isSaved)
+  return fileList
+    .filter(file => file.pathname !== pathname && file.metadata)
+    .map(file => {
+      const tab = unsavedTabs.find(t => t.pathname === file.pathname)
+      const links = (tab ? findWikiLinks(tab.markdown) : file.metadata.links)
+        .filter(link => isLinkTo(link.target, name))
+      return { pathname: file.pathname, links }
+    })
+    .filter(({ links }) => links.length)
+}
+
+/**
+ * Returns the tags of all documents of the opened folder. The tags of unsaved
+ * documents are extracted from the unsaved content.
+ *
+ * @param {Array} fileList All markdown files of the opened folder.
+ * @param {Array} tabs The opened tabs.
+ * @returns {{file: Object, tags: string[]}[]}
+ */
+const getFileTags = (fileList, tabs) => {
+  const unsavedTabs = tabs.filter(tab => tab.pathname && !tab.isSaved)
+  return fileList
+    .filter(file => file.metadata)
+    .map(file => {
+      const tab = unsavedTabs.find(t => t.pathname === file.pathname)
+      return { file, tags: tab ? extractTags(tab.markdown) : file.metadata.tags }
+    })
 }
 
 const getters = {
@@ -31,6 +89,41 @@ const getters = {
     files.sort((f1, f2) => f1.name.localeCompare(f2.name))
 
     return files
+  },
+
+  // Documents that contain wiki links to the current document.
+  backlinks: (state, getters, rootState) => {
+    const { pathname } = rootState.editor.currentFile
+    if (!pathname || !state.projectTree) {
+      return []
+    }
+    return getBacklinks(getters.fileList, rootState.editor.tabs, pathname)
+  },
+
+  fileTags: (state, getters, rootState) => {
+    return getFileTags(getters.fileList, rootState.editor.tabs)
+  },
+
+  // All tags of the opened folder and the number of documents per tag.
+  tags: (state, getters) => {
+    const counts = new Map()
+    for (const { tags } of getters.fileTags) {
+      tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1))
+    }
+    return Array.from(counts, ([name, count]) => ({ name, count }))
+      .sort((t1, t2) => t1.name.localeCompare(t2.name))
+  },
+
+  // Markdown files of the opened folder that match the tag filter.
+  filteredFileList: (state, getters) => {
+    const { tagFilter } = state
+    if (!tagFilter) {
+      return getters.fileList
+    }
+    return getters.fileTags
+      // Nested tags like `a/b` are listed for `a` too.
+      .filter(({ tags }) => tags.some(tag => tag === tagFilter || tag.startsWith(`${tagFilter}/`)))
+      .map(({ file }) => file)
   }
 }
 
@@ -53,6 +146,7 @@ const mutations = {
       folders: [],
       files: []
     }
+    state.tagFilter = ''
   },
   SET_NEWFILENAME (state, name) {
     state.newFileNameCache = name
@@ -89,13 +183,36 @@ const mutations = {
   SET_RENAME_CACHE (state, cache) {
     state.renameCache = cache
   },
+  SET_TAG_FILTER (state, tag) {
+    state.tagFilter = tag
+  },
+  SET_SEARCH_RESULT (state, { results, error }) {
+    state.searchResult = {
+      results: results || [],
+      error: error || ''
+    }
+  },
+  // Remove the given matches (e.g. because they were replaced) from the search result.
+  REMOVE_SEARCH_MATCHES (state, files) {
+    const removedMatches = new Set()
+    for (const { matches } of files) {
+      if (matches) {
+        matches.forEach(match => removedMatches.add(match))
+      }
+    }
+    state.searchResult.results = state.searchResult.results
+      .map(({ pathname, matches }) => {
+        return { pathname, matches: matches.filter(match => !removedMatches.has(match)) }
+      })
+      .filter(({ matches }) => matches.length)
+  },
   UPDATE_PROJECT_CONTENT (state, { markdown, pathname }) {
     if (!state.projectTree) return
     const travel = folder => {
       folder.files.filter(file => file.isMarkdown)
         .forEach(file => {
           if (file.pathname === pathname) {
-            file.data.markdown = markdown
+            file.metadata = getDocumentMetadata(markdown)
           }
         })
       for (const childFolder of folder.folders) {
@@ -126,11 +243,10 @@ const actions = {
     ipcRenderer.on('AGANI::update-object-tree', (e, { type, change }) => {
       switch (type) {
         case 'add': {
-          const { pathname, data, isMarkdown } = change
+          const { pathname, isMarkdown } = change
           commit('ADD_FILE', change)
           if (isMarkdown && state.newFileNameCache && pathname === state.newFileNameCache) {
-            const fileState = getFileStateFromData(data)
-            dispatch('UPDATE_CURRENT_FILE', fileState)
+            dispatch('OPEN_PROJECT_FILE', { pathname })
             commit('SET_NEWFILENAME', '')
           }
           break
@@ -156,6 +272,60 @@ const actions = {
       }
     })
   },
+  // Search the opened folder via the search index in the main process.
+  SEARCH_IN_FOLDER ({ commit, rootState }, { query, options }) {
+    const id = ++searchRequestId
+    if (!query) {
+      commit('SET_SEARCH_RESULT', {})
+      return
+    }
+
+    // Search the content of unsaved documents instead of the content on disk.
+    const documents = rootState.editor.tabs
+      .filter(tab => tab.pathname && !tab.isSaved)
+      .map(({ pathname, markdown }) => ({ pathname, markdown }))
+    ipcRenderer.send('mt::search-in-folder', { id, query, options, documents })
+  },
+  LISTEN_FOR_SEARCH_IN_FOLDER ({ commit }) {
+    ipcRenderer.on('mt::search-in-folder-response', (e, { id, results, error }) => {
+      if (id === searchRequestId) {
+        commit('SET_SEARCH_RESULT', { results, error })
+      }
+    })
+  },
+  // Suggest note names of the opened folder for the wiki link target.
+  ASK_FOR_WIKI_LINK_AUTO_COMPLETE ({ getters }, target) {
+    const query = target.toLowerCase()
+    const names = Array.from(new Set(getters.fileList.map(file => getNoteName(file.pathname))))
+      .filter(name => name.toLowerCase().includes(query))
+      // Names that start with the target first.
+      .sort((a, b) => Number(!a.toLowerCase().startsWith(query)) - Number(!b.toLowerCase().startsWith(query)))
+      .slice(0, MAX_WIKI_LINK_SUGGESTIONS)
+
+    // Don't suggest anything if the target is already complete.
+    if (names.length === 1 && names[0] === target) {
+      names.pop()
+    }
+    bus.$emit('wiki-link-auto-complete', names)
+  },
+  OPEN_WIKI_LINK ({ dispatch, getters, rootState }, target) {
+    const file = resolveWikiLink(target, getters.fileList)
+    if (!file) {
+      notice.notify({
+        title: t('notification.wikiLink.title'),
+        type: 'warning',
+        message: t('notification.wikiLink.notFound', { target })
+      })
+      return
+    }
+
+    const tab = rootState.editor.tabs.find(t => t.pathname === file.pathname)
+    if (tab) {
+      dispatch('UPDATE_CURRENT_FILE', tab)
+    } else {
+      dispatch('OPEN_FILE_AT_POSITION', { pathname: file.pathname, line: 0, ch: 0 })
+    }
+  },
   CHANGE_ACTIVE_ITEM ({ commit }, activeItem) {
     commit('SET_ACTIVE_ITEM', activeItem)
   },
@@ -196,7 +366,7 @@ const actions = {
           })
           .catch(err => {
             notice.notify({
-              title: 'Paste Error',
+              title: t('notification.sideBar.pasteError'),
               type: 'error',
               message: err.message
             })
@@ -222,21 +392,114 @@ const actions = {
       })
       .catch(err => {
         notice.notify({
-          title: 'Error in Side Bar',
+          title: t('notification.sideBar.error'),
           type: 'error',
           message: err.message
         })
       })
   },
 
-  RENAME_IN_SIDEBAR ({ commit, state }, name) {
+  RENAME_IN_SIDEBAR ({ commit, dispatch, state, getters, rootState }, name) {
     const src = state.renameCache
     const dirname = path.dirname(src)
     const dest = dirname + PATH_SEPARATOR + name
+
+    // Find wiki links to the renamed document before the project tree is updated.
+    const oldName = getNoteName(src)
+    const newName = getNoteName(dest)
+    const isNote = getters.fileList.some(file => file.pathname === src)
+    const files = !isNote || oldName === newName
+      ? []
+      : getBacklinks(getters.fileList, rootState.editor.tabs, src)
+        .map(({ pathname, links }) => {
+          // Only the note name of the target is replaced, so targets like "name.md" are kept.
+          const matches = links
+            .filter(({ target }) => target.substring(0, oldName.length).toLowerCase() === oldName.toLowerCase())
+            .map(({ line, ch }) => ({ line, ch, length: oldName.length + 2 }))
+          return { pathname, matches }
+        })
+        .filter(({ matches }) => matches.length)
+
     rename(src, dest)
       .then(() => {
         commit('RENAME_IF_NEEDED', { src, dest })
+        if (!files.length) {
+          return
+        }
+
+        const count = files.reduce((sum, { matches }) => sum + matches.length, 0)
+        const documents = t('notification.updateWikiLinks.documents', { count: files.length })
+        notice.notify({
+          title: t('notification.updateWikiLinks.title'),
+          type: 'primary',
+          message: t('notification.updateWikiLinks.message', { count, name: oldName, documents }),
+          time: 20000,
+          showConfirm: true
+        })
+          .then(() => {
+            dispatch('REPLACE_IN_FOLDER', {
+              query: `[[${oldName}`,
+              options: { isRegexp: false, isCaseSensitive: false, isWholeWord: false },
+              replacement: `[[${newName}`,
+              files
+            })
+          })
+      })
+      .catch(err => {
+        // The destination may exist already, links are only updated after a successful rename.
+        notice.notify({
+          title: t('notification.sideBar.error'),
+          type: 'error',
+          message: err.message
+        })
       })
+  },
+
+  // Show the documents with the given tag in the tag browser.
+  SHOW_TAG ({ commit, dispatch }, tag) {
+    commit('SET_TAG_FILTER', tag)
+    commit('SET_LAYOUT', {
+      rightColumn: 'tags',
+      showSideBar: true
+    })
+    dispatch('SET_LAYOUT_MENU_ITEM')
+  },
+
+  // Rename the tag and its nested tags in all documents of the opened folder.
+  RENAME_TAG ({ commit, dispatch, state, getters, rootState }, { tag, name }) {
+    if (tag === name) {
+      return
+    } else if (!isValidTagName(name)) {
+      notice.notify({
+        title: t('notification.renameTag.title'),
+        type: 'error',
+        message: t('notification.renameTag.invalidName', { name })
+      })
+      return
+    }
+
+    // The occurrences of documents on disk are found by the main process.
+    const { tabs } = rootState.editor
+    const files = getters.fileTags
+      .filter(({ tags }) => tags.some(t => t === tag || t.startsWith(`${tag}/`)))
+      .map(({ file }) => {
+        const tab = tabs.find(t => t.pathname === file.pathname && !t.isSaved)
+        return { pathname: file.pathname, matches: tab ? findTagOccurrences(tab.markdown, tag) : null }
+      })
+      .filter(({ matches }) => !matches || matches.length)
+    if (!files.length) {
+      return
+    }
+    if (state.tagFilter === tag) {
+      commit('SET_TAG_FILTER', name)
+    }
+    dispatch('REPLACE_IN_FOLDER', {
+      query: tag,
+      options: { isRegexp: false, isCaseSensitive: true, isWholeWord: false },
+      replacement: name,
+      files,
+      isTagRename: true
+    })
   }
 }
 
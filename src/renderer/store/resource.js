@@ -1,5 +1,5 @@
 import axios from 'axios'
-import { serialize, merge, dataURItoBlob } from '../util'
+import { serialize, merge } from '../util'
 
 const CONFIG = {
   SOGOU: {
@@ -43,19 +43,6 @@ const resource = {
         reader.onerror = reject
         reader.readAsDataURL(data)
       }))
-  },
-  sm (base64) {
-    const api = 'https://sm.ms/api/upload'
-    const data = new window.FormData()
-    data.append('smfile', dataURItoBlob(base64, 'temp.png'))
-    return axios.post(api, data).then(({ data }) => {
-      const { data: res } = data
-      return {
-        url: res.url,
-        err: '',
-        server: 'sm'
-      }
-    })
   }
 }
 
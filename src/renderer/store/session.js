@@ -0,0 +1,57 @@
+import { ipcRenderer } from 'electron'
+import { getOptionsFromState } from './help'
+
+// Wait until the user stopped typing or scrolling before sending the session.
+const UPDATE_DELAY = 500
+
+let updateTimer = null
+
+// Returns the opened documents of all editor groups in tab order.
+const getOpenedDocuments = groups => {
+  const documents = []
+  for (const { tabs } of groups) {
+    for (const file of tabs) {
+      if (!documents.includes(file)) {
+        documents.push(file)
+      }
+    }
+  }
+  return documents
+}
+
+const getters = {
+  // The window state that is restored by the main process (see `IWindowSession`).
+  sessionState (state, getters, rootState) {
+    const { editor, layout, project } = rootState
+    // Saved untitled documents are empty and not restored.
+    const documents = getOpenedDocuments(editor.groups).filter(file => file.pathname || !file.isSaved)
+    const { rightColumn, showSideBar, showTabBar, sideBarWidth } = layout
+    return {
+      projectPath: project.projectTree ? project.projectTree.pathname : '',
+      tabs: documents.map(file => {
+        const { pathname, filename, isSaved, cursor, scrollTop } = file
+        return {
+          pathname,
+          filename,
+          markdown: isSaved ? null : file.markdown,
+          options: getOptionsFromState(file),
+          cursor,
+          scrollTop
+        }
+      }),
+      activeIndex: documents.indexOf(editor.currentFile),
+      layout: { rightColumn, showSideBar, showTabBar, sideBarWidth }
+    }
+  }
+}
+
+const actions = {
+  UPDATE_SESSION ({ getters }) {
+    clearTimeout(updateTimer)
+    updateTimer = setTimeout(() => {
+      ipcRenderer.send('mt::update-session', getters.sessionState)
+    }, UPDATE_DELAY)
+  }
+}
+
+export default { getters, actions }
@@ -134,7 +134,7 @@ export const unlinkFile = (tree, file) => {
  * @param {*} file The file that was changed
  */
 export const changeFile = (tree, file) => {
-  const { pathname, data } = file
+  const { pathname, mtime, metadata } = file
   const dirname = path.dirname(pathname)
   const subDirectories = getSubdirectoriesFromRoot(tree.pathname, dirname)
 
@@ -149,7 +149,7 @@ export const changeFile = (tree, file) => {
 
   const index = currentFolder.files.findIndex(f => f.pathname === pathname)
   if (index !== -1) {
-    currentFolder.files[index].data = data
+    Object.assign(currentFolder.files[index], { mtime, metadata })
   }
 }
 
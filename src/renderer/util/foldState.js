@@ -0,0 +1,43 @@
+// The folded headings of recently used documents are kept in the local storage.
+const FOLD_STATE = 'FOLD_STATE'
+const MAX_FOLD_STATE_LENGTH = 100
+
+const getFoldStates = () => {
+  try {
+    const data = localStorage.getItem(FOLD_STATE)
+    return data ? JSON.parse(data) : []
+  } catch (err) {
+    return []
+  }
+}
+
+/**
+ * Save the folded headings of the given document.
+ *
+ * @param {string} pathname The document path.
+ * @param {{lvl: number, content: string}[]} headings The folded headings from Muya.
+ */
+export const saveFoldState = (pathname, headings) => {
+  if (!pathname) {
+    return
+  }
+  const states = getFoldStates().filter(state => state.pathname !== pathname)
+  if (headings.length) {
+    states.unshift({ pathname, headings })
+  }
+  localStorage.setItem(FOLD_STATE, JSON.stringify(states.slice(0, MAX_FOLD_STATE_LENGTH)))
+}
+
+/**
+ * Load the folded headings of the given document.
+ *
+ * @param {string} pathname The document path.
+ * @returns {{lvl: number, content: string}[]}
+ */
+export const loadFoldState = pathname => {
+  if (!pathname) {
+    return []
+  }
+  const state = getFoldStates().find(state => state.pathname === pathname)
+  return state ? state.headings : []
+}
@@ -0,0 +1,213 @@
+// Give up to find the shortest edit script for very different documents and treat the
+// differing lines as a single change.
+const MAX_EDIT_LENGTH = 2000
+
+/**
+ * A range of lines that differs between the base and a changed version.
+ *
+ * @typedef {Object} IDiffHunk
+ * @property {number} baseStart The first base line.
+ * @property {number} baseLength The number of changed base lines.
+ * @property {number} start The first line of the changed version.
+ * @property {number} length The number of lines in the changed version.
+ */
+
+/**
+ * A region of the merged document, either lines that are taken without conflict or
+ * a conflict between the local and remote changes.
+ *
+ * @typedef {Object} IMergeRegion
+ * @property {boolean} conflict Whether the local and remote changes overlap.
+ * @property {string[]} [lines] The merged lines if there is no conflict.
+ * @property {string[]} [base] The base lines of the conflict.
+ * @property {string[]} [local] The local lines of the conflict.
+ * @property {string[]} [remote] The remote lines of the conflict.
+ */
+
+// Myers' O(ND) difference algorithm, returns the matching line pairs or null if the
+// edit script is longer than `MAX_EDIT_LENGTH`.
+const findMatches = (a, b) => {
+  const n = a.length
+  const m = b.length
+  const max = Math.min(n + m, MAX_EDIT_LENGTH)
+  const offset = max + 1
+  const v = new Array(2 * max + 3).fill(0)
+  const trace = []
+  for (let d = 0; d <= max; d++) {
+    trace.push(v.slice())
+    for (let k = -d; k <= d; k += 2) {
+      let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1
+      let y = x - k
+      while (x < n && y < m && a[x] === b[y]) {
+        x++
+        y++
+      }
+      v[offset + k] = x
+      if (x >= n && y >= m) {
+        return backtrack(trace, offset, n, m, d)
+      }
+    }
+  }
+  return null
+}
+
+const backtrack = (trace, offset, n, m, length) => {
+  const matches = []
+  let x = n
+  let y = m
+  for (let d = length; d > 0; d--) {
+    const v = trace[d]
+    const k = x - y
+    const prevK = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]) ? k + 1 : k - 1
+    const prevX = v[offset + prevK]
+    const prevY = prevX - prevK
+    while (x > prevX && y > prevY) {
+      matches.push([--x, --y])
+    }
+    x = prevX
+    y = prevY
+  }
+  while (x > 0 && y > 0) {
+    matches.push([--x, --y])
+  }
+  return matches.reverse()
+}
+
+/**
+ * Returns the changed line ranges between the base and the changed lines.
+ *
+ * @param {string[]} base The base lines.
+ * @param {string[]} lines The changed lines.
+ * @returns {IDiffHunk[]}
+ */
+export const diffLines = (base, lines) => {
+  // Most changes are small, so compare only the lines between the common prefix and suffix.
+  let prefix = 0
+  while (prefix < base.length && prefix < lines.length && base[prefix] === lines[prefix]) {
+    prefix++
+  }
+  let suffix = 0
+  while (suffix < base.length - prefix && suffix < lines.length - prefix &&
+    base[base.length - suffix - 1] === lines[lines.length - suffix - 1]) {
+    suffix++
+  }
+
+  const a = base.slice(prefix, base.length - suffix)
+  const b = lines.slice(prefix, lines.length - suffix)
+  const matches = findMatches(a, b) || []
+  matches.push([a.length, b.length])
+
+  const hunks = []
+  let i = 0
+  let j = 0
+  for (const [matchA, matchB] of matches) {
+    if (matchA > i || matchB > j) {
+      hunks.push({
+        baseStart: prefix + i,
+        baseLength: matchA - i,
+        start: prefix + j,
+        length: matchB - j
+      })
+    }
+    i = matchA + 1
+    j = matchB + 1
+  }
+  return hunks
+}
+
+// Returns the lines of the changed version that replace the base lines from `start` to `end`.
+const getChangedLines = (lines, hunks, start, end) => {
+  if (hunks.length === 0) {
+    return null
+  }
+  const first = hunks[0]
+  const last = hunks[hunks.length - 1]
+  const from = first.start - (first.baseStart - start)
+  const to = last.start + last.length + (end - last.baseStart - last.baseLength)
+  return lines.slice(from, to)
+}
+
+const isSameLines = (a, b) => a.length === b.length && a.every((line, i) => line === b[i])
+
+/**
+ * Three-way merge of the local and remote changes to the base document. Changes that
+ * overlap or touch each other are conflicts unless both sides made the same change.
+ *
+ * @param {string} base The document that both versions are based on.
+ * @param {string} local The local version.
+ * @param {string} remote The remote version.
+ * @returns {IMergeRegion[]}
+ */
+export const merge3 = (base, local, remote) => {
+  const baseLines = base.split('\n')
+  const localLines = local.split('\n')
+  const remoteLines = remote.split('\n')
+  const hunks = [
+    ...diffLines(baseLines, localLines).map(hunk => Object.assign(hunk, { isLocal: true })),
+    ...diffLines(baseLines, remoteLines).map(hunk => Object.assign(hunk, { isLocal: false }))
+  ].sort((a, b) => a.baseStart - b.baseStart)
+
+  const regions = []
+  const pushLines = lines => {
+    const last = regions[regions.length - 1]
+    if (last && !last.conflict) {
+      last.lines.push(...lines)
+    } else if (lines.length) {
+      regions.push({ conflict: false, lines })
+    }
+  }
+
+  let offset = 0
+  let i = 0
+  while (i < hunks.length) {
+    const start = hunks[i].baseStart
+    let end = start + hunks[i].baseLength
+    const group = [ hunks[i++] ]
+    while (i < hunks.length && hunks[i].baseStart <= end) {
+      end = Math.max(end, hunks[i].baseStart + hunks[i].baseLength)
+      group.push(hunks[i++])
+    }
+
+    pushLines(baseLines.slice(offset, start))
+    const baseRange = baseLines.slice(start, end)
+    const localRange = getChangedLines(localLines, group.filter(hunk => hunk.isLocal), start, end)
+    const remoteRange = getChangedLines(remoteLines, group.filter(hunk => !hunk.isLocal), start, end)
+    if (!localRange || !remoteRange || isSameLines(localRange, remoteRange)) {
+      pushLines(localRange || remoteRange)
+    } else {
+      regions.push({ conflict: true, base: baseRange, local: localRange, remote: remoteRange })
+    }
+    offset = end
+  }
+  pushLines(baseLines.slice(offset))
+  return regions
+}
+
+/**
+ * Returns the merged document.
+ *
+ * @param {IMergeRegion[]} regions The merge regions.
+ * @param {string[]} [resolutions] The resolution of each conflict: `local`, `remote` or `both`,
+ *                                 default is `local`.
+ * @returns {string}
+ */
+export const getMergedMarkdown = (regions, resolutions = []) => {
+  const lines = []
+  let index = 0
+  for (const region of regions) {
+    if (!region.conflict) {
+      lines.push(...region.lines)
+      continue
+    }
+    const resolution = resolutions[index++] || 'local'
+    if (resolution !== 'remote') {
+      lines.push(...region.local)
+    }
+    if (resolution !== 'local') {
+      lines.push(...region.remote)
+    }
+  }
+  return lines.join('\n')
+}
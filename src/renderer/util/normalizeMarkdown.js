@@ -0,0 +1,86 @@
+import ContentState from 'muya/lib/contentState'
+import EventCenter from 'muya/lib/eventHandler/event'
+import ExportMarkdown from 'muya/lib/utils/exportMarkdown'
+import { MUYA_DEFAULT_OPTION } from 'muya/lib/config'
+
+const BULLET_LIST_MARKERS = ['-', '*', '+']
+
+const markdownToBlocks = markdown => {
+  const muya = {}
+  muya.options = Object.assign({}, MUYA_DEFAULT_OPTION)
+  muya.eventCenter = new EventCenter()
+  muya.contentState = new ContentState(muya, muya.options)
+  return muya.contentState.markdownToState(markdown)
+}
+
+const normalizeHeading = (block, preferHeadingStyle) => {
+  const { headingStyle } = block
+  const depth = +block.type.substring(1)
+  const content = block.children[0]
+  if (headingStyle === preferHeadingStyle) {
+    return
+  }
+
+  if (preferHeadingStyle === 'atx') {
+    const text = content.text.trim().split('\n').map(line => line.trim()).join(' ')
+    block.headingStyle = 'atx'
+    delete block.marker
+    content.text = `${'#'.repeat(depth)} ${text}`
+    content.functionType = 'atxLine'
+  } else if (depth <= 2) {
+    // Setext headings only exist for the first two levels.
+    block.headingStyle = 'setext'
+    block.marker = depth === 1 ? '===' : '---'
+    content.text = content.text.replace(/^ {0,3}#{1,6}[ \t]*/, '')
+    content.functionType = 'paragraphContent'
+  }
+}
+
+const normalizeBlocks = (blocks, options) => {
+  const { bulletListMarker, preferHeadingStyle } = options
+  let prevBulletMarker = ''
+  for (const block of blocks) {
+    if (/^h[1-6]$/.test(block.type) && preferHeadingStyle) {
+      normalizeHeading(block, preferHeadingStyle)
+    }
+
+    if (block.type === 'ul' && bulletListMarker) {
+      // Two adjacent lists are only separate lists when their markers differ.
+      let marker = bulletListMarker
+      if (prevBulletMarker === marker) {
+        const { bulletMarkerOrDelimiter } = block.children[0]
+        marker = bulletMarkerOrDelimiter !== prevBulletMarker
+          ? bulletMarkerOrDelimiter
+          : BULLET_LIST_MARKERS.find(m => m !== prevBulletMarker)
+      }
+      block.children.forEach(item => (item.bulletMarkerOrDelimiter = marker))
+      prevBulletMarker = marker
+    } else {
+      prevBulletMarker = ''
+    }
+
+    if (block.children.length) {
+      normalizeBlocks(block.children, options)
+    }
+  }
+}
+
+/**
+ * Reformat the markdown document like the editor does when saving a document.
+ * Bullet list markers and headings are additionally converted when the
+ * corresponding option is given.
+ *
+ * @param {string} markdown The markdown document.
+ * @param {Object} options The formatting options.
+ * @param {string|number} options.listIndentation The list indentation (`dfm`, `tab` or 1-4).
+ * @param {string} [options.bulletListMarker] The preferred bullet list marker.
+ * @param {string} [options.preferHeadingStyle] The preferred heading style (`atx` or `setext`).
+ * @returns {string} The formatted markdown document.
+ */
+const normalizeMarkdown = (markdown, options) => {
+  const blocks = markdownToBlocks(markdown)
+  normalizeBlocks(blocks, options)
+  return new ExportMarkdown(blocks, options.listIndentation).generate()
+}
+
+export default normalizeMarkdown
@@ -0,0 +1,162 @@
+import { ipcRenderer } from 'electron'
+import Muya from 'muya/lib'
+import { CLASS_OR_ID, PREVIEW_DOMPURIFY_CONFIG } from 'muya/lib/config'
+import { escapeHtml, sanitize } from 'muya/lib/utils'
+
+const commands = new Map()
+const exportFormats = new Map()
+const sidebarPanels = new Map()
+
+// request id --> { resolve, reject }
+const pendingRequests = new Map()
+let requestId = 0
+
+const CLASS_NAME_REG = /^[a-zA-Z][\w-]*$/
+// Icons are shown as CSS background, so only plain image data URLs are allowed.
+const ICON_REG = /^data:image\/[\w.+-]+;base64,[\w+/=]+$/
+
+ipcRenderer.on('mt::plugin-response', (e, { requestId, result, error }) => {
+  const request = pendingRequests.get(requestId)
+  if (request) {
+    pendingRequests.delete(requestId)
+    if (error) {
+      request.reject(new Error(error))
+    } else {
+      request.resolve(result)
+    }
+  }
+})
+
+/**
+ * Send a request to the plugin host of the plugin, e.g. to run a command.
+ *
+ * @param {string} pluginId The plugin id.
+ * @param {string} type The request type.
+ * @param {Object} data The request data.
+ * @returns {Promise<*>} The result of the plugin.
+ */
+const request = (pluginId, type, data) => {
+  const id = ++requestId
+  return new Promise((resolve, reject) => {
+    pendingRequests.set(id, { resolve, reject })
+    ipcRenderer.send('mt::plugin-request', { requestId: id, pluginId, type, data })
+  })
+}
+
+const assertDeclared = (plugin, list, id, kind) => {
+  if (!list.some(item => item.id === id)) {
+    throw new Error(`The ${kind} "${id}" is not declared in the manifest of plugin "${plugin.id}".`)
+  }
+}
+
+/**
+ * Create the editor syntax plugin of a syntax plugin that was added in the plugin host.
+ * Inline syntaxes are rendered as span with the class name of the plugin and block
+ * previews are rendered by the plugin host.
+ */
+const createSyntaxPlugin = (pluginId, { name, inlines, blocks }) => {
+  return {
+    name,
+    inlines: inlines.map(({ type, source, flags, className }) => {
+      const hasClassName = CLASS_NAME_REG.test(className)
+      const selector = hasClassName ? `span.${className}` : 'span'
+      const syntax = {
+        type,
+        regex: new RegExp(source, flags),
+        render (h, cursor, block, token) {
+          const { start, end } = token.range
+          return [
+            h(`${selector}.${CLASS_OR_ID['AG_INLINE_RULE']}`, this.highlight(h, block, start, end, token))
+          ]
+        }
+      }
+      if (hasClassName) {
+        syntax.toHtml = token => `<span class="${className}">${escapeHtml(token.raw)}</span>`
+      }
+      return syntax
+    }),
+    blocks: blocks.map(({ type, label, lang, description, icon }) => {
+      const syntax = {
+        type,
+        render: code => request(pluginId, 'renderBlock', { type, code })
+      }
+      // Missing properties must not be set, so that the defaults of `registerSyntax` are used.
+      const properties = { label, lang, description }
+      for (const name of Object.keys(properties)) {
+        if (typeof properties[name] === 'string') {
+          syntax[name] = properties[name]
+        }
+      }
+      if (typeof icon === 'string' && ICON_REG.test(icon)) {
+        syntax.icon = icon
+      }
+      return syntax
+    })
+  }
+}
+
+/**
+ * Register the contributions of a plugin that was loaded by its plugin host. Plugin scripts
+ * never run in the editor window, every plugin runs in its own hidden window without Node.js
+ * integration and every contribution of this window sends a request to the plugin host.
+ *
+ * @param {IPlugin} plugin The plugin.
+ * @param {IPluginLoadResult} result The contributions that the plugin script registered.
+ * @param {{getDocument: () => {markdown: string, pathname: string, filename: string}}} editor
+ *        Access to the current document that is sent to the plugin host.
+ */
+export const registerPlugin = (plugin, result, editor) => {
+  if (result.error) {
+    throw new Error(result.error)
+  }
+
+  const { contributes } = plugin
+  for (const id of result.commands) {
+    assertDeclared(plugin, contributes.commands, id, 'command')
+  }
+  for (const id of result.sidebarPanels) {
+    assertDeclared(plugin, contributes.sidebarPanels, id, 'side bar panel')
+  }
+  for (const id of result.exportFormats) {
+    assertDeclared(plugin, contributes.exportFormats, id, 'export format')
+  }
+  // Syntax plugins may throw, e.g. if a syntax type is already used.
+  for (const syntaxPlugin of result.syntaxes) {
+    Muya.use(createSyntaxPlugin(plugin.id, syntaxPlugin))
+  }
+
+  for (const id of result.commands) {
+    commands.set(id, () => request(plugin.id, 'command', { id, document: editor.getDocument() }))
+  }
+  for (const id of result.sidebarPanels) {
+    sidebarPanels.set(id, {
+      render: async () => {
+        const html = await request(plugin.id, 'renderPanel', { id, document: editor.getDocument() })
+        return sanitize(html, PREVIEW_DOMPURIFY_CONFIG)
+      },
+      destroy: () => request(plugin.id, 'destroyPanel', { id })
+    })
+  }
+  for (const id of result.exportFormats) {
+    exportFormats.set(id, () => request(plugin.id, 'export', { id, document: editor.getDocument() }))
+  }
+}
+
+/**
+ * @param {string} id The command id.
+ * @returns {(() => Promise<void>)|undefined} The command handler.
+ */
+export const getCommand = id => commands.get(id)
+
+/**
+ * @param {string} id The export format id.
+ * @returns {(() => Promise<string|null>)|undefined} The exporter that returns the file content.
+ */
+export const getExportFormat = id => exportFormats.get(id)
+
+/**
+ * @param {string} id The side bar panel id.
+ * @returns {{render: () => Promise<string>, destroy: () => Promise<void>}|undefined} The panel, `render`
+ *          returns the sanitized HTML of the panel.
+ */
+export const getSidebarPanel = id => sidebarPanels.get(id)
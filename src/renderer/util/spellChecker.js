@@ -0,0 +1,235 @@
+import path from 'path'
+import fse from 'fs-extra'
+import log from 'electron-log'
+import NSpell from 'nspell'
+import loadEnglishDictionary from 'dictionary-en-us'
+import { isLinux } from './index'
+
+export const DEFAULT_LANGUAGE = 'en-US'
+
+// Words that are only correct within a project, one word per line in the project root.
+export const PROJECT_WORD_LIST = '.marktext-words'
+const USER_WORD_LIST = 'words.txt'
+
+// Hunspell dictionaries that are installed by the system package manager.
+const SYSTEM_DICTIONARY_PATHS = isLinux
+  ? ['/usr/share/hunspell', '/usr/share/myspell', '/usr/share/myspell/dicts']
+  : []
+
+// `en-US` <-> `en_US.dic`
+const toFilename = language => language.replace('-', '_')
+const toLanguage = filename => filename.replace('_', '-')
+
+const getDictionaryDirectories = () => {
+  const { dictionariesPath } = global.marktext.env.paths
+  return [dictionariesPath, ...SYSTEM_DICTIONARY_PATHS]
+}
+
+const loadBuiltinDictionary = () => {
+  return new Promise((resolve, reject) => {
+    loadEnglishDictionary((err, dictionary) => {
+      if (err) {
+        reject(err)
+      } else {
+        resolve(dictionary)
+      }
+    })
+  })
+}
+
+// Load the affix and dictionary file of a Hunspell dictionary.
+const loadDictionary = async language => {
+  const filename = toFilename(language)
+  for (const dir of getDictionaryDirectories()) {
+    const affPath = path.join(dir, `${filename}.aff`)
+    const dicPath = path.join(dir, `${filename}.dic`)
+    if (await fse.pathExists(affPath) && await fse.pathExists(dicPath)) {
+      const [aff, dic] = await Promise.all([fse.readFile(affPath), fse.readFile(dicPath)])
+      return { aff, dic }
+    }
+  }
+
+  if (language === DEFAULT_LANGUAGE) {
+    return loadBuiltinDictionary()
+  }
+  return null
+}
+
+const loadWordList = async pathname => {
+  try {
+    const content = await fse.readFile(pathname, 'utf8')
+    return content.split(/\r?\n/).map(word => word.trim()).filter(word => word)
+  } catch (err) {
+    if (err.code !== 'ENOENT') {
+      log.error(`Cannot read word list "${pathname}":`, err)
+    }
+    return []
+  }
+}
+
+const appendToWordList = (pathname, word) => {
+  return fse.outputFile(pathname, `${word}\n`, { flag: 'a' })
+}
+
+/**
+ * Returns the languages of all available Hunspell dictionaries.
+ *
+ * @returns {Promise<string[]>}
+ */
+export const getAvailableLanguages = async () => {
+  const languages = new Set([DEFAULT_LANGUAGE])
+  for (const dir of getDictionaryDirectories()) {
+    let filenames = []
+    try {
+      filenames = await fse.readdir(dir)
+    } catch (_) {
+      continue
+    }
+    for (const filename of filenames) {
+      const { name, ext } = path.parse(filename)
+      if (ext === '.dic' && filenames.includes(`${name}.aff`)) {
+        languages.add(toLanguage(name))
+      }
+    }
+  }
+  return Array.from(languages).sort()
+}
+
+/**
+ * Offline spell checker based on Hunspell dictionaries. Dictionaries are loaded from
+ * the `dictionaries` folder in the user data directory and on Linux from the system
+ * dictionary paths. English (United States) is always available.
+ */
+class SpellChecker {
+  constructor () {
+    this.language = ''
+    this.speller = null
+    this.userWords = new Set()
+    this.projectWords = new Set()
+    this.projectPath = ''
+    // Cache of already checked words because a word is checked every time a block is rendered.
+    this.cache = new Map()
+  }
+
+  get isReady () {
+    return !!this.speller
+  }
+
+  /**
+   * Load the dictionary of the given language and fall back to the default language.
+   *
+   * @param {string} language The language, e.g. `en-US`.
+   * @returns {Promise<boolean>} Whether the requested language was loaded.
+   */
+  async switchLanguage (language) {
+    if (this.speller && language === this.language) {
+      return true
+    }
+
+    let dictionary = null
+    try {
+      dictionary = await loadDictionary(language)
+    } catch (err) {
+      log.error(`Cannot load dictionary "${language}":`, err)
+    }
+
+    const loaded = !!dictionary
+    if (!dictionary && language !== DEFAULT_LANGUAGE) {
+      log.warn(`No dictionary found for "${language}", using "${DEFAULT_LANGUAGE}".`)
+      dictionary = await loadBuiltinDictionary()
+      language = DEFAULT_LANGUAGE
+    }
+
+    const { dictionariesPath } = global.marktext.env.paths
+    this.userWords = new Set(await loadWordList(path.join(dictionariesPath, USER_WORD_LIST)))
+    this.speller = new NSpell(dictionary)
+    this.language = language
+    this.cache.clear()
+    return loaded
+  }
+
+  /**
+   * Load the word list of the given project.
+   *
+   * @param {string} projectPath The project root directory or an empty string.
+   */
+  async setProjectPath (projectPath) {
+    if (projectPath === this.projectPath) {
+      return
+    }
+    this.projectPath = projectPath
+    this.projectWords = projectPath
+      ? new Set(await loadWordList(path.join(projectPath, PROJECT_WORD_LIST)))
+      : new Set()
+    this.cache.clear()
+  }
+
+  /**
+   * Whether the given word is not in the dictionary or in one of the word lists.
+   *
+   * @param {string} word The word to check.
+   */
+  isMisspelled (word) {
+    const { cache, speller } = this
+    if (!speller) {
+      return false
+    }
+    if (cache.has(word)) {
+      return cache.get(word)
+    }
+
+    const misspelled = !this._isCustomWord(word) && !speller.correct(word.replace(/’/g, "'"))
+    cache.set(word, misspelled)
+    return misspelled
+  }
+
+  /**
+   * Returns correction suggestions for the given word.
+   *
+   * @param {string} word The misspelled word.
+   * @param {number} [limit] The maximum number of suggestions.
+   * @returns {string[]}
+   */
+  getSuggestions (word, limit = 5) {
+    if (!this.speller) {
+      return []
+    }
+    return this.speller.suggest(word).slice(0, limit)
+  }
+
+  /**
+   * Add the word to the user dictionary that is used for all documents.
+   *
+   * @param {string} word The word to add.
+   */
+  addToDictionary (word) {
+    const { dictionariesPath } = global.marktext.env.paths
+    this.userWords.add(word)
+    this.cache.clear()
+    return appendToWordList(path.join(dictionariesPath, USER_WORD_LIST), word)
+  }
+
+  /**
+   * Add the word to the word list of the opened project.
+   *
+   * @param {string} word The word to add.
+   */
+  addToProjectWordList (word) {
+    const { projectPath } = this
+    if (!projectPath) {
+      return Promise.reject(new Error('No project is opened.'))
+    }
+    this.projectWords.add(word)
+    this.cache.clear()
+    return appendToWordList(path.join(projectPath, PROJECT_WORD_LIST), word)
+  }
+
+  _isCustomWord (word) {
+    const { userWords, projectWords } = this
+    const lowerCaseWord = word.toLowerCase()
+    return userWords.has(word) || projectWords.has(word) ||
+      userWords.has(lowerCaseWord) || projectWords.has(lowerCaseWord)
+  }
+}
+
+export default new SpellChecker()
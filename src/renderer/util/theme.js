@@ -1,4 +1,4 @@
-import { isLinux, THEME_STYLE_ID, COMMON_STYLE_ID, DEFAULT_CODE_FONT_FAMILY, oneDarkThemes, railscastsThemes } from '../config'
+import { isLinux, THEME_STYLE_ID, COMMON_STYLE_ID, DEFAULT_CODE_FONT_FAMILY } from '../config'
 import { dark, graphite, materialDark, oneDark, ulysses } from './themeColor'
 import elementStyle from 'element-ui/lib/theme-chalk/index.css'
 
@@ -45,10 +45,134 @@ const getThemeCluster = themeColor => {
   return clusters
 }
 
+// Built-in themes, user themes are loaded by the main process (see `main/themes`).
+const BUILTIN_THEMES = {
+  light: { dark: false, codeMirrorTheme: 'default', getCss: () => '' },
+  dark: { dark: true, codeMirrorTheme: 'railscasts', getCss: dark },
+  graphite: { dark: false, codeMirrorTheme: 'default', getCss: graphite },
+  'material-dark': { dark: true, codeMirrorTheme: 'railscasts', getCss: materialDark },
+  'one-dark': { dark: true, codeMirrorTheme: 'one-dark', getCss: oneDark },
+  ulysses: { dark: false, codeMirrorTheme: 'default', getCss: ulysses }
+}
+
+let userThemes = new Map()
+
+/**
+ * Set the user themes that are installed in the user data directory.
+ *
+ * @param {IUserTheme[]} themes The user themes.
+ */
+export const setUserThemes = themes => {
+  userThemes = new Map(themes.map(theme => [theme.id, theme]))
+}
+
+/**
+ * Returns the description of the given built-in or user theme.
+ *
+ * @param {string} theme The theme name.
+ * @returns {{dark: boolean, css: string, codeMirrorTheme: string, codeMirrorCss: string, mermaidTheme: string, vegaTheme: string}|null}
+ * The theme or null if the theme doesn't exist.
+ */
+export const getTheme = theme => {
+  const userTheme = userThemes.get(theme)
+  if (userTheme) {
+    return userTheme
+  }
+
+  const builtinTheme = BUILTIN_THEMES[theme]
+  if (!builtinTheme) {
+    return null
+  }
+  const { dark, codeMirrorTheme, getCss } = builtinTheme
+  return {
+    dark,
+    css: getCss(),
+    codeMirrorTheme,
+    codeMirrorCss: '',
+    mermaidTheme: dark ? 'dark' : 'default',
+    vegaTheme: dark ? 'dark' : 'latimes'
+  }
+}
+
+/**
+ * Returns the mermaid and vega theme of the given editor theme.
+ *
+ * @param {string} theme The theme name.
+ * @returns {{mermaidTheme: string, vegaTheme: string}}
+ */
+export const getDiagramThemes = theme => {
+  const { mermaidTheme, vegaTheme } = getTheme(theme) || getTheme('light')
+  return { mermaidTheme, vegaTheme }
+}
+
+// Returns the CodeMirror theme of the given editor theme.
+export const getCodeMirrorTheme = theme => {
+  const { codeMirrorTheme } = getTheme(theme) || getTheme('light')
+  return codeMirrorTheme
+}
+
+// Returns the CSS of the given editor theme or null if the theme doesn't exist.
+const getThemeCss = theme => {
+  const description = getTheme(theme)
+  return description ? description.css : null
+}
+
+// Map the editor theme colors to the exported document.
+const EXPORT_THEME_RULES = `
+body,
+.markdown-body {
+  color: var(--editorColor);
+  background: var(--editorBgColor);
+}
+.markdown-body a {
+  color: var(--themeColor);
+}
+.markdown-body code {
+  background-color: var(--codeBgColor);
+}
+.markdown-body pre,
+.markdown-body .highlight pre {
+  background-color: var(--codeBlockBgColor);
+}
+.markdown-body blockquote {
+  color: var(--editorColor50);
+  border-left-color: var(--editorColor10);
+}
+.markdown-body hr {
+  background-color: var(--editorColor10);
+}
+.markdown-body h1,
+.markdown-body h2 {
+  border-bottom-color: var(--editorColor10);
+}
+.markdown-body table tr {
+  background-color: transparent;
+  border-top-color: var(--editorColor10);
+}
+.markdown-body table tr:nth-child(2n) {
+  background-color: var(--editorColor04);
+}
+.markdown-body table th,
+.markdown-body table td {
+  border-color: var(--editorColor10);
+}
+`
+
+/**
+ * Returns the CSS that applies the given editor theme to an exported document.
+ *
+ * @param {string} theme The editor theme name.
+ * @returns {string} The CSS or an empty string for the default light theme.
+ */
+export const getExportThemeCss = theme => {
+  const css = getThemeCss(theme)
+  if (!css) {
+    return ''
+  }
+  return `${css}\n${EXPORT_THEME_RULES}`
+}
+
 export const addThemeStyle = theme => {
-  const isCmRailscasts = railscastsThemes.includes(theme)
-  const isCmOneDark = oneDarkThemes.includes(theme)
-  const isDarkTheme = isCmOneDark || isCmRailscasts
   let themeStyleEle = document.querySelector(`#${THEME_STYLE_ID}`)
   if (!themeStyleEle) {
     themeStyleEle = document.createElement('style')
@@ -56,49 +180,29 @@ export const addThemeStyle = theme => {
     document.head.appendChild(themeStyleEle)
   }
 
-  switch (theme) {
-    case 'light':
-      themeStyleEle.innerHTML = ''
-      break
-    case 'dark':
-      themeStyleEle.innerHTML = patchTheme(dark())
-      break
-    case 'material-dark':
-      themeStyleEle.innerHTML = patchTheme(materialDark())
-      break
-    case 'ulysses':
-      themeStyleEle.innerHTML = patchTheme(ulysses())
-      break
-    case 'graphite':
-      themeStyleEle.innerHTML = patchTheme(graphite())
-      break
-    case 'one-dark':
-      themeStyleEle.innerHTML = patchTheme(oneDark())
-      break
-    default:
-      console.log('unknown theme')
-      break
+  const description = getTheme(theme)
+  if (!description) {
+    // User themes may not be loaded yet.
+    console.log('unknown theme')
+    return
   }
 
+  const { css, codeMirrorTheme, codeMirrorCss } = description
+  themeStyleEle.innerHTML = css || codeMirrorCss ? patchTheme(`${css}\n${codeMirrorCss}`) : ''
+
   // workaround: use dark icons
   document.body.classList.remove('dark')
-  if (isDarkTheme) {
+  if (description.dark) {
     document.body.classList.add('dark')
   }
 
   // change CodeMirror theme
   const cm = document.querySelector('.CodeMirror')
   if (cm) {
-    cm.classList.remove('cm-s-default')
-    cm.classList.remove('cm-s-one-dark')
-    cm.classList.remove('cm-s-railscasts')
-    if (isCmOneDark) {
-      cm.classList.add('cm-s-one-dark')
-    } else if (isCmRailscasts) {
-      cm.classList.add('cm-s-railscasts')
-    } else {
-      cm.classList.add('cm-s-default')
-    }
+    Array.from(cm.classList)
+      .filter(name => name.startsWith('cm-s-'))
+      .forEach(name => cm.classList.remove(name))
+    cm.classList.add(`cm-s-${codeMirrorTheme}`)
   }
 }
 
@@ -0,0 +1,87 @@
+import crypto from 'crypto'
+import path from 'path'
+import fse from 'fs-extra'
+import log from 'electron-log'
+
+// Version of the undo history file format.
+const UNDO_HISTORY_VERSION = 1
+
+const getHash = text => {
+  return crypto.createHash('sha1').update(text, 'utf8').digest('hex')
+}
+
+const getUndoHistoryPath = pathname => {
+  const { undoHistoryPath } = global.marktext.env.paths
+  return path.join(undoHistoryPath, `${getHash(path.normalize(pathname))}.json`)
+}
+
+/**
+ * Save the undo history of the given document. The history is only valid as
+ * long as the document content is unchanged, so an outdated history is removed
+ * when the document has no history anymore.
+ *
+ * @param {string} pathname The document path.
+ * @param {string} markdown The document content that is saved on disk.
+ * @param {*} history The serialized undo history from Muya.
+ */
+export const saveUndoHistory = (pathname, markdown, history) => {
+  if (!pathname) {
+    return Promise.resolve()
+  }
+  if (!history || !Array.isArray(history.stack) || history.stack.length === 0) {
+    return removeUndoHistory(pathname)
+  }
+
+  const data = {
+    version: UNDO_HISTORY_VERSION,
+    pathname,
+    checksum: getHash(markdown),
+    history
+  }
+  return fse.outputJson(getUndoHistoryPath(pathname), data)
+    .catch(err => {
+      log.error(`Cannot save undo history of "${pathname}":`, err)
+    })
+}
+
+/**
+ * Remove the saved undo history of the given document.
+ *
+ * @param {string} pathname The document path.
+ */
+export const removeUndoHistory = pathname => {
+  return fse.remove(getUndoHistoryPath(pathname))
+    .catch(err => {
+      log.error(`Cannot remove undo history of "${pathname}":`, err)
+    })
+}
+
+/**
+ * Load the undo history of the given document. Outdated histories (e.g. the
+ * file was modified by another application) are discarded.
+ *
+ * @param {string} pathname The document path.
+ * @param {string} markdown The current document content.
+ * @returns {*} The serialized undo history or null.
+ */
+export const loadUndoHistory = (pathname, markdown) => {
+  if (!pathname) {
+    return null
+  }
+
+  const historyPath = getUndoHistoryPath(pathname)
+  try {
+    if (!fse.existsSync(historyPath)) {
+      return null
+    }
+
+    const { version, checksum, history } = fse.readJsonSync(historyPath)
+    if (version === UNDO_HISTORY_VERSION && checksum === getHash(markdown) && history) {
+      return history
+    }
+    fse.removeSync(historyPath)
+  } catch (err) {
+    log.error(`Cannot load undo history of "${pathname}":`, err)
+  }
+  return null
+}
@@ -0,0 +1,235 @@
+// The plugin API of the plugin host page. The page runs the script of one plugin without
+// Node.js integration, the plugin talks to the editor window only through messages to the
+// preload script.
+(function () {
+  'use strict'
+
+  const commands = new Map()
+  const exportFormats = new Map()
+  const sidebarPanels = new Map()
+  const panelContainers = new Map()
+  const blockRenderers = new Map()
+
+  // The document of the editor window when the last request was sent.
+  let editorDocument = { markdown: '', pathname: '', filename: '' }
+  let isLoaded = false
+
+  // The plugin script is the next script of the page and passes its main function to
+  // `__runPlugin`, the function is run when the plugin manifest is sent.
+  let pluginMain = null
+  let scriptError = null
+  const onScriptError = event => {
+    if (!scriptError) {
+      scriptError = event.error || new Error(event.message)
+    }
+  }
+  window.addEventListener('error', onScriptError)
+  window.__runPlugin = main => {
+    pluginMain = main
+  }
+
+  const postToPreload = (type, data) => {
+    window.postMessage({ target: 'preload', type, data }, '*')
+  }
+
+  const getErrorMessage = err => err && err.message ? err.message : String(err)
+
+  const assertDeclared = (plugin, list, id, kind) => {
+    if (!list.some(item => item.id === id)) {
+      throw new Error(`The ${kind} "${id}" is not declared in the manifest of plugin "${plugin.id}".`)
+    }
+  }
+
+  const assertFunction = (fn, name) => {
+    if (typeof fn !== 'function') {
+      throw new Error(`"${name}" must be a function.`)
+    }
+  }
+
+  const addUnique = (list, id) => {
+    if (!list.includes(id)) {
+      list.push(id)
+    }
+  }
+
+  /**
+   * Create the API that is passed to a plugin script as `marktext`. The registered
+   * contributions are added to the load result that is sent to the editor window.
+   */
+  const createPluginApi = (plugin, result) => {
+    const { id, name, version, contributes } = plugin
+    return Object.freeze({
+      plugin: Object.freeze({ id, name, version }),
+
+      commands: Object.freeze({
+        register (commandId, handler) {
+          assertDeclared(plugin, contributes.commands, commandId, 'command')
+          assertFunction(handler, 'handler')
+          commands.set(commandId, handler)
+          addUnique(result.commands, commandId)
+        }
+      }),
+
+      sidebar: Object.freeze({
+        registerPanel (panelId, panel) {
+          assertDeclared(plugin, contributes.sidebarPanels, panelId, 'side bar panel')
+          assertFunction(panel && panel.render, 'render')
+          sidebarPanels.set(panelId, panel)
+          addUnique(result.sidebarPanels, panelId)
+        }
+      }),
+
+      exports: Object.freeze({
+        registerFormat (formatId, exporter) {
+          assertDeclared(plugin, contributes.exportFormats, formatId, 'export format')
+          assertFunction(exporter, 'exporter')
+          exportFormats.set(formatId, exporter)
+          addUnique(result.exportFormats, formatId)
+        }
+      }),
+
+      muya: Object.freeze({
+        // Inline syntaxes are rendered by the editor window, block previews are rendered here.
+        use (syntaxPlugin) {
+          if (!syntaxPlugin || typeof syntaxPlugin !== 'object') {
+            throw new Error('Only syntax plugins can be added to the editor.')
+          }
+          const { inlines = [], blocks = [] } = syntaxPlugin
+          const syntaxes = {
+            name: String(syntaxPlugin.name || id),
+            inlines: inlines.map(({ type, regex, className }) => {
+              if (!(regex instanceof RegExp)) {
+                throw new Error(`The rule of the inline syntax "${type}" must be a regular expression.`)
+              }
+              return { type, source: regex.source, flags: regex.flags, className: className || '' }
+            }),
+            blocks: blocks.map(({ type, label, lang, description, icon, render }) => {
+              assertFunction(render, 'render')
+              return { type, label, lang, description, icon }
+            })
+          }
+          for (const { type, render } of blocks) {
+            blockRenderers.set(type, render)
+          }
+          result.syntaxes.push(syntaxes)
+        }
+      }),
+
+      editor: Object.freeze({
+        getMarkdown: () => editorDocument.markdown,
+        getPathname: () => editorDocument.pathname
+      }),
+
+      notify ({ title = name, message = '', type = 'info' } = {}) {
+        postToPreload('notify', { title: String(title), message: String(message), type: String(type) })
+      }
+    })
+  }
+
+  /**
+   * Run the main function of the plugin script with the API of the plugin.
+   */
+  const runPlugin = plugin => {
+    const result = { id: plugin.id, error: null, commands: [], sidebarPanels: [], exportFormats: [], syntaxes: [] }
+    window.removeEventListener('error', onScriptError)
+    delete window.__runPlugin
+
+    let error = scriptError
+    if (!error && !pluginMain) {
+      error = new Error('The plugin script was not run.')
+    }
+    if (!error) {
+      const module = { exports: {} }
+      try {
+        pluginMain.call(undefined, createPluginApi(plugin, result), module, module.exports)
+      } catch (err) {
+        error = err
+      }
+    }
+
+    if (error) {
+      return { id: plugin.id, error: getErrorMessage(error), commands: [], sidebarPanels: [], exportFormats: [], syntaxes: [] }
+    }
+    return result
+  }
+
+  // Render into a detached container, the editor window shows the sanitized HTML.
+  const renderToHtml = async (render, container) => {
+    const html = await render()
+    return typeof html === 'string' ? html : container.innerHTML
+  }
+
+  const getRegistered = (map, id, kind) => {
+    if (!map.has(id)) {
+      throw new Error(`The ${kind} "${id}" is not registered.`)
+    }
+    return map.get(id)
+  }
+
+  const requestHandlers = {
+    async command ({ id }) {
+      const handler = getRegistered(commands, id, 'command')
+      await handler()
+      return null
+    },
+
+    async export ({ id }) {
+      const exporter = getRegistered(exportFormats, id, 'export format')
+      const { markdown, pathname, filename } = editorDocument
+      const content = await exporter({ markdown, pathname, filename })
+      return typeof content === 'string' ? content : null
+    },
+
+    renderPanel ({ id }) {
+      const panel = getRegistered(sidebarPanels, id, 'side bar panel')
+      const container = document.createElement('div')
+      panelContainers.set(id, container)
+      return renderToHtml(() => panel.render(container), container)
+    },
+
+    async destroyPanel ({ id }) {
+      const panel = sidebarPanels.get(id)
+      const container = panelContainers.get(id)
+      panelContainers.delete(id)
+      if (panel && container && typeof panel.destroy === 'function') {
+        await panel.destroy(container)
+      }
+      return null
+    },
+
+    renderBlock ({ type, code }) {
+      const render = getRegistered(blockRenderers, type, 'block syntax')
+      const container = document.createElement('div')
+      return renderToHtml(() => render(code, container), container)
+    }
+  }
+
+  const handleRequest = async request => {
+    const { requestId, type, data = {} } = request
+    if (data.document) {
+      editorDocument = data.document
+    }
+    try {
+      if (!Object.prototype.hasOwnProperty.call(requestHandlers, type)) {
+        throw new Error(`Unknown request "${type}".`)
+      }
+      const result = await requestHandlers[type](data)
+      postToPreload('response', { requestId, result })
+    } catch (err) {
+      postToPreload('response', { requestId, error: getErrorMessage(err) })
+    }
+  }
+
+  window.addEventListener('message', event => {
+    const { source, data: message } = event
+    if (source !== window || !message || message.target !== 'page') {
+      return
+    }
+    if (message.type === 'load' && !isLoaded) {
+      isLoaded = true
+      postToPreload('loaded', runPlugin(message.data))
+    } else if (message.type === 'request') {
+      handleRequest(message.data)
+    }
+  })
+})()
@@ -0,0 +1,36 @@
+// Preload script of the plugin host. It runs in an isolated world and is the only bridge
+// between the plugin scripts and the main process: messages of the page are forwarded to
+// the main process and requests of the main process are posted to the page.
+'use strict'
+
+const { ipcRenderer } = require('electron')
+
+// page message type --> IPC channel
+const CHANNELS = {
+  loaded: 'mt::plugin-host-loaded',
+  response: 'mt::plugin-host-response',
+  notify: 'mt::plugin-host-notify'
+}
+
+const postToPage = (type, data) => {
+  window.postMessage({ target: 'page', type, data }, '*')
+}
+
+window.addEventListener('message', event => {
+  const { source, data: message } = event
+  if (source !== window || !message || message.target !== 'preload') {
+    return
+  }
+  const channel = CHANNELS[message.type]
+  if (channel) {
+    ipcRenderer.send(channel, message.data)
+  }
+})
+
+ipcRenderer.on('mt::plugin-host-load', (e, plugin) => {
+  postToPage('load', plugin)
+})
+
+ipcRenderer.on('mt::plugin-host-request', (e, request) => {
+  postToPage('request', request)
+})
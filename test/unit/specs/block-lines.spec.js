@@ -0,0 +1,63 @@
+import ContentState from '../../../src/muya/lib/contentState'
+import EventCenter from '../../../src/muya/lib/eventHandler/event'
+import { MUYA_DEFAULT_OPTION } from '../../../src/muya/lib/config'
+
+const MARKDOWN = `---
+title: Lines
+---
+
+# Heading
+
+Paragraph
+with two lines
+
+- one
+- two
+
+  nested
+
+> quote
+
+\`\`\`js
+const a = 1
+
+const b = 2
+\`\`\`
+
+| a | b |
+|---|---|
+| 1 | 2 |
+
+[^1]: Footnote
+
+Last
+`
+
+const createMuyaContext = () => {
+  const ctx = {}
+  ctx.options = Object.assign({}, MUYA_DEFAULT_OPTION)
+  ctx.eventCenter = new EventCenter()
+  ctx.contentState = new ContentState(ctx, ctx.options)
+  ctx.contentState.importMarkdown(MARKDOWN)
+  return ctx
+}
+
+describe('Block to source line mapping', () => {
+  it('Map top-level blocks to their start lines', () => {
+    const { contentState } = createMuyaContext()
+    const lines = MARKDOWN.split('\n')
+    const blockLines = contentState.getBlockLines(MARKDOWN)
+    expect(blockLines.map(({ key }) => key)).to.deep.equal(contentState.blocks.map(block => block.key))
+    expect(blockLines.map(({ line }) => lines[line])).to.deep.equal([
+      '---',
+      '# Heading',
+      'Paragraph',
+      '- one',
+      '> quote',
+      '```js',
+      '| a | b |',
+      '[^1]: Footnote',
+      'Last'
+    ])
+  })
+})
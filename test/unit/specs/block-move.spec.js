@@ -0,0 +1,130 @@
+import ContentState from '../../../src/muya/lib/contentState'
+import EventCenter from '../../../src/muya/lib/eventHandler/event'
+import { MUYA_DEFAULT_OPTION } from '../../../src/muya/lib/config'
+
+const MARKDOWN = `# Title
+
+First
+
+- one
+- two
+
+Middle
+
+- [ ] task
+
+> quote
+
+Last
+`
+
+const createMuyaContext = () => {
+  const ctx = {}
+  ctx.options = Object.assign({}, MUYA_DEFAULT_OPTION)
+  ctx.eventCenter = new EventCenter()
+  ctx.contentState = new ContentState(ctx, ctx.options)
+  // There is no editor container to render into.
+  ctx.contentState.render = () => {}
+  ctx.contentState.importMarkdown(MARKDOWN)
+  return ctx
+}
+
+const findBlock = (contentState, text, type) => {
+  let result = null
+  const travel = blocks => {
+    for (const block of blocks) {
+      const textBlock = block.children.length ? contentState.firstInDescendant(block) : null
+      if (!result && block.type === type && textBlock && textBlock.text === text) {
+        result = block
+      }
+      travel(block.children)
+    }
+  }
+  travel(contentState.blocks)
+  return result
+}
+
+const getStructure = blocks => blocks.map(block => {
+  return block.type === 'span' || block.type === 'input'
+    ? block.text
+    : [block.type, ...getStructure(block.children)]
+})
+
+describe('Block moving', () => {
+  it('Move top-level blocks', () => {
+    const { contentState } = createMuyaContext()
+    const first = findBlock(contentState, 'First', 'p')
+    const last = findBlock(contentState, 'Last', 'p')
+    expect(contentState.moveBlock(last, first, 'before')).to.equal(true)
+    expect(contentState.blocks.map(b => b.type)).to.deep.equal(['h1', 'p', 'p', 'ul', 'p', 'ul', 'blockquote'])
+    expect(contentState.blocks[1]).to.equal(last)
+    expect(last.preSibling).to.equal(contentState.blocks[0].key)
+    expect(last.nextSibling).to.equal(first.key)
+    expect(contentState.moveBlock(last, first, 'before')).to.equal(false)
+  })
+  it('Move list items between lists and out of lists', () => {
+    const { contentState } = createMuyaContext()
+    const two = findBlock(contentState, 'two', 'li')
+    const task = findBlock(contentState, 'task', 'li')
+    contentState.moveBlock(two, task, 'after')
+    expect(getStructure(contentState.blocks[4].children)).to.deep.equal([
+      ['li', '', ['p', 'task']],
+      ['li', '', ['p', 'two']]
+    ])
+    expect(two.listItemType).to.equal('task')
+
+    const one = findBlock(contentState, 'one', 'li')
+    const last = findBlock(contentState, 'Last', 'p')
+    contentState.moveBlock(one, last, 'after')
+    // The empty list is removed and the list item is wrapped into a new list.
+    expect(contentState.blocks.map(b => b.type)).to.deep.equal(['h1', 'p', 'p', 'ul', 'blockquote', 'p', 'ul'])
+    expect(getStructure(contentState.blocks[6].children)).to.deep.equal([['li', ['p', 'one']]])
+  })
+  it('Remove the checkbox of task list items that are moved into other lists', () => {
+    const { contentState } = createMuyaContext()
+    const one = findBlock(contentState, 'one', 'li')
+    const task = findBlock(contentState, 'task', 'li')
+    contentState.moveBlock(task, one, 'after')
+    expect(contentState.blocks.map(b => b.type)).to.deep.equal(['h1', 'p', 'ul', 'p', 'blockquote', 'p'])
+    expect(getStructure(contentState.blocks[2].children)).to.deep.equal([
+      ['li', ['p', 'one']],
+      ['li', ['p', 'task']],
+      ['li', ['p', 'two']]
+    ])
+    expect(task.listItemType).to.equal(one.listItemType)
+  })
+  it('Move blocks into and out of block quotes', () => {
+    const { contentState } = createMuyaContext()
+    const first = findBlock(contentState, 'First', 'p')
+    const quote = findBlock(contentState, 'quote', 'p')
+    contentState.moveBlock(first, quote, 'after')
+    expect(getStructure(contentState.blocks[4].children)).to.deep.equal([['p', 'quote'], ['p', 'First']])
+
+    const last = findBlock(contentState, 'Last', 'p')
+    contentState.moveBlock(quote, last, 'after')
+    contentState.moveBlock(first, last, 'before')
+    // The empty block quote is removed.
+    expect(contentState.blocks.map(b => b.type)).to.deep.equal(['h1', 'ul', 'p', 'ul', 'p', 'p', 'p'])
+  })
+  it('Move the block of the cursor up and down', () => {
+    const { contentState } = createMuyaContext()
+    const quote = findBlock(contentState, 'quote', 'p')
+    const { key } = quote.children[0]
+    contentState.cursor = { start: { key, offset: 0 }, end: { key, offset: 0 } }
+    contentState.moveParagraph('down')
+    expect(contentState.blocks.map(b => b.type)).to.deep.equal(['h1', 'p', 'ul', 'p', 'ul', 'p', 'p'])
+    contentState.moveParagraph('up')
+    contentState.moveParagraph('up')
+    expect(contentState.blocks.map(b => b.type)).to.deep.equal(['h1', 'p', 'ul', 'p', 'p', 'ul', 'p'])
+  })
+  it('Undo a move in one step', () => {
+    const { contentState } = createMuyaContext()
+    const first = findBlock(contentState, 'First', 'p')
+    const last = findBlock(contentState, 'Last', 'p')
+    const before = getStructure(contentState.blocks)
+    contentState.moveBlock(first, last, 'after')
+    expect(getStructure(contentState.blocks)).to.not.deep.equal(before)
+    contentState.history.undo()
+    expect(getStructure(contentState.blocks)).to.deep.equal(before)
+  })
+})
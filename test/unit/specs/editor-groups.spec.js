@@ -0,0 +1,60 @@
+import editorStore from '../../../src/renderer/store/editor'
+
+const { mutations } = editorStore
+
+const createFile = id => ({ id, filename: `${id}.md`, pathname: '', markdown: `# ${id}\n`, isSaved: true })
+
+const createState = () => {
+  const a = createFile('a')
+  const b = createFile('b')
+  const group = { id: 'group-a', tabs: [ a, b ], currentFile: b }
+  const state = {
+    currentFile: b,
+    tabs: [ a, b ],
+    groups: [ group ],
+    activeGroupId: group.id,
+    groupDirection: 'row'
+  }
+  return { state, a, b }
+}
+
+describe('Editor groups', () => {
+  it('Split the editor into a new group', () => {
+    const { state, b } = createState()
+    mutations.SPLIT_EDITOR_GROUP(state, 'column')
+    expect(state.groups.length).to.equal(2)
+    expect(state.groupDirection).to.equal('column')
+    const [ , group ] = state.groups
+    expect(state.activeGroupId).to.equal(group.id)
+    expect(group.tabs).to.deep.equal([ b ])
+    // Both groups share the same document state.
+    expect(group.currentFile).to.equal(state.groups[0].currentFile)
+  })
+  it('Move a tab into another group', () => {
+    const { state, a, b } = createState()
+    mutations.SPLIT_EDITOR_GROUP(state, 'row')
+    const [ first, second ] = state.groups
+    mutations.EXCHANGE_TABS_BY_ID(state, { fromId: 'a', toId: 'b', groupId: second.id, fromGroupId: first.id })
+    expect(first.tabs).to.deep.equal([ b ])
+    expect(second.tabs).to.deep.equal([ a, b ])
+    expect(state.activeGroupId).to.equal(second.id)
+    expect(state.currentFile).to.equal(a)
+  })
+  it('Remove empty groups', () => {
+    const { state, a, b } = createState()
+    mutations.SPLIT_EDITOR_GROUP(state, 'row')
+    const [ first, second ] = state.groups
+    mutations.CLOSE_GROUP_TAB(state, { groupId: second.id, file: b })
+    expect(state.groups).to.deep.equal([ first ])
+    expect(state.activeGroupId).to.equal(first.id)
+    expect(state.tabs).to.deep.equal([ a, b ])
+  })
+  it('Close an editor group', () => {
+    const { state, a, b } = createState()
+    mutations.SPLIT_EDITOR_GROUP(state, 'row')
+    mutations.CLOSE_EDITOR_GROUP(state, state.activeGroupId)
+    expect(state.groups.length).to.equal(1)
+    expect(state.groups[0].tabs).to.deep.equal([ a, b ])
+    expect(state.currentFile).to.equal(b)
+  })
+})
@@ -0,0 +1,79 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import iconv from 'iconv-lite'
+import { canEncode, decode, encode, guessEncoding, isBinaryBuffer, isSupportedEncoding } from '../../../src/main/filesystem/encoding'
+import { ERR_UNSUPPORTED_CHARACTERS, loadMarkdownFile, writeMarkdownFile } from '../../../src/main/filesystem/markdown'
+
+const TEXT = '# Überschrift\n\nGrüße aus Köln, 5 €.\n'
+
+describe('Encoding', () => {
+  it('Detect byte order marks', () => {
+    expect(guessEncoding(Buffer.from([0xEF, 0xBB, 0xBF, 0x61]))).to.equal('utf8bom')
+    expect(guessEncoding(Buffer.from([0xFF, 0xFE, 0x61, 0x00]))).to.equal('utf16le')
+    expect(guessEncoding(Buffer.from([0xFE, 0xFF, 0x00, 0x61]))).to.equal('utf16be')
+  })
+  it('Detect UTF-16 without byte order mark', () => {
+    const le = iconv.encode(TEXT, 'utf16le')
+    const be = iconv.encode(TEXT, 'utf16be')
+    expect(isBinaryBuffer(le)).to.equal(false)
+    expect(isBinaryBuffer(be)).to.equal(false)
+    expect(guessEncoding(le)).to.equal('utf16le')
+    expect(guessEncoding(be)).to.equal('utf16be')
+    expect(decode(le, guessEncoding(le))).to.equal(TEXT)
+  })
+  it('Detect UTF-8 and ASCII', () => {
+    expect(guessEncoding(Buffer.from('# Hello', 'utf8'))).to.equal('utf8')
+    expect(guessEncoding(Buffer.from(TEXT, 'utf8'))).to.equal('utf8')
+    // A multi-byte character at the end of the sample is still UTF-8.
+    expect(guessEncoding(Buffer.from('€', 'utf8').slice(0, 2))).to.equal('utf8')
+  })
+  it('Fall back to Windows 1252 for unknown single byte encodings', () => {
+    expect(guessEncoding(Buffer.from([0x61, 0xE4, 0x62]))).to.equal('windows1252')
+  })
+  it('Detect binary files', () => {
+    expect(isBinaryBuffer(Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x00, 0x00]))).to.equal(true)
+    expect(isBinaryBuffer(Buffer.from(TEXT, 'utf8'))).to.equal(false)
+    // UTF-16 documents contain null bytes.
+    expect(isBinaryBuffer(encode(TEXT, 'utf16le'))).to.equal(false)
+  })
+  it('Encode and decode documents', () => {
+    for (const encoding of ['utf8', 'utf8bom', 'utf16le', 'utf16be', 'windows1252', 'iso885915']) {
+      const buffer = encode(TEXT, encoding)
+      expect(decode(buffer, encoding)).to.equal(TEXT)
+    }
+    expect([...encode('a', 'utf8bom')]).to.deep.equal([0xEF, 0xBB, 0xBF, 0x61])
+    expect([...encode('a', 'utf16le')]).to.deep.equal([0xFF, 0xFE, 0x61, 0x00])
+    expect(decode(Buffer.from('﻿a', 'utf8'), 'utf8')).to.equal('a')
+    expect(decode(iconv.encode('Grüße', 'windows1252'), 'windows1252')).to.equal('Grüße')
+  })
+  it('Check whether text can be encoded', () => {
+    expect(canEncode(TEXT, 'windows1252')).to.equal(true)
+    expect(canEncode(TEXT, 'iso88591')).to.equal(false)
+    expect(canEncode('日本語', 'windows1252')).to.equal(false)
+    expect(canEncode('日本語', 'shiftjis')).to.equal(true)
+    expect(isSupportedEncoding('windows1252')).to.equal(true)
+    expect(isSupportedEncoding('hasOwnProperty')).to.equal(false)
+  })
+  it('Refuse to save characters that the encoding cannot represent', async () => {
+    const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'marktext-'))
+    const pathname = path.join(tempPath, 'note.md')
+    const options = { encoding: 'windows1252', lineEnding: 'lf', adjustLineEndingOnSave: false }
+    try {
+      await writeMarkdownFile(pathname, TEXT, options)
+      const document = await loadMarkdownFile(pathname, 'lf', 'windows1252')
+      expect(document.markdown).to.equal(TEXT)
+
+      let error = null
+      try {
+        await writeMarkdownFile(pathname, `${TEXT}日本語\n`, options)
+      } catch (err) {
+        error = err
+      }
+      expect(error.code).to.equal(ERR_UNSUPPORTED_CHARACTERS)
+      expect(fs.readFileSync(pathname).equals(encode(TEXT, 'windows1252'))).to.equal(true)
+    } finally {
+      fs.removeSync(tempPath)
+    }
+  })
+})
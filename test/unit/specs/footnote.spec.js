@@ -0,0 +1,53 @@
+import ContentState from '../../../src/muya/lib/contentState'
+import EventCenter from '../../../src/muya/lib/eventHandler/event'
+import ExportMarkdown from '../../../src/muya/lib/utils/exportMarkdown'
+import marked from '../../../src/muya/lib/parser/marked'
+import { MUYA_DEFAULT_OPTION } from '../../../src/muya/lib/config'
+
+const FOOTNOTE_MARKDOWN = `Text[^1] and [^note] and again[^1].
+
+[^1]: First **note**.
+
+[^note]: Second line
+    continued
+
+    - list in footnote
+
+After.
+`
+
+const createMuyaContext = () => {
+  const ctx = {}
+  ctx.options = Object.assign({}, MUYA_DEFAULT_OPTION)
+  ctx.eventCenter = new EventCenter()
+  ctx.contentState = new ContentState(ctx, ctx.options)
+  return ctx
+}
+
+describe('Footnotes', () => {
+  it('Import footnotes as footnote blocks', () => {
+    const ctx = createMuyaContext()
+    ctx.contentState.importMarkdown(FOOTNOTE_MARKDOWN)
+    const footnotes = ctx.contentState.getBlocks().filter(b => b.functionType === 'footnote')
+    expect(footnotes.map(b => b.children[0].text)).to.deep.equal(['1', 'note'])
+    expect(footnotes[1].children.map(b => b.type)).to.deep.equal(['span', 'p', 'ul'])
+  })
+  it('Keep footnotes intact when exporting markdown', () => {
+    const ctx = createMuyaContext()
+    ctx.contentState.importMarkdown(FOOTNOTE_MARKDOWN)
+    const exportedMarkdown = new ExportMarkdown(ctx.contentState.getBlocks()).generate()
+    expect(exportedMarkdown).to.equal(FOOTNOTE_MARKDOWN.replace('continued\n\n', 'continued\n    \n'))
+  })
+  it('Render numbered references and a footnote section', () => {
+    const html = marked(FOOTNOTE_MARKDOWN)
+    expect(html).to.include('<sup class="footnote-ref" id="fnref-1"><a href="#fn-1">1</a></sup>')
+    expect(html).to.include('<sup class="footnote-ref" id="fnref-note"><a href="#fn-note">2</a></sup>')
+    expect(html).to.include('again<sup class="footnote-ref"><a href="#fn-1">1</a></sup>')
+    expect(html).to.include('<section class="footnotes">')
+    expect(html).to.include('<li id="fn-1" class="footnote-item">\n<p>First <strong>note</strong>. <a href="#fnref-1" class="footnote-backref">↩</a></p>\n</li>')
+    expect(html.indexOf('After.')).to.be.below(html.indexOf('<section class="footnotes">'))
+  })
+  it('Leave undefined references as text', () => {
+    expect(marked('Text[^missing].')).to.equal('<p>Text[^missing].</p>\n')
+  })
+})
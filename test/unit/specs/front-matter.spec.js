@@ -0,0 +1,47 @@
+import { splitFrontMatter, parseFrontMatter, stringifyFrontMatter, parseScalar, getTags, getMetadata } from '../../../src/common/frontMatter'
+
+const MARKDOWN = `---
+title: My Note
+tags: [work, ideas]
+date: 2019-10-01
+---
+# Heading
+`
+
+describe('Front matter', () => {
+  it('Split the front matter from the content', () => {
+    expect(splitFrontMatter(MARKDOWN)).to.deep.equal({
+      frontMatter: 'title: My Note\ntags: [work, ideas]\ndate: 2019-10-01\n',
+      content: '# Heading\n'
+    })
+    expect(splitFrontMatter('# Heading\n').frontMatter).to.equal(null)
+  })
+  it('Report invalid front matter', () => {
+    const { error } = parseFrontMatter('title: A\n  tags: b: c\n')
+    expect(error).to.not.equal(null)
+    expect(error.line).to.equal(1)
+    expect(parseFrontMatter('- a\n- b\n').error).to.not.equal(null)
+    expect(parseFrontMatter('').error).to.equal(null)
+  })
+  it('Read tags from a list or a string', () => {
+    expect(getTags({ tags: ['a', 'b', 'a', 1] })).to.deep.equal(['a', 'b', '1'])
+    expect(getTags({ tags: 'a, b c' })).to.deep.equal(['a', 'b c'])
+    expect(getTags({ tags: 'a b' })).to.deep.equal(['a', 'b'])
+    expect(getTags({})).to.deep.equal([])
+  })
+  it('Read the document metadata', () => {
+    const { title, tags, date } = getMetadata(MARKDOWN)
+    expect(title).to.equal('My Note')
+    expect(tags).to.deep.equal(['work', 'ideas'])
+    // Dates are kept as written.
+    expect(date).to.equal('2019-10-01')
+    expect(getMetadata('# Heading\n').title).to.equal('')
+  })
+  it('Write front matter fields', () => {
+    expect(stringifyFrontMatter({ title: 'A: B', tags: ['x'], count: parseScalar('42') }))
+      .to.equal('title: \'A: B\'\ntags:\n  - x\ncount: 42\n')
+    expect(stringifyFrontMatter({})).to.equal('')
+    expect(parseScalar('true')).to.equal(true)
+    expect(parseScalar('a: b')).to.equal('a: b')
+  })
+})
@@ -0,0 +1,85 @@
+import ContentState from '../../../src/muya/lib/contentState'
+import EventCenter from '../../../src/muya/lib/eventHandler/event'
+import { MUYA_DEFAULT_OPTION } from '../../../src/muya/lib/config'
+
+const MARKDOWN = `# One
+
+First
+
+## Two
+
+Second
+
+### Three
+
+Third
+
+# Four
+
+Last
+`
+
+const createMuyaContext = () => {
+  const ctx = {}
+  ctx.options = Object.assign({}, MUYA_DEFAULT_OPTION)
+  ctx.eventCenter = new EventCenter()
+  ctx.contentState = new ContentState(ctx, ctx.options)
+  // There is no editor container to render into.
+  ctx.contentState.render = function () {
+    this.updateFoldedBlocks()
+  }
+  ctx.contentState.importMarkdown(MARKDOWN)
+  const { key } = ctx.contentState.blocks[ctx.contentState.blocks.length - 1].children[0]
+  ctx.contentState.cursor = { start: { key, offset: 0 }, end: { key, offset: 0 } }
+  return ctx
+}
+
+const getHeading = (contentState, content) => {
+  const { slug } = contentState.getTOC().find(item => item.content === content)
+  return contentState.getBlock(slug)
+}
+
+const getVisibleText = contentState => contentState.blocks
+  .filter(block => !contentState.foldedBlocks.has(block.key))
+  .map(block => contentState.firstInDescendant(block).text.replace(/^#+ /, ''))
+
+describe('Heading folding', () => {
+  it('Fold and unfold a heading section', () => {
+    const { contentState } = createMuyaContext()
+    const two = getHeading(contentState, 'Two')
+    contentState.toggleFold(two.key)
+    expect(getVisibleText(contentState)).to.deep.equal(['One', 'First', 'Two', 'Four', 'Last'])
+    expect(contentState.getFoldedHeadings()).to.deep.equal([{ lvl: 2, content: 'Two' }])
+    contentState.toggleFold(two.key)
+    expect(getVisibleText(contentState).length).to.equal(contentState.blocks.length)
+  })
+  it('Unfold to a heading level', () => {
+    const { contentState } = createMuyaContext()
+    contentState.unfoldToLevel(1)
+    expect(getVisibleText(contentState)).to.deep.equal(['One', 'Four'])
+    contentState.unfoldToLevel(3)
+    expect(getVisibleText(contentState)).to.deep.equal(['One', 'First', 'Two', 'Second', 'Three', 'Four', 'Last'])
+    contentState.unfoldAll()
+    expect(contentState.foldedBlocks.size).to.equal(0)
+  })
+  it('Move the cursor out of a folded section', () => {
+    const { contentState } = createMuyaContext()
+    const four = getHeading(contentState, 'Four')
+    contentState.toggleFold(four.key)
+    expect(contentState.cursor.start.key).to.equal(four.children[0].key)
+  })
+  it('Restore folded headings', () => {
+    const { contentState } = createMuyaContext()
+    contentState.setFoldedHeadings([{ lvl: 3, content: 'Three' }, { lvl: 2, content: 'Missing' }])
+    expect(getVisibleText(contentState)).to.deep.equal(['One', 'First', 'Two', 'Second', 'Three', 'Four', 'Last'])
+  })
+  it('Move a heading section', () => {
+    const { contentState } = createMuyaContext()
+    const two = getHeading(contentState, 'Two')
+    const four = getHeading(contentState, 'Four')
+    expect(contentState.moveHeadingSection(two.key, four.key, 'after')).to.equal(true)
+    expect(getVisibleText(contentState)).to.deep.equal(['One', 'First', 'Four', 'Last', 'Two', 'Second', 'Three', 'Third'])
+    contentState.history.undo()
+    expect(contentState.getTOC().map(item => item.content)).to.deep.equal(['One', 'Two', 'Three', 'Four'])
+  })
+})
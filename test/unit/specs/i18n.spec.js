@@ -0,0 +1,28 @@
+import { resolveLocale, setLocale, t } from '../../../src/common/i18n'
+
+describe('Localization', () => {
+  afterEach(() => {
+    setLocale('en')
+  })
+
+  it('Resolve locales by language tag', () => {
+    expect(resolveLocale('de')).to.equal('de')
+    expect(resolveLocale('de-AT')).to.equal('de')
+    expect(resolveLocale('zh')).to.equal('zh-CN')
+    expect(resolveLocale('fr')).to.equal('en')
+    expect(resolveLocale('')).to.equal('en')
+  })
+  it('Translate messages with parameters and plural forms', () => {
+    expect(t('menu.file.save')).to.equal('Save')
+    expect(t('dialog.unsavedFiles.message', { count: 1 })).to.equal('Do you want to save the changes you made to 1 file?')
+    expect(t('dialog.unsavedFiles.message', { count: 3 })).to.equal('Do you want to save the changes you made to 3 files?')
+    setLocale('de')
+    expect(t('menu.file.save')).to.equal('Speichern')
+    expect(t('sideBar.search.replaceCount', { count: 2 })).to.equal('Ersetzen (2)')
+  })
+  it('Fall back to English and to the key', () => {
+    setLocale('zh-CN')
+    expect(t('menu.file.save')).to.equal('保存')
+    expect(t('unknown.key')).to.equal('unknown.key')
+  })
+})
@@ -0,0 +1,36 @@
+import { parseMacros, getFrontMatterMacros, numberEquations, resolveEquationReferences } from '../../../src/muya/lib/utils/math'
+
+describe('Math macros and equation numbering', () => {
+  it('Parse macro definitions', () => {
+    const macros = parseMacros(`% Sets
+\\newcommand{\\R}{\\mathbb{R}}
+\\renewcommand\\norm[1]{\\left\\| #1 \\right\\|}
+\\def\\pow#1#2{{#1}^{#2}}`)
+    expect(macros).to.deep.equal({
+      '\\R': '\\mathbb{R}',
+      '\\norm': '\\left\\| #1 \\right\\|',
+      '\\pow': '{#1}^{#2}'
+    })
+  })
+  it('Read macros from front matter', () => {
+    expect(getFrontMatterMacros(`title: Paper
+katex-macros:
+  \\R: \\mathbb{R}
+  "\\\\N": "\\\\mathbb{N}"
+author: Me`)).to.deep.equal({ '\\R': '\\mathbb{R}', '\\N': '\\mathbb{N}' })
+    expect(getFrontMatterMacros(`katex-macros: |
+  \\newcommand{\\R}{\\mathbb{R}}`)).to.deep.equal({ '\\R': '\\mathbb{R}' })
+  })
+  it('Number labeled equations and resolve references', () => {
+    const labels = numberEquations([
+      'a = b \\label{eq:first}',
+      'c = d',
+      'e = f \\tag{A} \\label{eq:tagged}',
+      'g = h \\label{eq:second}'
+    ])
+    expect([...labels]).to.deep.equal([['eq:first', '1'], ['eq:tagged', 'A'], ['eq:second', '2']])
+    expect(resolveEquationReferences('g = h \\label{eq:second}', true, labels)).to.equal('g = h \\tag{2}')
+    expect(resolveEquationReferences('\\eqref{eq:first}, \\ref{eq:tagged}, \\eqref{eq:none}', false, labels))
+      .to.equal('\\text{(1)}, \\text{A}, \\text{(??)}')
+  })
+})
@@ -0,0 +1,58 @@
+import { diffLines, merge3, getMergedMarkdown } from '../../../src/renderer/util/merge'
+
+const BASE = `# Title
+
+First paragraph.
+
+Second paragraph.
+
+Third paragraph.
+`
+
+describe('Three-way merge', () => {
+  it('Find changed lines', () => {
+    const hunks = diffLines(['a', 'b', 'c', 'd'], ['a', 'x', 'c', 'd', 'e'])
+    expect(hunks).to.deep.equal([
+      { baseStart: 1, baseLength: 1, start: 1, length: 1 },
+      { baseStart: 4, baseLength: 0, start: 4, length: 1 }
+    ])
+  })
+  it('Merge changes of different lines', () => {
+    const local = BASE.replace('First paragraph.', 'First paragraph, edited.')
+    const remote = BASE.replace('Third paragraph.', 'Third paragraph.\n\nFourth paragraph.')
+    const regions = merge3(BASE, local, remote)
+    expect(regions.some(region => region.conflict)).to.equal(false)
+    expect(getMergedMarkdown(regions)).to.equal(`# Title
+
+First paragraph, edited.
+
+Second paragraph.
+
+Third paragraph.
+
+Fourth paragraph.
+`)
+  })
+  it('Merge the same change on both sides', () => {
+    const changed = BASE.replace('# Title', '# New Title')
+    const regions = merge3(BASE, changed, changed)
+    expect(regions.some(region => region.conflict)).to.equal(false)
+    expect(getMergedMarkdown(regions)).to.equal(changed)
+  })
+  it('Report overlapping changes as conflict', () => {
+    const local = BASE.replace('Second paragraph.', 'Local paragraph.')
+    const remote = BASE.replace('Second paragraph.', 'Remote paragraph.')
+    const regions = merge3(BASE, local, remote)
+    const conflicts = regions.filter(region => region.conflict)
+    expect(conflicts).to.deep.equal([{
+      conflict: true,
+      base: ['Second paragraph.'],
+      local: ['Local paragraph.'],
+      remote: ['Remote paragraph.']
+    }])
+    expect(getMergedMarkdown(regions)).to.equal(local)
+    expect(getMergedMarkdown(regions, ['remote'])).to.equal(remote)
+    expect(getMergedMarkdown(regions, ['both'])).to.equal(
+      BASE.replace('Second paragraph.', 'Local paragraph.\nRemote paragraph.'))
+  })
+})
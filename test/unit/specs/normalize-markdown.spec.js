@@ -0,0 +1,37 @@
+import normalizeMarkdown from '../../../src/renderer/util/normalizeMarkdown'
+
+const MARKDOWN = `Title
+=====
+
+* foo
+* bar
+  + baz
+
+## Section
+
+Text
+`
+
+describe('Normalize markdown', () => {
+  it('Use the preferred bullet list marker and heading style', () => {
+    const options = { bulletListMarker: '-', preferHeadingStyle: 'atx', listIndentation: 1 }
+    expect(normalizeMarkdown(MARKDOWN, options)).to.equal(`# Title
+
+- foo
+- bar
+  - baz
+
+## Section
+
+Text
+`)
+  })
+  it('Convert ATX headings to setext headings', () => {
+    const options = { bulletListMarker: '*', preferHeadingStyle: 'setext', listIndentation: 1 }
+    expect(normalizeMarkdown('# Title\n\n### Sub\n', options)).to.equal('Title\n===\n\n### Sub\n')
+  })
+  it('Keep adjacent lists separate', () => {
+    const options = { bulletListMarker: '-', listIndentation: 1 }
+    expect(normalizeMarkdown('* foo\n- bar\n', options)).to.equal('- foo\n* bar\n')
+  })
+})
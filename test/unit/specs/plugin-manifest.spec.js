@@ -0,0 +1,46 @@
+import { parseManifest } from '../../../src/main/plugins/manifest'
+
+const MANIFEST = {
+  name: 'Word Tools',
+  version: '1.0.0',
+  main: 'index.js',
+  contributes: {
+    commands: [{ id: 'word-tools.count', title: 'Count Words' }],
+    menus: [{ menu: 'edit', command: 'word-tools.count' }],
+    keybindings: [{ command: 'word-tools.count', key: 'CmdOrCtrl+Alt+W' }],
+    sidebarPanels: [{ id: 'word-tools.stats', title: 'Statistics' }],
+    exportFormats: [{ id: 'word-tools.txt', title: 'Plain Text', extension: 'txt' }]
+  }
+}
+
+const withContributions = contributes => Object.assign({}, MANIFEST, { contributes })
+
+describe('Plugin manifest', () => {
+  it('Parse a valid manifest', () => {
+    const { name, main, contributes } = parseManifest('word-tools', MANIFEST)
+    expect(name).to.equal('Word Tools')
+    expect(main).to.equal('index.js')
+    expect(contributes.menus).to.deep.equal([{ menu: 'edit', command: 'word-tools.count' }])
+    expect(contributes.exportFormats[0].extension).to.equal('.txt')
+  })
+  it('Use empty contributions by default', () => {
+    const { description, contributes } = parseManifest('empty', { name: 'Empty' })
+    expect(description).to.equal('')
+    expect(contributes.commands).to.deep.equal([])
+    expect(contributes.keybindings).to.deep.equal([])
+  })
+  it('Reject invalid manifests', () => {
+    expect(() => parseManifest('Word Tools', MANIFEST)).to.throw()
+    expect(() => parseManifest('word-tools', { version: '1.0.0' })).to.throw()
+    expect(() => parseManifest('other', MANIFEST)).to.throw()
+    expect(() => parseManifest('word-tools', withContributions({
+      menus: [{ menu: 'theme', command: 'word-tools.count' }]
+    }))).to.throw()
+    expect(() => parseManifest('word-tools', withContributions({
+      keybindings: [{ command: 'word-tools.unknown', key: 'F6' }]
+    }))).to.throw()
+    expect(() => parseManifest('word-tools', withContributions({
+      exportFormats: [{ id: 'word-tools.txt', title: 'Text', extension: '../txt' }]
+    }))).to.throw()
+  })
+})
@@ -0,0 +1,91 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { createSearchRegexp } from '../../../src/common/search'
+import { findTagOccurrences } from '../../../src/common/tags'
+import { findMatches } from '../../../src/main/filesystem/searchIndex'
+import { replaceInFiles, replaceMatches } from '../../../src/main/filesystem/replace'
+
+const MARKDOWN = 'foo Foo food\nbar foo\n'
+
+// Find and replace all matches like the folder search does.
+const replaceAll = (markdown, query, options, replacement) => {
+  const regexp = createSearchRegexp(query, options)
+  const matches = findMatches(markdown, regexp)
+  return replaceMatches(markdown, regexp, matches, replacement, !!options.isRegexp)
+}
+
+describe('Replace in folder', () => {
+  it('Replace case-insensitive and case-sensitive matches', () => {
+    expect(replaceAll(MARKDOWN, 'foo', {}, 'x')).to.deep.equal({
+      markdown: 'x x xd\nbar x\n',
+      count: 4
+    })
+    expect(replaceAll(MARKDOWN, 'Foo', { isCaseSensitive: true }, 'x')).to.deep.equal({
+      markdown: 'foo x food\nbar foo\n',
+      count: 1
+    })
+  })
+  it('Replace whole words', () => {
+    expect(replaceAll(MARKDOWN, 'foo', { isWholeWord: true }, 'x').markdown).to.equal('x x food\nbar x\n')
+  })
+  it('Replace regular expressions with patterns', () => {
+    const { markdown, count } = replaceAll(MARKDOWN, '(\\w+) (foo)$', { isRegexp: true, isCaseSensitive: true }, '$2 $1')
+    expect(markdown).to.equal('foo Foo food\nfoo bar\n')
+    expect(count).to.equal(1)
+    // Patterns are not expanded for plain text queries.
+    expect(replaceAll('a', 'a', {}, '$&$1').markdown).to.equal('$&$1')
+  })
+  it('Skip overlapping matches', () => {
+    const regexp = createSearchRegexp('aa', {})
+    const matches = [{ line: 0, ch: 0, length: 2 }, { line: 0, ch: 1, length: 2 }]
+    expect(replaceMatches('aaa', regexp, matches, 'b', false)).to.deep.equal({ markdown: 'ab', count: 1 })
+  })
+  it('Skip matches of changed documents', () => {
+    const regexp = createSearchRegexp('foo', {})
+    const matches = findMatches(MARKDOWN, regexp)
+    // The first line was changed and a line was removed after the search.
+    const changed = 'fox Foo food\n'
+    const { markdown, count } = replaceMatches(changed, regexp, matches, 'x', false)
+    expect(markdown).to.equal('fox x xd\n')
+    expect(count).to.equal(2)
+  })
+
+  describe('Replace in files', () => {
+    let tempPath = ''
+    beforeEach(() => {
+      tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'marktext-'))
+    })
+    afterEach(() => {
+      fs.removeSync(tempPath)
+    })
+
+    it('Write documents on disk and return unsaved documents', async () => {
+      const pathname = path.join(tempPath, 'a.md')
+      fs.writeFileSync(pathname, MARKDOWN)
+      const matches = [{ line: 1, ch: 4, length: 3 }]
+      const files = [
+        { pathname, matches },
+        { pathname: path.join(tempPath, 'unsaved.md'), matches, markdown: 'bar\nbar foo' },
+        { pathname: path.join(tempPath, 'missing.md'), matches }
+      ]
+
+      const result = await replaceInFiles(files, 'foo', {}, 'baz', 'lf')
+      expect(fs.readFileSync(pathname, 'utf8')).to.equal('foo Foo food\nbar baz\n')
+      expect(result.count).to.equal(2)
+      expect(result.written).to.deep.equal([pathname])
+      expect(result.documents).to.deep.equal([{ pathname: files[1].pathname, markdown: 'bar\nbar baz' }])
+      expect(result.errors.length).to.equal(1)
+    })
+    it('Find the matches of documents on disk', async () => {
+      const pathname = path.join(tempPath, 'a.md')
+      fs.writeFileSync(pathname, '#work and work\n#work/notes\n')
+
+      const findFileMatches = markdown => findTagOccurrences(markdown, 'work')
+      const options = { isCaseSensitive: true }
+      const result = await replaceInFiles([{ pathname, matches: null }], 'work', options, 'job', 'lf', findFileMatches)
+      expect(fs.readFileSync(pathname, 'utf8')).to.equal('#job and work\n#job/notes\n')
+      expect(result.count).to.equal(2)
+    })
+  })
+})
@@ -0,0 +1,132 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import { safeWriteFile } from '../../../src/main/filesystem'
+import { configureSafeSave, writeMarkdownFile } from '../../../src/main/filesystem/markdown'
+import RecoveryJournal from '../../../src/main/filesystem/recovery'
+
+const OPTIONS = { encoding: 'utf8', lineEnding: 'lf', adjustLineEndingOnSave: false }
+
+describe('Safe save', () => {
+  let tempPath = ''
+
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'marktext-'))
+  })
+  afterEach(() => {
+    fs.removeSync(tempPath)
+  })
+
+  it('Write a new file and append the extension', async () => {
+    const pathname = path.join(tempPath, 'sub', 'note')
+    await safeWriteFile(pathname, '# Hello', '.md')
+    expect(fs.readFileSync(`${pathname}.md`, 'utf8')).to.equal('# Hello')
+  })
+  it('Replace a file without leaving temporary files', async () => {
+    const pathname = path.join(tempPath, 'note.md')
+    fs.writeFileSync(pathname, 'old')
+    await safeWriteFile(pathname, Buffer.from('new'), '.md', true)
+    expect(fs.readFileSync(pathname, 'utf8')).to.equal('new')
+    expect(fs.readFileSync(`${pathname}.bak`, 'utf8')).to.equal('old')
+    expect(fs.readdirSync(tempPath).sort()).to.deep.equal(['note.md', 'note.md.bak'])
+  })
+  it('Keep the original file when the save fails', async () => {
+    const pathname = path.join(tempPath, 'note.md')
+    fs.writeFileSync(pathname, 'old')
+    let error = null
+    try {
+      // A folder with the name of the file cannot be replaced by the temporary file.
+      await safeWriteFile(path.join(pathname, 'child.md'), 'new', '.md')
+    } catch (err) {
+      error = err
+    }
+    expect(error).to.not.equal(null)
+    expect(fs.readFileSync(pathname, 'utf8')).to.equal('old')
+  })
+
+  it('Add, list and remove recovery journal entries', async () => {
+    const journal = new RecoveryJournal(path.join(tempPath, 'recovery'))
+    const pathname = path.join(tempPath, 'note.md')
+    const id = await journal.add(pathname, 'unsaved', OPTIONS)
+    const entries = await journal.getEntries()
+    expect(entries.length).to.equal(1)
+    expect(entries[0]).to.include({ id, pathname, markdown: 'unsaved' })
+    expect(entries[0].options).to.deep.equal(OPTIONS)
+
+    await journal.remove(id)
+    expect(await journal.getEntries()).to.deep.equal([])
+  })
+  it('Restore only the newest entry of a document', async () => {
+    const journal = new RecoveryJournal(path.join(tempPath, 'recovery'))
+    const pathname = path.join(tempPath, 'note.md')
+    await journal.add(pathname, 'first', OPTIONS)
+    const id = await journal.add(pathname, 'second', OPTIONS)
+    await journal.add(path.join(tempPath, 'other.md'), 'other', OPTIONS)
+
+    const entries = await journal.getEntries()
+    expect(entries.length).to.equal(2)
+    expect(entries.find(entry => entry.pathname === pathname).id).to.equal(id)
+
+    await journal.clear()
+    expect(await journal.getEntries()).to.deep.equal([])
+  })
+  it('Do not restore entries over newer versions of a document', async () => {
+    const journal = new RecoveryJournal(path.join(tempPath, 'recovery'))
+    const pathname = path.join(tempPath, 'note.md')
+    await journal.add(pathname, 'failed save', OPTIONS)
+
+    // The document was saved successfully afterwards.
+    fs.writeFileSync(pathname, 'saved')
+    const future = new Date(Date.now() + 10000)
+    fs.utimesSync(pathname, future, future)
+    expect(await journal.getEntries()).to.deep.equal([])
+  })
+  it('Remove outdated entries of a document', async () => {
+    const journal = new RecoveryJournal(path.join(tempPath, 'recovery'))
+    const pathname = path.join(tempPath, 'note.md')
+    const otherPathname = path.join(tempPath, 'other.md')
+    await journal.add(pathname, 'failed save', OPTIONS)
+    await journal.add(otherPathname, 'other', OPTIONS)
+
+    await journal.removeEntries(pathname, Date.now())
+    expect((await journal.getEntries()).map(entry => entry.pathname)).to.deep.equal([otherPathname])
+  })
+  it('Keep the entries of other running instances', async () => {
+    const journalPath = path.join(tempPath, 'recovery')
+    const journal = new RecoveryJournal(journalPath)
+    const pathname = path.join(tempPath, 'note.md')
+    // The parent process is still running.
+    const entry = { id: 'other', instance: 'other', pid: process.ppid, pathname, markdown: 'saving', timestamp: Date.now(), sequence: 0 }
+    fs.outputJsonSync(path.join(journalPath, 'other.json'), entry)
+    await journal.add(pathname, 'failed save', OPTIONS)
+
+    expect((await journal.getEntries()).map(entry => entry.markdown)).to.deep.equal(['failed save'])
+    await journal.clear()
+    expect(fs.readdirSync(journalPath)).to.deep.equal(['other.json'])
+  })
+  it('Clear the journal after saving a document', async () => {
+    const journal = new RecoveryJournal(path.join(tempPath, 'recovery'))
+    const pathname = path.join(tempPath, 'note.md')
+    const past = new Date(Date.now() - 10000)
+    fs.writeFileSync(pathname, 'old')
+    fs.utimesSync(pathname, past, past)
+    await journal.add(pathname, 'failed save', OPTIONS)
+    configureSafeSave(journal, false)
+    try {
+      let error = null
+      try {
+        await writeMarkdownFile(path.join(pathname, 'child.md'), 'new', OPTIONS)
+      } catch (err) {
+        error = err
+      }
+      expect(error).to.not.equal(null)
+      expect((await journal.getEntries()).length).to.equal(1)
+
+      await writeMarkdownFile(pathname, 'saved', OPTIONS)
+      expect(fs.readFileSync(pathname, 'utf8')).to.equal('saved')
+      expect(fs.readdirSync(path.join(tempPath, 'recovery'))).to.deep.equal([])
+    } finally {
+      configureSafeSave(null, false)
+    }
+  })
+})
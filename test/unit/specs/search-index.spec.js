@@ -0,0 +1,71 @@
+import SearchIndex from '../../../src/main/filesystem/searchIndex'
+import { createSearchRegexp, expandReplacement } from '../../../src/common/search'
+
+const createSearchIndex = () => {
+  const searchIndex = new SearchIndex()
+  searchIndex.update('/notes/a.md', '# Hello World\n\nfoo bar\nFooBar and foo.')
+  searchIndex.update('/notes/sub/b.md', 'Nothing here\nfoo')
+  return searchIndex
+}
+
+const getPositions = results => {
+  return results.map(({ pathname, matches }) => {
+    return [pathname, matches.map(({ line, ch }) => `${line}:${ch}`).join(',')]
+  })
+}
+
+describe('Search index', () => {
+  it('Find all matches (case-insensitive)', async () => {
+    const results = await createSearchIndex().search('foo', {})
+    expect(getPositions(results)).to.deep.equal([
+      ['/notes/a.md', '2:0,3:0,3:11'],
+      ['/notes/sub/b.md', '1:0']
+    ])
+  })
+  it('Case-sensitive and whole word', async () => {
+    const searchIndex = createSearchIndex()
+    expect(getPositions(await searchIndex.search('Foo', { isCaseSensitive: true }))).to.deep.equal([
+      ['/notes/a.md', '3:0']
+    ])
+    expect(getPositions(await searchIndex.search('foo', { isWholeWord: true }))).to.deep.equal([
+      ['/notes/a.md', '2:0,3:11'],
+      ['/notes/sub/b.md', '1:0']
+    ])
+  })
+  it('Regular expression', async () => {
+    const results = await createSearchIndex().search('^foo\\w+', { isRegexp: true })
+    expect(getPositions(results)).to.deep.equal([
+      ['/notes/a.md', '3:0']
+    ])
+    expect(results[0].matches[0]).to.include({ before: '', match: 'FooBar', after: ' and foo.' })
+  })
+  it('Update and remove documents', async () => {
+    const searchIndex = createSearchIndex()
+    searchIndex.update('/notes/a.md', 'baz')
+    searchIndex.removeDirectory('/notes/sub')
+    expect(await searchIndex.search('foo', {})).to.deep.equal([])
+    expect(searchIndex.size).to.equal(1)
+  })
+  it('Search large folders in chunks', async () => {
+    const searchIndex = new SearchIndex()
+    const markdown = 'foo bar\n'.repeat(2000)
+    for (let i = 0; i < 200; i++) {
+      searchIndex.update(`/notes/${i}.md`, markdown)
+    }
+
+    let cancelled = false
+    const search = searchIndex.search('bar', {}, null, Infinity, () => cancelled)
+    cancelled = true
+    expect(await search).to.deep.equal([])
+
+    const results = await searchIndex.search('bar', {}, null, 10)
+    expect(results.length).to.equal(1)
+    expect(results[0].matches.length).to.equal(10)
+  })
+  it('Expand replacement patterns', () => {
+    const regexp = createSearchRegexp('(?<name>f)(o+)', { isRegexp: true })
+    const result = regexp.exec('a foo b')
+    expect(expandReplacement('$2$<name>-$&-$$-$3', result, true)).to.equal('oof-foo-$-$3')
+    expect(expandReplacement('$2', result, false)).to.equal('$2')
+  })
+})
@@ -0,0 +1,76 @@
+import ContentState from '../../../src/muya/lib/contentState'
+import EventCenter from '../../../src/muya/lib/eventHandler/event'
+import ExportMarkdown from '../../../src/muya/lib/utils/exportMarkdown'
+import marked from '../../../src/muya/lib/parser/marked'
+import { tokenizer } from '../../../src/muya/lib/parser'
+import { registerSyntax } from '../../../src/muya/lib/syntax'
+import { MUYA_DEFAULT_OPTION } from '../../../src/muya/lib/config'
+
+const MARKDOWN = `Hello {{name}} and **{{title}}** but not \`{{code}}\`.
+
+\`\`\`test-chart
+a: 1
+\`\`\`
+`
+
+const createMuyaContext = () => {
+  const ctx = {}
+  ctx.options = Object.assign({}, MUYA_DEFAULT_OPTION)
+  ctx.eventCenter = new EventCenter()
+  ctx.contentState = new ContentState(ctx, ctx.options)
+  return ctx
+}
+
+describe('Syntax plugins', () => {
+  before(() => {
+    registerSyntax({
+      name: 'test',
+      inlines: [{
+        type: 'test_variable',
+        regex: /^\{\{([a-z]+)\}\}/,
+        tokenize: match => ({ content: match[1] }),
+        render () {},
+        toMarkdown: token => `{{ ${token.content} }}`,
+        toHtml: token => `<var>${token.content}</var>`
+      }],
+      blocks: [{
+        type: 'test-chart',
+        label: 'Chart',
+        render () {},
+        toMarkdown: code => code.toUpperCase(),
+        toHtml: code => `<div class="test-chart">${code}</div>`
+      }]
+    })
+  })
+
+  it('Tokenize inline syntaxes', () => {
+    const tokens = tokenizer('a {{b}} **{{c}}** `{{d}}`', [], false)
+    const variables = tokens.filter(t => t.type === 'test_variable')
+    expect(variables.map(({ content, range }) => [content, range.start, range.end])).to.deep.equal([['b', 2, 7]])
+    expect(tokens.find(t => t.type === 'strong').children[0].type).to.equal('test_variable')
+  })
+  it('Reject invalid syntaxes', () => {
+    const render = () => {}
+    expect(() => registerSyntax({ inlines: [{ type: 'strong', regex: /^a/, render }] })).to.throw()
+    expect(() => registerSyntax({ inlines: [{ type: 'test_other', regex: /a/, render }] })).to.throw()
+    expect(() => registerSyntax({ blocks: [{ type: 'mermaid', render }] })).to.throw()
+    expect(() => registerSyntax({ blocks: [{ type: 'Test Chart', render }] })).to.throw()
+  })
+  it('Import and export fenced block syntaxes', () => {
+    const ctx = createMuyaContext()
+    ctx.contentState.importMarkdown(MARKDOWN)
+    const blocks = ctx.contentState.getBlocks()
+    expect(blocks[1].type).to.equal('figure')
+    expect(blocks[1].functionType).to.equal('test-chart')
+    const exportedMarkdown = new ExportMarkdown(blocks).generate()
+    expect(exportedMarkdown).to.equal(MARKDOWN
+      .replace('{{name}} and **{{title}}**', '{{ name }} and **{{ title }}**')
+      .replace('a: 1', 'A: 1'))
+  })
+  it('Export syntaxes to HTML', () => {
+    const html = marked(MARKDOWN)
+    expect(html).to.contain('Hello <var>name</var> and <strong><var>title</var></strong>')
+    expect(html).to.contain('<code>{{code}}</code>')
+    expect(html).to.contain('<div class="test-chart">a: 1</div>')
+  })
+})
@@ -0,0 +1,32 @@
+import { parseCsv, stringifyCsv, detectDelimiter } from '../../../src/muya/lib/utils/csv'
+
+describe('Table CSV', () => {
+  it('Parse quoted values', () => {
+    expect(parseCsv('a,"b,c"\n"say ""hi""",d\n')).to.deep.equal([
+      ['a', 'b,c'],
+      ['say "hi"', 'd']
+    ])
+    expect(parseCsv('a,"line\nbreak"\r\n1,2')).to.deep.equal([
+      ['a', 'line\nbreak'],
+      ['1', '2']
+    ])
+    expect(parseCsv('')).to.deep.equal([])
+  })
+  it('Parse tab-separated values', () => {
+    expect(parseCsv('a\tb\n1\t2\n', '\t')).to.deep.equal([
+      ['a', 'b'],
+      ['1', '2']
+    ])
+  })
+  it('Stringify and quote values', () => {
+    const rows = [['name', 'note'], ['a,b', 'say "hi"']]
+    expect(stringifyCsv(rows)).to.equal('name,note\n"a,b","say ""hi"""\n')
+    expect(parseCsv(stringifyCsv(rows))).to.deep.equal(rows)
+  })
+  it('Detect spreadsheet data', () => {
+    expect(detectDelimiter('a\tb\n1\t2')).to.equal('\t')
+    expect(detectDelimiter('a,b\n1,2\n')).to.equal(',')
+    expect(detectDelimiter('a,b\n1')).to.equal(null)
+    expect(detectDelimiter('Hello, world')).to.equal(null)
+  })
+})
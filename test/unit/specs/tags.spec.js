@@ -0,0 +1,45 @@
+import { tokenizer } from '../../../src/muya/lib/parser'
+import { findInlineTags, extractTags, findTagOccurrences, isValidTagName } from '../../../src/common/tags'
+
+const MARKDOWN = `---
+tags: [work, work/notes, homework]
+---
+# Heading #draft
+See #idea and #project/ideas, not C#sharp, #2019 or \`#code\`.
+\`\`\`
+#comment
+\`\`\`
+- item #work
+`
+
+describe('Tags', () => {
+  it('Tokenize tags', () => {
+    const tokens = tokenizer('#first, a#b and **#c** or #d/e', [], false)
+    const tags = tokens.filter(t => t.type === 'inline_tag')
+    expect(tags.map(({ content, range }) => [content, range.start, range.end])).to.deep.equal([
+      ['first', 0, 6],
+      ['d/e', 26, 30]
+    ])
+  })
+  it('Find tags in the document text', () => {
+    expect(findInlineTags(MARKDOWN).map(({ name, line, ch }) => [name, line, ch])).to.deep.equal([
+      ['draft', 3, 11],
+      ['idea', 4, 5],
+      ['project/ideas', 4, 15],
+      ['work', 8, 8]
+    ])
+    expect(extractTags(MARKDOWN)).to.deep.equal(['work', 'work/notes', 'homework', 'draft', 'idea', 'project/ideas'])
+  })
+  it('Find tag occurrences for renaming', () => {
+    expect(findTagOccurrences(MARKDOWN, 'work')).to.deep.equal([
+      { line: 8, ch: 8, length: 4 },
+      { line: 1, ch: 7, length: 4 },
+      { line: 1, ch: 13, length: 4 }
+    ])
+    expect(findTagOccurrences(MARKDOWN, 'none')).to.deep.equal([])
+  })
+  it('Validate tag names', () => {
+    expect(['tag', 'a-b_c', 'a/b', 'äöü'].every(isValidTagName)).to.equal(true)
+    expect(['', '1', 'a b', '#a', 'a/', 'a.b'].some(isValidTagName)).to.equal(false)
+  })
+})
@@ -0,0 +1,166 @@
+import fs from 'fs-extra'
+import os from 'os'
+import path from 'path'
+import History from '../../../src/muya/lib/contentState/history'
+import { loadUndoHistory, saveUndoHistory } from '../../../src/renderer/util/undoHistory'
+
+const createBlock = (key, text, parent = null) => {
+  return { key, type: 'p', parent, preSibling: null, nextSibling: null, text, children: [] }
+}
+
+// Create a block tree with one paragraph for each text.
+const createBlocks = texts => {
+  const blocks = texts.map((text, i) => {
+    const block = createBlock(`p${i}`, '')
+    block.children.push(createBlock(`span${i}`, text, block.key))
+    return block
+  })
+  blocks.forEach((block, i) => {
+    block.preSibling = i > 0 ? blocks[i - 1].key : null
+    block.nextSibling = i < blocks.length - 1 ? blocks[i + 1].key : null
+  })
+  return blocks
+}
+
+const createState = (texts, key = 'span0') => {
+  const cursor = { start: { key, offset: 0 }, end: { key, offset: 0 } }
+  return { blocks: createBlocks(texts), cursor, renderRange: [null, null] }
+}
+
+// A minimal content state that renders nothing.
+const createContentState = () => {
+  return { blocks: [], cursor: null, renderRange: [null, null], render () {} }
+}
+
+const getTexts = blocks => blocks.map(block => block.children[0].text)
+
+describe('Undo history', () => {
+  it('Undo and redo changes', () => {
+    const contentState = createContentState()
+    const history = new History(contentState)
+    history.push(createState(['a']))
+    history.push(createState(['a', 'b'], 'span1'))
+    history.push(createState(['c', 'b']))
+
+    history.undo()
+    expect(getTexts(contentState.blocks)).to.deep.equal(['a', 'b'])
+    expect(contentState.cursor.start.key).to.equal('span1')
+    expect(contentState.cursor.noHistory).to.equal(true)
+    history.undo()
+    expect(getTexts(contentState.blocks)).to.deep.equal(['a'])
+    expect(contentState.blocks[0].nextSibling).to.equal(null)
+    // The first entry cannot be reverted.
+    history.undo()
+    expect(history.index).to.equal(0)
+
+    history.redo()
+    history.redo()
+    expect(getTexts(contentState.blocks)).to.deep.equal(['c', 'b'])
+    expect(contentState.blocks[0].children[0].parent).to.equal('p0')
+    history.redo()
+    expect(history.index).to.equal(2)
+  })
+  it('Discard redo entries after a change', () => {
+    const contentState = createContentState()
+    const history = new History(contentState)
+    history.push(createState(['a']))
+    history.push(createState(['b']))
+    history.undo()
+    history.push(createState(['c']))
+    expect(history.stack.length).to.equal(2)
+
+    history.undo()
+    expect(getTexts(contentState.blocks)).to.deep.equal(['a'])
+    history.redo()
+    expect(getTexts(contentState.blocks)).to.deep.equal(['c'])
+  })
+  it('Store only changed blocks', () => {
+    const history = new History(createContentState())
+    history.push(createState(['a', 'b', 'c']))
+    history.push(createState(['a', 'x', 'c']))
+    const { patch } = history.stack[1]
+    expect(Object.keys(patch.nodes)).to.deep.equal(['span1'])
+    expect(patch.rootKeys).to.equal(null)
+  })
+  it('Restore a serialized history', () => {
+    const history = new History(createContentState())
+    history.push(createState(['a']))
+    history.push(createState(['a', 'b'], 'span1'))
+    history.push(createState(['a', 'b', 'c'], 'span2'))
+    history.undo()
+
+    // Simulate a history that was saved by another session.
+    const serialized = JSON.parse(JSON.stringify(history.getHistory()))
+    serialized.session = 'other-session'
+
+    const contentState = createContentState()
+    const restored = new History(contentState)
+    restored.setHistory(serialized)
+    expect(restored.index).to.equal(1)
+    expect(restored.stack.length).to.equal(3)
+
+    restored.undo()
+    expect(getTexts(contentState.blocks)).to.deep.equal(['a'])
+    restored.redo()
+    restored.redo()
+    expect(getTexts(contentState.blocks)).to.deep.equal(['a', 'b', 'c'])
+
+    // All keys and references are renewed consistently.
+    const [first, second] = contentState.blocks
+    expect(first.key).to.not.equal('p0')
+    expect(first.nextSibling).to.equal(second.key)
+    expect(second.preSibling).to.equal(first.key)
+    expect(second.children[0].parent).to.equal(second.key)
+    expect(contentState.cursor.start.key).to.equal(contentState.blocks[2].children[0].key)
+  })
+  it('Discard invalid serialized histories', () => {
+    const history = new History(createContentState())
+    history.push(createState(['a']))
+    const serialized = JSON.parse(JSON.stringify(history.getHistory()))
+
+    history.setHistory(Object.assign({}, serialized, { version: 0 }))
+    expect(history.stack).to.deep.equal([])
+    expect(history.index).to.equal(-1)
+
+    history.setHistory(Object.assign({}, serialized, { index: 1 }))
+    expect(history.index).to.equal(-1)
+    history.setHistory(null)
+    expect(history.snapshot).to.equal(null)
+  })
+})
+
+describe('Persistent undo history', () => {
+  let tempPath = ''
+  let marktext = null
+  beforeEach(() => {
+    tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'marktext-'))
+    marktext = global.marktext
+    global.marktext = { env: { paths: { undoHistoryPath: tempPath } } }
+  })
+  afterEach(() => {
+    global.marktext = marktext
+    fs.removeSync(tempPath)
+  })
+
+  const pathname = path.join(os.tmpdir(), 'note.md')
+  const getHistory = texts => {
+    const history = new History(createContentState())
+    history.push(createState(texts))
+    return history.getHistory()
+  }
+
+  it('Load the history of an unchanged document', async () => {
+    const history = getHistory(['a'])
+    await saveUndoHistory(pathname, 'a', history)
+    expect(loadUndoHistory(pathname, 'a')).to.deep.equal(JSON.parse(JSON.stringify(history)))
+  })
+  it('Remove outdated histories', async () => {
+    await saveUndoHistory(pathname, 'a', getHistory(['a']))
+    expect(loadUndoHistory(pathname, 'b')).to.equal(null)
+    expect(fs.readdirSync(tempPath)).to.deep.equal([])
+
+    await saveUndoHistory(pathname, 'a', getHistory(['a']))
+    await saveUndoHistory(pathname, 'a', { stack: [] })
+    expect(fs.readdirSync(tempPath)).to.deep.equal([])
+  })
+})
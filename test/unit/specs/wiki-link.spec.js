@@ -0,0 +1,35 @@
+import { tokenizer } from '../../../src/muya/lib/parser'
+import { findWikiLinks, getNoteName, isLinkTo, resolveWikiLink } from '../../../src/common/wikiLink'
+
+describe('Wiki links', () => {
+  it('Tokenize wiki links', () => {
+    const tokens = tokenizer('See [[Note Name]] and [[Other|alias]].', [], false)
+    const links = tokens.filter(t => t.type === 'wiki_link')
+    expect(links.map(({ target, alias, range }) => [target, alias, range.start, range.end])).to.deep.equal([
+      ['Note Name', '', 4, 17],
+      ['Other', 'alias', 22, 37]
+    ])
+  })
+  it('Find wiki links in a document', () => {
+    const links = findWikiLinks('# Title\n\n[[a]] text [[b|B]]\n[[not\nclosed]]')
+    expect(links.map(({ target, alias, line, ch, length }) => [target, alias, line, ch, length])).to.deep.equal([
+      ['a', '', 2, 0, 5],
+      ['b', 'B', 2, 11, 7]
+    ])
+  })
+  it('Ignore wiki links in code', () => {
+    const markdown = '```\n[[a]]\n```\n`[[b]]` [[c]]\n~~~~ md\n[[d]]\n~~~\n~~~~\n$$\n[[e]]\n$$\n``a `[[f]]` b`` [[g]]'
+    const links = findWikiLinks(markdown)
+    expect(links.map(({ target, line, ch, text }) => [target, line, ch, text])).to.deep.equal([
+      ['c', 3, 8, '`[[b]]` [[c]]'],
+      ['g', 11, 16, '``a `[[f]]` b`` [[g]]']
+    ])
+  })
+  it('Resolve wiki links by note name', () => {
+    const fileList = [{ pathname: '/notes/Foo Bar.md' }, { pathname: '/notes/sub/baz.markdown' }]
+    expect(getNoteName('/notes/sub/baz.markdown')).to.equal('baz')
+    expect(isLinkTo('foo bar.md', 'Foo Bar')).to.equal(true)
+    expect(resolveWikiLink('Baz', fileList)).to.equal(fileList[1])
+    expect(resolveWikiLink('qux', fileList)).to.equal(undefined)
+  })
+})